@@ -2,6 +2,10 @@ const sqlite3 = require('sqlite3');
 const { open } = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { runMigrations, logMigrationReport } = require('./migrator');
+const { run, get, all } = require('./query');
+const { HIGHLIGHT_START, HIGHLIGHT_END, RANK_EXPRESSION, indexVideo, removeVideoFromIndex, buildMatchQuery, formatHighlight } = require('./search');
+const { DEATH_COUNT_EXPRESSION, getSortKeys, buildCursorCondition, encodeCursor, buildTechnicalCondition } = require('./filters');
 
 // Ensure the db directory exists
 const dbDir = process.env.DB_DIR || path.join(__dirname, '..', 'data', 'db');
@@ -11,156 +15,246 @@ if (!fs.existsSync(dbDir)) {
 
 const dbPath = path.join(dbDir, 'videos.db');
 
+// Owner of per-user library state (favorites, watch history) until user accounts exist
+const SHARED_LIBRARY_USER_ID = 0;
+
+// Positions closer than this to the start aren't worth resuming
+const MIN_RESUME_SECONDS = 10;
+// A video counts as watched once playback gets this close to the end
+const COMPLETED_MARGIN_SECONDS = 30;
+// Technical metadata columns filled in from ffprobe by the scanner
+const TECHNICAL_COLUMNS = ['file_size', 'container', 'video_codec', 'audio_codec', 'bitrate', 'frame_rate', 'audio_track_count', 'audio_languages', 'subtitle_tracks'];
+
 /**
- * Initialize the database and create tables if they don't exist
+ * Open the database and apply any pending schema migrations
  */
 async function initializeDatabase() {
-  return new Promise((resolve, reject) => {
-    const db = new sqlite3.Database(dbPath, (err) => {
+  const db = await new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(dbPath, (err) => {
       if (err) {
         return reject(err);
       }
-
-      // Use db.serialize to ensure sequential execution
-      db.serialize(() => {
-        // Create videos table
-        db.run(`
-          CREATE TABLE IF NOT EXISTS videos (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            path TEXT NOT NULL UNIQUE,
-            duration INTEGER,
-            width INTEGER,  -- New column for video width
-            height INTEGER, -- New column for video height
-            added_date TEXT DEFAULT CURRENT_TIMESTAMP,
-            thumbnail_path TEXT,
-            death_timestamps TEXT -- Added column for JSON death timestamps
-          )
-        `, (err) => {
-          if (err) return reject(err);
-
-          // Create title index
-          db.run(`CREATE INDEX IF NOT EXISTS idx_videos_title ON videos (title);`, (err) => {
-            if (err) return reject(err);
-
-            // Create added_date index
-            db.run(`CREATE INDEX IF NOT EXISTS idx_videos_added_date ON videos (added_date);`, (err) => {
-              if (err) return reject(err);
-
-              // Attempt to add death_timestamps column (ignore duplicate error)
-              db.run(`ALTER TABLE videos ADD COLUMN death_timestamps TEXT`, (err) => {
-                if (err && !err.message.includes('duplicate column name')) {
-                  // Only reject if it's a real error, not just column already exists
-                  return reject(err);
-                }
-                // Attempt to add width column (ignore duplicate error)
-                db.run(`ALTER TABLE videos ADD COLUMN width INTEGER`, (err) => {
-                  if (err && !err.message.includes('duplicate column name')) {
-                    return reject(err);
-                  }
-                  // Attempt to add height column (ignore duplicate error)
-                  db.run(`ALTER TABLE videos ADD COLUMN height INTEGER`, (err) => {
-                    if (err && !err.message.includes('duplicate column name')) {
-                      return reject(err);
-                    }
-                    // Attempt to add preview_clips column (ignore duplicate error)
-                    db.run(`ALTER TABLE videos ADD COLUMN preview_clips TEXT`, (err) => {
-                      if (err && !err.message.includes('duplicate column name')) {
-                        return reject(err);
-                      }
-                      // Attempt to add preview_generation_status column (ignore duplicate error)
-                      db.run(`ALTER TABLE videos ADD COLUMN preview_generation_status TEXT DEFAULT 'pending'`, (err) => {
-                        if (err && !err.message.includes('duplicate column name')) {
-                          return reject(err);
-                        }
-                        // Attempt to add preview_generation_date column (ignore duplicate error)
-                        db.run(`ALTER TABLE videos ADD COLUMN preview_generation_date TEXT`, (err) => {
-                          if (err && !err.message.includes('duplicate column name')) {
-                            return reject(err);
-                          }
-                          // All steps completed successfully
-                          resolve(db);
-                        });
-                      });
-                    });
-                  });
-                });
-              });
-            });
-          });
-        });
-      }); // End of db.serialize
+      resolve(database);
     });
   });
+
+  // Needed for ON DELETE CASCADE on tables that reference videos
+  await run(db, 'PRAGMA foreign_keys = ON');
+
+  const report = await runMigrations(db);
+  logMigrationReport(report);
+
+  return db;
 }
 
 /**
- * Get videos with pagination, optional search, and sorting
+ * Get videos with pagination, optional search, and sorting.
+ * When a search query is given, matches come from the videos_fts index and each
+ * row carries HTML-safe `search_title` and `search_snippet` highlights.
+ * @param {Object} options - Additional filters
+ * @param {number} options.userId - User whose library state (favorites, watch history) is joined in
+ * @param {boolean} options.favoritesOnly - Only return the user's favorites
+ * @param {string[]} options.tags - Only return videos carrying all of these tag names
+ * @param {number} options.collectionId - Only return videos in this collection
+ * @param {string} options.game - Only return videos of this game (folder-derived, case-insensitive)
+ * @param {string} options.series - Only return videos of this series
+ * @param {string} options.player - Only return videos of this player
+ * @param {string} options.sessionFrom - Only return sessions on or after this YYYY-MM-DD date
+ * @param {string} options.sessionTo - Only return sessions on or before this YYYY-MM-DD date
+ * @param {Object[]} options.technicalFilters - Filters from parseTechnicalFilter() in db/filters.js, all must match
+ * @param {number} options.durationMin - Only return videos at least this many seconds long
+ * @param {number} options.durationMax - Only return videos at most this many seconds long
+ * @param {string} options.addedFrom - Only return videos added on or after this YYYY-MM-DD date
+ * @param {string} options.addedTo - Only return videos added on or before this YYYY-MM-DD date
+ * @param {number} options.minHeight - Only return videos at least this many pixels tall
+ * @param {boolean} options.hasEvents - Only return videos with (true) or without (false) timeline events
+ * @param {string} options.previewStatus - Only return videos in this preview state (see PREVIEW_STATUSES)
+ * @param {number} options.seed - Seed for the "random" sort; the same seed gives the same order
+ * @param {Array} options.cursor - Sort values from decodeCursor(); when set, `page` is ignored
+ * @returns {Promise<{videos: Array, totalCount: number, nextCursor: string|null}>} - nextCursor is null on the last page
  */
-function getVideosPaginated(db, page = 1, limit = 50, searchQuery = null, sort = 'date_added_desc') {
-  return new Promise(async (resolve, reject) => {
-    const offset = (page - 1) * limit;
-    let query = 'SELECT * FROM videos';
-    let countQuery = 'SELECT COUNT(*) as totalCount FROM videos';
-    const params = [];
-    const countParams = [];
+async function getVideosPaginated(db, page = 1, limit = 50, searchQuery = null, sort = 'date_added_desc', options = {}) {
+  const offset = (page - 1) * limit;
+  const matchQuery = buildMatchQuery(searchQuery);
+  const userId = options.userId || SHARED_LIBRARY_USER_ID;
 
-    if (searchQuery) {
-      const searchPattern = `%${searchQuery}%`;
-      query += ' WHERE title LIKE ? COLLATE NOCASE';
-      countQuery += ' WHERE title LIKE ? COLLATE NOCASE';
-      params.push(searchPattern);
-      countParams.push(searchPattern);
+  const selectColumns = [
+    'videos.*',
+    'EXISTS (SELECT 1 FROM favorites WHERE favorites.video_id = videos.id AND favorites.user_id = ?) AS is_favorite',
+    'watch_history.position AS watch_position',
+    'watch_history.completed AS watch_completed',
+    'watch_history.last_watched',
+    'clips.id AS clip_id',
+    'clips.source_video_id AS clip_source_id',
+    `${DEATH_COUNT_EXPRESSION} AS death_count`,
+    `(SELECT json_group_array(json_object('id', tags.id, 'name', tags.name, 'color', tags.color))
+      FROM video_tags JOIN tags ON tags.id = video_tags.tag_id
+      WHERE video_tags.video_id = videos.id) AS tags_json`
+  ];
+  const selectParams = [userId];
+  let fromClause = `FROM videos
+    LEFT JOIN watch_history ON watch_history.video_id = videos.id AND watch_history.user_id = ?
+    LEFT JOIN clips ON clips.video_id = videos.id`;
+  const fromParams = [userId];
+  const conditions = [];
+  const conditionParams = [];
+
+  if (matchQuery) {
+    selectColumns.push(
+      `highlight(videos_fts, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS search_title`,
+      `snippet(videos_fts, -1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 12) AS search_snippet`
+    );
+    fromClause += ' JOIN videos_fts ON videos_fts.rowid = videos.id';
+    conditions.push('videos_fts MATCH ?');
+    conditionParams.push(matchQuery);
+  } else if (searchQuery) {
+    // Nothing indexable left (e.g. only punctuation), fall back to a plain title match
+    conditions.push('videos.title LIKE ? COLLATE NOCASE');
+    conditionParams.push(`%${searchQuery}%`);
+  }
+
+  if (options.favoritesOnly) {
+    conditions.push('videos.id IN (SELECT video_id FROM favorites WHERE user_id = ?)');
+    conditionParams.push(userId);
+  }
+
+  (options.tags || []).forEach(tagName => {
+    conditions.push('videos.id IN (SELECT video_tags.video_id FROM video_tags JOIN tags ON tags.id = video_tags.tag_id WHERE tags.name = ?)');
+    conditionParams.push(tagName);
+  });
+
+  ['game', 'series', 'player'].forEach(field => {
+    if (options[field]) {
+      conditions.push(`videos.${field} = ? COLLATE NOCASE`);
+      conditionParams.push(options[field]);
     }
+  });
+
+  if (options.sessionFrom) {
+    conditions.push('videos.session_date >= ?');
+    conditionParams.push(options.sessionFrom);
+  }
+  if (options.sessionTo) {
+    // Let a partial bound such as "2024-03" include every day in that month
+    conditions.push('videos.session_date <= ?');
+    conditionParams.push(`${options.sessionTo}\uffff`);
+  }
+
+  if (options.collectionId) {
+    conditions.push('videos.id IN (SELECT video_id FROM collection_videos WHERE collection_id = ?)');
+    conditionParams.push(options.collectionId);
+  }
+
+  if (options.durationMin != null) {
+    conditions.push('videos.duration >= ?');
+    conditionParams.push(options.durationMin);
+  }
+  if (options.durationMax != null) {
+    conditions.push('videos.duration <= ?');
+    conditionParams.push(options.durationMax);
+  }
+
+  if (options.addedFrom) {
+    conditions.push('videos.added_date >= ?');
+    conditionParams.push(options.addedFrom);
+  }
+  if (options.addedTo) {
+    // added_date is a full ISO timestamp, so include the whole day
+    conditions.push('videos.added_date <= ?');
+    conditionParams.push(`${options.addedTo}\uffff`);
+  }
+
+  if (options.minHeight) {
+    conditions.push('videos.height >= ?');
+    conditionParams.push(options.minHeight);
+  }
+
+  if (options.hasEvents != null) {
+    conditions.push(`${options.hasEvents ? '' : 'NOT '}EXISTS (SELECT 1 FROM video_events WHERE video_events.video_id = videos.id)`);
+  }
+
+  if (options.previewStatus === 'pending') {
+    conditions.push("(videos.preview_generation_status IS NULL OR videos.preview_generation_status = 'pending')");
+  } else if (options.previewStatus) {
+    conditions.push('videos.preview_generation_status = ?');
+    conditionParams.push(options.previewStatus);
+  }
+
+  (options.technicalFilters || []).forEach(filter => {
+    const condition = buildTechnicalCondition(filter);
+    conditions.push(condition.sql);
+    conditionParams.push(...condition.params);
+  });
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Determine ORDER BY clause based on sort parameter (see VIDEO_SORTS in db/filters.js)
+  const sortKeys = getSortKeys(sort, { rankExpression: matchQuery ? RANK_EXPRESSION : null, seed: options.seed || 1 });
+  const orderByClause = `ORDER BY ${sortKeys.map(key => `${key.sql} ${key.direction}`).join(', ')}`;
+  const orderParams = sortKeys.flatMap(key => key.params);
+
+  // Select each row's sort values so the last one can become the next cursor
+  sortKeys.forEach((key, index) => {
+    selectColumns.push(`${key.sql} AS sort_key_${index}`);
+    selectParams.push(...key.params);
+  });
 
-    // Determine ORDER BY clause based on sort parameter
-    let orderByClause = 'ORDER BY added_date DESC'; // Default sort
-    switch (sort) {
-      case 'title_asc':
-        orderByClause = 'ORDER BY title COLLATE NOCASE ASC';
-        break;
-      case 'title_desc':
-        orderByClause = 'ORDER BY title COLLATE NOCASE DESC';
-        break;
-      case 'date_added_asc':
-        orderByClause = 'ORDER BY added_date ASC';
-        break;
-      case 'date_added_desc':
-        orderByClause = 'ORDER BY added_date DESC';
-        break;
-      // Add more cases for other sorting options if needed
+  // A cursor replaces the offset: continue right after the last row of the previous page
+  const pageConditions = [...conditions];
+  const pageConditionParams = [...conditionParams];
+  let pageOffset = offset;
+  if (options.cursor) {
+    if (options.cursor.length !== sortKeys.length) {
+      const error = new Error('Cursor does not match the sort order');
+      error.code = 'INVALID_CURSOR';
+      throw error;
     }
+    const cursorCondition = buildCursorCondition(sortKeys, options.cursor);
+    pageConditions.push(cursorCondition.sql);
+    pageConditionParams.push(...cursorCondition.params);
+    pageOffset = 0;
+  }
+  const pageWhereClause = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
 
-    query += ` ${orderByClause} LIMIT ? OFFSET ?`;
-    params.push(limit, offset);
-
-    try {
-      // Get total count first
-      const countResult = await new Promise((resolveCount, rejectCount) => {
-        db.get(countQuery, countParams, (err, row) => {
-          if (err) {
-            rejectCount(err);
-          } else {
-            resolveCount(row);
-          }
-        });
-      });
-      const totalCount = countResult.totalCount;
-
-      // Then get the paginated results
-      db.all(query, params, (err, rows) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve({ videos: rows, totalCount });
-      });
-    } catch (err) {
-      reject(err);
+  // Fetch one extra row to know whether there is a next page
+  const query = `SELECT ${selectColumns.join(', ')} ${fromClause} ${pageWhereClause} ${orderByClause} LIMIT ? OFFSET ?`;
+  const countQuery = `SELECT COUNT(*) as totalCount ${fromClause} ${whereClause}`;
+
+  const countResult = await get(db, countQuery, [...fromParams, ...conditionParams]);
+  const rows = await all(db, query, [...selectParams, ...fromParams, ...pageConditionParams, ...orderParams, limit + 1, pageOffset]);
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+
+  let nextCursor = null;
+  if (hasMore) {
+    const lastRow = pageRows[pageRows.length - 1];
+    nextCursor = encodeCursor({
+      sort,
+      seed: sort === 'random' ? options.seed || 1 : null,
+      values: sortKeys.map((key, index) => lastRow[`sort_key_${index}`])
+    });
+  }
+
+  const videos = pageRows.map(({ tags_json, ...row }) => {
+    sortKeys.forEach((key, index) => delete row[`sort_key_${index}`]);
+    const video = { ...row, tags: parseTagsJson(tags_json) };
+    if (matchQuery) {
+      video.search_title = formatHighlight(row.search_title);
+      video.search_snippet = formatHighlight(row.search_snippet);
     }
+    return video;
   });
+
+  return { videos, totalCount: countResult.totalCount, nextCursor };
 }
 
+/**
+ * Parse the tag list built by json_group_array(), sorted by name
+ */
+function parseTagsJson(tagsJson) {
+  if (!tagsJson) return [];
+  return JSON.parse(tagsJson).sort((a, b) => a.name.localeCompare(b.name));
+}
 
 /**
  * Get all videos from the database (Deprecated by getVideosPaginated)
@@ -178,11 +272,14 @@ function getAllVideos(db) {
 }
 
 /**
- * Get a video by ID
+ * Get a video by ID (clips carry clip_id, clip_source_id and clip_start_time)
  */
 function getVideoById(db, id) {
   return new Promise((resolve, reject) => {
-    db.get('SELECT *, width, height FROM videos WHERE id = ?', [id], (err, row) => { // Select width and height
+    const query = `SELECT videos.*, clips.id AS clip_id, clips.source_video_id AS clip_source_id, clips.start_time AS clip_start_time
+      FROM videos LEFT JOIN clips ON clips.video_id = videos.id
+      WHERE videos.id = ?`;
+    db.get(query, [id], (err, row) => {
       if (err) {
         reject(err);
         return;
@@ -193,25 +290,25 @@ function getVideoById(db, id) {
 }
 
 /**
- * Add a new video to the database
+ * Add a new video to the database and index it for search
  */
-function addVideo(db, video) {
-  return new Promise((resolve, reject) => {
-    // Destructure all expected fields, including the new ones
-    const { title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date } = video;
-    
-    db.run(
-      'INSERT OR REPLACE INTO videos (title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date],
-      function(err) {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve(this.lastID);
-      }
-    );
-  });
+async function addVideo(db, video) {
+  // Destructure all expected fields, including the new ones
+  const { title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date, search_metadata, game, series, player, session_date, file_mtime, sidecar_mtime } = video;
+
+  // INSERT OR REPLACE gives a replaced row a new id, so drop the old index entry first
+  await run(db, 'DELETE FROM videos_fts WHERE rowid IN (SELECT id FROM videos WHERE path = ?)', [path]);
+
+  const technicalValues = TECHNICAL_COLUMNS.map(column => video[column]);
+
+  const result = await run(
+    db,
+    `INSERT OR REPLACE INTO videos (title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date, search_metadata, game, series, player, session_date, file_mtime, sidecar_mtime, ${TECHNICAL_COLUMNS.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${TECHNICAL_COLUMNS.map(() => '?').join(', ')})`,
+    [title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date, search_metadata, game, series, player, session_date, file_mtime, sidecar_mtime, ...technicalValues]
+  );
+
+  await indexVideo(db, result.lastID, video);
+  return result.lastID;
 }
 
 /**
@@ -252,19 +349,28 @@ function updateVideoPreview(db, id, preview_clips, preview_generation_status, pr
   });
 }
 
+/**
+ * Clear a video's previews and mark them pending while its preview job waits in the queue.
+ * Nothing changes once the worker has claimed the job, so the status it sets is kept.
+ * @returns {Promise<number>} - 1 if the video was updated, 0 if the job already started
+ */
+async function markVideoPreviewPending(db, id, jobId) {
+  const result = await run(
+    db,
+    `UPDATE videos SET preview_clips = NULL, preview_generation_status = 'pending', preview_generation_date = ?
+     WHERE id = ? AND EXISTS (SELECT 1 FROM jobs WHERE id = ? AND status = 'pending')`,
+    [new Date().toISOString(), id, jobId]
+  );
+  return result.changes;
+}
+
 /**
  * Delete all videos from the database
  */
-function clearVideos(db) {
-  return new Promise((resolve, reject) => {
-    db.run('DELETE FROM videos', function(err) {
-      if (err) {
-        reject(err);
-        return;
-      }
-      resolve(this.changes);
-    });
-  });
+async function clearVideos(db) {
+  const result = await run(db, 'DELETE FROM videos');
+  await run(db, 'DELETE FROM videos_fts');
+  return result.changes;
 }
 
 /**
@@ -283,33 +389,56 @@ function getVideoByPath(db, path) {
 }
 
 /**
- * Update an existing video in the database
+ * Update an existing video in the database and refresh its search entry
  */
-function updateVideo(db, id, video) {
-  return new Promise((resolve, reject) => {
-    // Destructure all expected fields, including the new ones
-    const { title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date } = video;
-    
-    db.run(
-      'UPDATE videos SET title = ?, path = ?, duration = ?, width = ?, height = ?, thumbnail_path = ?, added_date = ?, death_timestamps = ?, preview_clips = ?, preview_generation_status = ?, preview_generation_date = ? WHERE id = ?',
-      [title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date, id],
-      function(err) {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve(this.changes);
-      }
-    );
-  });
+async function updateVideo(db, id, video) {
+  // Destructure all expected fields, including the new ones
+  const { title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date, search_metadata, game, series, player, session_date } = video;
+
+  const technicalValues = TECHNICAL_COLUMNS.map(column => video[column]);
+
+  const result = await run(
+    db,
+    `UPDATE videos SET title = ?, path = ?, duration = ?, width = ?, height = ?, thumbnail_path = ?, added_date = ?, death_timestamps = ?, preview_clips = ?, preview_generation_status = ?, preview_generation_date = ?, search_metadata = ?, game = ?, series = ?, player = ?, session_date = ?, ${TECHNICAL_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [title, path, duration, width, height, thumbnail_path, added_date, death_timestamps, preview_clips, preview_generation_status, preview_generation_date, search_metadata, game, series, player, session_date, ...technicalValues, id]
+  );
+
+  if (result.changes > 0) {
+    await indexVideo(db, id, video);
+  }
+  return result.changes;
+}
+
+/**
+ * Store a video's probed technical metadata without touching its other columns
+ * @param {Object} technical - width, height and TECHNICAL_COLUMNS (file_size, container, codecs...)
+ */
+async function updateVideoTechnical(db, id, technical) {
+  const columns = ['width', 'height', ...TECHNICAL_COLUMNS].filter(column => column in technical);
+  const result = await run(
+    db,
+    `UPDATE videos SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => technical[column]), id]
+  );
+  return result.changes;
 }
 
 /**
- * Get all video paths from the database
+ * Record a video file's size and modification times as of this scan
+ * @param {Object} fileState - file_size, file_mtime and sidecar_mtime (null without a sidecar)
+ */
+async function updateVideoFileState(db, id, { file_size, file_mtime, sidecar_mtime }) {
+  const result = await run(db, 'UPDATE videos SET file_size = ?, file_mtime = ?, sidecar_mtime = ? WHERE id = ?', [file_size, file_mtime, sidecar_mtime, id]);
+  return result.changes;
+}
+
+/**
+ * Get all video paths from the database (exported clips live outside the library and are left out),
+ * with what scans need to tell whether a file changed: its title, path fields and file state
  */
 function getAllVideoPaths(db) {
   return new Promise((resolve, reject) => {
-    db.all('SELECT id, path FROM videos', (err, rows) => {
+    db.all('SELECT id, path, title, game, series, player, session_date, file_size, file_mtime, sidecar_mtime FROM videos WHERE id NOT IN (SELECT video_id FROM clips WHERE video_id IS NOT NULL)', (err, rows) => {
       if (err) {
         reject(err);
         return;
@@ -320,18 +449,1059 @@ function getAllVideoPaths(db) {
 }
 
 /**
- * Delete a video by ID
+ * Delete a video by ID and remove it from the search index
  */
-function deleteVideo(db, id) {
-  return new Promise((resolve, reject) => {
-    db.run('DELETE FROM videos WHERE id = ?', [id], function(err) {
-      if (err) {
-        reject(err);
-        return;
-      }
-      resolve(this.changes);
-    });
-  });
+async function deleteVideo(db, id) {
+  const result = await run(db, 'DELETE FROM videos WHERE id = ?', [id]);
+  await removeVideoFromIndex(db, id);
+  return result.changes;
+}
+
+/**
+ * Mark a video as a favorite for a user
+ * @returns {Promise<boolean>} - False if the video does not exist
+ */
+async function addFavorite(db, userId, videoId) {
+  const result = await run(
+    db,
+    'INSERT OR IGNORE INTO favorites (user_id, video_id) SELECT ?, id FROM videos WHERE id = ?',
+    [userId, videoId]
+  );
+  if (result.changes > 0) return true;
+  return !!(await get(db, 'SELECT 1 FROM videos WHERE id = ?', [videoId]));
+}
+
+/**
+ * Remove a video from a user's favorites
+ */
+async function removeFavorite(db, userId, videoId) {
+  const result = await run(db, 'DELETE FROM favorites WHERE user_id = ? AND video_id = ?', [userId, videoId]);
+  return result.changes;
+}
+
+/**
+ * Check if a video is one of a user's favorites
+ */
+async function isFavorite(db, userId, videoId) {
+  const row = await get(db, 'SELECT 1 FROM favorites WHERE user_id = ? AND video_id = ?', [userId, videoId]);
+  return !!row;
+}
+
+/**
+ * Get the IDs of all videos a user has favorited, newest first
+ */
+async function getFavoriteVideoIds(db, userId) {
+  const rows = await all(db, 'SELECT video_id FROM favorites WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+  return rows.map(row => row.video_id);
+}
+
+/**
+ * Import a list of favorite video IDs (e.g. from a browser's localStorage).
+ * IDs that don't match a video are ignored.
+ * @returns {Promise<number>} - Number of favorites added
+ */
+async function importFavorites(db, userId, videoIds) {
+  let imported = 0;
+  for (const videoId of videoIds) {
+    const result = await run(
+      db,
+      'INSERT OR IGNORE INTO favorites (user_id, video_id) SELECT ?, id FROM videos WHERE id = ?',
+      [userId, videoId]
+    );
+    imported += result.changes;
+  }
+  return imported;
+}
+
+/**
+ * Save how far a user got in a video
+ * @param {number} position - Playback position in seconds
+ * @param {number} duration - Length reported by the player, in seconds
+ * @returns {Promise<boolean>} - False if the video does not exist
+ */
+async function saveWatchProgress(db, userId, videoId, position, duration) {
+  const completed = duration > 0 && position >= duration - Math.min(COMPLETED_MARGIN_SECONDS, duration * 0.05) ? 1 : 0;
+  const result = await run(
+    db,
+    `INSERT INTO watch_history (user_id, video_id, position, duration, completed, last_watched)
+     SELECT ?, id, ?, ?, ?, ? FROM videos WHERE id = ?
+     ON CONFLICT (user_id, video_id) DO UPDATE SET
+       position = excluded.position,
+       duration = excluded.duration,
+       completed = excluded.completed,
+       last_watched = excluded.last_watched`,
+    [userId, position, duration, completed, new Date().toISOString(), videoId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get a user's saved position in a video
+ * @returns {Promise<Object|undefined>} - { position, duration, completed, last_watched }
+ */
+function getWatchProgress(db, userId, videoId) {
+  return get(
+    db,
+    'SELECT position, duration, completed, last_watched FROM watch_history WHERE user_id = ? AND video_id = ?',
+    [userId, videoId]
+  );
+}
+
+/**
+ * Forget a user's position in a video (removes it from "Continue watching")
+ */
+async function clearWatchProgress(db, userId, videoId) {
+  const result = await run(db, 'DELETE FROM watch_history WHERE user_id = ? AND video_id = ?', [userId, videoId]);
+  return result.changes;
+}
+
+/**
+ * Get videos a user started but hasn't finished, most recently watched first
+ */
+function getContinueWatching(db, userId, limit = 10) {
+  return all(
+    db,
+    `SELECT videos.*, watch_history.position AS watch_position, watch_history.completed AS watch_completed, watch_history.last_watched,
+       EXISTS (SELECT 1 FROM favorites WHERE favorites.video_id = videos.id AND favorites.user_id = watch_history.user_id) AS is_favorite
+     FROM watch_history JOIN videos ON videos.id = watch_history.video_id
+     WHERE watch_history.user_id = ? AND watch_history.completed = 0 AND watch_history.position >= ?
+     ORDER BY watch_history.last_watched DESC
+     LIMIT ?`,
+    [userId, MIN_RESUME_SECONDS, limit]
+  );
+}
+
+/**
+ * Get all tags with the number of videos carrying each one
+ */
+function getAllTags(db) {
+  return all(
+    db,
+    `SELECT tags.id, tags.name, tags.color, COUNT(video_tags.video_id) AS video_count
+     FROM tags LEFT JOIN video_tags ON video_tags.tag_id = tags.id
+     GROUP BY tags.id
+     ORDER BY tags.name COLLATE NOCASE`
+  );
+}
+
+/**
+ * Get a tag by ID
+ */
+function getTagById(db, id) {
+  return get(db, 'SELECT id, name, color FROM tags WHERE id = ?', [id]);
+}
+
+/**
+ * Create a tag. Names are unique, ignoring case.
+ * @returns {Promise<Object>} - The new tag
+ */
+async function createTag(db, name, color = null) {
+  const result = await run(db, 'INSERT INTO tags (name, color) VALUES (?, ?)', [name, color]);
+  return { id: result.lastID, name, color };
+}
+
+/**
+ * Rename or recolor a tag
+ */
+async function updateTag(db, id, name, color = null) {
+  const result = await run(db, 'UPDATE tags SET name = ?, color = ? WHERE id = ?', [name, color, id]);
+  return result.changes;
+}
+
+/**
+ * Delete a tag (removes it from every video)
+ */
+async function deleteTag(db, id) {
+  const result = await run(db, 'DELETE FROM tags WHERE id = ?', [id]);
+  return result.changes;
+}
+
+/**
+ * Get the tags on a video
+ */
+function getTagsForVideo(db, videoId) {
+  return all(
+    db,
+    `SELECT tags.id, tags.name, tags.color FROM video_tags JOIN tags ON tags.id = video_tags.tag_id
+     WHERE video_tags.video_id = ?
+     ORDER BY tags.name COLLATE NOCASE`,
+    [videoId]
+  );
+}
+
+/**
+ * Tag a video by tag name, creating the tag if it doesn't exist yet
+ * @returns {Promise<Object|null>} - The tag, or null if the video does not exist
+ */
+async function addTagToVideo(db, videoId, tagName) {
+  if (!(await get(db, 'SELECT 1 FROM videos WHERE id = ?', [videoId]))) {
+    return null;
+  }
+
+  await run(db, 'INSERT OR IGNORE INTO tags (name) VALUES (?)', [tagName]);
+  const tag = await get(db, 'SELECT id, name, color FROM tags WHERE name = ?', [tagName]);
+  await run(db, 'INSERT OR IGNORE INTO video_tags (video_id, tag_id) VALUES (?, ?)', [videoId, tag.id]);
+  return tag;
+}
+
+/**
+ * Remove a tag from a video
+ */
+async function removeTagFromVideo(db, videoId, tagId) {
+  const result = await run(db, 'DELETE FROM video_tags WHERE video_id = ? AND tag_id = ?', [videoId, tagId]);
+  return result.changes;
+}
+
+/**
+ * Get all collections with the number of videos in each one
+ */
+function getAllCollections(db) {
+  return all(
+    db,
+    `SELECT collections.id, collections.name, collections.description, collections.created_at,
+       COUNT(collection_videos.video_id) AS video_count
+     FROM collections LEFT JOIN collection_videos ON collection_videos.collection_id = collections.id
+     GROUP BY collections.id
+     ORDER BY collections.name COLLATE NOCASE`
+  );
+}
+
+/**
+ * Get a collection by ID, including its video IDs in collection order
+ */
+async function getCollectionById(db, id) {
+  const collection = await get(db, 'SELECT id, name, description, created_at FROM collections WHERE id = ?', [id]);
+  if (!collection) return collection;
+
+  const rows = await all(db, 'SELECT video_id FROM collection_videos WHERE collection_id = ? ORDER BY position, added_at', [id]);
+  collection.videoIds = rows.map(row => row.video_id);
+  return collection;
+}
+
+/**
+ * Create a collection. Names are unique, ignoring case.
+ * @returns {Promise<Object>} - The new collection
+ */
+async function createCollection(db, name, description = null) {
+  const result = await run(db, 'INSERT INTO collections (name, description) VALUES (?, ?)', [name, description]);
+  return { id: result.lastID, name, description };
+}
+
+/**
+ * Rename a collection or change its description
+ * @param {string|null} [description] - Left as it is when undefined, null clears it
+ */
+async function updateCollection(db, id, name, description) {
+  const result = description === undefined
+    ? await run(db, 'UPDATE collections SET name = ? WHERE id = ?', [name, id])
+    : await run(db, 'UPDATE collections SET name = ?, description = ? WHERE id = ?', [name, description, id]);
+  return result.changes;
+}
+
+/**
+ * Delete a collection (the videos themselves are kept)
+ */
+async function deleteCollection(db, id) {
+  const result = await run(db, 'DELETE FROM collections WHERE id = ?', [id]);
+  return result.changes;
+}
+
+/**
+ * Append a video to the end of a collection
+ * @returns {Promise<boolean>} - False if the collection or video does not exist
+ */
+async function addVideoToCollection(db, collectionId, videoId) {
+  const exists = await get(
+    db,
+    'SELECT (SELECT 1 FROM collections WHERE id = ?) AND (SELECT 1 FROM videos WHERE id = ?) AS found',
+    [collectionId, videoId]
+  );
+  if (!exists.found) return false;
+
+  await run(
+    db,
+    `INSERT OR IGNORE INTO collection_videos (collection_id, video_id, position)
+     VALUES (?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM collection_videos WHERE collection_id = ?))`,
+    [collectionId, videoId, collectionId]
+  );
+  return true;
+}
+
+/**
+ * Remove a video from a collection
+ */
+async function removeVideoFromCollection(db, collectionId, videoId) {
+  const result = await run(db, 'DELETE FROM collection_videos WHERE collection_id = ? AND video_id = ?', [collectionId, videoId]);
+  return result.changes;
+}
+
+/**
+ * Get the collections a video belongs to
+ */
+function getCollectionsForVideo(db, videoId) {
+  return all(
+    db,
+    `SELECT collections.id, collections.name FROM collection_videos JOIN collections ON collections.id = collection_videos.collection_id
+     WHERE collection_videos.video_id = ?
+     ORDER BY collections.name COLLATE NOCASE`,
+    [videoId]
+  );
+}
+
+// Rows per INSERT when storing events (well under SQLite's bound-parameter limit)
+const EVENT_INSERT_BATCH_SIZE = 200;
+
+/**
+ * Replace all timeline events of a video
+ * @param {Array} events - [{ type, timestamp, label, metadata }]
+ */
+async function replaceVideoEvents(db, videoId, events) {
+  await run(db, 'DELETE FROM video_events WHERE video_id = ?', [videoId]);
+
+  for (let i = 0; i < events.length; i += EVENT_INSERT_BATCH_SIZE) {
+    const batch = events.slice(i, i + EVENT_INSERT_BATCH_SIZE);
+    const placeholders = batch.map(() => '(?, ?, ?, ?, ?)').join(', ');
+    const params = batch.flatMap(event => [
+      videoId,
+      event.type,
+      event.timestamp,
+      event.label || null,
+      event.metadata ? JSON.stringify(event.metadata) : null
+    ]);
+    await run(db, `INSERT INTO video_events (video_id, type, timestamp, label, metadata) VALUES ${placeholders}`, params);
+  }
+}
+
+/**
+ * Get a video's timeline events in playback order
+ * @param {string[]} types - Only return events of these types (all types if empty)
+ */
+async function getVideoEvents(db, videoId, types = []) {
+  let query = 'SELECT id, type, timestamp, label, metadata FROM video_events WHERE video_id = ?';
+  const params = [videoId];
+
+  if (types.length > 0) {
+    query += ` AND type IN (${types.map(() => '?').join(', ')})`;
+    params.push(...types);
+  }
+
+  const rows = await all(db, `${query} ORDER BY timestamp, id`, params);
+  return rows.map(row => ({ ...row, metadata: row.metadata ? JSON.parse(row.metadata) : null }));
+}
+
+/**
+ * Queue a highlight reel for a video, replacing any finished or failed one
+ * @param {Object} settings - Options the reel is cut with (stored as JSON)
+ * @returns {Promise<boolean>} - false if a reel for the video is already pending or processing
+ */
+async function startHighlightReel(db, videoId, settings) {
+  const now = new Date().toISOString();
+  const result = await run(
+    db,
+    `INSERT INTO highlight_reels (video_id, status, settings, created_at, updated_at)
+     SELECT id, 'pending', ?, ?, ? FROM videos WHERE id = ?
+     ON CONFLICT (video_id) DO UPDATE SET
+       status = 'pending',
+       settings = excluded.settings,
+       error = NULL,
+       updated_at = excluded.updated_at
+     WHERE highlight_reels.status NOT IN ('pending', 'processing')`,
+    [JSON.stringify(settings), now, now, videoId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Update the status (and, once done, the output details) of a video's highlight reel
+ * @param {Object} fields - Any of status, path, duration, size, segment_count, error
+ */
+async function updateHighlightReel(db, videoId, fields) {
+  const columns = ['status', 'path', 'duration', 'size', 'segment_count', 'error'].filter(column => column in fields);
+  const assignments = columns.map(column => `${column} = ?`).concat('updated_at = ?');
+  const params = columns.map(column => fields[column]).concat(new Date().toISOString(), videoId);
+  await run(db, `UPDATE highlight_reels SET ${assignments.join(', ')} WHERE video_id = ?`, params);
+}
+
+/**
+ * Get a video's highlight reel, with its settings parsed
+ */
+async function getHighlightReel(db, videoId) {
+  const reel = await get(db, 'SELECT * FROM highlight_reels WHERE video_id = ?', [videoId]);
+  if (reel) {
+    reel.settings = reel.settings ? JSON.parse(reel.settings) : null;
+  }
+  return reel;
+}
+
+/**
+ * Mark reels that were still queued or running when the server stopped as failed,
+ * unless their job is back in the queue (see recoverInterruptedJobs)
+ * @returns {Promise<number>} - Number of reels marked
+ */
+async function failInterruptedHighlightReels(db) {
+  const result = await run(
+    db,
+    `UPDATE highlight_reels SET status = 'failed', error = 'Interrupted by a server restart', updated_at = ?
+     WHERE status IN ('pending', 'processing')
+       AND NOT EXISTS (
+         SELECT 1 FROM jobs WHERE jobs.type = 'highlight' AND jobs.video_id = highlight_reels.video_id AND jobs.status IN ('pending', 'running')
+       )`,
+    [new Date().toISOString()]
+  );
+  return result.changes;
+}
+
+/**
+ * Record a clip of a video, to be exported by lib/clips
+ * @param {Object} clip - { title, start_time, end_time }
+ * @returns {Promise<number|null>} - The clip ID, or null if the source video does not exist
+ */
+async function createClip(db, sourceVideoId, clip) {
+  const now = new Date().toISOString();
+  const result = await run(
+    db,
+    `INSERT INTO clips (source_video_id, title, start_time, end_time, status, created_at, updated_at)
+     SELECT id, ?, ?, ?, 'pending', ?, ? FROM videos WHERE id = ?`,
+    [clip.title, clip.start_time, clip.end_time, now, now, sourceVideoId]
+  );
+  return result.changes > 0 ? result.lastID : null;
+}
+
+/**
+ * Update a clip's export status
+ * @param {Object} fields - Any of status, method, error, video_id
+ */
+async function updateClip(db, id, fields) {
+  const columns = ['status', 'method', 'error', 'video_id'].filter(column => column in fields);
+  const assignments = columns.map(column => `${column} = ?`).concat('updated_at = ?');
+  const params = columns.map(column => fields[column]).concat(new Date().toISOString(), id);
+  await run(db, `UPDATE clips SET ${assignments.join(', ')} WHERE id = ?`, params);
+}
+
+/**
+ * Get a clip with the path and thumbnail of its exported video
+ */
+function getClipById(db, id) {
+  return get(
+    db,
+    `SELECT clips.*, videos.path, videos.thumbnail_path FROM clips
+     LEFT JOIN videos ON videos.id = clips.video_id
+     WHERE clips.id = ?`,
+    [id]
+  );
+}
+
+/**
+ * Get the clips taken from a video, in timeline order
+ */
+function getClipsForVideo(db, sourceVideoId) {
+  return all(
+    db,
+    `SELECT clips.*, videos.thumbnail_path FROM clips
+     LEFT JOIN videos ON videos.id = clips.video_id
+     WHERE clips.source_video_id = ?
+     ORDER BY clips.start_time, clips.id`,
+    [sourceVideoId]
+  );
+}
+
+/**
+ * Delete a clip record (its exported video, if any, is removed separately with deleteVideo)
+ */
+async function deleteClip(db, id) {
+  const result = await run(db, 'DELETE FROM clips WHERE id = ?', [id]);
+  return result.changes;
+}
+
+/**
+ * Mark clips that were still being exported when the server stopped as failed
+ * @returns {Promise<number>} - Number of clips marked
+ */
+async function failInterruptedClips(db) {
+  const result = await run(
+    db,
+    `UPDATE clips SET status = 'failed', error = 'Interrupted by a server restart', updated_at = ?
+     WHERE status IN ('pending', 'processing')`,
+    [new Date().toISOString()]
+  );
+  return result.changes;
+}
+
+// Columns of a user that are safe to return from the API (no password hash)
+const USER_COLUMNS = 'id, username, role, created_at, updated_at, last_login_at';
+
+/**
+ * Create a user account
+ * @param {Object} user - { username, password_hash, role }
+ * @returns {Promise<number>} - The user ID (fails with SQLITE_CONSTRAINT if the username is taken)
+ */
+async function createUser(db, user) {
+  const now = new Date().toISOString();
+  const result = await run(
+    db,
+    'INSERT INTO users (username, password_hash, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+    [user.username, user.password_hash, user.role, now, now]
+  );
+  return result.lastID;
+}
+
+/**
+ * Get a user by ID, without the password hash
+ */
+function getUserById(db, id) {
+  return get(db, `SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+}
+
+/**
+ * Get a user by username (case-insensitive), including the password hash for logging in
+ */
+function getUserByUsername(db, username) {
+  return get(db, 'SELECT * FROM users WHERE username = ?', [username]);
+}
+
+/**
+ * Get every user, without password hashes
+ */
+function getUsers(db) {
+  return all(db, `SELECT ${USER_COLUMNS} FROM users ORDER BY username COLLATE NOCASE`);
+}
+
+/**
+ * Update a user's role or password
+ * @param {Object} fields - Any of role, password_hash
+ */
+async function updateUser(db, id, fields) {
+  const columns = ['role', 'password_hash'].filter(column => column in fields);
+  const assignments = columns.map(column => `${column} = ?`).concat('updated_at = ?');
+  const params = columns.map(column => fields[column]).concat(new Date().toISOString(), id);
+  const result = await run(db, `UPDATE users SET ${assignments.join(', ')} WHERE id = ?`, params);
+  return result.changes;
+}
+
+/**
+ * Delete a user; their sessions go with them
+ */
+async function deleteUser(db, id) {
+  const result = await run(db, 'DELETE FROM users WHERE id = ?', [id]);
+  return result.changes;
+}
+
+/**
+ * Count users, optionally only those with a given role
+ */
+async function countUsers(db, role = null) {
+  const row = role
+    ? await get(db, 'SELECT COUNT(*) AS count FROM users WHERE role = ?', [role])
+    : await get(db, 'SELECT COUNT(*) AS count FROM users');
+  return row.count;
+}
+
+/**
+ * Remember when a user last logged in
+ */
+async function recordUserLogin(db, id) {
+  await run(db, 'UPDATE users SET last_login_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+}
+
+/**
+ * Get the stored data of a session that has not expired
+ * @returns {Promise<string|undefined>} - Session JSON
+ */
+async function getSession(db, sid) {
+  const row = await get(db, 'SELECT data FROM sessions WHERE sid = ? AND expires_at > ?', [sid, Date.now()]);
+  return row && row.data;
+}
+
+/**
+ * Create or replace a session
+ * @param {number|null} userId - Logged-in user, so their sessions can be ended together
+ * @param {string} data - Session JSON
+ * @param {number} expiresAt - Expiry time in milliseconds since the epoch
+ */
+async function saveSession(db, sid, userId, data, expiresAt) {
+  await run(
+    db,
+    `INSERT INTO sessions (sid, user_id, data, expires_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT (sid) DO UPDATE SET user_id = excluded.user_id, data = excluded.data, expires_at = excluded.expires_at`,
+    [sid, userId, data, expiresAt]
+  );
+}
+
+/**
+ * Push back the expiry of a session
+ */
+async function touchSession(db, sid, expiresAt) {
+  await run(db, 'UPDATE sessions SET expires_at = ? WHERE sid = ?', [expiresAt, sid]);
+}
+
+/**
+ * Delete a session
+ */
+async function destroySession(db, sid) {
+  await run(db, 'DELETE FROM sessions WHERE sid = ?', [sid]);
+}
+
+/**
+ * Log a user out everywhere, optionally keeping one session (e.g. the one changing the password)
+ * @returns {Promise<number>} - Number of sessions ended
+ */
+async function destroyUserSessions(db, userId, exceptSid = null) {
+  const result = await run(db, 'DELETE FROM sessions WHERE user_id = ? AND sid IS NOT ?', [userId, exceptSid]);
+  return result.changes;
+}
+
+/**
+ * Delete expired sessions
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+async function deleteExpiredSessions(db) {
+  const result = await run(db, 'DELETE FROM sessions WHERE expires_at <= ?', [Date.now()]);
+  return result.changes;
+}
+
+/**
+ * Record a share link for a video
+ * @param {Object} share - { nonce, created_by, start_time, end_time, expires_at, max_views, password_hash }
+ * @returns {Promise<number|null>} - The share ID, or null if the video does not exist
+ */
+async function createShare(db, videoId, share) {
+  const result = await run(
+    db,
+    `INSERT INTO shares (video_id, nonce, created_by, start_time, end_time, expires_at, max_views, password_hash, created_at)
+     SELECT id, ?, ?, ?, ?, ?, ?, ?, ? FROM videos WHERE id = ?`,
+    [share.nonce, share.created_by, share.start_time, share.end_time, share.expires_at, share.max_views, share.password_hash || null, new Date().toISOString(), videoId]
+  );
+  return result.changes > 0 ? result.lastID : null;
+}
+
+/**
+ * Get a share, including its nonce and password hash for checking tokens
+ */
+function getShareById(db, id) {
+  return get(db, 'SELECT * FROM shares WHERE id = ?', [id]);
+}
+
+/**
+ * Get shares, newest first, with the video title and creator's username
+ * @param {number|null} videoId - Only shares of this video
+ */
+function getShares(db, videoId = null) {
+  return all(
+    db,
+    `SELECT shares.*, videos.title AS video_title, users.username AS created_by_username FROM shares
+     JOIN videos ON videos.id = shares.video_id
+     LEFT JOIN users ON users.id = shares.created_by
+     ${videoId === null ? '' : 'WHERE shares.video_id = ?'}
+     ORDER BY shares.created_at DESC, shares.id DESC`,
+    videoId === null ? [] : [videoId]
+  );
+}
+
+/**
+ * Revoke a share; its links stop working immediately
+ * @returns {Promise<number>} - 0 if the share does not exist or was already revoked
+ */
+async function revokeShare(db, id) {
+  const result = await run(db, 'UPDATE shares SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [new Date().toISOString(), id]);
+  return result.changes;
+}
+
+/**
+ * Count a view of a share, unless it is revoked or its views are used up
+ * @returns {Promise<boolean>} - Whether the view was counted
+ */
+async function recordShareView(db, id) {
+  const result = await run(
+    db,
+    `UPDATE shares SET view_count = view_count + 1, last_viewed_at = ?
+     WHERE id = ? AND revoked_at IS NULL AND (max_views IS NULL OR view_count < max_views)`,
+    [new Date().toISOString(), id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Record an opening of a share link, for its stats
+ * @param {string|null} referrer - Page the visitor came from
+ * @returns {Promise<number>} - ID of the view, which the player reports its activity against
+ */
+async function createShareView(db, shareId, referrer) {
+  const result = await run(
+    db,
+    'INSERT INTO share_views (share_id, referrer, opened_at) VALUES (?, ?, ?)',
+    [shareId, referrer || null, new Date().toISOString()]
+  );
+  return result.lastID;
+}
+
+/**
+ * Update a share view with what the visitor did. Watched time only grows, can't exceed the
+ * time since the link was opened, and the first play start is kept.
+ * @param {Object} activity - { played: boolean, watchedSeconds: number }
+ * @returns {Promise<number>} - 0 if the view doesn't belong to the share
+ */
+async function updateShareView(db, shareId, viewId, { played = false, watchedSeconds = 0 }) {
+  const now = new Date().toISOString();
+  const result = await run(
+    db,
+    `UPDATE share_views SET
+       play_started_at = COALESCE(play_started_at, ?),
+       watched_seconds = MAX(watched_seconds, MIN(?, (julianday(?) - julianday(opened_at)) * 86400)),
+       last_activity_at = ?
+     WHERE id = ? AND share_id = ?`,
+    [played ? now : null, watchedSeconds, now, now, viewId, shareId]
+  );
+  return result.changes;
+}
+
+/**
+ * Opens, play starts, watch time and referrers of a share
+ * @returns {Promise<Object>} - { opens, play_starts, watched_seconds, last_opened_at, referrers: [{ referrer, opens }], recent_views: [...] }
+ */
+async function getShareStats(db, shareId) {
+  const totals = await get(
+    db,
+    `SELECT COUNT(*) AS opens, COUNT(play_started_at) AS play_starts,
+            COALESCE(SUM(watched_seconds), 0) AS watched_seconds, MAX(opened_at) AS last_opened_at
+     FROM share_views WHERE share_id = ?`,
+    [shareId]
+  );
+  const referrers = await all(
+    db,
+    `SELECT referrer, COUNT(*) AS opens FROM share_views WHERE share_id = ?
+     GROUP BY referrer ORDER BY opens DESC, referrer LIMIT 10`,
+    [shareId]
+  );
+  const recentViews = await all(
+    db,
+    `SELECT opened_at, referrer, play_started_at, watched_seconds FROM share_views
+     WHERE share_id = ? ORDER BY id DESC LIMIT 20`,
+    [shareId]
+  );
+  return { ...totals, referrers, recent_views: recentViews };
+}
+
+/**
+ * Start recording a library scan
+ * @param {boolean} full - Whether unchanged files are checked too
+ * @returns {Promise<number>} - The scan ID
+ */
+async function createScan(db, full = false) {
+  const result = await run(db, `INSERT INTO scans (status, started_at, full) VALUES ('running', ?, ?)`, [new Date().toISOString(), full ? 1 : 0]);
+  return result.lastID;
+}
+
+/**
+ * Record what a scan did with one file (or library folder)
+ * @param {string} action - added, updated, removed or failed
+ * @param {string|null} error - Why it failed
+ */
+async function recordScanFile(db, scanId, filePath, action, error = null) {
+  await run(db, 'INSERT INTO scan_files (scan_id, path, action, error) VALUES (?, ?, ?, ?)', [scanId, filePath, action, error]);
+}
+
+/**
+ * Record the end of a scan
+ * @param {Object} result - status, message, startTime (Date) and the new/updated/removed/failed/skipped counts
+ */
+async function finishScan(db, id, result) {
+  const finishedAt = new Date();
+  await run(
+    db,
+    `UPDATE scans SET status = ?, message = ?, finished_at = ?, duration_ms = ?,
+       new_count = ?, updated_count = ?, removed_count = ?, failed_count = ?, skipped_count = ?
+     WHERE id = ?`,
+    [result.status, result.message, finishedAt.toISOString(), finishedAt - result.startTime,
+      result.newCount, result.updatedCount, result.removedCount, result.failedCount, result.skippedCount, id]
+  );
+}
+
+/**
+ * Mark scans that were running when the server stopped as failed
+ * @returns {Promise<number>} - Number of scans marked
+ */
+async function failInterruptedScans(db) {
+  const result = await run(
+    db,
+    `UPDATE scans SET status = 'failed', message = 'Interrupted by a server restart', finished_at = ? WHERE status = 'running'`,
+    [new Date().toISOString()]
+  );
+  return result.changes;
+}
+
+/**
+ * Latest scans first, without their files
+ */
+function getScans(db, limit = 20) {
+  return all(db, 'SELECT * FROM scans ORDER BY id DESC LIMIT ?', [limit]);
+}
+
+/**
+ * A scan with the files it added, updated, removed or failed on
+ * @param {string|null} action - Only files with this action
+ * @returns {Promise<Object|undefined>}
+ */
+async function getScanById(db, id, action = null) {
+  const scan = await get(db, 'SELECT * FROM scans WHERE id = ?', [id]);
+  if (!scan) {
+    return undefined;
+  }
+  scan.files = action
+    ? await all(db, 'SELECT path, action, error FROM scan_files WHERE scan_id = ? AND action = ? ORDER BY id', [id, action])
+    : await all(db, 'SELECT path, action, error FROM scan_files WHERE scan_id = ? ORDER BY id', [id]);
+  return scan;
+}
+
+/**
+ * Delete all but the latest scans
+ * @param {number} keep - Number of scans to keep
+ */
+async function deleteOldScans(db, keep) {
+  const result = await run(db, 'DELETE FROM scans WHERE id NOT IN (SELECT id FROM scans ORDER BY id DESC LIMIT ?)', [keep]);
+  return result.changes;
+}
+
+/**
+ * Stored setting overrides (see lib/settings.js), with their values parsed
+ * @returns {Promise<Array<{key: string, value: *, updated_at: string, updated_by: number|null}>>}
+ */
+async function getSettings(db) {
+  const rows = await all(db, 'SELECT key, value, updated_at, updated_by FROM settings ORDER BY key');
+  return rows.map(row => ({ ...row, value: JSON.parse(row.value) }));
+}
+
+/**
+ * Store setting overrides, replacing earlier values of the same keys
+ * @param {Object} values - Values by key ("<section>.<name>")
+ * @param {number|null} userId - Admin who changed them
+ */
+async function saveSettings(db, values, userId = null) {
+  const entries = Object.entries(values);
+  if (entries.length === 0) return;
+  const now = new Date().toISOString();
+  await run(
+    db,
+    `INSERT INTO settings (key, value, updated_at, updated_by) VALUES ${entries.map(() => '(?, ?, ?, ?)').join(', ')}
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at, updated_by = excluded.updated_by`,
+    entries.flatMap(([key, value]) => [key, JSON.stringify(value), now, userId])
+  );
+}
+
+/**
+ * Remove setting overrides, so the .env value or default applies again
+ * @param {string[]} keys
+ * @returns {Promise<number>} - Number of overrides removed
+ */
+async function deleteSettings(db, keys) {
+  if (keys.length === 0) return 0;
+  const result = await run(db, `DELETE FROM settings WHERE key IN (${keys.map(() => '?').join(', ')})`, keys);
+  return result.changes;
+}
+
+// Jobs with their payload parsed
+function parseJob(job) {
+  if (job) {
+    job.payload = job.payload ? JSON.parse(job.payload) : null;
+  }
+  return job;
+}
+
+/**
+ * Queue a background job (run by lib/jobs.js)
+ * @param {Object} job - { type, video_id, payload, priority, max_attempts }
+ * @returns {Promise<number|null>} - The job ID, or null if the same job is already queued or running
+ */
+async function enqueueJob(db, job) {
+  const now = new Date().toISOString();
+  const result = await run(
+    db,
+    `INSERT OR IGNORE INTO jobs (type, video_id, payload, priority, max_attempts, run_after, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [job.type, job.video_id == null ? null : job.video_id, job.payload == null ? null : JSON.stringify(job.payload), job.priority || 0, job.max_attempts || 3, now, now, now]
+  );
+  return result.changes > 0 ? result.lastID : null;
+}
+
+/**
+ * Take the next due job, highest priority first, and mark it running
+ * @returns {Promise<Object|undefined>} - The job, with attempts already counting this run
+ */
+async function claimNextJob(db) {
+  const now = new Date().toISOString();
+  const job = await get(
+    db,
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = ?
+     WHERE id = (
+       SELECT id FROM jobs WHERE status = 'pending' AND run_after <= ?
+       ORDER BY priority DESC, run_after, id LIMIT 1
+     )
+     RETURNING *`,
+    [now, now, now]
+  );
+  return parseJob(job);
+}
+
+/**
+ * Mark a running job as completed
+ */
+async function completeJob(db, id) {
+  const now = new Date().toISOString();
+  await run(db, `UPDATE jobs SET status = 'completed', error = NULL, finished_at = ?, updated_at = ? WHERE id = ?`, [now, now, id]);
+}
+
+/**
+ * Record a failed run of a job
+ * @param {string} error - Why it failed
+ * @param {string|null} retryAt - When to try again (ISO date), or null to give up
+ */
+async function failJob(db, id, error, retryAt = null) {
+  const now = new Date().toISOString();
+  if (retryAt) {
+    await run(db, `UPDATE jobs SET status = 'pending', error = ?, run_after = ?, updated_at = ? WHERE id = ?`, [error, retryAt, now, id]);
+  } else {
+    await run(db, `UPDATE jobs SET status = 'failed', error = ?, finished_at = ?, updated_at = ? WHERE id = ?`, [error, now, now, id]);
+  }
+}
+
+/**
+ * Put jobs that were running when the server stopped back in the queue, or fail them if
+ * that was their last attempt (so a job that crashes the server can't do it forever)
+ * @returns {Promise<number>} - Number of jobs recovered or failed
+ */
+async function recoverInterruptedJobs(db) {
+  const now = new Date().toISOString();
+  const result = await run(
+    db,
+    `UPDATE jobs SET
+       status = CASE WHEN attempts < max_attempts THEN 'pending' ELSE 'failed' END,
+       finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE ? END,
+       error = 'Interrupted by a server restart',
+       run_after = ?,
+       updated_at = ?
+     WHERE status = 'running'`,
+    [now, now, now]
+  );
+  return result.changes;
+}
+
+/**
+ * IDs of videos waiting for previews that never got a preview job (queued before jobs
+ * were kept in the database)
+ */
+async function getVideosWithoutPreviewJobs(db) {
+  const rows = await all(
+    db,
+    `SELECT id FROM videos
+     WHERE preview_generation_status IN ('pending', 'generating')
+       AND NOT EXISTS (SELECT 1 FROM jobs WHERE jobs.type = 'preview' AND jobs.video_id = videos.id)`
+  );
+  return rows.map(row => row.id);
+}
+
+/**
+ * Mark previews as failed when they are waiting on a job that is no longer queued
+ * @returns {Promise<number>} - Number of videos marked
+ */
+async function failOrphanedPreviews(db) {
+  const result = await run(
+    db,
+    `UPDATE videos SET preview_generation_status = 'failed', preview_generation_date = ?
+     WHERE preview_generation_status IN ('pending', 'generating')
+       AND NOT EXISTS (
+         SELECT 1 FROM jobs WHERE jobs.type = 'preview' AND jobs.video_id = videos.id AND jobs.status IN ('pending', 'running')
+       )`,
+    [new Date().toISOString()]
+  );
+  return result.changes;
+}
+
+/**
+ * List jobs: running first, then queued by priority, then finished ones, newest first
+ * @param {Object} filters - Optional status and type, and a limit
+ */
+async function getJobs(db, { status = null, type = null, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push('jobs.status = ?');
+    params.push(status);
+  }
+  if (type) {
+    conditions.push('jobs.type = ?');
+    params.push(type);
+  }
+  const rows = await all(
+    db,
+    `SELECT jobs.*, videos.title AS video_title FROM jobs
+     LEFT JOIN videos ON videos.id = jobs.video_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY CASE jobs.status WHEN 'running' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END,
+       CASE WHEN jobs.status = 'pending' THEN -jobs.priority ELSE 0 END,
+       jobs.updated_at DESC, jobs.id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(parseJob);
+}
+
+/**
+ * Number of jobs of each type in each status
+ * @returns {Promise<Array<{type: string, status: string, count: number}>>}
+ */
+function getJobCounts(db) {
+  return all(db, 'SELECT type, status, COUNT(*) AS count FROM jobs GROUP BY type, status ORDER BY type, status');
+}
+
+/**
+ * Delete completed and failed jobs that finished before a date
+ * @param {string} before - ISO date
+ * @returns {Promise<number>} - Number of jobs deleted
+ */
+async function deleteFinishedJobs(db, before) {
+  const result = await run(db, `DELETE FROM jobs WHERE status IN ('completed', 'failed') AND finished_at < ?`, [before]);
+  return result.changes;
+}
+
+/**
+ * Library totals for the admin dashboard: videos, their combined duration and size,
+ * videos without a thumbnail, and the number of videos in each preview status
+ */
+async function getLibraryTotals(db) {
+  const totals = await get(
+    db,
+    `SELECT COUNT(*) AS videos,
+       COALESCE(SUM(duration), 0) AS total_duration,
+       COALESCE(SUM(file_size), 0) AS total_size,
+       COUNT(*) - COUNT(thumbnail_path) AS without_thumbnail
+     FROM videos`
+  );
+  const previews = await all(
+    db,
+    `SELECT COALESCE(preview_generation_status, 'none') AS status, COUNT(*) AS count
+     FROM videos GROUP BY COALESCE(preview_generation_status, 'none')`
+  );
+  return {
+    ...totals,
+    previews: Object.fromEntries(previews.map(row => [row.status, row.count]))
+  };
+}
+
+/**
+ * Get the distinct folder-derived field values (game, series, player) with video counts
+ * @returns {Promise<Object>} - { game: [{ value, count }], series: [...], player: [...] }
+ */
+async function getPathFieldValues(db) {
+  const result = {};
+  for (const field of ['game', 'series', 'player']) {
+    result[field] = await all(
+      db,
+      `SELECT ${field} AS value, COUNT(*) AS count FROM videos
+       WHERE ${field} IS NOT NULL
+       GROUP BY ${field} COLLATE NOCASE
+       ORDER BY ${field} COLLATE NOCASE`
+    );
+  }
+  return result;
 }
 
 module.exports = {
@@ -341,10 +1511,96 @@ module.exports = {
   addVideo,
   updateVideoThumbnail,
   updateVideoPreview,
+  markVideoPreviewPending,
   clearVideos,
   getVideoByPath,
   updateVideo,
   getAllVideoPaths,
   deleteVideo,
-  getVideosPaginated
+  getVideosPaginated,
+  addFavorite,
+  removeFavorite,
+  isFavorite,
+  getFavoriteVideoIds,
+  importFavorites,
+  saveWatchProgress,
+  getWatchProgress,
+  clearWatchProgress,
+  getContinueWatching,
+  getAllTags,
+  getTagById,
+  createTag,
+  updateTag,
+  deleteTag,
+  getTagsForVideo,
+  addTagToVideo,
+  removeTagFromVideo,
+  getAllCollections,
+  getCollectionById,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addVideoToCollection,
+  removeVideoFromCollection,
+  getCollectionsForVideo,
+  getPathFieldValues,
+  replaceVideoEvents,
+  getVideoEvents,
+  startHighlightReel,
+  updateHighlightReel,
+  getHighlightReel,
+  failInterruptedHighlightReels,
+  createClip,
+  updateClip,
+  getClipById,
+  getClipsForVideo,
+  deleteClip,
+  failInterruptedClips,
+  createUser,
+  getUserById,
+  getUserByUsername,
+  getUsers,
+  updateUser,
+  deleteUser,
+  countUsers,
+  recordUserLogin,
+  getSession,
+  saveSession,
+  touchSession,
+  destroySession,
+  destroyUserSessions,
+  deleteExpiredSessions,
+  createShare,
+  getShareById,
+  getShares,
+  revokeShare,
+  recordShareView,
+  createShareView,
+  updateShareView,
+  getShareStats,
+  updateVideoTechnical,
+  updateVideoFileState,
+  getLibraryTotals,
+  createScan,
+  recordScanFile,
+  finishScan,
+  failInterruptedScans,
+  getScans,
+  getScanById,
+  deleteOldScans,
+  getSettings,
+  saveSettings,
+  deleteSettings,
+  enqueueJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  recoverInterruptedJobs,
+  getVideosWithoutPreviewJobs,
+  failOrphanedPreviews,
+  getJobs,
+  getJobCounts,
+  deleteFinishedJobs,
+  SHARED_LIBRARY_USER_ID,
+  MIN_RESUME_SECONDS
 };
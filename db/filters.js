@@ -0,0 +1,198 @@
+/**
+ * Sort orders, filters and cursors for the video list
+ *
+ * Cursors encode the sort values of the last row returned, so the next page
+ * starts right after it even when videos are added or removed in between.
+ * Technical metadata filters are written as `<field><operator><value>`, e.g.
+ * `resolution>=1440`, `fps=60` or `codec=hevc`. Parsing and validation happen
+ * in the route so bad input can be rejected with a 400; getVideosPaginated()
+ * turns the parsed options into SQL.
+ */
+
+// Deaths counted from the timeline events, also returned on each video
+const DEATH_COUNT_EXPRESSION = "(SELECT COUNT(*) FROM video_events WHERE video_events.video_id = videos.id AND video_events.type = 'death')";
+
+// Marks a sort column whose empty (NULL) values go last in either direction
+const NULLS_LAST = true;
+
+// Columns each sort orders by, as [expression, direction, nullsLast]. videos.id is always
+// added as the final tie-breaker so every row has a unique position for cursors.
+// "relevance" (needs a search) and "random" (needs a seed) are built by getSortKeys().
+const VIDEO_SORTS = {
+  relevance: null,
+  random: null,
+  date_added_desc: [['videos.added_date', 'DESC']],
+  date_added_asc: [['videos.added_date', 'ASC']],
+  title_asc: [['videos.title COLLATE NOCASE', 'ASC']],
+  title_desc: [['videos.title COLLATE NOCASE', 'DESC']],
+  duration_desc: [['videos.duration', 'DESC', NULLS_LAST], ['videos.added_date', 'DESC']],
+  duration_asc: [['videos.duration', 'ASC', NULLS_LAST], ['videos.added_date', 'DESC']],
+  size_desc: [['videos.file_size', 'DESC', NULLS_LAST], ['videos.added_date', 'DESC']],
+  size_asc: [['videos.file_size', 'ASC', NULLS_LAST], ['videos.added_date', 'DESC']],
+  deaths_desc: [[DEATH_COUNT_EXPRESSION, 'DESC'], ['videos.added_date', 'DESC']],
+  // Never-watched videos go last, newest first
+  last_watched: [['watch_history.last_watched', 'DESC', NULLS_LAST], ['videos.added_date', 'DESC']],
+  resolution_desc: [['videos.height', 'DESC', NULLS_LAST], ['videos.width', 'DESC'], ['videos.added_date', 'DESC']],
+  resolution_asc: [['videos.height', 'ASC', NULLS_LAST], ['videos.width', 'ASC'], ['videos.added_date', 'DESC']],
+  fps_desc: [['videos.frame_rate', 'DESC', NULLS_LAST], ['videos.added_date', 'DESC']],
+  bitrate_desc: [['videos.bitrate', 'DESC', NULLS_LAST], ['videos.added_date', 'DESC']]
+};
+
+// Random order is a permutation of ids by a seed, so paging through it neither repeats nor skips videos
+const RANDOM_SEED_MODULUS = 2147483647;
+
+// Preview generation states (videos that were never queued count as pending)
+const PREVIEW_STATUSES = ['pending', 'generating', 'completed', 'failed'];
+
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<'];
+
+// Filterable fields. Numbers accept every operator, text and list fields only = and !=.
+const TECHNICAL_FILTER_FIELDS = {
+  resolution: { type: 'number', sql: 'videos.height' },
+  width: { type: 'number', sql: 'videos.width' },
+  // Rounded so fps=60 matches 59.94
+  fps: { type: 'number', sql: 'ROUND(videos.frame_rate)' },
+  // Kilobits per second
+  bitrate: { type: 'number', sql: 'videos.bitrate / 1000.0' },
+  // Megabytes
+  size: { type: 'number', sql: 'videos.file_size / 1048576.0' },
+  audio_tracks: { type: 'number', sql: 'videos.audio_track_count' },
+  subtitles: { type: 'number', sql: "json_array_length(COALESCE(videos.subtitle_tracks, '[]'))" },
+  codec: { type: 'text', sql: 'videos.video_codec' },
+  audio_codec: { type: 'text', sql: 'videos.audio_codec' },
+  container: { type: 'text', sql: 'videos.container' },
+  audio_language: { type: 'list', sql: 'SELECT 1 FROM json_each(videos.audio_languages) WHERE json_each.value = ? COLLATE NOCASE' },
+  subtitle_language: { type: 'list', sql: "SELECT 1 FROM json_each(videos.subtitle_tracks) WHERE json_extract(json_each.value, '$.language') = ? COLLATE NOCASE" }
+};
+
+/**
+ * Parse a filter expression
+ * @param {string} expression - e.g. "resolution>=1440"
+ * @returns {{field: string, operator: string, value: number|string}|null} - null if the expression is invalid
+ */
+function parseTechnicalFilter(expression) {
+  if (typeof expression !== 'string') return null;
+  const match = /^\s*([a-z_]+)\s*(>=|<=|!=|=|>|<)\s*(.+?)\s*$/i.exec(expression);
+  if (!match) return null;
+
+  const field = match[1].toLowerCase();
+  const operator = match[2];
+  const definition = TECHNICAL_FILTER_FIELDS[field];
+  if (!definition || !OPERATORS.includes(operator)) return null;
+
+  if (definition.type === 'number') {
+    const value = Number(match[3]);
+    return Number.isFinite(value) ? { field, operator, value } : null;
+  }
+  if (operator !== '=' && operator !== '!=') return null;
+  return { field, operator, value: match[3] };
+}
+
+/**
+ * Build the WHERE condition for a parsed filter
+ * @param {Object} filter - Result of parseTechnicalFilter()
+ * @returns {{sql: string, params: Array}}
+ */
+function buildTechnicalCondition(filter) {
+  const definition = TECHNICAL_FILTER_FIELDS[filter.field];
+  if (definition.type === 'list') {
+    return { sql: `${filter.operator === '=' ? '' : 'NOT '}EXISTS (${definition.sql})`, params: [filter.value] };
+  }
+  const collate = definition.type === 'text' ? ' COLLATE NOCASE' : '';
+  return { sql: `${definition.sql} ${filter.operator} ?${collate}`, params: [filter.value] };
+}
+
+/**
+ * Resolve a sort into the expressions the list is ordered by
+ * @param {string} sort - Key of VIDEO_SORTS
+ * @param {Object} context
+ * @param {string|null} context.rankExpression - bm25() expression when a full-text search is active
+ * @param {number} context.seed - Seed for the "random" sort
+ * @returns {Array<{sql: string, direction: string, params: Array}>}
+ */
+function getSortKeys(sort, { rankExpression = null, seed = 1 } = {}) {
+  let columns;
+  if (sort === 'random') {
+    columns = [[`(videos.id * ?) % ${RANDOM_SEED_MODULUS}`, 'ASC', false, [seed]]];
+  } else if (sort === 'relevance' && rankExpression) {
+    columns = [[rankExpression, 'ASC'], ['videos.added_date', 'DESC']];
+  } else {
+    columns = VIDEO_SORTS[sort] || VIDEO_SORTS.date_added_desc;
+  }
+
+  const keys = [];
+  columns.forEach(([sql, direction, nullsLast, params = []]) => {
+    if (nullsLast) {
+      keys.push({ sql: `(${sql} IS NULL)`, direction: 'ASC', params });
+    }
+    keys.push({ sql, direction, params });
+  });
+  keys.push({ sql: 'videos.id', direction: 'DESC', params: [] });
+  return keys;
+}
+
+/**
+ * WHERE condition selecting the rows that come after a cursor position.
+ * Equality uses IS so NULL sort values compare as equal to each other.
+ * @param {Array} keys - Result of getSortKeys()
+ * @param {Array} values - Sort values of the last row already returned
+ * @returns {{sql: string, params: Array}}
+ */
+function buildCursorCondition(keys, values) {
+  const alternatives = [];
+  const params = [];
+  keys.forEach((key, index) => {
+    const parts = [];
+    for (let previous = 0; previous < index; previous++) {
+      parts.push(`${keys[previous].sql} IS ?`);
+      params.push(...keys[previous].params, values[previous]);
+    }
+    parts.push(`${key.sql} ${key.direction === 'ASC' ? '>' : '<'} ?`);
+    params.push(...key.params, values[index]);
+    alternatives.push(`(${parts.join(' AND ')})`);
+  });
+  return { sql: `(${alternatives.join(' OR ')})`, params };
+}
+
+/**
+ * Encode a list position as an opaque cursor
+ * @param {Object} position - { sort, seed, values }
+ * @returns {string}
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor()
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {{sort: string, seed: number|null, values: Array}|null} - null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || cursor.length === 0) return null;
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const isValue = value => value === null || typeof value === 'number' || typeof value === 'string';
+    if (!position || !Object.prototype.hasOwnProperty.call(VIDEO_SORTS, position.sort) ||
+        !Array.isArray(position.values) || !position.values.every(isValue)) {
+      return null;
+    }
+    return { sort: position.sort, seed: Number.isInteger(position.seed) ? position.seed : null, values: position.values };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEATH_COUNT_EXPRESSION,
+  VIDEO_SORTS,
+  RANDOM_SEED_MODULUS,
+  PREVIEW_STATUSES,
+  getSortKeys,
+  buildCursorCondition,
+  encodeCursor,
+  decodeCursor,
+  TECHNICAL_FILTER_FIELDS,
+  parseTechnicalFilter,
+  buildTechnicalCondition
+};
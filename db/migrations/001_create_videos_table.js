@@ -0,0 +1,21 @@
+const { run } = require('../migrator');
+
+/**
+ * Base videos table with its title and added_date indexes
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS videos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      path TEXT NOT NULL UNIQUE,
+      duration INTEGER,
+      added_date TEXT DEFAULT CURRENT_TIMESTAMP,
+      thumbnail_path TEXT
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_videos_title ON videos (title)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_videos_added_date ON videos (added_date)');
+}
+
+module.exports = { up };
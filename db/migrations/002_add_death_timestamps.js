@@ -0,0 +1,10 @@
+const { addColumn } = require('../migrator');
+
+/**
+ * JSON array of death timestamps read from the companion .json file
+ */
+async function up(db) {
+  await addColumn(db, 'videos', 'death_timestamps', 'TEXT');
+}
+
+module.exports = { up };
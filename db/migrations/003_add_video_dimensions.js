@@ -0,0 +1,11 @@
+const { addColumn } = require('../migrator');
+
+/**
+ * Video width and height as reported by ffprobe
+ */
+async function up(db) {
+  await addColumn(db, 'videos', 'width', 'INTEGER');
+  await addColumn(db, 'videos', 'height', 'INTEGER');
+}
+
+module.exports = { up };
@@ -0,0 +1,12 @@
+const { addColumn } = require('../migrator');
+
+/**
+ * Hover preview clip info and generation status
+ */
+async function up(db) {
+  await addColumn(db, 'videos', 'preview_clips', 'TEXT');
+  await addColumn(db, 'videos', 'preview_generation_status', "TEXT DEFAULT 'pending'");
+  await addColumn(db, 'videos', 'preview_generation_date', 'TEXT');
+}
+
+module.exports = { up };
@@ -0,0 +1,36 @@
+const { run, all, addColumn } = require('../migrator');
+
+// Parent folder name of a path, as indexed when this migration was written. Kept here
+// rather than using db/search.js so later changes to the index don't change this migration.
+function parentFolder(videoPath) {
+  const segments = (videoPath || '').split(/[\\/]+/).filter(Boolean);
+  return segments.length > 1 ? segments[segments.length - 2] : '';
+}
+
+/**
+ * Full-text index over titles, folders, paths and sidecar metadata.
+ * Existing rows are indexed here; sidecar text is filled in on the next scan.
+ */
+async function up(db) {
+  await addColumn(db, 'videos', 'search_metadata', 'TEXT');
+  await run(db, `
+    CREATE VIRTUAL TABLE IF NOT EXISTS videos_fts USING fts5(
+      title,
+      folder,
+      path,
+      metadata,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  const videos = await all(db, 'SELECT id, title, path, search_metadata FROM videos');
+  for (const video of videos) {
+    await run(
+      db,
+      'INSERT INTO videos_fts (rowid, title, folder, path, metadata) VALUES (?, ?, ?, ?, ?)',
+      [video.id, video.title || '', parentFolder(video.path), video.path || '', video.search_metadata || '']
+    );
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,18 @@
+const { run } = require('../migrator');
+
+/**
+ * Server-side favorites, keyed by user so they follow people between devices
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS favorites (
+      user_id INTEGER NOT NULL DEFAULT 0,
+      video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, video_id)
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_favorites_video_id ON favorites (video_id)');
+}
+
+module.exports = { up };
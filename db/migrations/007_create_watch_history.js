@@ -0,0 +1,22 @@
+const { run } = require('../migrator');
+
+/**
+ * Per-user playback positions, used to resume videos and build "Continue watching"
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS watch_history (
+      user_id INTEGER NOT NULL DEFAULT 0,
+      video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+      position REAL NOT NULL DEFAULT 0,
+      duration REAL,
+      completed INTEGER NOT NULL DEFAULT 0,
+      last_watched TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, video_id)
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_watch_history_last_watched ON watch_history (user_id, last_watched)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_watch_history_video_id ON watch_history (video_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,44 @@
+const { run } = require('../migrator');
+
+/**
+ * Shared tags and named collections, each linked to videos through a join table
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      color TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS video_tags (
+      video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      PRIMARY KEY (video_id, tag_id)
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_video_tags_tag_id ON video_tags (tag_id)');
+
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS collections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      description TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS collection_videos (
+      collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+      video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL DEFAULT 0,
+      added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (collection_id, video_id)
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_collection_videos_video_id ON collection_videos (video_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,16 @@
+const { addColumn, run } = require('../migrator');
+
+/**
+ * Structured fields derived from the library folder structure (see lib/path-patterns.js)
+ */
+async function up(db) {
+  await addColumn(db, 'videos', 'game', 'TEXT');
+  await addColumn(db, 'videos', 'series', 'TEXT');
+  await addColumn(db, 'videos', 'player', 'TEXT');
+  await addColumn(db, 'videos', 'session_date', 'TEXT');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_videos_game ON videos (game COLLATE NOCASE)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_videos_series ON videos (series COLLATE NOCASE)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_videos_session_date ON videos (session_date)');
+}
+
+module.exports = { up };
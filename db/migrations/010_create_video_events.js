@@ -0,0 +1,30 @@
+const { run } = require('../migrator');
+
+/**
+ * Typed timeline events (deaths, kills, objectives, ...) read from sidecar JSON.
+ * Existing death timestamps are copied over so markers keep working before the next scan.
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS video_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      timestamp REAL NOT NULL,
+      label TEXT,
+      metadata TEXT
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_video_events_video_id ON video_events (video_id, timestamp)');
+
+  await run(db, `
+    INSERT INTO video_events (video_id, type, timestamp)
+    SELECT videos.id, 'death', json_each.value
+    FROM videos, json_each(videos.death_timestamps)
+    WHERE videos.death_timestamps IS NOT NULL
+      AND json_valid(videos.death_timestamps)
+      AND json_each.type IN ('integer', 'real')
+  `);
+}
+
+module.exports = { up };
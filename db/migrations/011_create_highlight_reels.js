@@ -0,0 +1,24 @@
+const { run } = require('../migrator');
+
+/**
+ * Highlight reels cut from a video's timeline events, one per video.
+ * status is pending -> processing -> completed | failed.
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS highlight_reels (
+      video_id INTEGER PRIMARY KEY REFERENCES videos(id) ON DELETE CASCADE,
+      status TEXT NOT NULL DEFAULT 'pending',
+      settings TEXT,
+      path TEXT,
+      duration REAL,
+      size INTEGER,
+      segment_count INTEGER,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,27 @@
+const { run } = require('../migrator');
+
+/**
+ * Clips trimmed out of library videos. Once exported, a clip gets its own row in
+ * videos (video_id) so it can be played, shared and organized like any other video.
+ * Clips outlive their source video; source_video_id is cleared when it is removed.
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS clips (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_video_id INTEGER REFERENCES videos(id) ON DELETE SET NULL,
+      video_id INTEGER UNIQUE REFERENCES videos(id) ON DELETE CASCADE,
+      title TEXT NOT NULL,
+      start_time REAL NOT NULL,
+      end_time REAL NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      method TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_clips_source_video_id ON clips (source_video_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+const { addColumn, run } = require('../migrator');
+
+/**
+ * Technical metadata read with ffprobe during scans. Audio languages and subtitle
+ * streams are JSON arrays; bitrate is in bits per second.
+ */
+async function up(db) {
+  await addColumn(db, 'videos', 'file_size', 'INTEGER');
+  await addColumn(db, 'videos', 'container', 'TEXT');
+  await addColumn(db, 'videos', 'video_codec', 'TEXT');
+  await addColumn(db, 'videos', 'audio_codec', 'TEXT');
+  await addColumn(db, 'videos', 'bitrate', 'INTEGER');
+  await addColumn(db, 'videos', 'frame_rate', 'REAL');
+  await addColumn(db, 'videos', 'audio_track_count', 'INTEGER');
+  await addColumn(db, 'videos', 'audio_languages', 'TEXT');
+  await addColumn(db, 'videos', 'subtitle_tracks', 'TEXT');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_videos_height ON videos (height)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_videos_file_size ON videos (file_size)');
+}
+
+module.exports = { up };
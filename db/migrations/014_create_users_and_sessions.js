@@ -0,0 +1,32 @@
+const { run } = require('../migrator');
+
+/**
+ * Accounts with a role (admin, viewer or guest) and the server-side sessions they log in with.
+ * Deleting a user deletes their sessions, which logs them out everywhere.
+ * IDs start at 1, so they never collide with the shared library user (0).
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('admin', 'viewer', 'guest')),
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      last_login_at TEXT
+    )
+  `);
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS sessions (
+      sid TEXT PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      data TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at)');
+}
+
+module.exports = { up };
@@ -0,0 +1,28 @@
+const { run } = require('../migrator');
+
+/**
+ * Share links for a single video. The token handed out is signed with SHARE_TOKEN_SECRET
+ * over the row's id, video and nonce (see lib/shares.js), so rows can be listed and revoked.
+ * Optional limits: an expiry, a time range of the video and a number of views.
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS shares (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      video_id INTEGER NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+      nonce TEXT NOT NULL,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      start_time REAL,
+      end_time REAL,
+      expires_at TEXT,
+      max_views INTEGER,
+      view_count INTEGER NOT NULL DEFAULT 0,
+      last_viewed_at TEXT,
+      revoked_at TEXT,
+      created_at TEXT NOT NULL
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_shares_video_id ON shares (video_id)');
+}
+
+module.exports = { up };
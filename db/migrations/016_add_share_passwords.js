@@ -0,0 +1,10 @@
+const { addColumn } = require('../migrator');
+
+/**
+ * Optional password on a share link, hashed like user passwords (see lib/auth.js)
+ */
+async function up(db) {
+  await addColumn(db, 'shares', 'password_hash', 'TEXT');
+}
+
+module.exports = { up };
@@ -0,0 +1,22 @@
+const { run } = require('../migrator');
+
+/**
+ * One row per opening of a share link, for share analytics: where the visitor came from,
+ * whether they pressed play and how many seconds they actually watched.
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS share_views (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      share_id INTEGER NOT NULL REFERENCES shares(id) ON DELETE CASCADE,
+      referrer TEXT,
+      opened_at TEXT NOT NULL,
+      play_started_at TEXT,
+      watched_seconds REAL NOT NULL DEFAULT 0,
+      last_activity_at TEXT
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_share_views_share_id ON share_views (share_id)');
+}
+
+module.exports = { up };
@@ -0,0 +1,32 @@
+const { run } = require('../migrator');
+
+/**
+ * Background jobs (thumbnails, previews, probes, highlight reels), run by lib/jobs.js.
+ * Kept in the database so queued work survives restarts. A job that fails is retried
+ * after run_after until it has used max_attempts; higher priorities run first.
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL CHECK (type IN ('thumbnail', 'preview', 'probe', 'highlight')),
+      video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+      payload TEXT,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+      priority INTEGER NOT NULL DEFAULT 0,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      run_after TEXT NOT NULL,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      started_at TEXT,
+      finished_at TEXT,
+      updated_at TEXT NOT NULL
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_jobs_queue ON jobs (status, priority DESC, run_after)');
+  // One queued or running job of each type per video
+  await run(db, `CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active ON jobs (type, video_id) WHERE status IN ('pending', 'running')`);
+}
+
+module.exports = { up };
@@ -0,0 +1,18 @@
+const { run } = require('../migrator');
+
+/**
+ * Settings changed at runtime (cache, CDN, preview and thumbnail), applied on top of the
+ * .env values at startup. Keys are "<section>.<name>", values are stored as JSON.
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,34 @@
+const { run } = require('../migrator');
+
+/**
+ * History of library scans, with every file each scan added, updated, removed or failed
+ * on (and why), so a recording missing from the library can be traced.
+ */
+async function up(db) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS scans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+      message TEXT,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      duration_ms INTEGER,
+      new_count INTEGER NOT NULL DEFAULT 0,
+      updated_count INTEGER NOT NULL DEFAULT 0,
+      removed_count INTEGER NOT NULL DEFAULT 0,
+      failed_count INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS scan_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scan_id INTEGER NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+      path TEXT NOT NULL,
+      action TEXT NOT NULL CHECK (action IN ('added', 'updated', 'removed', 'failed')),
+      error TEXT
+    )
+  `);
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_scan_files_scan_id ON scan_files (scan_id, action)');
+}
+
+module.exports = { up };
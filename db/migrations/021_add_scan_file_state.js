@@ -0,0 +1,14 @@
+const { addColumn } = require('../migrator');
+
+/**
+ * Size and modification times of each video file (and its sidecar JSON) as of the last
+ * scan, so scans can skip files that haven't changed. Times are in milliseconds.
+ */
+async function up(db) {
+  await addColumn(db, 'videos', 'file_mtime', 'INTEGER');
+  await addColumn(db, 'videos', 'sidecar_mtime', 'INTEGER');
+  await addColumn(db, 'scans', 'full', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumn(db, 'scans', 'skipped_count', 'INTEGER NOT NULL DEFAULT 0');
+}
+
+module.exports = { up };
@@ -0,0 +1,158 @@
+/**
+ * Versioned schema migration runner
+ *
+ * Migrations live in db/migrations as numbered files (e.g. 001_create_videos_table.js).
+ * Each file exports an async `up(db)` function. Pending migrations are applied in
+ * ascending order, each inside its own transaction, and recorded in the
+ * `schema_version` table so they only ever run once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run, get, all } = require('./query');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Add a column to a table unless it already exists.
+ * Databases created before the migration runner existed already have some of
+ * these columns, so the early migrations have to be safe to apply on top of them.
+ * @param {sqlite3.Database} db - Database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise<boolean>} - True if the column was added
+ */
+async function addColumn(db, table, column, definition) {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  if (columns.some(c => c.name === column)) {
+    return false;
+  }
+  await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Load all migration definitions from the migrations directory, sorted by version
+ * @param {string} dir - Directory containing migration files
+ * @returns {Array<{version: number, name: string, up: Function}>}
+ */
+function loadMigrations(dir = migrationsDir) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version} (${migrations[i - 1].name}, ${migrations[i].name})`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Get the versions of all migrations already applied to the database
+ * @param {sqlite3.Database} db - Database instance
+ * @returns {Promise<Set<number>>}
+ */
+async function getAppliedVersions(db) {
+  const rows = await all(db, 'SELECT version FROM schema_version');
+  return new Set(rows.map(row => row.version));
+}
+
+/**
+ * Apply all pending migrations
+ * @param {sqlite3.Database} db - Database instance
+ * @param {Object} options - Options
+ * @param {string} options.dir - Directory to load migrations from (defaults to db/migrations)
+ * @returns {Promise<{applied: Array, skipped: number, currentVersion: number}>} - Migration report
+ */
+async function runMigrations(db, options = {}) {
+  await run(db, `
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const migrations = loadMigrations(options.dir);
+  const appliedVersions = await getAppliedVersions(db);
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (appliedVersions.has(migration.version)) {
+      continue;
+    }
+
+    const startTime = Date.now();
+    await run(db, 'BEGIN TRANSACTION');
+    try {
+      await migration.up(db);
+      await run(db, 'INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await run(db, 'COMMIT');
+    } catch (error) {
+      await run(db, 'ROLLBACK').catch(() => {});
+      error.message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+      throw error;
+    }
+
+    applied.push({
+      version: migration.version,
+      name: migration.name,
+      durationMs: Date.now() - startTime
+    });
+  }
+
+  const currentVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  return {
+    applied,
+    skipped: migrations.length - applied.length,
+    currentVersion
+  };
+}
+
+/**
+ * Log a human readable summary of a migration report
+ * @param {Object} report - Report returned by runMigrations
+ */
+function logMigrationReport(report) {
+  if (report.applied.length === 0) {
+    console.log(`Database schema is up to date (version ${report.currentVersion}).`);
+    return;
+  }
+
+  console.log(`Applied ${report.applied.length} database migration(s):`);
+  report.applied.forEach(m => {
+    console.log(`  - ${String(m.version).padStart(3, '0')} ${m.name} (${m.durationMs}ms)`);
+  });
+  console.log(`Database schema is now at version ${report.currentVersion}.`);
+}
+
+module.exports = {
+  runMigrations,
+  logMigrationReport,
+  loadMigrations,
+  addColumn,
+  run,
+  get,
+  all
+};
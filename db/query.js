@@ -0,0 +1,66 @@
+/**
+ * Promise wrappers around the sqlite3 callback API
+ */
+
+/**
+ * Run a statement and resolve with the statement context (lastID, changes)
+ * @param {sqlite3.Database} db - Database instance
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object>}
+ */
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this);
+    });
+  });
+}
+
+/**
+ * Run a query and resolve with the first row
+ * @param {sqlite3.Database} db - Database instance
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object|undefined>}
+ */
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row);
+    });
+  });
+}
+
+/**
+ * Run a query and resolve with all rows
+ * @param {sqlite3.Database} db - Database instance
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array>}
+ */
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+module.exports = {
+  run,
+  get,
+  all
+};
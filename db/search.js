@@ -0,0 +1,127 @@
+/**
+ * Full-text search helpers for the videos_fts index
+ *
+ * The index is a standalone FTS5 table whose rowid matches videos.id. It is
+ * written by addVideo/updateVideo/deleteVideo in db/database.js rather than by
+ * triggers, because the folder column is derived from the path in JavaScript.
+ */
+
+const path = require('path');
+const { run } = require('./query');
+
+// Markers used by snippet()/highlight(); replaced with <mark> after escaping
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// bm25 column weights: title, folder, path, metadata
+const RANK_EXPRESSION = 'bm25(videos_fts, 10.0, 5.0, 2.0, 1.0)';
+
+/**
+ * Build the indexed document for a video
+ * @param {Object} video - Video row or object with title, path and search_metadata
+ * @returns {{title: string, folder: string, path: string, metadata: string}}
+ */
+function buildSearchDocument(video) {
+  const videoPath = video.path || '';
+  // Paths may come from Windows or POSIX library roots, so split on both separators
+  const segments = videoPath.split(/[\\/]+/).filter(Boolean);
+  const folder = segments.length > 1 ? segments[segments.length - 2] : '';
+
+  return {
+    title: video.title || '',
+    folder,
+    path: videoPath,
+    metadata: video.search_metadata || ''
+  };
+}
+
+/**
+ * Replace the index entry for a video
+ * @param {sqlite3.Database} db - Database instance
+ * @param {number} id - Video ID
+ * @param {Object} video - Video data
+ */
+async function indexVideo(db, id, video) {
+  const doc = buildSearchDocument(video);
+  await run(db, 'DELETE FROM videos_fts WHERE rowid = ?', [id]);
+  await run(
+    db,
+    'INSERT INTO videos_fts (rowid, title, folder, path, metadata) VALUES (?, ?, ?, ?, ?)',
+    [id, doc.title, doc.folder, doc.path, doc.metadata]
+  );
+}
+
+/**
+ * Remove the index entry for a video
+ * @param {sqlite3.Database} db - Database instance
+ * @param {number} id - Video ID
+ */
+async function removeVideoFromIndex(db, id) {
+  await run(db, 'DELETE FROM videos_fts WHERE rowid = ?', [id]);
+}
+
+/**
+ * Convert a user search string into an FTS5 MATCH expression.
+ * Quoted text becomes a phrase, every other word becomes a prefix term, and
+ * all terms must match (FTS5 joins adjacent terms with an implicit AND).
+ * @param {string} input - Raw search string, e.g. `raid "boss pull" mythic`
+ * @returns {string|null} - MATCH expression, or null if nothing searchable remains
+ */
+function buildMatchQuery(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const terms = [];
+  const tokenPattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(input)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim();
+      if (phrase) {
+        terms.push(`"${phrase.replace(/"/g, '""')}"`);
+      }
+    } else {
+      // Drop characters the unicode61 tokenizer would treat as separators anyway,
+      // so a stray "-" or "*" can never turn into FTS5 syntax
+      const word = match[2].replace(/[^\p{L}\p{N}_]+/gu, ' ').trim();
+      word.split(/\s+/).filter(Boolean).forEach(part => {
+        terms.push(`"${part}"*`);
+      });
+    }
+  }
+
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * Escape HTML and turn the highlight markers into <mark> tags
+ * @param {string|null} text - Output of snippet() or highlight()
+ * @returns {string|null} - HTML-safe string
+ */
+function formatHighlight(text) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  RANK_EXPRESSION,
+  buildSearchDocument,
+  indexVideo,
+  removeVideoFromIndex,
+  buildMatchQuery,
+  formatHighlight
+};
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const session = require('express-session');
+const { createUser, countUsers, getUserById, getUserByUsername, recordUserLogin } = require('../db/database');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles from least to most privileged. Guests can watch and keep their own favorites and
+// progress, viewers can also edit tags, collections, clips and highlight reels, and admins
+// can also scan the library, change cache/CDN settings and manage users.
+const ROLES = ['guest', 'viewer', 'admin'];
+
+const SESSION_COOKIE_NAME = 'vodl.sid';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days, renewed on every request
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+
+// Hashed instead of a missing user's hash, so unknown usernames take as long to reject as wrong passwords
+const DUMMY_SALT = crypto.randomBytes(16);
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - "scrypt$<salt hex>$<hash hex>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword()
+ * @param {string} password - Plain-text password
+ * @param {string|null} storedHash - Stored hash, or null when the user does not exist
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, saltHex, hashHex] = typeof storedHash === 'string' ? storedHash.split('$') : [];
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    await scrypt(String(password), DUMMY_SALT, KEY_LENGTH);
+    return false;
+  }
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether a user has a role or a more privileged one
+ * @param {Object|null} user - { role }
+ * @param {string} role - One of ROLES
+ */
+function hasRole(user, role) {
+  return !!user && ROLES.includes(user.role) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Middleware only letting through users with at least the given role.
+ * Everything is allowed when authentication is disabled (app.locals.authEnabled).
+ * @param {string} role - One of ROLES
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.app.locals.authEnabled) {
+      return next();
+    }
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Usernames are 3-32 letters, digits, dots, dashes or underscores; returns null if unusable
+function parseUsername(value) {
+  if (typeof value !== 'string') return null;
+  const username = value.trim();
+  return /^[a-z0-9._-]{3,32}$/i.test(username) ? username : null;
+}
+
+// Returns null unless the password is a string of an acceptable length
+function parsePassword(value) {
+  return typeof value === 'string' && value.length >= MIN_PASSWORD_LENGTH && value.length <= MAX_PASSWORD_LENGTH ? value : null;
+}
+
+/**
+ * Turn TRUST_PROXY into Express' `trust proxy` setting, so req.ip is the visitor's address
+ * (from X-Forwarded-For) rather than the reverse proxy's. Empty or "false" trusts no proxy,
+ * "true" trusts every hop, a number trusts that many hops, and anything else is passed on
+ * as Express' list of trusted addresses or subnets (e.g. "loopback" or "10.0.0.0/8").
+ * @param {string|undefined} value
+ * @returns {boolean|number|string}
+ */
+function parseTrustProxy(value) {
+  const setting = typeof value === 'string' ? value.trim() : '';
+  if (setting === '' || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return setting;
+}
+
+/**
+ * Create the first admin account when there are no users yet
+ * @param {Object} credentials - { username, password }, usually ADMIN_USERNAME / ADMIN_PASSWORD
+ * @returns {Promise<string|null>} - Username of the created admin, or null if none was created
+ */
+async function createInitialAdmin(db, { username, password }) {
+  if (await countUsers(db) > 0) {
+    return null;
+  }
+
+  const name = parseUsername(username);
+  if (!name || !parsePassword(password)) {
+    throw new Error(`No users exist yet. Set ADMIN_USERNAME (3-32 letters, digits, ".", "-" or "_") and ADMIN_PASSWORD (at least ${MIN_PASSWORD_LENGTH} characters) to create the first admin.`);
+  }
+
+  await createUser(db, { username: name, password_hash: await hashPassword(password), role: 'admin' });
+  return name;
+}
+
+/**
+ * Session middleware for logged-in users
+ * @param {session.Store} store - Where sessions are kept (a SqliteSessionStore)
+ * @param {Object} options - { secret, basePath, secure }; secure sends the cookie over HTTPS only
+ */
+function createSessionMiddleware(store, { secret, basePath = '', secure = false }) {
+  return session({
+    name: SESSION_COOKIE_NAME,
+    secret,
+    store,
+    resave: false,
+    saveUninitialized: false, // Only visitors who log in get a session
+    rolling: true,
+    cookie: {
+      httpOnly: true, // Prevent client-side JS access
+      sameSite: 'lax',
+      secure,
+      maxAge: SESSION_MAX_AGE,
+      path: basePath || '/' // Ensure cookie path matches base path
+    }
+  });
+}
+
+/**
+ * Middleware loading the logged-in user into req.user. Reading the user on every request
+ * means role changes and deleted accounts take effect immediately.
+ */
+async function loadUser(req, res, next) {
+  if (!req.app.locals.authEnabled || !req.session) {
+    return next();
+  }
+  try {
+    if (req.session.userId) {
+      req.user = await getUserById(req.app.locals.db, req.session.userId);
+    }
+    next();
+  } catch (error) {
+    console.error('Error loading session user:', error);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
+/**
+ * Middleware turning away visitors who aren't logged in: API calls get a 401, pages go to
+ * the login form. Roles are checked per route with requireRole().
+ */
+function checkAuth(req, res, next) {
+  // If authentication is explicitly disabled, allow all access
+  if (!req.app.locals.authEnabled) {
+    return next();
+  }
+
+  // Allow access to login page, login/logout POSTs, CSS, favicon and the scripts of the
+  // watch and embed pages (which share links open) without auth
+  const basePath = req.app.locals.basePath || '';
+  const allowedPaths = [
+    basePath + '/login.html',
+    basePath + '/login',
+    basePath + '/logout',
+    basePath + '/css/style.css',
+    basePath + '/favicon.ico',
+    basePath + '/js/utils.js',
+    basePath + '/js/video-preloader.js',
+    basePath + '/js/player.js',
+    basePath + '/js/embed.js'
+  ];
+  if (allowedPaths.includes(req.path)) {
+    return next();
+  }
+
+  if (req.user) {
+    return next(); // User is authenticated
+  }
+
+  // API callers get a status code, pages go to the login form
+  if (req.path.startsWith(basePath + '/api/')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  console.log(`Auth failed for ${req.path}, redirecting to login.`);
+  res.redirect(basePath + '/login.html');
+}
+
+/**
+ * Handle the login form. JSON requests get JSON answers instead of redirects.
+ */
+async function login(req, res) {
+  const basePath = req.app.locals.basePath || '';
+  const wantsJson = req.is('application/json');
+  if (!req.app.locals.authEnabled) {
+    return wantsJson ? res.json({ authEnabled: false }) : res.redirect(basePath + '/');
+  }
+
+  try {
+    const { username, password } = req.body || {};
+    const user = typeof username === 'string' ? await getUserByUsername(req.app.locals.db, username.trim()) : null;
+    const valid = await verifyPassword(typeof password === 'string' ? password : '', user ? user.password_hash : null);
+
+    if (!user || !valid) {
+      console.log(`Login failed for "${username}".`);
+      return wantsJson
+        ? res.status(401).json({ error: 'Invalid username or password' })
+        : res.redirect(basePath + '/login.html?error=1');
+    }
+
+    // New session ID on login, so a session ID planted before logging in is worthless
+    await recordUserLogin(req.app.locals.db, user.id);
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error('Error starting session:', err);
+        return res.status(500).send('Internal Server Error');
+      }
+      req.session.userId = user.id;
+      console.log(`User "${user.username}" logged in.`);
+      if (wantsJson) {
+        res.json({ user: { id: user.id, username: user.username, role: user.role } });
+      } else {
+        res.redirect(basePath + '/');
+      }
+    });
+  } catch (error) {
+    console.error('Error during login:', error);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
+/**
+ * End the session. Mounted before checkAuth, so an expired session can still log out.
+ */
+function logout(req, res) {
+  const basePath = req.app.locals.basePath || '';
+  const done = () => {
+    res.clearCookie(SESSION_COOKIE_NAME, { path: basePath || '/' });
+    if (req.is('application/json')) {
+      return res.status(204).end();
+    }
+    res.redirect(basePath + '/login.html');
+  };
+  if (!req.session) {
+    return done();
+  }
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Error ending session:', err);
+    }
+    done();
+  });
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE_NAME,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  requireRole,
+  parseUsername,
+  parsePassword,
+  parseTrustProxy,
+  createInitialAdmin,
+  createSessionMiddleware,
+  loadUser,
+  checkAuth,
+  login,
+  logout
+};
@@ -0,0 +1,203 @@
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const { generateThumbnail } = require('./thumbnail');
+const { getVideoMetadata } = require('./scanner');
+const { addVideo, updateClip, updateVideoThumbnail } = require('../db/database');
+
+// Check if ffmpeg is available
+let ffmpegAvailable = true;
+try {
+  ffmpeg.setFfmpegPath(require('ffmpeg-static'));
+} catch (error) {
+  console.warn('FFmpeg not available. Clip export will be disabled.');
+  ffmpegAvailable = false;
+}
+
+const config = {
+  // Keep this outside VIDEO_LIBRARY so scans don't pick clips up as new videos
+  clipsDir: process.env.CLIPS_DIR || path.join(__dirname, '..', 'data', 'clips'),
+  minDuration: 1,
+  maxDuration: 30 * 60,
+  // A keyframe this close before the in point is good enough for a stream copy
+  keyframeTolerance: 0.5,
+  // How far back from the in point to look for a keyframe
+  keyframeSearchWindow: 10
+};
+
+// Clips are exported one at a time; each job waits for the previous one
+let jobChain = Promise.resolve();
+
+/**
+ * Find the last video keyframe at or before a time using ffprobe
+ * @param {string} videoPath - Path to the video file
+ * @param {number} time - Time in seconds
+ * @returns {Promise<number|null>} - Keyframe time, or null if none was found (or ffprobe failed)
+ */
+function findKeyframeBefore(videoPath, time) {
+  const from = Math.max(0, time - config.keyframeSearchWindow);
+  const args = [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-skip_frame', 'nokey',
+    '-show_entries', 'frame=pts_time',
+    '-of', 'csv=p=0',
+    '-read_intervals', `${from}%${time + 0.1}`,
+    videoPath
+  ];
+
+  return new Promise((resolve) => {
+    execFile(process.env.FFPROBE_PATH || 'ffprobe', args, { maxBuffer: 1024 * 1024 }, (err, stdout) => {
+      if (err) {
+        console.warn(`Could not probe keyframes of ${videoPath}: ${err.message}`);
+        return resolve(null);
+      }
+      const keyframes = stdout.split('\n').map(line => parseFloat(line)).filter(Number.isFinite);
+      resolve(pickKeyframeBefore(keyframes, time));
+    });
+  });
+}
+
+/**
+ * Pick the latest keyframe at or before a time (with a little slack for rounding)
+ * @param {number[]} keyframes - Keyframe times in seconds
+ * @param {number} time - Time in seconds
+ * @returns {number|null}
+ */
+function pickKeyframeBefore(keyframes, time) {
+  const candidates = keyframes.filter(keyframe => keyframe <= time + 0.05);
+  return candidates.length > 0 ? Math.max(...candidates) : null;
+}
+
+/**
+ * Decide how to cut a clip: a stream copy starts at the keyframe before the in point,
+ * so it is only used when that keyframe is close enough to the requested start.
+ * @param {number|null} keyframe - Keyframe at or before the in point
+ * @param {number} start - Requested in point in seconds
+ * @returns {'copy'|'reencode'}
+ */
+function chooseClipMethod(keyframe, start) {
+  if (keyframe === null) return 'reencode';
+  return start - keyframe <= config.keyframeTolerance ? 'copy' : 'reencode';
+}
+
+/**
+ * Run a fluent-ffmpeg command to completion
+ */
+function runCommand(command) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+/**
+ * Cut [start, end) out of a video into outputPath
+ */
+function cutClip(videoPath, outputPath, start, end, method) {
+  const command = ffmpeg(videoPath)
+    .seekInput(start)
+    .duration(end - start)
+    .output(outputPath);
+
+  if (method === 'copy') {
+    command.outputOptions(['-c copy', '-avoid_negative_ts make_zero', '-map 0:v:0', '-map 0:a?']);
+  } else {
+    command
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions(['-preset veryfast', '-crf 20', '-pix_fmt yuv420p', '-movflags +faststart']);
+  }
+
+  return runCommand(command);
+}
+
+/**
+ * Export a clip to its own file and add it to the library as a video.
+ * The clip must already be recorded with createClip().
+ * @param {sqlite3.Database} db - Database instance
+ * @param {Object} clip - Clip row (id, title, start_time, end_time)
+ * @param {Object} sourceVideo - Video the clip is cut from
+ * @returns {Promise<void>} - Resolves once the job has finished, successfully or not
+ */
+function exportClip(db, clip, sourceVideo) {
+  const job = jobChain.then(async () => {
+    let outputPath = null;
+    try {
+      if (!ffmpegAvailable) {
+        throw new Error('FFmpeg is not available');
+      }
+
+      await updateClip(db, clip.id, { status: 'processing' });
+      await fs.promises.mkdir(config.clipsDir, { recursive: true });
+
+      const keyframe = await findKeyframeBefore(sourceVideo.path, clip.start_time);
+      let method = chooseClipMethod(keyframe, clip.start_time);
+      // Stream copies keep the source container; re-encodes are always MP4
+      const sourceExtension = path.extname(sourceVideo.path).toLowerCase() || '.mp4';
+      outputPath = path.join(config.clipsDir, `clip-${clip.id}${method === 'copy' ? sourceExtension : '.mp4'}`);
+
+      try {
+        await cutClip(sourceVideo.path, outputPath, clip.start_time, clip.end_time, method);
+      } catch (error) {
+        if (method !== 'copy') throw error;
+        console.warn(`Stream copy of clip ${clip.id} failed, re-encoding instead: ${error.message}`);
+        await fs.promises.rm(outputPath, { force: true });
+        method = 'reencode';
+        outputPath = path.join(config.clipsDir, `clip-${clip.id}.mp4`);
+        await cutClip(sourceVideo.path, outputPath, clip.start_time, clip.end_time, method);
+      }
+
+      const technical = await getVideoMetadata(outputPath);
+      const { size } = await fs.promises.stat(outputPath);
+      const videoId = await addVideo(db, {
+        title: clip.title,
+        path: outputPath,
+        duration: Math.round(clip.end_time - clip.start_time),
+        ...technical,
+        file_size: size,
+        added_date: new Date().toISOString(),
+        game: sourceVideo.game,
+        series: sourceVideo.series,
+        player: sourceVideo.player,
+        session_date: sourceVideo.session_date
+      });
+      await updateClip(db, clip.id, { status: 'completed', method, video_id: videoId, error: null });
+
+      const thumbnailPath = await generateThumbnail(outputPath, videoId);
+      if (thumbnailPath) {
+        await updateVideoThumbnail(db, videoId, thumbnailPath);
+      }
+      console.log(`Exported clip ${clip.id} (${method}) as video ${videoId}`);
+    } catch (error) {
+      console.error(`Clip export failed for clip ${clip.id}:`, error);
+      if (outputPath) {
+        await fs.promises.rm(outputPath, { force: true });
+      }
+      await updateClip(db, clip.id, { status: 'failed', error: error.message });
+    }
+  });
+
+  jobChain = job.catch(() => {});
+  return job;
+}
+
+/**
+ * Remove an exported clip file, ignoring files outside the clips directory
+ * @param {string} filePath - Path stored on the clip's video
+ */
+async function removeClipFile(filePath) {
+  if (!filePath || path.dirname(path.resolve(filePath)) !== path.resolve(config.clipsDir)) return;
+  await fs.promises.rm(filePath, { force: true });
+}
+
+module.exports = {
+  exportClip,
+  removeClipFile,
+  chooseClipMethod,
+  pickKeyframeBefore,
+  clipConfig: config
+};
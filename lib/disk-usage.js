@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Number of files in a directory and their combined size, including subdirectories.
+ * Symlinks are not followed, so a linked cache directory isn't counted twice.
+ * @param {string} dir - Directory to measure
+ * @returns {Promise<{path: string, files: number, bytes: number, exists: boolean}>}
+ */
+async function getDirectoryUsage(dir) {
+  const usage = { path: dir, files: 0, bytes: 0, exists: true };
+
+  async function walk(current) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' && current === dir) {
+        usage.exists = false;
+        return;
+      }
+      throw error;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        usage.files++;
+        usage.bytes += (await fs.promises.stat(entryPath)).size;
+      }
+    }
+  }
+
+  // The configured directory itself may be a symlink (see lib/thumbnail.js)
+  await walk(await fs.promises.realpath(dir).catch(() => dir));
+  return usage;
+}
+
+module.exports = {
+  getDirectoryUsage
+};
@@ -0,0 +1,118 @@
+// Embedded players and oEmbed (https://oembed.com) responses for watch and embed links
+
+// Width of an embedded player when the consumer sets no limit
+const DEFAULT_EMBED_WIDTH = 640;
+
+// Escape text for an HTML attribute or element
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Find the video a watch or embed link points at
+ * @param {string} url - Link to a /watch/:id or /embed/:id page
+ * @param {string[]} baseUrls - URLs this server is reachable at, including any base path
+ * @returns {{videoId: number, share: string|null, t: number|null}|null} - null if it isn't one of our video links
+ */
+function parseVideoUrl(url, baseUrls) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  for (const baseUrl of baseUrls) {
+    const base = new URL(baseUrl);
+    if (base.origin !== target.origin) continue;
+    const prefix = base.pathname.replace(/\/$/, '');
+    if (!target.pathname.startsWith(prefix + '/')) continue;
+
+    const match = /^\/(?:watch|embed)\/(\d+)\/?$/.exec(target.pathname.slice(prefix.length));
+    if (match) {
+      const t = parseInt(target.searchParams.get('t'), 10);
+      return {
+        videoId: parseInt(match[1], 10),
+        share: target.searchParams.get('share') || null,
+        t: Number.isNaN(t) || t <= 0 ? null : t
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Link to the embed page of a video
+ * @param {string} baseUrl - This server's URL, including any base path
+ * @param {Object} options - share token, t (seconds) and autoplay, all optional
+ */
+function buildEmbedUrl(baseUrl, videoId, { share = null, t = null, autoplay = false } = {}) {
+  const params = new URLSearchParams();
+  if (share) params.set('share', share);
+  if (t) params.set('t', String(t));
+  if (autoplay) params.set('autoplay', '1');
+  const query = params.toString();
+  return `${baseUrl}/embed/${videoId}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Player size within the consumer's limits, keeping the video's aspect ratio (16:9 if unknown)
+ * @param {Object} video - Video row, with width and height when probed
+ * @param {number} maxWidth - Largest width allowed, or 0 for no limit
+ * @param {number} maxHeight - Largest height allowed, or 0 for no limit
+ * @returns {{width: number, height: number}}
+ */
+function getEmbedSize(video, maxWidth = 0, maxHeight = 0) {
+  const aspect = video.width && video.height ? video.width / video.height : 16 / 9;
+  let width = maxWidth > 0 ? Math.min(DEFAULT_EMBED_WIDTH, maxWidth) : DEFAULT_EMBED_WIDTH;
+  let height = Math.round(width / aspect);
+  if (maxHeight > 0 && height > maxHeight) {
+    height = maxHeight;
+    width = Math.round(height * aspect);
+  }
+  return { width, height };
+}
+
+/**
+ * oEmbed "video" response for a video
+ * @param {Object} video - Video row
+ * @param {Object} options
+ * @param {string} options.baseUrl - This server's URL, including any base path
+ * @param {string} options.providerName - Name of this library (VODS_NAME)
+ * @param {string|null} options.thumbnailUrl - Absolute thumbnail URL, if the video has one
+ * @param {string|null} options.share - Share token to embed with, for viewers without an account
+ * @param {number|null} options.t - Start time in seconds
+ * @param {number} options.maxWidth - Consumer's maxwidth, 0 for none
+ * @param {number} options.maxHeight - Consumer's maxheight, 0 for none
+ */
+function buildOembed(video, { baseUrl, providerName, thumbnailUrl = null, share = null, t = null, maxWidth = 0, maxHeight = 0 }) {
+  const { width, height } = getEmbedSize(video, maxWidth, maxHeight);
+  const src = buildEmbedUrl(baseUrl, video.id, { share, t });
+  const response = {
+    version: '1.0',
+    type: 'video',
+    title: video.title,
+    provider_name: providerName,
+    provider_url: `${baseUrl}/`,
+    width,
+    height,
+    html: `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" title="${escapeHtml(video.title)}" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe>`
+  };
+  if (thumbnailUrl) {
+    response.thumbnail_url = thumbnailUrl;
+  }
+  return response;
+}
+
+module.exports = {
+  escapeHtml,
+  parseVideoUrl,
+  buildEmbedUrl,
+  getEmbedSize,
+  buildOembed
+};
@@ -0,0 +1,175 @@
+const path = require('path');
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const { updateHighlightReel } = require('../db/database');
+
+// Check if ffmpeg is available
+let ffmpegAvailable = true;
+try {
+  ffmpeg.setFfmpegPath(require('ffmpeg-static'));
+} catch (error) {
+  console.warn('FFmpeg not available. Highlight reel generation will be disabled.');
+  ffmpegAvailable = false;
+}
+
+const config = {
+  // Outside public/ so reels are only served through the API, which checks the login
+  outputDir: process.env.HIGHLIGHTS_DIR || path.join(__dirname, '..', 'data', 'highlights'),
+  defaultBefore: 10, // Seconds kept before each event
+  defaultAfter: 5, // Seconds kept after each event
+  maxPadding: 120,
+  maxSegments: 200 // Longer reels stop being highlights
+};
+
+// H.264/AAC so every segment can be joined with a stream copy
+const SEGMENT_OUTPUT_OPTIONS = [
+  '-preset veryfast',
+  '-crf 23',
+  '-pix_fmt yuv420p',
+  '-avoid_negative_ts make_zero'
+];
+
+// Reels are generated one at a time; each job waits for the previous one
+let jobChain = Promise.resolve();
+
+/**
+ * Turn event timestamps into the time ranges of a highlight reel.
+ * Ranges that touch or overlap are merged so nothing plays twice.
+ * @param {number[]} timestamps - Event times in seconds
+ * @param {number} duration - Video duration in seconds (ranges are clamped to it)
+ * @param {number} before - Seconds to keep before each event
+ * @param {number} after - Seconds to keep after each event
+ * @returns {Array<{start: number, end: number}>} - Sorted, non-overlapping ranges
+ */
+function buildHighlightSegments(timestamps, duration, before, after) {
+  const segments = [];
+  const sorted = [...timestamps].filter(timestamp => timestamp >= 0).sort((a, b) => a - b);
+
+  for (const timestamp of sorted) {
+    const start = Math.max(0, timestamp - before);
+    const end = duration > 0 ? Math.min(duration, timestamp + after) : timestamp + after;
+    if (end <= start) continue;
+
+    const last = segments[segments.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      segments.push({ start, end });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Run a fluent-ffmpeg command to completion
+ */
+function runCommand(command) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+/**
+ * Cut the segments out of the video and join them into one MP4
+ * @returns {Promise<{path: string, size: number}>} - Path of the reel on disk and its size
+ */
+async function renderReel(videoPath, videoId, segments) {
+  await fs.promises.mkdir(config.outputDir, { recursive: true });
+  const workDir = await fs.promises.mkdtemp(path.join(config.outputDir, `.video-${videoId}-`));
+  const outputFilename = `video-${videoId}.mp4`;
+  const outputPath = path.join(config.outputDir, outputFilename);
+  const partialPath = path.join(workDir, outputFilename);
+
+  try {
+    const segmentPaths = [];
+    for (const [index, segment] of segments.entries()) {
+      const segmentPath = path.join(workDir, `segment-${index}.mp4`);
+      await runCommand(
+        ffmpeg(videoPath)
+          .seekInput(segment.start)
+          .duration(segment.end - segment.start)
+          .videoCodec('libx264')
+          .audioCodec('aac')
+          .outputOptions(SEGMENT_OUTPUT_OPTIONS)
+          .output(segmentPath)
+      );
+      segmentPaths.push(segmentPath);
+    }
+
+    const listPath = path.join(workDir, 'segments.txt');
+    await fs.promises.writeFile(listPath, segmentPaths.map(segmentPath => `file '${segmentPath.replace(/'/g, "'\\''")}'`).join('\n'));
+
+    await runCommand(
+      ffmpeg()
+        .input(listPath)
+        .inputOptions(['-f concat', '-safe 0'])
+        .outputOptions(['-c copy', '-movflags +faststart'])
+        .output(partialPath)
+    );
+
+    // Swap the finished file in so a previous reel stays playable until now
+    await fs.promises.rename(partialPath, outputPath);
+    const stats = await fs.promises.stat(outputPath);
+    return { path: outputPath, size: stats.size };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Generate a highlight reel for a video and record the outcome in highlight_reels.
+ * The reel must already be queued with startHighlightReel().
+ * @param {sqlite3.Database} db - Database instance
+ * @param {Object} video - Video row (id, path, duration)
+ * @param {Array} events - Events to build the reel around
+ * @param {{before: number, after: number}} settings - Padding around each event
+ * @returns {Promise<void>} - Resolves once the reel is ready; rejects (after recording the failure) if it couldn't be made
+ */
+function generateHighlightReel(db, video, events, settings) {
+  const job = jobChain.then(async () => {
+    try {
+      if (!ffmpegAvailable) {
+        throw new Error('FFmpeg is not available');
+      }
+
+      const segments = buildHighlightSegments(events.map(event => event.timestamp), video.duration, settings.before, settings.after)
+        .slice(0, config.maxSegments);
+      if (segments.length === 0) {
+        throw new Error('No events fall within the video');
+      }
+
+      await updateHighlightReel(db, video.id, { status: 'processing' });
+      console.log(`Generating highlight reel for video ${video.id} from ${segments.length} segments`);
+
+      const output = await renderReel(video.path, video.id, segments);
+      const duration = segments.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+
+      await updateHighlightReel(db, video.id, {
+        status: 'completed',
+        path: output.path,
+        size: output.size,
+        duration,
+        segment_count: segments.length,
+        error: null
+      });
+      console.log(`Highlight reel for video ${video.id} ready: ${output.path}`);
+    } catch (error) {
+      console.error(`Highlight reel generation failed for video ${video.id}:`, error);
+      await updateHighlightReel(db, video.id, { status: 'failed', error: error.message });
+      throw error;
+    }
+  });
+
+  jobChain = job.catch(() => {});
+  return job;
+}
+
+module.exports = {
+  buildHighlightSegments,
+  generateHighlightReel,
+  highlightConfig: config
+};
@@ -0,0 +1,382 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Check if ffmpeg is available
+let ffmpegAvailable = true;
+try {
+  ffmpeg.setFfmpegPath(require('ffmpeg-static'));
+} catch (error) {
+  console.warn('FFmpeg not available. HLS streaming will be disabled.');
+  ffmpegAvailable = false;
+}
+
+const config = {
+  cacheDir: process.env.HLS_CACHE_DIR || path.join(__dirname, '..', 'data', 'hls'),
+  // Segments are deleted once unused for this long, and least recently used first above this size
+  maxCacheAge: Math.max(1, parseInt(process.env.HLS_CACHE_MAX_AGE, 10) || 7) * 24 * 60 * 60 * 1000,
+  maxCacheSize: Math.max(1, parseInt(process.env.HLS_CACHE_MAX_SIZE, 10) || 10240) * 1024 * 1024,
+  pruneInterval: 60 * 1000, // Pruning walks the whole cache, so it runs at most this often
+  segmentDuration: 6, // Seconds per segment
+  maxConcurrentTranscodes: 2,
+  // Used when the source height is unknown
+  defaultMaxHeight: 720
+};
+
+// Renditions offered in the master playlist, highest first
+const RENDITIONS = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 160 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+// Segments being generated, keyed by output path, so concurrent requests share one ffmpeg run:
+// { promise, waiting (requests still waiting for it), cancel }
+const inFlight = new Map();
+const transcodeQueue = [];
+let activeTranscodes = 0;
+let lastPrunedAt = 0;
+
+/**
+ * Get the renditions worth offering for a video (never upscaled; the smallest is always offered)
+ * @param {Object} video - Video row (height may be null)
+ * @returns {Array} - Renditions, highest first
+ */
+function getRenditions(video) {
+  const maxHeight = video.height || config.defaultMaxHeight;
+  const renditions = RENDITIONS.filter(rendition => rendition.height <= maxHeight);
+  return renditions.length > 0 ? renditions : [RENDITIONS[RENDITIONS.length - 1]];
+}
+
+/**
+ * Find an offered rendition by name
+ * @returns {Object|undefined}
+ */
+function findRendition(video, name) {
+  return getRenditions(video).find(rendition => rendition.name === name);
+}
+
+/**
+ * Width of a rendition, keeping the source aspect ratio (16:9 if unknown) and an even number of pixels
+ */
+function getRenditionWidth(video, rendition) {
+  const aspectRatio = video.width && video.height ? video.width / video.height : 16 / 9;
+  return Math.round((rendition.height * aspectRatio) / 2) * 2;
+}
+
+/**
+ * RFC 6381 codec string: H.264 High profile (level 4.0 above 720p, 3.1 otherwise) with AAC-LC
+ */
+function getCodecs(rendition) {
+  return `${rendition.height > 720 ? 'avc1.640028' : 'avc1.64001f'},mp4a.40.2`;
+}
+
+/**
+ * Build the master playlist listing every rendition
+ * @param {Object} video - Video row
+ * @returns {string} - M3U8 text; rendition URIs are relative to the master playlist
+ */
+function buildMasterPlaylist(video) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const rendition of getRenditions(video)) {
+    const bandwidth = Math.round((rendition.videoBitrate + rendition.audioBitrate) * 1000 * 1.1);
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${getRenditionWidth(video, rendition)}x${rendition.height},CODECS="${getCodecs(rendition)}"`,
+      `${rendition.name}/index.m3u8`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Number of segments a video is split into
+ */
+function getSegmentCount(duration) {
+  return Math.max(1, Math.ceil(duration / config.segmentDuration));
+}
+
+/**
+ * Build a rendition's media playlist. Every segment is listed up front (VOD playlist);
+ * the segments themselves are only encoded when first requested.
+ * @param {number} duration - Video duration in seconds
+ * @returns {string} - M3U8 text
+ */
+function buildMediaPlaylist(duration) {
+  const segmentCount = getSegmentCount(duration);
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${config.segmentDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+  for (let index = 0; index < segmentCount; index++) {
+    const length = Math.min(config.segmentDuration, duration - index * config.segmentDuration);
+    lines.push(`#EXTINF:${Math.max(length, 0.1).toFixed(3)},`, getSegmentName(index));
+  }
+  lines.push('#EXT-X-ENDLIST');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * File name of a segment, e.g. segment-00012.ts
+ */
+function getSegmentName(index) {
+  return `segment-${String(index).padStart(5, '0')}.ts`;
+}
+
+/**
+ * Parse a segment file name back into its index
+ * @returns {number|null} - Index, or null if the name is not a segment
+ */
+function parseSegmentName(name) {
+  const match = /^segment-(\d{5})\.ts$/.exec(name);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Cache directory for a video. The hash of its path keeps a replaced file from reusing old segments.
+ */
+function getVideoCacheDir(video) {
+  const pathHash = crypto.createHash('md5').update(video.path).digest('hex').slice(0, 12);
+  return path.join(config.cacheDir, `${video.id}-${pathHash}`);
+}
+
+// Error for segments nobody is waiting for any more
+function abortError() {
+  const error = new Error('Segment is no longer needed');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Run a transcode once a slot is free
+ * @returns {{promise: Promise, cancel: Function}} - cancel() drops the transcode unless it has started
+ */
+function scheduleTranscode(task) {
+  const entry = { task };
+  const promise = new Promise((resolve, reject) => {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+  transcodeQueue.push(entry);
+  runNextTranscode();
+
+  return {
+    promise,
+    cancel: () => {
+      const position = transcodeQueue.indexOf(entry);
+      if (position === -1) return;
+      transcodeQueue.splice(position, 1);
+      entry.reject(abortError());
+    }
+  };
+}
+
+function runNextTranscode() {
+  if (activeTranscodes >= config.maxConcurrentTranscodes || transcodeQueue.length === 0) return;
+  const { task, resolve, reject } = transcodeQueue.shift();
+  activeTranscodes++;
+  task()
+    .then(resolve, reject)
+    .finally(() => {
+      activeTranscodes--;
+      runNextTranscode();
+    });
+}
+
+/**
+ * Encode one segment of a rendition into outputPath
+ */
+function encodeSegment(video, rendition, index, outputPath) {
+  const start = index * config.segmentDuration;
+  const partialPath = `${outputPath}.partial`;
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(video.path)
+      .seekInput(start)
+      .duration(config.segmentDuration)
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions([
+        '-map 0:v:0',
+        '-map 0:a:0?',
+        `-vf scale=-2:${rendition.height}`,
+        '-preset veryfast',
+        '-profile:v high',
+        '-pix_fmt yuv420p',
+        `-b:v ${rendition.videoBitrate}k`,
+        `-maxrate ${Math.round(rendition.videoBitrate * 1.2)}k`,
+        `-bufsize ${rendition.videoBitrate * 2}k`,
+        `-b:a ${rendition.audioBitrate}k`,
+        '-ac 2',
+        // Keep timestamps continuous across independently encoded segments
+        `-output_ts_offset ${start}`,
+        '-muxdelay 0',
+        '-f mpegts'
+      ])
+      .output(partialPath)
+      .on('end', () => {
+        fs.promises.rename(partialPath, outputPath).then(resolve, reject);
+      })
+      .on('error', (err) => {
+        fs.promises.rm(partialPath, { force: true }).finally(() => reject(err));
+      })
+      .run();
+  });
+}
+
+/**
+ * Get the path of a cached segment, encoding it first if needed.
+ * The following segment is then encoded in the background so playback stays ahead.
+ * @param {Object} video - Video row
+ * @param {Object} rendition - Rendition from getRenditions()
+ * @param {number} index - Segment index
+ * @param {AbortSignal} [signal] - Aborted when the player no longer wants the segment; encodes
+ *   still waiting for a slot are then dropped, unless another request is waiting for them too
+ * @returns {Promise<string>} - Absolute path to the .ts file; rejects with an AbortError when dropped
+ */
+async function getSegment(video, rendition, index, signal) {
+  const segmentPath = await ensureSegment(video, rendition, index, signal);
+
+  if (index + 1 < getSegmentCount(video.duration)) {
+    ensureSegment(video, rendition, index + 1, signal).catch(error => {
+      if (error.name === 'AbortError') return;
+      console.warn(`Prefetching HLS segment ${index + 1} of video ${video.id} failed: ${error.message}`);
+    });
+  }
+
+  return segmentPath;
+}
+
+/**
+ * Encode a segment unless it is cached or already being encoded
+ */
+async function ensureSegment(video, rendition, index, signal) {
+  if (!ffmpegAvailable) {
+    throw new Error('FFmpeg is not available');
+  }
+
+  const renditionDir = path.join(getVideoCacheDir(video), rendition.name);
+  const segmentPath = path.join(renditionDir, getSegmentName(index));
+
+  if (fs.existsSync(segmentPath)) {
+    // Marks the segment as used, for pruneSegmentCache()
+    const now = new Date();
+    fs.promises.utimes(segmentPath, now, now).catch(() => {});
+    return segmentPath;
+  }
+
+  if (signal && signal.aborted) {
+    throw abortError();
+  }
+
+  let generation = inFlight.get(segmentPath);
+  if (!generation) {
+    const transcode = scheduleTranscode(async () => {
+      await fs.promises.mkdir(renditionDir, { recursive: true });
+      await encodeSegment(video, rendition, index, segmentPath);
+    });
+    generation = { promise: transcode.promise.then(() => segmentPath), waiting: 0, cancel: transcode.cancel };
+    inFlight.set(segmentPath, generation);
+    generation.promise.then(
+      () => {
+        inFlight.delete(segmentPath);
+        pruneSegmentCache().catch(error => console.error('Error pruning the HLS cache:', error));
+      },
+      () => inFlight.delete(segmentPath)
+    );
+  }
+
+  // Callers without a signal keep waiting for good, so their encodes are never dropped
+  const current = generation;
+  current.waiting++;
+  if (!signal) {
+    return current.promise;
+  }
+  const onAbort = () => {
+    current.waiting--;
+    if (current.waiting === 0) {
+      current.cancel();
+    }
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    return await current.promise;
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Delete segments unused for longer than config.maxCacheAge, then the least recently used
+ * ones until the cache fits in config.maxCacheSize. Runs at most once per config.pruneInterval
+ * unless forced; segments being encoded are left alone.
+ * @param {Object} [options] - { force }
+ * @returns {Promise<{deleted: number, bytes: number}|null>} - Segments deleted and the cache size
+ *   left, or null if it ran too recently
+ */
+async function pruneSegmentCache({ force = false } = {}) {
+  if (!force && Date.now() - lastPrunedAt < config.pruneInterval) {
+    return null;
+  }
+  lastPrunedAt = Date.now();
+
+  const segments = [];
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile() && parseSegmentName(entry.name) !== null && !inFlight.has(entryPath)) {
+        const stats = await fs.promises.stat(entryPath);
+        segments.push({ path: entryPath, size: stats.size, usedAt: stats.mtimeMs });
+      }
+    }
+  }
+  await walk(config.cacheDir);
+
+  // Least recently used first
+  segments.sort((a, b) => a.usedAt - b.usedAt);
+  let bytes = segments.reduce((sum, segment) => sum + segment.size, 0);
+  let deleted = 0;
+  for (const segment of segments) {
+    if (Date.now() - segment.usedAt <= config.maxCacheAge && bytes <= config.maxCacheSize) break;
+    await fs.promises.rm(segment.path, { force: true });
+    bytes -= segment.size;
+    deleted++;
+  }
+  if (deleted > 0) {
+    console.log(`Deleted ${deleted} HLS segment(s) from the cache, ${Math.round(bytes / (1024 * 1024))}MB left.`);
+  }
+  return { deleted, bytes };
+}
+
+/**
+ * Whether HLS streaming is turned on (ENABLE_HLS=true) and segments can be produced on this server
+ */
+function isHlsAvailable() {
+  return ffmpegAvailable && process.env.ENABLE_HLS === 'true';
+}
+
+module.exports = {
+  getRenditions,
+  findRendition,
+  buildMasterPlaylist,
+  buildMediaPlaylist,
+  parseSegmentName,
+  getSegmentCount,
+  getSegment,
+  pruneSegmentCache,
+  isHlsAvailable,
+  hlsConfig: config
+};
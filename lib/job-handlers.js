@@ -0,0 +1,84 @@
+const fs = require('fs');
+const { getVideoById, getVideoEvents, updateVideoThumbnail, updateVideoPreview, updateVideoTechnical } = require('../db/database');
+const { registerJobHandler } = require('./jobs');
+const { generateThumbnail } = require('./thumbnail');
+const { generatePreviewClips, previewConfig } = require('./preview');
+const { getVideoMetadata } = require('./scanner');
+const { generateHighlightReel } = require('./highlights');
+
+// Handlers for each background job type. A job whose video was deleted in the meantime
+// has nothing left to do.
+
+async function runThumbnailJob(db, job) {
+  const video = await getVideoById(db, job.video_id);
+  if (!video) return;
+
+  const thumbnailPath = await generateThumbnail(video.path, video.id);
+  if (!thumbnailPath) {
+    throw new Error('Could not generate a thumbnail');
+  }
+  await updateVideoThumbnail(db, video.id, thumbnailPath);
+}
+
+async function runProbeJob(db, job) {
+  const video = await getVideoById(db, job.video_id);
+  if (!video) return;
+
+  const technical = await getVideoMetadata(video.path);
+  if (!technical.container) {
+    throw new Error('ffprobe could not read the file');
+  }
+  const stats = await fs.promises.stat(video.path);
+  await updateVideoTechnical(db, video.id, { ...technical, file_size: stats.size });
+}
+
+async function runPreviewJob(db, job) {
+  const video = await getVideoById(db, job.video_id);
+  if (!video) return;
+
+  if (process.env.ENABLE_PREVIEWS === 'false') {
+    await updateVideoPreview(db, video.id, null, null, null);
+    return;
+  }
+  // Too short for a preview clip; retrying won't change that
+  if (!video.duration || video.duration < previewConfig.minVideoDuration) {
+    await updateVideoPreview(db, video.id, null, 'failed', new Date().toISOString());
+    return;
+  }
+
+  await updateVideoPreview(db, video.id, null, 'generating', new Date().toISOString());
+  console.log(`Starting preview generation for video: ${video.title}`);
+  const previewInfo = await generatePreviewClips(video.path, video.id, video.duration, !!(job.payload && job.payload.force));
+  if (!previewInfo) {
+    // Waiting for the retry, or out of attempts
+    const status = job.attempts < job.max_attempts ? 'pending' : 'failed';
+    await updateVideoPreview(db, video.id, null, status, new Date().toISOString());
+    throw new Error('No preview clips were generated');
+  }
+
+  await updateVideoPreview(db, video.id, JSON.stringify(previewInfo), 'completed', new Date().toISOString());
+  console.log(`Preview generation completed for video: ${video.title}`);
+}
+
+async function runHighlightJob(db, job) {
+  const video = await getVideoById(db, job.video_id);
+  if (!video) return;
+
+  const settings = job.payload;
+  const events = await getVideoEvents(db, video.id, settings.types);
+  await generateHighlightReel(db, video, events, settings);
+}
+
+/**
+ * Register the handlers of all job types with lib/jobs
+ */
+function registerJobHandlers() {
+  registerJobHandler('thumbnail', runThumbnailJob);
+  registerJobHandler('probe', runProbeJob);
+  registerJobHandler('preview', runPreviewJob);
+  registerJobHandler('highlight', runHighlightJob);
+}
+
+module.exports = {
+  registerJobHandlers
+};
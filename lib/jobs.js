@@ -0,0 +1,179 @@
+const { enqueueJob, claimNextJob, completeJob, failJob, recoverInterruptedJobs, getVideosWithoutPreviewJobs, failOrphanedPreviews, updateVideoPreview, deleteFinishedJobs } = require('../db/database');
+
+const config = {
+  // Jobs run at the same time; most of them run ffmpeg
+  concurrency: Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2),
+  // How often to look for due jobs (queueJob() also starts new jobs right away)
+  pollInterval: 5000,
+  // Delay before the first retry, doubled for every further attempt up to maxRetryDelay
+  retryDelay: 30 * 1000,
+  maxRetryDelay: 30 * 60 * 1000,
+  // Finished jobs are kept this long for GET /api/jobs
+  keepFinishedFor: 7 * 24 * 60 * 60 * 1000
+};
+
+// Priority (higher runs first) and attempts per job type. Highlight reels are requested
+// by someone waiting for them; previews are the least urgent.
+const JOB_TYPES = {
+  highlight: { priority: 30, maxAttempts: 1 },
+  probe: { priority: 20, maxAttempts: 3 },
+  thumbnail: { priority: 10, maxAttempts: 3 },
+  preview: { priority: 0, maxAttempts: 3 }
+};
+
+const handlers = new Map();
+
+// The running worker, null when stopped: { db, timer, running: Set<Promise>, filling, refill }.
+// refill is set when slots should be filled again after the current pass.
+let worker = null;
+
+/**
+ * Set the function that runs jobs of a type
+ * @param {string} type - One of JOB_TYPES
+ * @param {Function} handler - async (db, job) => void; throwing fails the attempt
+ */
+function registerJobHandler(type, handler) {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  handlers.set(type, handler);
+}
+
+/**
+ * Queue a job and start it right away if the worker has a free slot
+ * @param {string} type - One of JOB_TYPES
+ * @param {number|null} videoId - Video the job is for
+ * @param {Object|null} payload - Extra input for the handler (stored as JSON)
+ * @returns {Promise<number|null>} - The job ID, or null if the same job is already queued or running
+ */
+async function queueJob(db, type, videoId, payload = null) {
+  const jobType = JOB_TYPES[type];
+  if (!jobType) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  const id = await enqueueJob(db, { type, video_id: videoId, payload, priority: jobType.priority, max_attempts: jobType.maxAttempts });
+  fillSlots();
+  return id;
+}
+
+/**
+ * Delay before retrying a job that has failed a number of times
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(config.retryDelay * 2 ** Math.max(0, attempts - 1), config.maxRetryDelay);
+}
+
+/**
+ * Run one claimed job and record how it went
+ */
+async function runJob(db, job) {
+  const handler = handlers.get(job.type);
+  try {
+    if (!handler) {
+      throw new Error(`No handler for ${job.type} jobs`);
+    }
+    await handler(db, job);
+    await completeJob(db, job.id);
+  } catch (error) {
+    const retry = job.attempts < job.max_attempts;
+    console.error(`Job ${job.id} (${job.type}, video ${job.video_id}) failed on attempt ${job.attempts}/${job.max_attempts}:`, error.message);
+    const retryAt = retry ? new Date(Date.now() + getRetryDelay(job.attempts)).toISOString() : null;
+    await failJob(db, job.id, error.message, retryAt);
+  }
+}
+
+/**
+ * Start due jobs until every slot is busy
+ */
+function fillSlots() {
+  if (!worker) {
+    return;
+  }
+  if (worker.filling) {
+    worker.refill = true;
+    return;
+  }
+  const current = worker;
+  current.filling = true;
+  current.refill = false;
+
+  (async () => {
+    try {
+      while (worker === current && current.running.size < config.concurrency) {
+        const job = await claimNextJob(current.db);
+        if (!job) break;
+        const task = runJob(current.db, job)
+          .catch(error => console.error(`Error recording the result of job ${job.id}:`, error))
+          .finally(() => {
+            current.running.delete(task);
+            fillSlots();
+          });
+        current.running.add(task);
+      }
+    } catch (error) {
+      console.error('Error starting background jobs:', error);
+    } finally {
+      current.filling = false;
+      if (current.refill) {
+        fillSlots();
+      }
+    }
+  })();
+}
+
+/**
+ * Recover from a restart: requeue interrupted jobs, queue previews that were only ever
+ * queued in memory, and clear out old finished jobs
+ */
+async function recoverJobs(db) {
+  const interrupted = await recoverInterruptedJobs(db);
+  if (interrupted > 0) {
+    console.log(`Recovered ${interrupted} job(s) interrupted by a restart.`);
+  }
+
+  for (const videoId of await getVideosWithoutPreviewJobs(db)) {
+    await updateVideoPreview(db, videoId, null, 'pending', new Date().toISOString());
+    await enqueueJob(db, { type: 'preview', video_id: videoId, priority: JOB_TYPES.preview.priority, max_attempts: JOB_TYPES.preview.maxAttempts });
+  }
+  await failOrphanedPreviews(db);
+
+  await deleteFinishedJobs(db, new Date(Date.now() - config.keepFinishedFor).toISOString());
+}
+
+/**
+ * Start running queued jobs in the background
+ */
+function startJobWorker(db) {
+  if (worker) {
+    return;
+  }
+  worker = { db, running: new Set(), filling: false, refill: false, timer: setInterval(() => fillSlots(), config.pollInterval) };
+  worker.timer.unref();
+  fillSlots();
+}
+
+/**
+ * Stop starting jobs; resolves once the running ones have finished
+ */
+async function stopJobWorker() {
+  if (!worker) {
+    return;
+  }
+  const { timer, running } = worker;
+  clearInterval(timer);
+  worker = null;
+  await Promise.all(running);
+}
+
+module.exports = {
+  JOB_TYPES,
+  registerJobHandler,
+  queueJob,
+  getRetryDelay,
+  recoverJobs,
+  startJobWorker,
+  stopJobWorker,
+  jobConfig: config
+};
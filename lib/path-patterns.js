@@ -0,0 +1,159 @@
+const path = require('path');
+
+// Regex fragment each placeholder captures. Everything except dates stays within one folder level.
+const PLACEHOLDERS = {
+  game: '[^/]+?',
+  series: '[^/]+?',
+  player: '[^/]+?',
+  title: '[^/]+?',
+  session_date: '\\d{4}-\\d{2}-\\d{2}',
+  year: '\\d{4}',
+  month: '\\d{1,2}',
+  day: '\\d{1,2}',
+  '*': '[^/]+?'
+};
+
+// Structured fields stored on the video (title is handled separately)
+const PATH_FIELDS = ['game', 'series', 'player', 'session_date'];
+
+let cachedPatterns = null;
+let cachedPatternSource = null;
+
+/**
+ * Compile a pattern such as "{game}/{year}/{title}" into a regular expression.
+ * Patterns match the video's path relative to its library root, without the extension.
+ * @param {string} pattern - Path pattern using {placeholder} segments
+ * @returns {{pattern: string, regex: RegExp, names: string[]}}
+ */
+function compilePathPattern(pattern) {
+  const names = [];
+  const normalized = pattern.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  let source = '';
+  let lastIndex = 0;
+
+  normalized.replace(/\{([\w*]+)\}/g, (match, name, offset) => {
+    if (!PLACEHOLDERS[name]) {
+      throw new Error(`Unknown placeholder ${match} in path pattern "${pattern}"`);
+    }
+    source += escapeRegex(normalized.slice(lastIndex, offset));
+    source += `(${PLACEHOLDERS[name]})`;
+    names.push(name);
+    lastIndex = offset + match.length;
+    return match;
+  });
+  source += escapeRegex(normalized.slice(lastIndex));
+
+  return { pattern, regex: new RegExp(`^${source}$`, 'i'), names };
+}
+
+/**
+ * Escape a literal part of a pattern for use in a regular expression
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse the LIBRARY_PATH_PATTERNS setting (patterns separated by ";").
+ * Invalid patterns are logged and skipped.
+ * @param {string} value - Raw setting value
+ * @returns {Array} - Compiled patterns, in the order they are tried
+ */
+function parsePathPatterns(value) {
+  if (!value) return [];
+
+  return value.split(';')
+    .map(pattern => pattern.trim())
+    .filter(Boolean)
+    .map(pattern => {
+      try {
+        return compilePathPattern(pattern);
+      } catch (error) {
+        console.error(error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get the configured path patterns, recompiled whenever the setting changes
+ */
+function getPathPatterns() {
+  const source = process.env.LIBRARY_PATH_PATTERNS || '';
+  if (source !== cachedPatternSource) {
+    cachedPatterns = parsePathPatterns(source);
+    cachedPatternSource = source;
+  }
+  return cachedPatterns;
+}
+
+/**
+ * Get a video's path relative to the VIDEO_LIBRARY root that contains it
+ * @param {string} filePath - Absolute path to the video file
+ * @returns {string} - Relative path with "/" separators (just the file name if no root matches)
+ */
+function getLibraryRelativePath(filePath) {
+  const libraryPaths = (process.env.VIDEO_LIBRARY || '').split(',').map(p => p.trim()).filter(Boolean);
+
+  for (const libraryPath of libraryPaths) {
+    const relativePath = path.relative(path.resolve(libraryPath), path.resolve(filePath));
+    if (relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+      return relativePath.split(path.sep).join('/');
+    }
+  }
+  return path.basename(filePath);
+}
+
+/**
+ * Derive structured fields from where a video sits in the library, using the first pattern that matches.
+ * @param {string} relativePath - Path relative to the library root, e.g. "Elden Ring/2024/Run 3.mp4"
+ * @param {Array} patterns - Compiled patterns (defaults to the configured ones)
+ * @returns {{game: string|null, series: string|null, player: string|null, session_date: string|null, title: string|null}}
+ *   title is null when no matching pattern captures one
+ */
+function extractPathFields(relativePath, patterns = getPathPatterns()) {
+  const fields = { game: null, series: null, player: null, session_date: null, title: null };
+  const withoutExtension = relativePath.replace(/\\/g, '/').replace(/\.[^./]+$/, '');
+
+  for (const { regex, names } of patterns) {
+    const match = withoutExtension.match(regex);
+    if (!match) continue;
+
+    const captured = {};
+    names.forEach((name, index) => {
+      captured[name] = match[index + 1].trim();
+    });
+
+    fields.game = captured.game || null;
+    fields.series = captured.series || null;
+    fields.player = captured.player || null;
+    fields.title = captured.title || null;
+    fields.session_date = captured.session_date || buildSessionDate(captured.year, captured.month, captured.day);
+    return fields;
+  }
+
+  return fields;
+}
+
+/**
+ * Build a YYYY-MM-DD (or YYYY-MM / YYYY) date from separate path parts
+ */
+function buildSessionDate(year, month, day) {
+  if (!year) return null;
+  const parts = [year];
+  if (month) {
+    parts.push(month.padStart(2, '0'));
+    if (day) parts.push(day.padStart(2, '0'));
+  }
+  return parts.join('-');
+}
+
+module.exports = {
+  PATH_FIELDS,
+  compilePathPattern,
+  parsePathPatterns,
+  getPathPatterns,
+  getLibraryRelativePath,
+  extractPathFields
+};
@@ -338,5 +338,7 @@ module.exports = {
   previewsExist: (videoPath) => previewGenerator.previewsExist(videoPath),
   getPreviewClips: (videoPath) => previewGenerator.getPreviewClips(videoPath),
   cleanupOldPreviews: () => previewGenerator.cleanupOldPreviews(),
+  previewConfig: config,
+  PREVIEW_QUALITIES: Object.keys(qualityPresets),
   PreviewGenerator // Export class for testing
 };
@@ -3,10 +3,11 @@ const path = require('path');
 const { promisify } = require('util');
 const { getVideoDurationInSeconds } = require('get-video-duration');
 const ffmpeg = require('fluent-ffmpeg'); // Import fluent-ffmpeg
-const { generateThumbnail, thumbnailExists, getThumbnailPath } = require('./thumbnail');
-const { generatePreviewClips } = require('./preview');
+const { thumbnailExists, getThumbnailPath } = require('./thumbnail');
+const { queueJob } = require('./jobs');
+const { PATH_FIELDS, getLibraryRelativePath, extractPathFields } = require('./path-patterns');
 // Import updateVideo as well
-const { getAllVideoPaths, getVideoByPath, updateVideoThumbnail, updateVideoPreview, addVideo, deleteVideo, updateVideo } = require('../db/database');
+const { getAllVideoPaths, getVideoByPath, updateVideoPreview, addVideo, deleteVideo, updateVideo, updateVideoFileState, replaceVideoEvents, getVideoEvents, createScan, recordScanFile, finishScan, deleteOldScans } = require('../db/database');
 
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
@@ -24,21 +25,40 @@ const VIDEO_EXTENSIONS = [
   '.m4v', '.mpg', '.mpeg', '.ts', '.vob', '.ogv', '.3gp'  // Added
 ];
 
+// Scans kept in the history served by GET /api/scans
+const MAX_STORED_SCANS = 100;
+
+const config = {
+  // Directories read and files checked at the same time. Network shares answer a few
+  // requests at once much faster than the same requests one after another.
+  concurrency: Math.max(1, parseInt(process.env.SCAN_CONCURRENCY, 10) || 4)
+};
+
 // Module-level variable to track scan status
 let scanStatus = {
   status: 'idle', // idle, running, completed, failed
   message: '',
   startTime: null,
   endTime: null,
+  full: false, // Unchanged files were checked too
+  totalFiles: 0, // Video files found
+  checkedCount: 0, // Files checked so far, skipped ones included
   newCount: 0,
   updatedCount: 0,
   removedCount: 0,
+  failedCount: 0,
+  skippedCount: 0, // Unchanged since the last scan
+  scanId: null, // Row in the scans table
 };
 
 /**
- * Scan the video library directories and add videos to the database
+ * Scan the video library directories and add videos to the database.
+ * Files whose size and modification time (and those of their sidecar JSON) match the last
+ * scan are skipped unless a full scan is asked for.
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Check every file, e.g. to regenerate missing thumbnails
  */
-async function scanLibrary(db) {
+async function scanLibrary(db, { full = false } = {}) {
   if (scanStatus.status === 'running') {
     console.log('Scan is already running.');
     return; // Prevent concurrent scans
@@ -46,103 +66,92 @@ async function scanLibrary(db) {
 
   scanStatus = {
     status: 'running',
-    message: 'Starting library scan...',
+    message: full ? 'Starting full library scan...' : 'Starting library scan...',
     startTime: new Date(),
     endTime: null,
+    full,
+    totalFiles: 0,
+    checkedCount: 0,
     newCount: 0,
     updatedCount: 0,
     removedCount: 0,
+    failedCount: 0,
+    skippedCount: 0,
+    scanId: null,
   };
   console.log(scanStatus.message);
 
   const libraryPaths = process.env.VIDEO_LIBRARY.split(',').map(path => path.trim());
+  const limit = createLimiter(config.concurrency);
 
   try {
+    scanStatus.scanId = await createScan(db, full);
+
     const existingVideos = await getAllVideoPaths(db);
-    const existingPaths = new Set(existingVideos.map(v => v.path));
+    const existingByPath = new Map(existingVideos.map(v => [v.path, v]));
     const processedPaths = new Set();
-    
+    // Folders and links that couldn't be read, by path. Their videos aren't removed, since
+    // they may well still be there.
+    const unreadable = new Map();
+
     let allVideoFiles = [];
-    
+
     for (const libraryPath of libraryPaths) {
       if (!fs.existsSync(libraryPath)) {
         console.error(`Library path does not exist: ${libraryPath}`);
+        await recordScanFile(db, scanStatus.scanId, libraryPath, 'failed', 'Library path does not exist');
+        scanStatus.failedCount++;
         continue; // Skip this directory but continue with others
       }
-      
+
       console.log(`Scanning directory: ${libraryPath}`);
-      const videoFiles = await findVideoFiles(libraryPath);
+      const videoFiles = await findVideoFiles(libraryPath, limit, (failedPath, error) => {
+        console.error(`Could not read ${failedPath}:`, error.message);
+        unreadable.set(failedPath, error.message);
+      });
       console.log(`Found ${videoFiles.length} video files in ${libraryPath}`);
-      
+
       allVideoFiles = [...allVideoFiles, ...videoFiles];
     }
-    
+
+    for (const [failedPath, message] of unreadable) {
+      await recordScanFile(db, scanStatus.scanId, failedPath, 'failed', message);
+      scanStatus.failedCount++;
+    }
+
+    // A folder listed twice (or inside another library folder) yields the same files again
+    allVideoFiles = [...new Set(allVideoFiles)].sort();
+    scanStatus.totalFiles = allVideoFiles.length;
+    scanStatus.message = `Checking ${allVideoFiles.length} video files...`;
     console.log(`Found ${allVideoFiles.length} total video files across all directories`);
-    
-    // Reset counts for this run
-    scanStatus.newCount = 0;
-    scanStatus.updatedCount = 0;
-    scanStatus.removedCount = 0;
 
-    for (const filePath of allVideoFiles) {
+    await Promise.all(allVideoFiles.map(filePath => limit(async () => {
+      processedPaths.add(filePath);
       try {
-        processedPaths.add(filePath);
-
-        const existingVideo = await getVideoByPath(db, filePath);
-        const deathTimestampsJson = await getDeathTimestampsFromJson(filePath); // Get timestamps regardless
-
-        if (existingVideo) {
-          let updated = false;
-          let videoDataToUpdate = { ...existingVideo }; // Start with existing data
-
-          // Check if thumbnail needs update
-          if (!existingVideo.thumbnail_path || !thumbnailExists(filePath)) {
-            const thumbnailPath = await generateThumbnail(filePath, existingVideo.id);
-            videoDataToUpdate.thumbnail_path = thumbnailPath;
-            updated = true;
-          }
-          // Check if death timestamps need update
-          if (existingVideo.death_timestamps !== deathTimestampsJson) {
-            videoDataToUpdate.death_timestamps = deathTimestampsJson;
-            updated = true;
-          }
-
-          // Check if width/height need update (or are missing)
-          if (!existingVideo.width || !existingVideo.height) {
-            const { width, height } = await getVideoDimensions(filePath);
-            if (width && height) {
-              videoDataToUpdate.width = width;
-              videoDataToUpdate.height = height;
-              updated = true;
-            }
-          }
-
-          if (updated) {
-            await updateVideo(db, existingVideo.id, videoDataToUpdate);
-            scanStatus.updatedCount++;
-          }
-        } else {
-          // New video - processVideoFile will handle all metadata extraction
-          await processVideoFile(db, filePath);
-          scanStatus.newCount++;
-        }
+        await checkVideoFile(db, filePath, existingByPath.get(filePath), full);
       } catch (error) {
         console.error(`Error processing or checking video file ${filePath}:`, error);
+        await recordScanFile(db, scanStatus.scanId, filePath, 'failed', error.message);
+        scanStatus.failedCount++;
       }
-    }
-    
+      scanStatus.checkedCount++;
+    })));
+
+    const unreadablePaths = [...unreadable.keys()];
     for (const video of existingVideos) {
-      if (!processedPaths.has(video.path)) {
+      const insideUnreadable = unreadablePaths.some(failedPath => video.path === failedPath || video.path.startsWith(failedPath + path.sep));
+      if (!processedPaths.has(video.path) && !insideUnreadable) {
         // Video no longer exists in filesystem
         await deleteVideo(db, video.id);
+        await recordScanFile(db, scanStatus.scanId, video.path, 'removed');
         scanStatus.removedCount++;
       }
     }
 
     scanStatus.status = 'completed';
-    scanStatus.message = `Scan complete: ${scanStatus.newCount} new, ${scanStatus.updatedCount} updated, ${scanStatus.removedCount} removed.`;
+    scanStatus.message = `Scan complete: ${scanStatus.newCount} new, ${scanStatus.updatedCount} updated, ${scanStatus.removedCount} removed, ${scanStatus.failedCount} failed, ${scanStatus.skippedCount} unchanged.`;
     scanStatus.endTime = new Date();
-    console.log(scanStatus.message);
+    console.log(`${scanStatus.message} (${getFilesPerSecond(scanStatus)} files/s)`);
 
   } catch (error) {
     console.error('Error scanning library:', error);
@@ -150,28 +159,189 @@ async function scanLibrary(db) {
     scanStatus.message = `Scan failed: ${error.message}`;
     scanStatus.endTime = new Date();
   }
+
+  if (scanStatus.scanId) {
+    try {
+      await finishScan(db, scanStatus.scanId, scanStatus);
+      await deleteOldScans(db, MAX_STORED_SCANS);
+    } catch (error) {
+      console.error('Error recording the library scan:', error);
+    }
+  }
 }
 
 /**
- * Find all video files in a directory recursively
+ * Bring one video file found by a scan up to date in the database
+ * @param {Object|undefined} known - Its row from getAllVideoPaths(), if it is in the library already
+ * @param {boolean} full - Check it even if it hasn't changed
  */
-async function findVideoFiles(dir) {
-  const files = await readdir(dir);
-  const videoFiles = [];
-  
-  for (const file of files) {
-    const filePath = path.join(dir, file);
-    const stats = await stat(filePath);
-    
-    if (stats.isDirectory()) {
-      const nestedFiles = await findVideoFiles(filePath);
-      videoFiles.push(...nestedFiles);
-    } else if (isVideoFile(file)) {
-      videoFiles.push(filePath);
+async function checkVideoFile(db, filePath, known, full) {
+  const fileState = await getFileState(filePath);
+  const pathInfo = getPathInfo(filePath);
+
+  // Path patterns only change with a restart, so they're compared here rather than
+  // treating every file as changed after one
+  if (known && !full && sameFileState(known, fileState) && [...PATH_FIELDS, 'title'].every(field => known[field] === pathInfo[field])) {
+    scanStatus.skippedCount++;
+    return;
+  }
+
+  const existingVideo = await getVideoByPath(db, filePath);
+  if (!existingVideo) {
+    // New video - processVideoFile will handle all metadata extraction
+    await processVideoFile(db, filePath);
+    await recordScanFile(db, scanStatus.scanId, filePath, 'added');
+    scanStatus.newCount++;
+    return;
+  }
+
+  const sidecar = await readSidecarData(filePath);
+  let updated = false;
+  let videoDataToUpdate = { ...existingVideo }; // Start with existing data
+
+  // Check if death timestamps need update
+  if (existingVideo.death_timestamps !== sidecar.deathTimestamps) {
+    videoDataToUpdate.death_timestamps = sidecar.deathTimestamps;
+    updated = true;
+  }
+  // Check if searchable sidecar text needs update
+  if (existingVideo.search_metadata !== sidecar.searchMetadata) {
+    videoDataToUpdate.search_metadata = sidecar.searchMetadata;
+    updated = true;
+  }
+  // Re-evaluate the path patterns, they may have changed since the last scan
+  for (const field of [...PATH_FIELDS, 'title']) {
+    if (existingVideo[field] !== pathInfo[field]) {
+      videoDataToUpdate[field] = pathInfo[field];
+      updated = true;
     }
   }
-  
-  return videoFiles;
+
+  // Check if the event timeline changed
+  const storedEvents = await getVideoEvents(db, existingVideo.id);
+  const eventsChanged = !sameEvents(storedEvents, sidecar.events);
+  if (eventsChanged) {
+    await replaceVideoEvents(db, existingVideo.id, sidecar.events);
+  }
+
+  if (updated) {
+    await updateVideo(db, existingVideo.id, videoDataToUpdate);
+  }
+
+  // Queued after the update above so it can't overwrite what the jobs store.
+  // Regenerate a missing thumbnail, and re-probe technical metadata when it is
+  // missing or the file changed size.
+  if (!existingVideo.thumbnail_path || !thumbnailExists(filePath)) {
+    await queueJob(db, 'thumbnail', existingVideo.id);
+  }
+  if (!existingVideo.container || existingVideo.file_size !== fileState.file_size) {
+    await queueJob(db, 'probe', existingVideo.id);
+  }
+  await updateVideoFileState(db, existingVideo.id, fileState);
+
+  if (updated || eventsChanged) {
+    await recordScanFile(db, scanStatus.scanId, filePath, 'updated');
+    scanStatus.updatedCount++;
+  }
+}
+
+/**
+ * Size and modification times (in ms) of a video file and its sidecar JSON
+ * @returns {Promise<{file_size: number, file_mtime: number, sidecar_mtime: number|null}>}
+ */
+async function getFileState(filePath) {
+  const stats = await stat(filePath);
+  return {
+    file_size: stats.size,
+    file_mtime: Math.round(stats.mtimeMs),
+    sidecar_mtime: await getSidecarMtime(filePath)
+  };
+}
+
+/**
+ * Modification time (in ms) of a video's sidecar JSON, null if it has none
+ */
+async function getSidecarMtime(videoFilePath) {
+  try {
+    return Math.round((await stat(getSidecarPath(videoFilePath))).mtimeMs);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a file still has the size and modification times recorded by the last scan
+ */
+function sameFileState(video, fileState) {
+  return video.file_mtime !== null &&
+    video.file_size === fileState.file_size &&
+    video.file_mtime === fileState.file_mtime &&
+    video.sidecar_mtime === fileState.sidecar_mtime;
+}
+
+/**
+ * Limit how many calls run at once
+ * @param {number} concurrency - Calls allowed to run at the same time
+ * @returns {Function} - limit(fn) calls fn once a slot is free and resolves with its result
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    const { fn, resolve, reject } = waiting.shift();
+    active++;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return fn => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Find all video files in a directory recursively, reading several directories at once
+ * @param {Function} [limit] - From createLimiter(), bounds the directory reads in flight
+ * @param {Function} [onError] - Called with (path, error) for folders that can't be read and
+ *   links that can't be followed, which are then left out; without it the error is thrown
+ */
+async function findVideoFiles(dir, limit = createLimiter(config.concurrency), onError = null) {
+  let entries;
+  try {
+    entries = await limit(() => readdir(dir, { withFileTypes: true }));
+  } catch (error) {
+    if (!onError) throw error;
+    onError(dir, error);
+    return [];
+  }
+
+  const nested = await Promise.all(entries.map(async (entry) => {
+    const filePath = path.join(dir, entry.name);
+    let isDirectory = entry.isDirectory();
+    if (entry.isSymbolicLink()) {
+      // Follow symbolic links to see what they point at
+      try {
+        isDirectory = (await limit(() => stat(filePath))).isDirectory();
+      } catch (error) {
+        if (!onError) throw error;
+        onError(filePath, error);
+        return [];
+      }
+    }
+
+    if (isDirectory) {
+      return findVideoFiles(filePath, limit, onError);
+    }
+    return isVideoFile(entry.name) ? [filePath] : [];
+  }));
+
+  return nested.flat();
 }
 
 /**
@@ -187,14 +357,16 @@ function isVideoFile(filename) {
  */
 async function processVideoFile(db, filePath) {
   try {
-    const title = path.basename(filePath, path.extname(filePath));
+    const pathInfo = getPathInfo(filePath);
+    const title = pathInfo.title;
     const duration = await getVideoDurationInSeconds(filePath);
-    const { width, height } = await getVideoDimensions(filePath); // Get dimensions
+    const technical = await getVideoMetadata(filePath); // Dimensions, codecs, streams
     const stats = await stat(filePath);
     const fileDate = stats.birthtime || stats.mtime; // Use file date
+    const sidecarMtime = await getSidecarMtime(filePath);
 
-    // Get death timestamps
-    const deathTimestampsJson = await getDeathTimestampsFromJson(filePath);
+    // Get death timestamps and searchable text from the sidecar file
+    const sidecar = await readSidecarData(filePath);
 
     let thumbnailPath = null;
     if (thumbnailExists(filePath)) {
@@ -205,49 +377,34 @@ async function processVideoFile(db, filePath) {
       title,
       path: filePath,
       duration: Math.round(duration),
-      width,  // Include width
-      height, // Include height
+      ...technical,
+      file_size: stats.size,
+      file_mtime: Math.round(stats.mtimeMs),
+      sidecar_mtime: sidecarMtime,
       thumbnail_path: thumbnailPath,
       added_date: fileDate.toISOString(),
-      death_timestamps: deathTimestampsJson // Include timestamps
+      death_timestamps: sidecar.deathTimestamps, // Include timestamps
+      search_metadata: sidecar.searchMetadata,
+      game: pathInfo.game,
+      series: pathInfo.series,
+      player: pathInfo.player,
+      session_date: pathInfo.session_date
     };
 
     const videoId = await addVideo(db, video); // Add video with timestamps and dimensions
+    await replaceVideoEvents(db, videoId, sidecar.events);
 
-    // Generate thumbnail if it didn't exist
+    // Thumbnail, a second try at probing and the preview clips are generated in the background
     if (!thumbnailPath) {
-      thumbnailPath = await generateThumbnail(filePath, videoId);
-      await updateVideoThumbnail(db, videoId, thumbnailPath);
+      await queueJob(db, 'thumbnail', videoId);
+    }
+    if (!technical.container) {
+      await queueJob(db, 'probe', videoId);
+    }
+    if (process.env.ENABLE_PREVIEWS !== 'false') {
+      await updateVideoPreview(db, videoId, null, 'pending', new Date().toISOString());
+      await queueJob(db, 'preview', videoId);
     }
-
-    // Generate preview clips asynchronously (don't block processing)
-    setImmediate(async () => {
-      try {
-        if (process.env.ENABLE_PREVIEWS !== 'false') {
-          await updateVideoPreview(db, videoId, null, 'generating', new Date().toISOString());
-          console.log(`Starting preview generation for video: ${title}`);
-          
-          const previewInfo = await generatePreviewClips(filePath, videoId, Math.round(duration));
-          
-          if (previewInfo) {
-            await updateVideoPreview(
-              db, 
-              videoId, 
-              JSON.stringify(previewInfo), 
-              'completed', 
-              new Date().toISOString()
-            );
-            console.log(`Preview generation completed for video: ${title}`);
-          } else {
-            await updateVideoPreview(db, videoId, null, 'failed', new Date().toISOString());
-            console.log(`Preview generation failed for video: ${title}`);
-          }
-        }
-      } catch (error) {
-        console.error(`Error generating previews for video ${title}:`, error);
-        await updateVideoPreview(db, videoId, null, 'failed', new Date().toISOString());
-      }
-    });
 
     console.log(`Processed new video: ${title}`);
   } catch (error) {
@@ -257,10 +414,31 @@ async function processVideoFile(db, filePath) {
 }
 
 /**
- * Get the current status of the library scan
+ * Get the title and folder-derived fields for a video file.
+ * The title comes from a {title} placeholder if a pattern matched, otherwise from the file name.
+ */
+function getPathInfo(filePath) {
+  const fields = extractPathFields(getLibraryRelativePath(filePath));
+  return {
+    ...fields,
+    title: fields.title || path.basename(filePath, path.extname(filePath))
+  };
+}
+
+/**
+ * Files checked per second since the scan started (until it finished)
+ */
+function getFilesPerSecond(status) {
+  if (!status.startTime) return 0;
+  const seconds = ((status.endTime || new Date()) - status.startTime) / 1000;
+  return seconds > 0 ? Math.round((status.checkedCount / seconds) * 10) / 10 : 0;
+}
+
+/**
+ * Get the current status of the library scan, with its throughput
  */
 function getScanStatus() {
-  return scanStatus;
+  return { ...scanStatus, filesPerSecond: getFilesPerSecond(scanStatus) };
 }
 
 module.exports = {
@@ -268,7 +446,11 @@ module.exports = {
   getScanStatus, // Export the status getter
   processVideoFile, // Export for watcher use
   isVideoFile, // Export for watcher use
-  getVideoDimensions // Export for potential external use if needed
+  getVideoDimensions, // Export for potential external use if needed
+  getVideoMetadata, // Export for clip export
+  parseProbeMetadata, // Export for tests
+  extractEvents, // Export for tests
+  scanConfig: config
 };
 
 /**
@@ -277,43 +459,234 @@ module.exports = {
  * @returns {Promise<{width: number, height: number}>} - An object containing width and height.
  */
 async function getVideoDimensions(filePath) {
-  return new Promise((resolve, reject) => {
+  const { width, height } = await getVideoMetadata(filePath);
+  return { width, height };
+}
+
+/**
+ * Reads technical metadata (dimensions, container, codecs, bitrate, frame rate,
+ * audio and subtitle streams) using ffprobe.
+ * @param {string} filePath - The path to the video file.
+ * @returns {Promise<Object>} - Fields named after their videos columns; all null if probing failed.
+ */
+async function getVideoMetadata(filePath) {
+  return new Promise((resolve) => {
     ffmpeg.ffprobe(filePath, (err, metadata) => {
       if (err) {
         console.error(`Error probing video ${filePath}:`, err);
-        return resolve({ width: null, height: null }); // Resolve with nulls on error
-      }
-      const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-      if (videoStream) {
-        resolve({ width: videoStream.width, height: videoStream.height });
-      } else {
-        resolve({ width: null, height: null }); // No video stream found
+        return resolve(parseProbeMetadata(null, filePath)); // Resolve with nulls on error
       }
+      resolve(parseProbeMetadata(metadata, filePath));
     });
   });
 }
 
 /**
- * Reads the companion JSON file for a video and extracts death timestamps.
+ * Turns ffprobe output into the technical metadata stored for a video.
+ * @param {Object|null} metadata - ffprobe result ({format, streams}).
+ * @param {string} filePath - The path to the video file, used to name the container.
+ * @returns {Object} - width, height, container, video_codec, audio_codec, bitrate (bits/s),
+ *   frame_rate, audio_track_count, audio_languages (JSON array) and subtitle_tracks
+ *   (JSON array of {language, codec, title}).
+ */
+function parseProbeMetadata(metadata, filePath) {
+  const empty = {
+    width: null, height: null, container: null, video_codec: null, audio_codec: null, bitrate: null,
+    frame_rate: null, audio_track_count: null, audio_languages: null, subtitle_tracks: null
+  };
+  if (!metadata || !Array.isArray(metadata.streams)) {
+    return empty;
+  }
+
+  const format = metadata.format || {};
+  const videoStream = metadata.streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+  const audioStreams = metadata.streams.filter(s => s.codec_type === 'audio');
+  const subtitleStreams = metadata.streams.filter(s => s.codec_type === 'subtitle');
+  const bitrate = parseInt(format.bit_rate, 10);
+
+  return {
+    width: videoStream ? videoStream.width || null : null,
+    height: videoStream ? videoStream.height || null : null,
+    container: getContainerName(format.format_name, filePath),
+    video_codec: videoStream ? videoStream.codec_name || null : null,
+    audio_codec: audioStreams.length > 0 ? audioStreams[0].codec_name || null : null,
+    bitrate: Number.isFinite(bitrate) ? bitrate : null,
+    frame_rate: videoStream ? parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate) : null,
+    audio_track_count: audioStreams.length,
+    audio_languages: JSON.stringify([...new Set(audioStreams.map(getStreamLanguage).filter(Boolean))]),
+    subtitle_tracks: JSON.stringify(subtitleStreams.map(s => ({
+      language: getStreamLanguage(s),
+      codec: s.codec_name || null,
+      title: (s.tags && s.tags.title) || null
+    })))
+  };
+}
+
+/**
+ * ffprobe names formats by family (e.g. "mov,mp4,m4a,3gp,3g2,mj2"); prefer the
+ * name matching the file extension so MP4 files aren't reported as "mov".
+ */
+function getContainerName(formatName, filePath) {
+  if (!formatName) return null;
+  const names = formatName.split(',');
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return names.includes(extension) ? extension : names[0];
+}
+
+/**
+ * Parses an ffprobe rate such as "60000/1001" to frames per second (2 decimals).
+ */
+function parseFrameRate(rate) {
+  if (typeof rate !== 'string') return null;
+  const [numerator, denominator] = rate.split('/').map(Number);
+  const fps = denominator ? numerator / denominator : numerator;
+  return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 100) / 100 : null;
+}
+
+/**
+ * Language tag of a stream, ignoring ffprobe's "und" (undetermined).
+ */
+function getStreamLanguage(stream) {
+  const language = stream.tags && stream.tags.language;
+  return language && language !== 'und' ? language.toLowerCase() : null;
+}
+
+// Upper bound on the sidecar text stored for full-text search
+const MAX_SEARCH_METADATA_LENGTH = 8000;
+// Upper bound on timeline events stored per video
+const MAX_EVENTS_PER_VIDEO = 5000;
+// Fields an event's time may be stored under, in order of preference
+const EVENT_TIME_FIELDS = ['timestamp', 'time', 't'];
+// Fields used as an event's label, in order of preference
+const EVENT_LABEL_FIELDS = ['label', 'name', 'title', 'description'];
+
+/**
+ * Path of a video's companion JSON file (same name, .json extension)
+ */
+function getSidecarPath(videoFilePath) {
+  return videoFilePath.replace(/\.[^.]+$/, '.json');
+}
+
+/**
+ * Reads the companion JSON file for a video and extracts the data stored in the database.
  * @param {string} videoFilePath Path to the video file.
- * @returns {Promise<string|null>} JSON string of the timestamp array, or null if no file/data.
+ * @returns {Promise<{deathTimestamps: string|null, searchMetadata: string|null, events: Array}>}
+ *   JSON string of the death timestamp array, the searchable text (each null if no file/data)
+ *   and the timeline events.
  */
-async function getDeathTimestampsFromJson(videoFilePath) {
-  const jsonFilePath = videoFilePath.replace(/\.[^.]+$/, '.json');
+async function readSidecarData(videoFilePath) {
+  const jsonFilePath = getSidecarPath(videoFilePath);
+  const result = { deathTimestamps: null, searchMetadata: null, events: [] };
   try {
     if (fs.existsSync(jsonFilePath)) {
       const jsonDataRaw = await readFile(jsonFilePath, 'utf-8');
       const jsonData = JSON.parse(jsonDataRaw);
 
-      if (jsonData && Array.isArray(jsonData.deaths)) {
-        const timestamps = jsonData.deaths.map(death => death.timestamp).filter(ts => typeof ts === 'number');
-        if (timestamps.length > 0) {
-          return JSON.stringify(timestamps);
-        }
+      result.events = extractEvents(jsonData);
+
+      // Deaths are also kept as a plain timestamp list for older clients
+      const timestamps = result.events.filter(event => event.type === 'death').map(event => event.timestamp);
+      if (timestamps.length > 0) {
+        result.deathTimestamps = JSON.stringify(timestamps);
       }
+
+      result.searchMetadata = extractSearchText(jsonData);
     }
   } catch (error) {
     console.error(`Error reading or parsing JSON for ${videoFilePath}: ${error.message}`);
   }
-  return null; // Return null if file doesn't exist, parse error, or no valid data
+  return result;
+}
+
+/**
+ * Collects timed events from every top-level array in a parsed sidecar file.
+ * An array named "deaths" yields "death" events, "boss_pulls" yields "boss_pull", and so on;
+ * items may override that with their own "type" (as in a generic "events" array).
+ * Items need a numeric timestamp (see EVENT_TIME_FIELDS) to count as events.
+ * @param {*} jsonData Parsed JSON.
+ * @returns {Array<{type: string, timestamp: number, label: string|null, metadata: Object|null}>} Events sorted by time.
+ */
+function extractEvents(jsonData) {
+  if (!jsonData || typeof jsonData !== 'object' || Array.isArray(jsonData)) {
+    return [];
+  }
+
+  const events = [];
+  for (const [key, items] of Object.entries(jsonData)) {
+    if (!Array.isArray(items)) continue;
+    const defaultType = key === 'events' ? 'event' : normalizeEventType(singularize(key));
+
+    for (const item of items) {
+      if (!item || typeof item !== 'object') continue;
+      const timeField = EVENT_TIME_FIELDS.find(field => typeof item[field] === 'number' && item[field] >= 0);
+      if (!timeField) continue;
+
+      const labelField = EVENT_LABEL_FIELDS.find(field => typeof item[field] === 'string' && item[field].trim());
+      const metadata = { ...item };
+      delete metadata[timeField];
+      delete metadata.type;
+      if (labelField) delete metadata[labelField];
+
+      events.push({
+        type: typeof item.type === 'string' && item.type.trim() ? normalizeEventType(item.type) : defaultType,
+        timestamp: item[timeField],
+        label: labelField ? item[labelField].trim() : null,
+        metadata: Object.keys(metadata).length > 0 ? metadata : null
+      });
+    }
+  }
+
+  return events
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(0, MAX_EVENTS_PER_VIDEO);
+}
+
+/**
+ * Turns an event type or array name into a lowercase snake_case type ("Boss Pull" -> "boss_pull").
+ */
+function normalizeEventType(value) {
+  return value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'event';
+}
+
+/**
+ * Best-effort singular of an English array name ("deaths" -> "death", "bosses" -> "boss").
+ */
+function singularize(word) {
+  if (/ies$/i.test(word)) return word.slice(0, -3) + 'y';
+  if (/(s|x|ch|sh)es$/i.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Compares stored events with freshly parsed ones.
+ */
+function sameEvents(storedEvents, events) {
+  const normalize = list => JSON.stringify(list.map(({ type, timestamp, label, metadata }) => [type, timestamp, label || null, metadata || null]));
+  return normalize(storedEvents) === normalize(events);
+}
+
+/**
+ * Collects the distinct string values of a parsed sidecar file into one searchable string.
+ * @param {*} jsonData Parsed JSON.
+ * @returns {string|null} Space separated text, or null if the file has no strings.
+ */
+function extractSearchText(jsonData) {
+  const values = new Set();
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      if (trimmed) values.add(trimmed);
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(jsonData);
+
+  if (values.size === 0) {
+    return null;
+  }
+  return Array.from(values).join(' ').slice(0, MAX_SEARCH_METADATA_LENGTH);
 }
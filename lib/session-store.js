@@ -0,0 +1,59 @@
+const session = require('express-session');
+const { getSession, saveSession, touchSession, destroySession, deleteExpiredSessions } = require('../db/database');
+
+// Lifetime of sessions whose cookie has no expiry
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * express-session store keeping sessions in the sessions table, so they survive restarts
+ * and can be ended per user (see destroyUserSessions in db/database.js).
+ */
+class SqliteSessionStore extends session.Store {
+  /**
+   * @param {Function} getDb - Returns the database; called per operation since it opens after the middleware is set up
+   */
+  constructor(getDb) {
+    super();
+    this.getDb = getDb;
+  }
+
+  // Expiry in milliseconds since the epoch, from the session cookie
+  getExpiry(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL;
+  }
+
+  get(sid, callback) {
+    getSession(this.getDb(), sid)
+      .then(data => callback(null, data ? JSON.parse(data) : null))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    saveSession(this.getDb(), sid, sess.userId || null, JSON.stringify(sess), this.getExpiry(sess))
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    touchSession(this.getDb(), sid, this.getExpiry(sess))
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    destroySession(this.getDb(), sid)
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  /**
+   * Delete expired sessions
+   * @returns {Promise<number>} - Number of sessions deleted
+   */
+  prune() {
+    return deleteExpiredSessions(this.getDb());
+  }
+}
+
+module.exports = SqliteSessionStore;
@@ -0,0 +1,260 @@
+const { getSettings, saveSettings, deleteSettings } = require('../db/database');
+const videoCache = require('./cache');
+const cdnManager = require('./cdn');
+const { previewConfig, PREVIEW_QUALITIES } = require('./preview');
+const { thumbnailConfig } = require('./thumbnail');
+
+// Settings that can be changed at runtime, by section. Each value comes from the first of:
+// an override stored in the settings table, its .env variable, or its default.
+// Field options: type (integer, number, boolean, enum, list or string), min/max, values
+// (enum and list), env and fromEnv (to convert the .env value), secret (never shown).
+const SECTIONS = {
+  cache: {
+    apply: values => videoCache.updateConfig(values),
+    fields: {
+      // Bytes here; CACHE_MAX_SIZE is in MB
+      maxCacheSize: { type: 'integer', min: 1024 * 1024, max: 1024 * 1024 * 1024 * 1024, default: 500 * 1024 * 1024, env: 'CACHE_MAX_SIZE', fromEnv: value => value * 1024 * 1024 },
+      stdTTL: { type: 'integer', min: 1, max: 7 * 24 * 60 * 60, default: 3600, env: 'CACHE_TTL' },
+      checkperiod: { type: 'integer', min: 0, max: 24 * 60 * 60, default: 600 },
+      popularityThreshold: { type: 'integer', min: 0, max: 1000000, default: 0, env: 'CACHE_POPULARITY_THRESHOLD' },
+      maxSegmentsPerVideo: { type: 'integer', min: 0, max: 1000, default: 3, env: 'CACHE_MAX_SEGMENTS_PER_VIDEO' },
+      enableStats: { type: 'boolean', default: true }
+    }
+  },
+  cdn: {
+    apply: values => cdnManager.updateConfig(values),
+    fields: {
+      enabled: { type: 'boolean', default: false, env: 'CDN_ENABLED' },
+      provider: { type: 'enum', values: ['custom', 'cloudflare', 'bunny', 'keycdn'], default: 'custom', env: 'CDN_PROVIDER' },
+      baseUrl: { type: 'string', pattern: /^(https?:\/\/\S+)?$/, default: '', env: 'CDN_BASE_URL' },
+      token: { type: 'string', default: '', env: 'CDN_TOKEN', secret: true },
+      region: { type: 'string', pattern: /^[a-z0-9-]+$/i, default: 'auto', env: 'CDN_REGION' },
+      pathPrefix: { type: 'string', pattern: /^[^\s?#]*$/, default: '', env: 'BASE_PATH', fromEnv: value => value.replace(/^\//, '') },
+      contentTypes: { type: 'list', values: ['video', 'thumbnail', 'preview'], default: ['video', 'thumbnail'] },
+      cacheTtl: { type: 'integer', min: 0, max: 365 * 24 * 60 * 60, default: 86400 },
+      signedUrls: { type: 'boolean', default: false, env: 'CDN_SIGNED_URLS' },
+      signedUrlsSecret: { type: 'string', default: '', env: 'CDN_SIGNED_URLS_SECRET', secret: true },
+      signedUrlsExpiration: { type: 'integer', min: 60, max: 7 * 24 * 60 * 60, default: 3600 }
+    }
+  },
+  preview: {
+    apply: values => Object.assign(previewConfig, values),
+    // Clips are cut from the start of the video, so it must be longer than one clip
+    validate: values => (values.minVideoDuration <= values.previewDuration ? 'minVideoDuration must be longer than previewDuration' : null),
+    fields: {
+      previewDuration: { type: 'integer', min: 1, max: 60, default: 10, env: 'PREVIEW_DURATION' },
+      previewQuality: { type: 'enum', values: PREVIEW_QUALITIES, default: 'high', env: 'PREVIEW_QUALITY' },
+      minVideoDuration: { type: 'integer', min: 2, max: 24 * 60 * 60, default: 11 },
+      cleanupDays: { type: 'integer', min: 1, max: 3650, default: 30 }
+    }
+  },
+  thumbnail: {
+    apply: values => Object.assign(thumbnailConfig, values),
+    fields: {
+      // Seconds into the video the thumbnail is taken at
+      time: { type: 'number', min: 0, max: 24 * 60 * 60, default: 5, env: 'THUMBNAIL_TIME' }
+    }
+  }
+};
+
+// Longest string setting we accept
+const MAX_STRING_LENGTH = 500;
+
+// Stored overrides by key ("<section>.<name>"): { value, updated_at, updated_by }
+let overrides = {};
+
+// .env variables already reported as invalid
+const invalidEnv = new Set();
+
+/**
+ * Check a value for a setting
+ * @returns {{value: *}|{error: string}}
+ */
+function parseSettingValue(name, field, value) {
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value)) || value < field.min || value > field.max) {
+        return { error: `${name} must be ${field.type === 'integer' ? 'a whole number' : 'a number'} between ${field.min} and ${field.max}` };
+      }
+      return { value };
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: `${name} must be true or false` };
+    case 'enum':
+      return field.values.includes(value) ? { value } : { error: `${name} must be one of: ${field.values.join(', ')}` };
+    case 'list':
+      if (!Array.isArray(value) || !value.every(item => field.values.includes(item))) {
+        return { error: `${name} must be a list of: ${field.values.join(', ')}` };
+      }
+      return { value: [...new Set(value)] };
+    default:
+      if (typeof value !== 'string' || value.length > MAX_STRING_LENGTH || (field.pattern && !field.pattern.test(value))) {
+        return { error: `${name} is not valid` };
+      }
+      return { value };
+  }
+}
+
+// A setting's .env value, converted to its type; undefined if unset or invalid
+function getEnvValue(name, field) {
+  const raw = field.env && process.env[field.env];
+  if (raw === undefined || raw === '') {
+    return undefined;
+  }
+  let value = raw;
+  if (field.type === 'integer' || field.type === 'number') {
+    value = Number(raw);
+  } else if (field.type === 'boolean') {
+    value = raw === 'true';
+  }
+  if (field.fromEnv) {
+    value = field.fromEnv(value);
+  }
+  const parsed = parseSettingValue(name, field, value);
+  if (parsed.error) {
+    if (!invalidEnv.has(field.env)) {
+      invalidEnv.add(field.env);
+      console.warn(`Ignoring ${field.env}: ${parsed.error}. Using the default.`);
+    }
+    return undefined;
+  }
+  return parsed.value;
+}
+
+// Effective values of a section with where each came from
+function resolveSection(sectionName) {
+  const resolved = {};
+  for (const [name, field] of Object.entries(SECTIONS[sectionName].fields)) {
+    const override = overrides[`${sectionName}.${name}`];
+    const envValue = getEnvValue(name, field);
+    if (override) {
+      resolved[name] = { value: override.value, source: 'database', updated_at: override.updated_at };
+    } else if (envValue !== undefined) {
+      resolved[name] = { value: envValue, source: 'env' };
+    } else {
+      resolved[name] = { value: field.default, source: 'default' };
+    }
+    if (field.env) {
+      resolved[name].env = field.env;
+    }
+  }
+  return resolved;
+}
+
+function valuesOf(resolved) {
+  return Object.fromEntries(Object.entries(resolved).map(([name, setting]) => [name, setting.value]));
+}
+
+/**
+ * Apply the effective settings of every section to the modules that use them.
+ * Called at startup with only .env values, and again by loadSettings() once the database is open.
+ */
+function applySettings() {
+  for (const [sectionName, section] of Object.entries(SECTIONS)) {
+    section.apply(valuesOf(resolveSection(sectionName)));
+  }
+}
+
+/**
+ * Read the stored overrides and apply them on top of the .env values
+ */
+async function loadSettings(db) {
+  overrides = {};
+  for (const row of await getSettings(db)) {
+    const [sectionName, name] = row.key.split('.');
+    const field = Object.hasOwn(SECTIONS, sectionName) && Object.hasOwn(SECTIONS[sectionName].fields, name) && SECTIONS[sectionName].fields[name];
+    if (!field || parseSettingValue(name, field, row.value).error) {
+      console.warn(`Ignoring stored setting ${row.key}: it is unknown or no longer valid.`);
+      continue;
+    }
+    overrides[row.key] = row;
+  }
+  applySettings();
+}
+
+/**
+ * Effective settings with the source of each value (default, env or database).
+ * Secrets only say whether they are set.
+ * @param {string} [sectionName] - One section, or all of them
+ */
+function getEffectiveSettings(sectionName = null) {
+  const sectionNames = sectionName ? [sectionName] : Object.keys(SECTIONS);
+  const result = {};
+  for (const name of sectionNames) {
+    const resolved = resolveSection(name);
+    for (const [fieldName, field] of Object.entries(SECTIONS[name].fields)) {
+      if (field.secret) {
+        resolved[fieldName].is_set = resolved[fieldName].value !== '';
+        resolved[fieldName].value = null;
+        resolved[fieldName].secret = true;
+      }
+    }
+    result[name] = resolved;
+  }
+  return sectionName ? result[sectionName] : result;
+}
+
+/**
+ * Check changes to a section's settings. A null value removes the override.
+ * @param {Object} changes - New values by setting name
+ * @returns {{values: Object, resets: string[]}|{error: string}}
+ */
+function validateSettings(sectionName, changes) {
+  const section = SECTIONS[sectionName];
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { error: 'Send an object of settings' };
+  }
+
+  const values = {};
+  const resets = [];
+  for (const [name, value] of Object.entries(changes)) {
+    const field = Object.hasOwn(section.fields, name) && section.fields[name];
+    if (!field) {
+      return { error: `Unknown ${sectionName} setting: ${name}. Known settings: ${Object.keys(section.fields).join(', ')}` };
+    }
+    if (value === null) {
+      resets.push(name);
+      continue;
+    }
+    const parsed = parseSettingValue(name, field, value);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    values[name] = parsed.value;
+  }
+
+  if (section.validate) {
+    const current = valuesOf(resolveSection(sectionName));
+    for (const name of resets) {
+      const field = section.fields[name];
+      const envValue = getEnvValue(name, field);
+      current[name] = envValue !== undefined ? envValue : field.default;
+    }
+    const error = section.validate({ ...current, ...values });
+    if (error) {
+      return { error };
+    }
+  }
+  return { values, resets };
+}
+
+/**
+ * Store validated changes to a section and apply them right away
+ * @param {Object} changes - From validateSettings()
+ * @param {number|null} userId - Admin making the change
+ */
+async function updateSettings(db, sectionName, { values, resets }, userId = null) {
+  const prefixed = Object.fromEntries(Object.entries(values).map(([name, value]) => [`${sectionName}.${name}`, value]));
+  await saveSettings(db, prefixed, userId);
+  await deleteSettings(db, resets.map(name => `${sectionName}.${name}`));
+  await loadSettings(db);
+}
+
+module.exports = {
+  SETTINGS_SECTIONS: SECTIONS,
+  applySettings,
+  loadSettings,
+  getEffectiveSettings,
+  validateSettings,
+  updateSettings
+};
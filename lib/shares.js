@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { getShareById, recordShareView } = require('../db/database');
+
+const config = {
+  // On a view-limited share, each counted view (opening the watch page) allows streaming for this long
+  viewWindow: 6 * 60 * 60 * 1000,
+  // Longest expiry a share can be created with, in seconds
+  maxExpiresIn: 365 * 24 * 60 * 60,
+  // Shortest password a share can be protected with
+  minPasswordLength: 4,
+  // How long entering a share's password keeps it unlocked in that browser
+  unlockDuration: 2 * 60 * 60 * 1000,
+  // Wrong passwords allowed per share and IP address within unlockAttemptWindow
+  maxUnlockAttempts: 5,
+  unlockAttemptWindow: 15 * 60 * 1000
+};
+
+// Why a token was refused, shown to whoever opened the link
+const SHARE_ERRORS = {
+  invalid: 'This share link is not valid.',
+  revoked: 'This share link has been revoked.',
+  expired: 'This share link has expired.',
+  used_up: 'This share link has no views left.',
+  not_opened: 'Open the share link to start watching.',
+  locked: 'This share link needs a password.'
+};
+
+// Failed unlock attempts, keyed by share ID and IP address: { count, firstAt }
+const unlockFailures = new Map();
+
+let secret = process.env.SHARE_TOKEN_SECRET || process.env.SESSION_SECRET;
+if (!secret) {
+  console.warn('SHARE_TOKEN_SECRET is not set. Using a random secret, so share links stop working when the server restarts.');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * HMAC over a share's id, video and nonce
+ * @param {Object} share - Share row
+ * @returns {string} - base64url signature
+ */
+function signShare(share) {
+  return crypto.createHmac('sha256', secret).update(`${share.id}:${share.video_id}:${share.nonce}`).digest('base64url');
+}
+
+/**
+ * Token for a share link: "<share id>.<signature>"
+ * @param {Object} share - Share row
+ * @returns {string}
+ */
+function createShareToken(share) {
+  return `${share.id}.${signShare(share)}`;
+}
+
+/**
+ * Split a token into share ID and signature
+ * @returns {{id: number, signature: string}|null} - null if the token is malformed
+ */
+function parseShareToken(token) {
+  const match = /^(\d{1,15})\.([A-Za-z0-9_-]{43})$/.exec(typeof token === 'string' ? token : '');
+  return match ? { id: parseInt(match[1], 10), signature: match[2] } : null;
+}
+
+/**
+ * Name of the cookie that holds a share's unlock
+ */
+function getUnlockCookieName(share) {
+  return `share_unlock_${share.id}`;
+}
+
+/**
+ * Value for a share's unlock cookie: "<expiry ms>.<signature>", signed over the share's nonce
+ * @param {Object} share - Share row
+ * @param {number} expiresAt - When the unlock ends, in milliseconds since the epoch
+ * @returns {string}
+ */
+function createUnlockValue(share, expiresAt = Date.now() + config.unlockDuration) {
+  const signature = crypto.createHmac('sha256', secret).update(`unlock:${share.id}:${share.nonce}:${expiresAt}`).digest('base64url');
+  return `${expiresAt}.${signature}`;
+}
+
+/**
+ * Whether the request's cookies hold a current unlock for a share
+ * @param {Object} share - Share row
+ * @param {Object} cookies - Parsed request cookies
+ */
+function isShareUnlocked(share, cookies) {
+  const value = cookies && cookies[getUnlockCookieName(share)];
+  const match = /^(\d{1,15})\.[A-Za-z0-9_-]{43}$/.exec(typeof value === 'string' ? value : '');
+  if (!match || parseInt(match[1], 10) <= Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(createUnlockValue(share, parseInt(match[1], 10)));
+  const actual = Buffer.from(value);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Whether unlocking is blocked after too many wrong passwords
+ * @param {string} key - Share ID and IP address
+ */
+function isUnlockRateLimited(key) {
+  const failures = unlockFailures.get(key);
+  if (failures && Date.now() - failures.firstAt > config.unlockAttemptWindow) {
+    unlockFailures.delete(key);
+    return false;
+  }
+  return !!failures && failures.count >= config.maxUnlockAttempts;
+}
+
+/**
+ * Record a wrong password (or clear the record after a right one)
+ * @param {string} key - Share ID and IP address
+ * @param {boolean} succeeded - Whether the password was right
+ */
+function recordUnlockAttempt(key, succeeded) {
+  if (succeeded) {
+    unlockFailures.delete(key);
+    return;
+  }
+  // Forget failures whose window has passed, so guessing from many addresses doesn't grow the map forever
+  const now = Date.now();
+  for (const [otherKey, other] of unlockFailures) {
+    if (now - other.firstAt > config.unlockAttemptWindow) {
+      unlockFailures.delete(otherKey);
+    }
+  }
+
+  const failures = unlockFailures.get(key);
+  if (failures) {
+    failures.count++;
+  } else {
+    unlockFailures.set(key, { count: 1, firstAt: now });
+  }
+}
+
+// Number of share and IP address pairs with wrong passwords on record
+function countUnlockFailures() {
+  return unlockFailures.size;
+}
+
+/**
+ * Referrer to record for a share view: only the page's origin and path, since query
+ * strings can hold other sites' tokens
+ * @param {string} value - document.referrer of the visitor
+ * @returns {string|null} - null when missing or not an http(s) URL
+ */
+function normalizeReferrer(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+  return `${url.origin}${url.pathname}`.slice(0, 500);
+}
+
+/**
+ * Current state of a share
+ * @returns {'active'|'revoked'|'expired'|'used_up'}
+ */
+function getShareState(share, now = Date.now()) {
+  if (share.revoked_at) return 'revoked';
+  if (share.expires_at && Date.parse(share.expires_at) <= now) return 'expired';
+  if (share.max_views != null && share.view_count >= share.max_views) return 'used_up';
+  return 'active';
+}
+
+/**
+ * Check a share token for a video.
+ * Opening the watch page counts a view (countView); streaming does not, but on a
+ * view-limited share it only works within config.viewWindow of the last counted view.
+ * Password-protected shares also need an unlock cookie, checked before any view is counted.
+ * @param {string} token - Token from the link
+ * @param {number|string} videoId - Video being accessed; tokens only work for their own video
+ * @param {Object} options
+ * @param {boolean} options.countView - Count this request as a view
+ * @param {Object} options.cookies - Request cookies, for the unlock of a password-protected share
+ * @returns {Promise<{share: Object}|{error: string, share?: Object}>} - error is a key of SHARE_ERRORS;
+ *   a "locked" error comes with the share
+ */
+async function resolveShareToken(db, token, videoId, { countView = false, cookies = {} } = {}) {
+  const parsed = parseShareToken(token);
+  const share = parsed && await getShareById(db, parsed.id);
+  if (!share || String(share.video_id) !== String(videoId)) {
+    return { error: 'invalid' };
+  }
+
+  const expected = Buffer.from(signShare(share));
+  const actual = Buffer.from(parsed.signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'invalid' };
+  }
+
+  const state = getShareState(share);
+  if (state === 'revoked' || state === 'expired') {
+    return { error: state };
+  }
+  if (share.password_hash && !isShareUnlocked(share, cookies)) {
+    return { error: 'locked', share };
+  }
+
+  if (countView) {
+    if (!(await recordShareView(db, share.id))) {
+      return { error: 'used_up' };
+    }
+    return { share: { ...share, view_count: share.view_count + 1, last_viewed_at: new Date().toISOString() } };
+  }
+
+  if (share.max_views != null) {
+    const lastViewed = share.last_viewed_at ? Date.parse(share.last_viewed_at) : 0;
+    if (Date.now() - lastViewed > config.viewWindow) {
+      return { error: state === 'used_up' ? 'used_up' : 'not_opened' };
+    }
+  }
+  return { share };
+}
+
+module.exports = {
+  SHARE_ERRORS,
+  createShareToken,
+  parseShareToken,
+  getShareState,
+  resolveShareToken,
+  getUnlockCookieName,
+  createUnlockValue,
+  isShareUnlocked,
+  isUnlockRateLimited,
+  recordUnlockAttempt,
+  countUnlockFailures,
+  normalizeReferrer,
+  shareConfig: config
+};
@@ -0,0 +1,207 @@
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Check if ffmpeg is available
+let ffmpegAvailable = true;
+try {
+  ffmpeg.setFfmpegPath(require('ffmpeg-static'));
+} catch (error) {
+  console.warn('FFmpeg not available. MKV/TS streams will be served without remuxing.');
+  ffmpegAvailable = false;
+}
+
+// MIME type for each container we scan (see VIDEO_EXTENSIONS in scanner.js)
+const CONTAINER_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.mpg': 'video/mpeg',
+  '.mpeg': 'video/mpeg',
+  '.vob': 'video/mpeg',
+  '.ts': 'video/mp2t',
+  '.3gp': 'video/3gpp'
+};
+
+// Containers browsers can play straight from disk
+const BROWSER_CONTAINERS = ['.mp4', '.m4v', '.mov', '.webm', '.ogv'];
+// Codecs that can be copied into an MP4 the browser will play
+const REMUX_VIDEO_CODECS = ['h264'];
+const REMUX_AUDIO_CODECS = ['aac', 'mp3'];
+
+// Probe results keyed by path and modification time, so a replaced file is probed again
+const probeCache = new Map();
+const PROBE_CACHE_SIZE = 500;
+
+/**
+ * MIME type for a video file based on its extension
+ * @param {string} filePath - Path to the video file
+ * @returns {string}
+ */
+function getContentType(filePath) {
+  return CONTAINER_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Read the codecs of a file's first video and audio streams with ffprobe
+ * @param {string} filePath - Path to the video file
+ * @param {number} mtimeMs - File modification time, used as the cache key
+ * @returns {Promise<{videoCodec: string|null, audioCodec: string|null}|null>} - null if probing failed
+ */
+function probeCodecs(filePath, mtimeMs) {
+  const cacheKey = `${filePath}:${mtimeMs}`;
+  if (probeCache.has(cacheKey)) {
+    return Promise.resolve(probeCache.get(cacheKey));
+  }
+
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        console.warn(`Could not probe codecs of ${filePath}: ${err.message}`);
+        return resolve(null);
+      }
+      const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+      const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+      const codecs = {
+        videoCodec: videoStream ? videoStream.codec_name : null,
+        audioCodec: audioStream ? audioStream.codec_name : null
+      };
+
+      if (probeCache.size >= PROBE_CACHE_SIZE) {
+        probeCache.delete(probeCache.keys().next().value);
+      }
+      probeCache.set(cacheKey, codecs);
+      resolve(codecs);
+    });
+  });
+}
+
+/**
+ * Decide how to stream a file: as-is, or remuxed to fragmented MP4 when the container
+ * isn't playable in browsers but the codecs are. Anything else is sent as-is with its
+ * real MIME type (the HLS stream covers those).
+ * @param {string} filePath - Path to the video file
+ * @param {Object|null} codecs - Result of probeCodecs()
+ * @returns {{mode: 'direct'|'remux', contentType: string, audio?: 'copy'|'aac'}}
+ */
+function chooseStreamMode(filePath, codecs) {
+  const extension = path.extname(filePath).toLowerCase();
+  const direct = { mode: 'direct', contentType: getContentType(filePath) };
+
+  if (BROWSER_CONTAINERS.includes(extension)) {
+    return direct;
+  }
+  return getRemuxPlan(codecs) || direct;
+}
+
+// Plan for remuxing to MP4, or null if the video would have to be re-encoded
+function getRemuxPlan(codecs) {
+  if (!codecs || !REMUX_VIDEO_CODECS.includes(codecs.videoCodec)) {
+    return null;
+  }
+  // Audio that MP4 can't carry for browsers is converted to AAC, which is cheap next to video
+  const audio = !codecs.audioCodec || REMUX_AUDIO_CODECS.includes(codecs.audioCodec) ? 'copy' : 'aac';
+  return { mode: 'remux', contentType: 'video/mp4', audio };
+}
+
+/**
+ * Work out how a video should be streamed
+ * @param {string} filePath - Path to the video file
+ * @param {fs.Stats} stat - File stats
+ * @returns {Promise<Object>} - See chooseStreamMode()
+ */
+async function getStreamPlan(filePath, stat) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!ffmpegAvailable || BROWSER_CONTAINERS.includes(extension)) {
+    return chooseStreamMode(filePath, null);
+  }
+  return chooseStreamMode(filePath, await probeCodecs(filePath, stat.mtimeMs));
+}
+
+/**
+ * Work out how to stream only part of a video, whatever its container or codecs. The part is
+ * re-encoded to MP4: a stream copy would have to start at the keyframe before it, sending
+ * footage from outside the part.
+ * @returns {Object|null} - Transcode plan, or null without ffmpeg
+ */
+function getRangePlan() {
+  if (!ffmpegAvailable) {
+    return null;
+  }
+  return { mode: 'transcode', contentType: 'video/mp4' };
+}
+
+/**
+ * Remux a video to fragmented MP4 (or re-encode it, for a transcode plan) and pipe it to the
+ * response. The output has no known length, so it is sent without range support; ffmpeg stops
+ * when the client disconnects.
+ * @param {string} filePath - Path to the video file
+ * @param {Object} plan - Remux plan from getStreamPlan(), or transcode plan from getRangePlan()
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {{start: number, end: number}} [range] - Only send this part, in seconds; the output's
+ *   time 0 is start. Needs a transcode plan to be exact.
+ */
+function streamRemuxed(filePath, plan, req, res, range = null) {
+  let clientGone = false;
+
+  const command = ffmpeg(filePath);
+  if (range) {
+    command.seekInput(range.start).duration(range.end - range.start);
+  }
+  const codecOptions = plan.mode === 'transcode'
+    ? [
+      '-c:v libx264',
+      '-preset veryfast',
+      '-crf 20',
+      '-pix_fmt yuv420p',
+      // Regular keyframes, so fragments (and playback) start without waiting long
+      '-force_key_frames expr:gte(t,n_forced*2)'
+    ]
+    : ['-c:v copy'];
+  command
+    .outputOptions([
+      '-map 0:v:0',
+      '-map 0:a:0?',
+      ...codecOptions,
+      ...(plan.audio === 'copy' ? ['-c:a copy'] : ['-c:a aac', '-b:a 160k', '-ac 2']),
+      '-movflags frag_keyframe+empty_moov+default_base_moof',
+      '-f mp4'
+    ])
+    .on('error', (err) => {
+      if (clientGone) return;
+      console.error(`Error remuxing ${filePath}:`, err.message);
+      if (!res.headersSent) {
+        // Drop the video headers set below so the error goes out as JSON
+        res.removeHeader('Content-Type');
+        res.removeHeader('Accept-Ranges');
+        res.status(500).json({ error: 'Failed to stream video' });
+      } else {
+        res.destroy();
+      }
+    });
+
+  req.on('close', () => {
+    if (res.writableFinished) return;
+    clientGone = true;
+    command.kill('SIGKILL');
+  });
+
+  // Headers go out with the first remuxed bytes, so an early ffmpeg failure can still answer 500
+  res.setHeader('Content-Type', plan.contentType);
+  res.setHeader('Accept-Ranges', 'none');
+  command.pipe(res, { end: true });
+}
+
+module.exports = {
+  getContentType,
+  chooseStreamMode,
+  getStreamPlan,
+  getRangePlan,
+  streamRemuxed
+};
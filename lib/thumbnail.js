@@ -12,6 +12,11 @@ try {
   ffmpegAvailable = false;
 }
 
+// Runtime settings (see lib/settings.js)
+const config = {
+  time: 5 // Seconds into the video to take the thumbnail at
+};
+
 /**
  * Generate a hash from a video path to use as a persistent identifier
  * @param {string} videoPath - Path to the video file
@@ -29,9 +34,9 @@ function generateVideoHash(videoPath) {
  */
 async function generateThumbnail(videoPath, videoId) {
   return new Promise((resolve, reject) => {
-    const thumbnailTime = process.env.THUMBNAIL_TIME || 5;
+    const thumbnailTime = config.time;
     
-  const thumbnailDir = process.env.THUMBNAIL_CACHE_DIR || path.join(__dirname, '..', 'public', 'thumbnails');
+  const thumbnailDir = getThumbnailDir();
   if (!fs.existsSync(thumbnailDir)) {
     fs.mkdirSync(thumbnailDir, { recursive: true });
   }
@@ -86,13 +91,21 @@ async function generateThumbnail(videoPath, videoId) {
   });
 }
 
+/**
+ * Directory thumbnails are written to
+ * @returns {string}
+ */
+function getThumbnailDir() {
+  return process.env.THUMBNAIL_CACHE_DIR || path.join(__dirname, '..', 'public', 'thumbnails');
+}
+
 /**
  * Check if a thumbnail exists for a video
  * @param {string} videoPath - Path to the video file
  * @returns {boolean} - True if thumbnail exists, false otherwise
  */
 function thumbnailExists(videoPath) {
-  const thumbnailDir = process.env.THUMBNAIL_CACHE_DIR || path.join(__dirname, '..', 'public', 'thumbnails');
+  const thumbnailDir = getThumbnailDir();
   const videoHash = generateVideoHash(videoPath);
   const thumbnailPath = path.join(thumbnailDir, `${videoHash}.jpg`);
   return fs.existsSync(thumbnailPath);
@@ -112,5 +125,7 @@ module.exports = {
   generateThumbnail,
   thumbnailExists,
   getThumbnailPath,
-  generateVideoHash
+  getThumbnailDir,
+  generateVideoHash,
+  thumbnailConfig: config
 };
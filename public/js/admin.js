@@ -0,0 +1,297 @@
+// Admin dashboard: library totals, scans and their history, jobs, cache, CDN, failed previews and disk usage
+document.addEventListener('DOMContentLoaded', async () => {
+  const { showToast, escapeHTML, formatFileSize, addUtilStyles, getVODsName } = window.VideoUtils;
+
+  addUtilStyles();
+
+  const vodsName = await getVODsName();
+  document.title = `Admin - ${vodsName}`;
+  document.getElementById('app-title').textContent = `${vodsName} admin`;
+
+  // How often the dashboard reloads while the tab is visible
+  const REFRESH_INTERVAL = 15000;
+
+  // Fetch JSON from an admin endpoint, throwing with the server's error message
+  async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '-';
+  }
+
+  function formatSeconds(ms) {
+    return ms === null ? '-' : `${(ms / 1000).toFixed(1)} s`;
+  }
+
+  function formatHours(seconds) {
+    return `${(seconds / 3600).toFixed(1)} h`;
+  }
+
+  // Fill a <dl> with [label, value] pairs
+  function renderStats(id, rows) {
+    document.getElementById(id).innerHTML = rows
+      .map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`)
+      .join('');
+  }
+
+  function renderError(id, error) {
+    document.getElementById(id).innerHTML = `<dt>Error</dt><dd>${escapeHTML(error.message)}</dd>`;
+  }
+
+  async function loadOverview() {
+    try {
+      const { library, disk } = await fetchJson('/api/admin/overview');
+      const previewStatuses = Object.entries(library.previews)
+        .map(([status, count]) => `${count} ${status}`)
+        .join(', ');
+      renderStats('admin-library', [
+        ['Videos', library.videos],
+        ['Total duration', formatHours(library.total_duration)],
+        ['Total size', formatFileSize(library.total_size)],
+        ['Without thumbnail', library.without_thumbnail],
+        ['Previews', previewStatuses || '-']
+      ]);
+      renderStats('admin-disk', [
+        ['Thumbnails', disk.thumbnails.exists ? `${formatFileSize(disk.thumbnails.bytes)} in ${disk.thumbnails.files} files` : 'Not created yet'],
+        ['Previews', disk.previews.exists ? `${formatFileSize(disk.previews.bytes)} in ${disk.previews.files} files` : 'Not created yet'],
+        ['Highlight reels', disk.highlights.exists ? `${formatFileSize(disk.highlights.bytes)} in ${disk.highlights.files} files` : 'Not created yet']
+      ]);
+    } catch (error) {
+      renderError('admin-library', error);
+      renderError('admin-disk', error);
+    }
+  }
+
+  async function loadScan() {
+    try {
+      const scan = await fetchJson('/api/scan/status');
+      renderStats('admin-scan', [
+        ['Status', scan.full ? `${scan.status} (full)` : scan.status],
+        ['Result', scan.message || '-'],
+        ['Checked', `${scan.checkedCount} of ${scan.totalFiles} files, ${scan.skippedCount} unchanged`],
+        ['Speed', `${scan.filesPerSecond} files/s`],
+        ['Started', formatDate(scan.startTime)],
+        ['Finished', formatDate(scan.endTime)]
+      ]);
+      document.getElementById('admin-scan-btn').disabled = scan.status === 'running';
+      document.getElementById('admin-full-scan-btn').disabled = scan.status === 'running';
+    } catch (error) {
+      renderError('admin-scan', error);
+    }
+  }
+
+  async function loadCache() {
+    try {
+      const stats = await fetchJson('/api/cache/stats');
+      renderStats('admin-cache', [
+        ['Hit rate', `${stats.hitRate.toFixed(1)}%`],
+        ['Hits / misses', `${stats.hits} / ${stats.misses}`],
+        ['Size', `${stats.sizeInMB} MB`],
+        ['Cached segments', stats.keys]
+      ]);
+    } catch (error) {
+      renderError('admin-cache', error);
+    }
+  }
+
+  async function loadCdn() {
+    try {
+      // Tokens and signing secrets are left out on purpose
+      const cdn = await fetchJson('/api/cdn/config');
+      renderStats('admin-cdn', [
+        ['Enabled', cdn.enabled ? 'Yes' : 'No'],
+        ['Provider', cdn.provider],
+        ['Base URL', cdn.baseUrl || '-'],
+        ['Path prefix', cdn.pathPrefix || '-'],
+        ['Content types', cdn.contentTypes.join(', ')],
+        ['Cache TTL', `${cdn.cacheTtl} s`],
+        ['Signed URLs', cdn.signedUrls ? `Yes, valid for ${cdn.signedUrlsExpiration} s` : 'No']
+      ]);
+    } catch (error) {
+      renderError('admin-cdn', error);
+    }
+  }
+
+  // Where a setting's value comes from, e.g. "CACHE_TTL in .env"
+  function describeSource(setting) {
+    if (setting.source === 'database') return `Changed ${formatDate(setting.updated_at)}`;
+    if (setting.source === 'env') return `${setting.env} in .env`;
+    return 'Default';
+  }
+
+  function describeValue(setting) {
+    if (setting.secret) return setting.is_set ? '(set)' : '(not set)';
+    return Array.isArray(setting.value) ? setting.value.join(', ') : String(setting.value);
+  }
+
+  async function loadSettings() {
+    const tbody = document.getElementById('admin-settings');
+    try {
+      const sections = await fetchJson('/api/settings');
+      tbody.innerHTML = Object.entries(sections).flatMap(([section, settings]) =>
+        Object.entries(settings).map(([name, setting]) => `
+          <tr>
+            <td>${escapeHTML(`${section}.${name}`)}</td>
+            <td>${escapeHTML(describeValue(setting))}</td>
+            <td class="admin-source-${escapeHTML(setting.source)}">${escapeHTML(describeSource(setting))}</td>
+          </tr>`)
+      ).join('');
+    } catch (error) {
+      tbody.innerHTML = `<tr><td colspan="3" class="admin-empty">${escapeHTML(error.message)}</td></tr>`;
+    }
+  }
+
+  async function loadJobs() {
+    const tbody = document.getElementById('admin-jobs');
+    try {
+      const { counts, jobs } = await fetchJson('/api/jobs?limit=25');
+      renderStats('admin-job-counts', Object.entries(counts));
+      tbody.innerHTML = jobs.length === 0
+        ? '<tr><td colspan="6" class="admin-empty">No jobs</td></tr>'
+        : jobs.map(job => `
+          <tr>
+            <td>${escapeHTML(job.type)}</td>
+            <td>${job.video_id ? `<a href="/watch/${job.video_id}">${escapeHTML(job.video_title || `#${job.video_id}`)}</a>` : '-'}</td>
+            <td><span class="admin-status admin-status-${escapeHTML(job.status)}">${escapeHTML(job.status)}</span></td>
+            <td>${job.attempts}/${job.max_attempts}</td>
+            <td>${escapeHTML(formatDate(job.updated_at))}</td>
+            <td class="admin-error">${escapeHTML(job.error || '')}</td>
+          </tr>`).join('');
+    } catch (error) {
+      tbody.innerHTML = `<tr><td colspan="6" class="admin-empty">${escapeHTML(error.message)}</td></tr>`;
+    }
+  }
+
+  // Scans listed in the history table
+  const SCAN_HISTORY_LIMIT = 10;
+
+  async function loadScanHistory() {
+    const tbody = document.getElementById('admin-scans');
+    try {
+      const scans = await fetchJson(`/api/scans?limit=${SCAN_HISTORY_LIMIT}`);
+      tbody.innerHTML = scans.length === 0
+        ? '<tr><td colspan="9" class="admin-empty">No scans yet</td></tr>'
+        : scans.map(scan => `
+          <tr>
+            <td>${escapeHTML(formatDate(scan.started_at))}${scan.full ? ' (full)' : ''}</td>
+            <td><span class="admin-status admin-status-${escapeHTML(scan.status)}">${escapeHTML(scan.status)}</span></td>
+            <td>${escapeHTML(formatSeconds(scan.duration_ms))}</td>
+            <td>${scan.new_count}</td>
+            <td>${scan.updated_count}</td>
+            <td>${scan.removed_count}</td>
+            <td${scan.failed_count > 0 ? ' class="admin-error"' : ''}>${scan.failed_count}</td>
+            <td>${scan.skipped_count}</td>
+            <td><button class="popover-link-btn" data-scan-files="${scan.id}">Files</button></td>
+          </tr>`).join('');
+    } catch (error) {
+      tbody.innerHTML = `<tr><td colspan="9" class="admin-empty">${escapeHTML(error.message)}</td></tr>`;
+    }
+  }
+
+  async function showScanFiles(scanId) {
+    const container = document.getElementById('admin-scan-files');
+    const tbody = document.getElementById('admin-scan-files-list');
+    try {
+      const scan = await fetchJson(`/api/scans/${scanId}`);
+      document.getElementById('admin-scan-files-title').textContent = `Files in the scan of ${formatDate(scan.started_at)}`;
+      tbody.innerHTML = scan.files.length === 0
+        ? '<tr><td colspan="3" class="admin-empty">No files were added, updated, removed or failed</td></tr>'
+        : scan.files.map(file => `
+          <tr>
+            <td>${escapeHTML(file.path)}</td>
+            <td><span class="admin-status admin-status-${escapeHTML(file.action)}">${escapeHTML(file.action)}</span></td>
+            <td class="admin-error">${escapeHTML(file.error || '')}</td>
+          </tr>`).join('');
+      container.hidden = false;
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+
+  async function loadFailedPreviews() {
+    const tbody = document.getElementById('admin-failed-previews');
+    try {
+      const { videos, totalCount } = await fetchJson('/api/videos?preview=failed&sort=title_asc&limit=50');
+      document.getElementById('admin-failed-count').textContent = totalCount > 0 ? `(${totalCount})` : '';
+      tbody.innerHTML = videos.length === 0
+        ? '<tr><td colspan="3" class="admin-empty">No failed previews</td></tr>'
+        : videos.map(video => `
+          <tr>
+            <td><a href="/watch/${video.id}">${escapeHTML(video.title)}</a></td>
+            <td>${escapeHTML(formatDate(video.preview_generation_date))}</td>
+            <td><button class="popover-link-btn" data-retry-preview="${video.id}">Retry</button></td>
+          </tr>`).join('');
+    } catch (error) {
+      tbody.innerHTML = `<tr><td colspan="3" class="admin-empty">${escapeHTML(error.message)}</td></tr>`;
+    }
+  }
+
+  async function loadDashboard() {
+    await Promise.all([loadOverview(), loadScan(), loadCache(), loadCdn(), loadJobs(), loadScanHistory(), loadSettings(), loadFailedPreviews()]);
+    document.getElementById('admin-updated').textContent = `Updated ${new Date().toLocaleTimeString()}`;
+  }
+
+  document.getElementById('admin-refresh-btn').addEventListener('click', loadDashboard);
+
+  async function startScan(full) {
+    try {
+      await fetchJson('/api/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ full })
+      });
+      showToast(full ? 'Full library scan initiated.' : 'Library scan initiated.');
+      await loadScan();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+
+  document.getElementById('admin-scan-btn').addEventListener('click', () => startScan(false));
+  document.getElementById('admin-full-scan-btn').addEventListener('click', () => startScan(true));
+
+  document.getElementById('admin-scans').addEventListener('click', (event) => {
+    const button = event.target.closest('[data-scan-files]');
+    if (button) {
+      showScanFiles(button.dataset.scanFiles);
+    }
+  });
+
+  document.getElementById('admin-cache-clear-btn').addEventListener('click', async () => {
+    try {
+      await fetchJson('/api/cache/clear', { method: 'POST' });
+      showToast('Cache cleared.');
+      await loadCache();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+
+  document.getElementById('admin-failed-previews').addEventListener('click', async (event) => {
+    const button = event.target.closest('[data-retry-preview]');
+    if (!button) return;
+    button.disabled = true;
+    try {
+      await fetchJson(`/api/videos/${button.dataset.retryPreview}/preview/retry`, { method: 'POST' });
+      showToast('Preview generation queued.');
+      await Promise.all([loadFailedPreviews(), loadJobs()]);
+    } catch (error) {
+      showToast(error.message, 'error');
+      button.disabled = false;
+    }
+  });
+
+  setInterval(() => {
+    if (!document.hidden) {
+      loadDashboard();
+    }
+  }, REFRESH_INTERVAL);
+
+  await loadDashboard();
+});
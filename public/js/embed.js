@@ -0,0 +1,91 @@
+// Embedded player (/embed/:id): just Plyr, for iframes on other sites.
+// Supports ?t= (start time in seconds), ?autoplay=1 and ?share= (share link token).
+document.addEventListener('DOMContentLoaded', async () => {
+  const { isHlsEnabled, attachVideoSource, openSharedVideo, trackShareActivity } = window.VideoUtils;
+
+  const videoElement = document.getElementById('embed-player');
+  const message = document.getElementById('embed-message');
+  const videoId = window.location.pathname.split('/').filter(Boolean).pop();
+  const urlParams = new URLSearchParams(window.location.search);
+  const shareToken = urlParams.get('share');
+  const autoplay = ['1', 'true'].includes(urlParams.get('autoplay'));
+  const startTime = parseInt(urlParams.get('t'), 10);
+
+  function showMessage(text) {
+    videoElement.hidden = true;
+    message.textContent = text;
+    message.hidden = false;
+  }
+
+  /**
+   * Video details, through the share link when there is one (which counts a view)
+   * @returns {Promise<{video: Object, share: Object|null}>}
+   */
+  async function loadVideoDetails() {
+    if (shareToken) {
+      return openSharedVideo(videoId, shareToken);
+    }
+    const response = await fetch(`/api/videos/${videoId}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'This video is not available.');
+    }
+    return { video: data, share: null };
+  }
+
+  let details;
+  try {
+    details = await loadVideoDetails();
+  } catch (error) {
+    showMessage(error.message);
+    return;
+  }
+  const { video, share } = details;
+  // The server only streams a shared range, so the player's time 0 is where the range starts
+  const offset = share && share.start_time != null ? share.start_time : 0;
+  const range = share && share.start_time != null ? { start: 0, end: share.end_time - share.start_time } : null;
+  document.title = video.title;
+
+  // Share visitors always get the direct stream (see the watch page)
+  attachVideoSource(videoElement, videoId, !shareToken && await isHlsEnabled(), shareToken);
+  // Browsers only autoplay muted video
+  videoElement.muted = autoplay;
+
+  const player = new Plyr(videoElement, {
+    controls: ['play-large', 'play', 'progress', 'current-time', 'mute', 'volume', 'settings', 'pip', 'fullscreen'],
+    settings: ['speed'],
+    autoplay,
+    muted: autoplay,
+    keyboard: { focused: true, global: false },
+    tooltips: { controls: true, seek: true }
+  });
+
+  if (share) {
+    trackShareActivity(player, videoId, shareToken, share.view_id);
+  }
+
+  player.on('ready', () => {
+    let time = Number.isNaN(startTime) ? 0 : startTime - offset;
+    if (range) {
+      time = Math.min(Math.max(time, range.start), range.end - 1);
+    }
+    if (time > 0) {
+      // Seeking right away is ignored before the player is ready to seek
+      setTimeout(() => {
+        player.currentTime = time;
+      }, 100);
+    }
+  });
+
+  // Shared ranges play only inside the range
+  if (range) {
+    player.on('timeupdate', () => {
+      if (player.currentTime >= range.end) {
+        player.pause();
+        player.currentTime = range.end;
+      } else if (player.currentTime < range.start - 1) {
+        player.currentTime = range.start;
+      }
+    });
+  }
+});
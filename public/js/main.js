@@ -1,6 +1,6 @@
 document.addEventListener('DOMContentLoaded', async () => {
   // Load utility functions
-  const { showToast, getPlaceholderThumbnail, addUtilStyles, getVODsName, isFavorite, getFavorites } = window.VideoUtils;
+  const { showToast, getCurrentUser, createShareLink, getPlaceholderThumbnail, escapeHTML, addUtilStyles, getVODsName, loadFavorites, isFavorite, toggleFavorite, getWatchProgress, trackWatchProgress, getVideoEvents, displayEventMarkers, renderEventFilter, createEventNavigator } = window.VideoUtils;
   
   // Add utility styles
   addUtilStyles();
@@ -22,18 +22,40 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.warn('Failed to initialize video preloader:', error);
   }
   
+  // Load favorites from the server (imports old localStorage favorites once)
+  await loadFavorites();
+  
   // Get the dynamic VODs name and update page elements
   const vodsName = await getVODsName();
   document.title = vodsName;
   document.getElementById('app-title').textContent = vodsName;
   document.getElementById('footer-text').textContent = `© ${vodsName} - A simple VOD sharing system`;
+
+  // Show who is logged in; library scans and the admin dashboard are admin-only
+  const { authEnabled, user: currentUser } = await getCurrentUser();
+  if (authEnabled && currentUser) {
+    document.getElementById('user-name').textContent = `${currentUser.username} (${currentUser.role})`;
+    document.getElementById('user-menu').hidden = false;
+    if (currentUser.role !== 'admin') {
+      document.getElementById('refresh-btn').hidden = true;
+    } else {
+      document.getElementById('admin-link').hidden = false;
+    }
+  }
   
   // DOM Elements
   const videosGrid = document.getElementById('videos-grid');
   const refreshBtn = document.getElementById('refresh-btn');
   const sortSelect = document.getElementById('sort-select');
+  const listFiltersForm = document.getElementById('list-filters');
+  const listFiltersBtn = document.getElementById('list-filters-btn');
   const searchInput = document.getElementById('search-input');
   const favoritesToggle = document.getElementById('favorites-toggle');
+  const tagFilter = document.getElementById('tag-filter');
+  const collectionsList = document.getElementById('collections-list');
+  const videosHeading = document.getElementById('videos-heading');
+  const continueWatchingSection = document.getElementById('continue-watching');
+  const continueWatchingRow = document.getElementById('continue-watching-row');
   const scanStatusElement = document.getElementById('scan-status'); // Get scan status element
   const loadingIndicator = document.createElement('div'); // Create loading indicator dynamically
   loadingIndicator.className = 'loading';
@@ -47,6 +69,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   let searchTimeout = null;
   let isLoading = false;
   let showOnlyFavorites = false;
+  let activeTags = new Set(); // Tag names the list is filtered by (all must match)
+  let activeCollection = null; // Collection ({ id, name }) the list is filtered by
+  let listFilters = {}; // Query params from the filters panel (duration, date added, resolution, ...)
+  let randomSeed = null; // Seed returned by the API for the "random" sort, kept while paging
+  let nextCursor = null; // Position after the last loaded video, from the API; null when everything is loaded
+  let allTags = []; // Tags with video counts, from /api/tags
+  let allCollections = []; // Collections with video counts, from /api/collections
   let currentPage = 1;
   let totalPages = 1;
   let limit = 20; // Default limit, will be updated from API response - Reduced batch size for better scrolling performance
@@ -62,6 +91,17 @@ document.addEventListener('DOMContentLoaded', async () => {
   let overlayCurrentVideoId = null; // Current video ID in overlay
   let overlayVideoMetadata = null; // Current video metadata
   let overlayBaseShareUrl = null; // Base share URL for current video
+  let stopOverlayWatchTracking = null; // Stops reporting playback position for the overlay player
+  let overlayEvents = []; // Timeline events of the video in the overlay
+  let overlayTags = []; // Tags on the video in the overlay
+  let overlayCollections = []; // Collections the video in the overlay belongs to
+  
+  // Event list and previous/next navigation for the overlay player
+  const overlayEventNavigator = createEventNavigator(document.getElementById('overlay-event-panel'), {
+    getPlayer: () => overlayPlyrPlayer,
+    getEvents: () => overlayEvents,
+    isActive: () => document.getElementById('video-overlay').classList.contains('visible')
+  });
 
   /**
    * Debounce function
@@ -103,13 +143,33 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (!append) {
         videosGrid.innerHTML = ''; // Clear grid only if not appending (i.e., page 1 or new search/sort)
         allVideos = []; // Reset the local video cache
+        nextCursor = null;
     }
 
     try {
       let url = `/api/videos?page=${page}&limit=${limit}&sort=${sortBy}`; // Include sort
+      // Continue from the last loaded video so additions/removals don't shift the list mid-scroll
+      if (append && nextCursor) {
+        url += `&cursor=${encodeURIComponent(nextCursor)}`;
+      }
       if (searchQuery) {
         url += `&search=${encodeURIComponent(searchQuery)}`;
       }
+      if (showOnlyFavorites) {
+        url += '&favorites=true';
+      }
+      activeTags.forEach(tag => {
+        url += `&tag=${encodeURIComponent(tag)}`;
+      });
+      if (activeCollection) {
+        url += `&collection=${activeCollection.id}`;
+      }
+      Object.entries(listFilters).forEach(([name, value]) => {
+        url += `&${name}=${encodeURIComponent(value)}`;
+      });
+      if (sortBy === 'random' && randomSeed) {
+        url += `&seed=${randomSeed}`;
+      }
       
       const response = await fetch(url, { signal }); // Pass the signal
       
@@ -118,6 +178,7 @@ document.addEventListener('DOMContentLoaded', async () => {
              if (!append) videosGrid.innerHTML = '<div class="loading">No videos found matching your search.</div>';
              totalPages = 0;
              totalVideos = 0;
+             nextCursor = null;
              return; // Exit early
         }
         throw new Error(`Failed to fetch videos (status: ${response.status})`);
@@ -126,6 +187,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       const data = await response.json();
       
       // Update state from response
+      if (data.seed) randomSeed = data.seed;
+      nextCursor = data.nextCursor || null;
       limit = data.limit;
       totalVideos = data.totalCount;
       totalPages = Math.ceil(totalVideos / limit);
@@ -154,11 +217,73 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  /**
+   * Load the "Continue watching" row (videos started but not finished)
+   */
+  async function loadContinueWatching() {
+    try {
+      const response = await fetch('/api/continue-watching?limit=12');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch continue watching list (status: ${response.status})`);
+      }
+      const data = await response.json();
+
+      continueWatchingRow.innerHTML = '';
+      data.videos.forEach((video, index) => {
+        continueWatchingRow.appendChild(createVideoCardElement(video, index));
+      });
+      continueWatchingSection.hidden = data.videos.length === 0;
+    } catch (error) {
+      console.error('Error loading continue watching list:', error);
+      continueWatchingSection.hidden = true;
+    }
+  }
+
+  /**
+   * Build the progress bar shown on a card's thumbnail for partly watched videos
+   * @param {Object} video - Video object with watch_position / watch_completed
+   * @returns {string} - HTML for the progress bar, or an empty string
+   */
+  function getWatchProgressHTML(video) {
+    if (!video.duration || (!video.watch_position && !video.watch_completed)) return '';
+    const percent = video.watch_completed ? 100 : Math.min(100, (video.watch_position / video.duration) * 100);
+    return `<div class="watch-progress"><div class="watch-progress-bar" style="width: ${percent.toFixed(1)}%"></div></div>`;
+  }
+
+  /**
+   * Update the progress bars of every card showing a video
+   * @param {string} videoId - The ID of the video
+   * @param {number} position - Playback position in seconds
+   * @param {number} duration - Video duration in seconds
+   */
+  function updateCardWatchProgress(videoId, position, duration) {
+    const cached = allVideos.find(v => v.id.toString() === videoId);
+    document.querySelectorAll(`.video-card[data-id="${videoId}"] .thumbnail-container`).forEach(container => {
+      const existing = container.querySelector('.watch-progress');
+      if (existing) existing.remove();
+      const progressHTML = getWatchProgressHTML({ duration, watch_position: position });
+      if (progressHTML) container.insertAdjacentHTML('beforeend', progressHTML);
+    });
+    if (cached) {
+      cached.watch_position = position;
+    }
+  }
+
   /**
    * Handle search input with debouncing
    */
   function handleSearchInput(event) {
+    const previousQuery = searchQuery;
     searchQuery = event.target.value.trim();
+
+    // Order by best match while searching, and go back to the default once cleared
+    if (searchQuery && !previousQuery && sortBy === 'date_added_desc') {
+      sortBy = 'relevance';
+      sortSelect.value = sortBy;
+    } else if (!searchQuery && sortBy === 'relevance') {
+      sortBy = 'date_added_desc';
+      sortSelect.value = sortBy;
+    }
     
     const searchIcon = document.querySelector('.search-icon');
     if (searchIcon) searchIcon.classList.add('searching');
@@ -279,15 +404,189 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   /**
-   * Handle favorites toggle change
-   * NOTE: This currently filters only the *loaded* videos.
-   * For full filtering, backend changes would be needed.
+   * Load all tags and render them as filter chips
+   */
+  async function loadTags() {
+    try {
+      const response = await fetch('/api/tags');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch tags (status: ${response.status})`);
+      }
+      const data = await response.json();
+      allTags = data.tags;
+    } catch (error) {
+      console.error('Error loading tags:', error);
+      allTags = [];
+    }
+
+    // Drop filters for tags that no longer exist
+    const tagNames = new Set(allTags.map(tag => tag.name.toLowerCase()));
+    activeTags = new Set([...activeTags].filter(tag => tagNames.has(tag.toLowerCase())));
+
+    renderTagFilter();
+    updateTagSuggestions();
+  }
+
+  /**
+   * Render the tag filter chips above the grid
+   */
+  function renderTagFilter() {
+    tagFilter.innerHTML = allTags.map(tag => `
+      <button class="tag-chip ${activeTags.has(tag.name) ? 'active' : ''}" data-tag="${escapeHTML(tag.name)}" ${getTagColorStyle(tag)}>
+        ${escapeHTML(tag.name)} <span class="tag-chip-count">${tag.video_count}</span>
+      </button>
+    `).join('');
+    tagFilter.hidden = allTags.length === 0;
+  }
+
+  /**
+   * Inline style giving a tag chip the tag's own color
+   * @param {Object} tag - Tag with an optional #rrggbb color
+   * @returns {string} - style attribute, or an empty string
+   */
+  function getTagColorStyle(tag) {
+    return tag.color ? `style="--tag-color: ${escapeHTML(tag.color)}"` : '';
+  }
+
+  /**
+   * Build the tag chips shown on a video card
+   * @param {Array} tags - Tags on the video
+   * @returns {string} - HTML for the chips, or an empty string
+   */
+  function getVideoTagsHTML(tags) {
+    if (!tags || tags.length === 0) return '';
+    return `<div class="video-tags">${tags.map(tag => `<span class="tag-chip" ${getTagColorStyle(tag)}>${escapeHTML(tag.name)}</span>`).join('')}</div>`;
+  }
+
+  /**
+   * Handle clicks on the tag filter chips
+   */
+  function handleTagFilterClick(event) {
+    const chip = event.target.closest('.tag-chip');
+    if (!chip) return;
+
+    const tagName = chip.dataset.tag;
+    if (activeTags.has(tagName)) {
+      activeTags.delete(tagName);
+    } else {
+      activeTags.add(tagName);
+    }
+    chip.classList.toggle('active', activeTags.has(tagName));
+    currentPage = 1; // Reset to first page
+    loadVideos(currentPage, false);
+  }
+
+  /**
+   * Load all collections and render the sidebar
+   */
+  async function loadCollections() {
+    try {
+      const response = await fetch('/api/collections');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch collections (status: ${response.status})`);
+      }
+      const data = await response.json();
+      allCollections = data.collections;
+    } catch (error) {
+      console.error('Error loading collections:', error);
+      allCollections = [];
+    }
+    renderCollections();
+  }
+
+  /**
+   * Render the collections sidebar ("All videos" plus one entry per collection)
+   */
+  function renderCollections() {
+    const items = allCollections.map(collection => `
+      <li class="collection-item ${activeCollection && activeCollection.id === collection.id ? 'active' : ''}" data-collection-id="${collection.id}">
+        <span class="collection-name" title="${escapeHTML(collection.description || collection.name)}">${escapeHTML(collection.name)}</span>
+        <span class="collection-count">${collection.video_count}</span>
+        <button class="collection-delete-btn" title="Delete collection" aria-label="Delete collection ${escapeHTML(collection.name)}">&times;</button>
+      </li>
+    `);
+    collectionsList.innerHTML = `
+      <li class="collection-item ${activeCollection ? '' : 'active'}" data-collection-id="">
+        <span class="collection-name">All videos</span>
+      </li>
+      ${items.join('')}
+    `;
+    videosHeading.textContent = activeCollection ? activeCollection.name : 'Videos';
+  }
+
+  /**
+   * Handle clicks in the collections sidebar (select or delete a collection)
+   */
+  async function handleCollectionsClick(event) {
+    const item = event.target.closest('.collection-item');
+    if (!item) return;
+
+    const collectionId = parseInt(item.dataset.collectionId, 10) || null;
+    const collection = allCollections.find(c => c.id === collectionId) || null;
+
+    if (event.target.closest('.collection-delete-btn')) {
+      if (!collection || !confirm(`Delete the collection "${collection.name}"? The videos in it are kept.`)) return;
+      try {
+        const response = await fetch(`/api/collections/${collection.id}`, { method: 'DELETE' });
+        if (!response.ok) {
+          throw new Error(`Failed to delete collection (status: ${response.status})`);
+        }
+        showToast(`Deleted collection "${collection.name}"`);
+      } catch (error) {
+        console.error('Error deleting collection:', error);
+        showToast('Failed to delete collection.', 'error');
+        return;
+      }
+      if (activeCollection && activeCollection.id === collection.id) {
+        activeCollection = null;
+        currentPage = 1;
+        loadVideos(currentPage, false);
+      }
+      loadCollections();
+      return;
+    }
+
+    activeCollection = collection ? { id: collection.id, name: collection.name } : null;
+    renderCollections();
+    currentPage = 1; // Reset to first page
+    loadVideos(currentPage, false);
+  }
+
+  /**
+   * Ask for a name and create a new collection
+   */
+  async function handleNewCollection() {
+    const name = prompt('Name of the new collection:');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await fetch('/api/collections', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+      });
+      if (response.status === 409) {
+        showToast('A collection with that name already exists.', 'error');
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to create collection (status: ${response.status})`);
+      }
+      showToast(`Created collection "${name.trim()}"`);
+      loadCollections();
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      showToast('Failed to create collection.', 'error');
+    }
+  }
+
+  /**
+   * Handle favorites toggle change (filtering happens server-side)
    */
   function handleFavoritesToggle(event) {
     showOnlyFavorites = event.target.checked;
-    // Re-render based on the currently loaded 'allVideos' array
-    videosGrid.innerHTML = ''; // Clear grid before re-rendering filtered list
-    renderVideos(allVideos, false); // Render the filtered subset of loaded videos
+    currentPage = 1; // Reset to first page
+    loadVideos(currentPage, false); // Fetch page 1 of the filtered list, don't append
   }
 
   /**
@@ -334,15 +633,25 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
       // --- End Outcome Indicator Logic ---
 
+      // Search results come with HTML-escaped highlights from the server
+      const titleHTML = video.search_title || video.title;
+      const snippetHTML = video.search_snippet && video.search_snippet !== video.search_title
+          ? `<div class="search-snippet">${video.search_snippet}</div>`
+          : '';
+
       videoCard.innerHTML = `
         <a href="/watch/${video.id}" rel="noopener noreferrer" class="video-card-link">
             <div class="thumbnail-container">
               <img class="thumbnail" src="${video.thumbnail_path || getPlaceholderThumbnail()}" alt="${video.title}" loading="lazy">
               <div class="duration-badge">${durationFormatted}</div>
+              ${video.clip_id ? '<div class="clip-badge">Clip</div>' : ''}
               ${outcomeIndicatorHTML} {/* Add outcome indicator */}
+              ${getWatchProgressHTML(video)}
             </div>
             <div class="video-info">
-              <div class="video-title">${video.title}</div>
+              <div class="video-title">${titleHTML}</div>
+              ${snippetHTML}
+              ${getVideoTagsHTML(video.tags)}
             </div>
         </a>
         <span class="favorite-indicator-grid ${isFavorited ? 'favorited' : ''}" data-video-id="${video.id}"></span>
@@ -353,15 +662,28 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Its click listener still needs to stop propagation to prevent the <a> tag from navigating.
       const favoriteIndicator = videoCard.querySelector('.favorite-indicator-grid');
       if (favoriteIndicator) {
-          favoriteIndicator.addEventListener('click', (event) => {
+          favoriteIndicator.addEventListener('click', async (event) => {
               event.stopPropagation(); // Prevent card link navigation
-              const videoId = event.target.dataset.videoId;
-              const isNowFavorited = VideoUtils.toggleFavorite(videoId);
-              event.target.classList.toggle('favorited', isNowFavorited);
-              // Optional: Update the allVideos cache if needed for filtering consistency
+              const indicator = event.currentTarget;
+              const videoId = indicator.dataset.videoId;
+              let isNowFavorited;
+              try {
+                  isNowFavorited = await toggleFavorite(videoId);
+              } catch (error) {
+                  console.error('Error toggling favorite:', error);
+                  showToast('Failed to update favorites.', 'error');
+                  return;
+              }
+              indicator.classList.toggle('favorited', isNowFavorited);
+              // Keep the allVideos cache consistent with the server
               const videoIndex = allVideos.findIndex(v => v.id.toString() === videoId);
               if (videoIndex > -1) {
-                  allVideos[videoIndex].is_favorite = isNowFavorited ? 1 : 0; 
+                  allVideos[videoIndex].is_favorite = isNowFavorited;
+              }
+              // A card that is no longer a favorite doesn't belong in the favorites view
+              if (showOnlyFavorites && !isNowFavorited) {
+                  videoCard.remove();
+                  totalVideos--;
               }
               showToast(isNowFavorited ? 'Added to favorites' : 'Removed from favorites');
           });
@@ -416,15 +738,9 @@ document.addEventListener('DOMContentLoaded', async () => {
    * @param {boolean} append - Whether to append to the grid or replace its content
    */
   function renderVideos(videosToRender, append = false) {
-    let displayedVideos = videosToRender;
-    
-    // Apply favorite filtering *only* to the videos being rendered in this batch
-    if (showOnlyFavorites) {
-      const favoriteIds = VideoUtils.getFavorites(); // Use VideoUtils explicitly
-      displayedVideos = videosToRender.filter(video => favoriteIds.includes(video.id.toString()));
-    }
+    const displayedVideos = videosToRender;
 
-    // If appending, check if the filtered list for this batch is empty
+    // If appending, check if this batch is empty
     if (append && displayedVideos.length === 0) {
         // Don't show "no videos" message if just appending an empty filtered batch
         setupPreloading(); // Still need to potentially setup preloading for existing items
@@ -433,7 +749,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // If not appending (page 1 / new search / sort) and filtered list is empty
     if (!append && displayedVideos.length === 0) {
-      if (showOnlyFavorites) {
+      if (activeCollection || activeTags.size > 0) {
+        videosGrid.innerHTML = '<div class="loading">No videos match the selected collection or tags.</div>';
+      } else if (showOnlyFavorites) {
         videosGrid.innerHTML = '<div class="loading">No favorite videos found. Add videos to your favorites while watching them.</div>';
       } else if (searchQuery) {
          videosGrid.innerHTML = '<div class="loading">No videos found matching your search.</div>';
@@ -531,10 +849,44 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function handleSortChange(event) {
     sortBy = event.target.value;
+    randomSeed = null; // Picking "Random" again reshuffles
     currentPage = 1; // Reset to first page
     loadVideos(currentPage, false); // Fetch page 1 with new sort, don't append
   }
 
+  /**
+   * Read the filters panel into query params; durations are entered in minutes
+   */
+  function readListFilters() {
+    const filters = {};
+    new FormData(listFiltersForm).forEach((value, name) => {
+      if (value === '') return;
+      filters[name] = name.startsWith('duration_') ? Math.round(Number(value) * 60) : value;
+    });
+    return filters;
+  }
+
+  /**
+   * Apply the filters panel to the list
+   */
+  function handleListFiltersChange() {
+    listFilters = readListFilters();
+    const count = Object.keys(listFilters).length;
+    const countBadge = document.getElementById('list-filters-count');
+    countBadge.textContent = count;
+    countBadge.hidden = count === 0;
+    currentPage = 1; // Reset to first page
+    loadVideos(currentPage, false);
+  }
+
+  /**
+   * Show or hide the filters panel
+   */
+  function toggleListFilters(show = listFiltersForm.hidden) {
+    listFiltersForm.hidden = !show;
+    listFiltersBtn.setAttribute('aria-expanded', String(show));
+  }
+
   /**
    * Resets the refresh button to its default state
    */
@@ -615,7 +967,7 @@ document.addEventListener('DOMContentLoaded', async () => {
    * Infinite Scroll Handler - Optimized for responsiveness
    */
   const handleInfiniteScroll = debounce(() => {
-    if (isLoading || currentPage >= totalPages) {
+    if (isLoading || !nextCursor) {
       return; // Don't load if already loading or no more pages
     }
 
@@ -896,6 +1248,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Update favorite button state
       updateOverlayFavoriteButton(videoId);
       
+      // Load tags and collections (not from the metadata cache, they change often)
+      loadOverlayOrganizer(videoId);
+      
       // Focus on close button for accessibility
       setTimeout(() => {
         document.querySelector('.video-overlay-close').focus();
@@ -929,6 +1284,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     overlay.setAttribute('aria-hidden', 'true');
     document.body.classList.remove('overlay-open');
     
+    // Save the final position before the player goes away
+    if (stopOverlayWatchTracking) {
+      stopOverlayWatchTracking();
+      stopOverlayWatchTracking = null;
+      if (overlayPlyrPlayer && overlayCurrentVideoId) {
+        updateCardWatchProgress(overlayCurrentVideoId, overlayPlyrPlayer.currentTime, overlayPlyrPlayer.duration || overlayVideoMetadata.duration);
+      }
+      // Give the save request a moment before refreshing the row
+      setTimeout(loadContinueWatching, 300);
+    }
+    
     // Clean up Plyr player
     if (overlayPlyrPlayer) {
       try {
@@ -970,6 +1336,10 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function initializeOverlayPlayer(video) {
     // Destroy existing player
+    if (stopOverlayWatchTracking) {
+      stopOverlayWatchTracking();
+      stopOverlayWatchTracking = null;
+    }
     if (overlayPlyrPlayer) {
       try {
         overlayPlyrPlayer.destroy();
@@ -1004,6 +1374,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     };
     
     overlayPlyrPlayer = new Plyr(overlayVideo, options);
+    stopOverlayWatchTracking = trackWatchProgress(overlayPlyrPlayer, video.id.toString());
     
     overlayPlyrPlayer.on('ready', () => {
       console.log('Overlay Plyr player ready');
@@ -1011,7 +1382,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Check for timestamp parameter in URL
       const urlParams = new URLSearchParams(window.location.search);
       const startTime = urlParams.get('t');
-      if (startTime) {
+      if (!startTime) {
+        // No explicit timestamp, pick up where we left off
+        resumeOverlayFromWatchHistory(video.id.toString());
+      } else {
         const timeInSeconds = parseInt(startTime, 10);
         if (!isNaN(timeInSeconds) && timeInSeconds > 0) {
           setTimeout(() => {
@@ -1025,19 +1399,19 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     });
     
-    // Handle metadata loaded for death markers
-    overlayPlyrPlayer.on('loadedmetadata', () => {
-      if (video.death_timestamps && overlayPlyrPlayer.duration) {
-        try {
-          const deathTimestamps = JSON.parse(video.death_timestamps);
-          if (Array.isArray(deathTimestamps)) {
-            displayOverlayDeathMarkers(deathTimestamps, overlayPlyrPlayer.duration);
-          }
-        } catch (error) {
-          console.error('Error parsing death timestamps:', error);
-        }
-      }
+    // Load timeline events and draw them once the duration is known
+    overlayEvents = [];
+    const overlayEventFilter = document.getElementById('overlay-event-filter');
+    renderEventFilter(overlayEventFilter, overlayEvents, drawOverlayEventMarkers);
+    overlayEventNavigator.refresh();
+    getVideoEvents(video.id, video.death_timestamps).then(events => {
+      if (overlayCurrentVideoId !== video.id.toString()) return; // Overlay moved on meanwhile
+      overlayEvents = events;
+      renderEventFilter(overlayEventFilter, overlayEvents, drawOverlayEventMarkers);
+      drawOverlayEventMarkers();
     });
+    overlayPlyrPlayer.on('loadedmetadata', drawOverlayEventMarkers);
+    overlayPlyrPlayer.on('timeupdate', () => overlayEventNavigator.highlight(overlayPlyrPlayer.currentTime));
     
     overlayPlyrPlayer.on('error', (event) => {
       console.error('Overlay player error:', event);
@@ -1046,45 +1420,199 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   
   /**
-   * Display death markers on overlay player timeline
-   * @param {number[]} timestamps - Array of death timestamps in seconds
-   * @param {number} duration - Video duration in seconds
+   * Load the tags and collections of the video in the overlay
+   * @param {string} videoId - Video ID
    */
-  function displayOverlayDeathMarkers(timestamps, duration) {
-    if (!duration || duration <= 0 || !timestamps || timestamps.length === 0) {
-      return;
+  async function loadOverlayOrganizer(videoId) {
+    overlayTags = [];
+    overlayCollections = [];
+    renderOverlayOrganizer();
+
+    try {
+      const response = await fetch(`/api/videos/${videoId}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch video (status: ${response.status})`);
+      }
+      const video = await response.json();
+      if (overlayCurrentVideoId !== videoId) return; // Overlay moved on meanwhile
+      overlayTags = video.tags || [];
+      overlayCollections = video.collections || [];
+      renderOverlayOrganizer();
+    } catch (error) {
+      console.error('Error loading tags and collections:', error);
     }
-    
-    const playerContainer = document.querySelector('.video-overlay-player-container');
-    const progressTrack = playerContainer.querySelector('.plyr__progress input[type=range]');
-    
-    let progressElement;
-    if (!progressTrack) {
-      const progressContainer = playerContainer.querySelector('.plyr__progress__container');
-      if (!progressContainer) {
-        console.warn('Could not find progress container for death markers');
-        return;
+  }
+
+  /**
+   * Render the tag and collection chips in the overlay
+   */
+  function renderOverlayOrganizer() {
+    document.getElementById('overlay-tags').innerHTML = overlayTags.map(tag => `
+      <span class="tag-chip" ${getTagColorStyle(tag)}>
+        ${escapeHTML(tag.name)}
+        <button class="tag-chip-remove" data-tag-id="${tag.id}" aria-label="Remove tag ${escapeHTML(tag.name)}">&times;</button>
+      </span>
+    `).join('');
+
+    document.getElementById('overlay-collections').innerHTML = overlayCollections.map(collection => `
+      <span class="tag-chip">
+        ${escapeHTML(collection.name)}
+        <button class="tag-chip-remove" data-collection-id="${collection.id}" aria-label="Remove from ${escapeHTML(collection.name)}">&times;</button>
+      </span>
+    `).join('');
+
+    // Only offer collections the video isn't in yet
+    const memberIds = new Set(overlayCollections.map(c => c.id));
+    const select = document.getElementById('overlay-collection-select');
+    select.innerHTML = '<option value="">Add to collection...</option>' + allCollections
+      .filter(collection => !memberIds.has(collection.id))
+      .map(collection => `<option value="${collection.id}">${escapeHTML(collection.name)}</option>`)
+      .join('');
+    select.hidden = select.options.length === 1;
+  }
+
+  /**
+   * Offer existing tag names as suggestions in the overlay's tag input
+   */
+  function updateTagSuggestions() {
+    document.getElementById('overlay-tag-suggestions').innerHTML = allTags
+      .map(tag => `<option value="${escapeHTML(tag.name)}"></option>`)
+      .join('');
+  }
+
+  /**
+   * Replace the tag chips on every card showing a video
+   * @param {string} videoId - Video ID
+   * @param {Array} tags - The video's tags
+   */
+  function updateCardTags(videoId, tags) {
+    document.querySelectorAll(`.video-card[data-id="${videoId}"] .video-info`).forEach(info => {
+      const existing = info.querySelector('.video-tags');
+      if (existing) existing.remove();
+      info.insertAdjacentHTML('beforeend', getVideoTagsHTML(tags));
+    });
+    const cached = allVideos.find(v => v.id.toString() === videoId);
+    if (cached) {
+      cached.tags = tags;
+    }
+  }
+
+  /**
+   * Add the tag typed into the overlay's tag input
+   */
+  async function handleOverlayTagSubmit(event) {
+    event.preventDefault();
+    const input = document.getElementById('overlay-tag-input');
+    const name = input.value.trim();
+    const videoId = overlayCurrentVideoId;
+    if (!name || !videoId) return;
+
+    try {
+      const response = await fetch(`/api/videos/${videoId}/tags`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to add tag (status: ${response.status})`);
+      }
+      const tag = await response.json();
+      input.value = '';
+      if (!overlayTags.some(t => t.id === tag.id)) {
+        overlayTags = [...overlayTags, tag].sort((a, b) => a.name.localeCompare(b.name));
       }
-      progressElement = progressContainer;
+      renderOverlayOrganizer();
+      updateCardTags(videoId, overlayTags);
+      loadTags(); // Counts (and possibly a brand new tag) changed
+    } catch (error) {
+      console.error('Error adding tag:', error);
+      showToast('Failed to add tag.', 'error');
+    }
+  }
+
+  /**
+   * Handle the remove buttons on the overlay's tag and collection chips
+   */
+  async function handleOverlayChipRemove(event) {
+    const button = event.target.closest('.tag-chip-remove');
+    const videoId = overlayCurrentVideoId;
+    if (!button || !videoId) return;
+
+    const { tagId, collectionId } = button.dataset;
+    const url = tagId
+      ? `/api/videos/${videoId}/tags/${tagId}`
+      : `/api/collections/${collectionId}/videos/${videoId}`;
+
+    try {
+      const response = await fetch(url, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error(`Failed to remove (status: ${response.status})`);
+      }
+    } catch (error) {
+      console.error('Error removing tag or collection:', error);
+      showToast(tagId ? 'Failed to remove tag.' : 'Failed to remove from collection.', 'error');
+      return;
+    }
+
+    if (tagId) {
+      overlayTags = overlayTags.filter(tag => tag.id.toString() !== tagId);
+      updateCardTags(videoId, overlayTags);
+      loadTags();
     } else {
-      progressElement = progressTrack.parentElement;
+      overlayCollections = overlayCollections.filter(c => c.id.toString() !== collectionId);
+      loadCollections();
     }
-    
-    // Clear existing markers
-    const existingMarkers = progressElement.querySelectorAll('.death-marker');
-    existingMarkers.forEach(marker => marker.remove());
-    
-    // Add new markers
-    timestamps.forEach(timestamp => {
-      if (timestamp >= 0 && timestamp <= duration) {
-        const percentage = (timestamp / duration) * 100;
-        const marker = document.createElement('div');
-        marker.className = 'death-marker';
-        marker.style.left = `${percentage}%`;
-        marker.title = `Death at ${formatOverlayTime(timestamp)}`;
-        progressElement.appendChild(marker);
+    renderOverlayOrganizer();
+  }
+
+  /**
+   * Add the video in the overlay to the collection picked in the select
+   */
+  async function handleOverlayCollectionChange(event) {
+    const collectionId = parseInt(event.target.value, 10);
+    const videoId = overlayCurrentVideoId;
+    if (!collectionId || !videoId) return;
+
+    try {
+      const response = await fetch(`/api/collections/${collectionId}/videos/${videoId}`, { method: 'PUT' });
+      if (!response.ok) {
+        throw new Error(`Failed to add to collection (status: ${response.status})`);
       }
-    });
+      const collection = allCollections.find(c => c.id === collectionId);
+      overlayCollections = [...overlayCollections, { id: collectionId, name: collection ? collection.name : '' }];
+      showToast(`Added to "${collection ? collection.name : 'collection'}"`);
+      loadCollections();
+    } catch (error) {
+      console.error('Error adding to collection:', error);
+      showToast('Failed to add to collection.', 'error');
+    }
+    renderOverlayOrganizer();
+  }
+
+  /**
+   * Seek the overlay player to the saved watch history position, if there is one worth resuming
+   * @param {string} videoId - The ID of the video
+   */
+  async function resumeOverlayFromWatchHistory(videoId) {
+    const progress = await getWatchProgress(videoId);
+    if (!progress || !progress.resume || !overlayPlyrPlayer || overlayCurrentVideoId !== videoId) return;
+    
+    try {
+      overlayPlyrPlayer.currentTime = progress.position;
+      showToast(`Resuming from ${formatOverlayTime(progress.position)}`);
+    } catch (error) {
+      console.error('Error resuming playback position:', error);
+    }
+  }
+  
+  /**
+   * Draw event markers on the overlay player timeline
+   */
+  function drawOverlayEventMarkers() {
+    overlayEventNavigator.refresh();
+    if (!overlayPlyrPlayer || !overlayPlyrPlayer.duration) return;
+    const playerContainer = document.querySelector('.video-overlay-player-container');
+    displayEventMarkers(playerContainer, overlayEvents, overlayPlyrPlayer.duration, overlayEventNavigator.seekTo);
   }
   
   /**
@@ -1120,10 +1648,17 @@ document.addEventListener('DOMContentLoaded', async () => {
   /**
    * Handle overlay favorite button click
    */
-  function handleOverlayFavoriteClick() {
+  async function handleOverlayFavoriteClick() {
     if (!overlayCurrentVideoId) return;
     
-    const isNowFavorited = toggleFavorite(overlayCurrentVideoId);
+    let isNowFavorited;
+    try {
+      isNowFavorited = await toggleFavorite(overlayCurrentVideoId);
+    } catch (error) {
+      console.error('Error toggling favorite:', error);
+      showToast('Failed to update favorites.', 'error');
+      return;
+    }
     updateOverlayFavoriteButton(overlayCurrentVideoId);
     
     showToast(isNowFavorited ? 'Added to favorites' : 'Removed from favorites');
@@ -1232,7 +1767,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     const currentTime = Math.round(overlayPlyrPlayer.currentTime);
-    const timestampedUrl = `${overlayBaseShareUrl}?t=${currentTime}`;
+    const timestampedUrl = `${overlayBaseShareUrl}&t=${currentTime}`;
     
     copyOverlayToClipboard(timestampedUrl, document.getElementById('overlay-copy-timestamp-link-btn'));
     document.getElementById('overlay-share-popover').classList.remove('visible');
@@ -1245,17 +1780,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (overlayBaseShareUrl || !overlayCurrentVideoId) return;
     
     try {
-      const response = await fetch(`/api/share/${overlayCurrentVideoId}`);
-      if (!response.ok) {
-        throw new Error('Failed to generate share link');
-      }
-      const data = await response.json();
-      overlayBaseShareUrl = data.shareLink;
+      const share = await createShareLink(overlayCurrentVideoId);
+      overlayBaseShareUrl = share.url;
     } catch (error) {
       console.error('Error generating overlay share link:', error);
       overlayBaseShareUrl = null;
     }
   }
+
   
   /**
    * Copy text to clipboard with feedback
@@ -1287,8 +1819,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   searchInput.addEventListener('blur', () => searchInput.parentElement.classList.remove('focused'));
   refreshBtn.addEventListener('click', refreshLibrary);
   sortSelect.addEventListener('change', handleSortChange);
+  listFiltersBtn.addEventListener('click', () => toggleListFilters());
+  listFiltersForm.addEventListener('change', handleListFiltersChange);
+  listFiltersForm.addEventListener('submit', (event) => event.preventDefault());
+  // Fields are only cleared after the reset event, so read them on the next tick
+  listFiltersForm.addEventListener('reset', () => setTimeout(handleListFiltersChange));
   searchInput.addEventListener('input', handleSearchInput);
   favoritesToggle.addEventListener('change', handleFavoritesToggle);
+  tagFilter.addEventListener('click', handleTagFilterClick);
+  collectionsList.addEventListener('click', handleCollectionsClick);
+  document.getElementById('new-collection-btn').addEventListener('click', handleNewCollection);
   window.addEventListener('scroll', handleInfiniteScroll); // Add scroll listener
   
   // Video overlay event listeners
@@ -1296,10 +1836,20 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('overlay-share-toggle-btn').addEventListener('click', toggleOverlaySharePopover);
   document.getElementById('overlay-copy-base-link-btn').addEventListener('click', handleOverlayCopyBaseLink);
   document.getElementById('overlay-copy-timestamp-link-btn').addEventListener('click', handleOverlayCopyTimestampLink);
+  document.getElementById('overlay-tag-form').addEventListener('submit', handleOverlayTagSubmit);
+  document.getElementById('overlay-tags').addEventListener('click', handleOverlayChipRemove);
+  document.getElementById('overlay-collections').addEventListener('click', handleOverlayChipRemove);
+  document.getElementById('overlay-collection-select').addEventListener('change', handleOverlayCollectionChange);
   window.addEventListener('popstate', handleOverlayPopState);
   
-  // Close share popover on outside click
+  // Close share popover and filters panel on outside click
   document.addEventListener('click', (event) => {
+    if (!listFiltersForm.hidden &&
+        !listFiltersForm.contains(event.target) &&
+        !listFiltersBtn.contains(event.target)) {
+      toggleListFilters(false);
+    }
+
     const sharePopover = document.getElementById('overlay-share-popover');
     const shareButton = document.getElementById('overlay-share-toggle-btn');
     if (sharePopover.classList.contains('visible') && 
@@ -1322,6 +1872,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // --- Initial Load ---
   loadVideos(currentPage, false); // Initial load of page 1
+  loadContinueWatching(); // Populate the "Continue watching" row
+  loadTags(); // Tag filter chips
+  loadCollections(); // Collections sidebar
   sortSelect.value = sortBy; // Set dropdown to reflect default sort
   pollScanStatus(); // Check initial scan status on page load
   connectSSE(); // Connect to Server-Sent Events
@@ -1349,7 +1902,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.head.appendChild(style);
 
   /**
-   * Update favorite indicators on the grid based on current localStorage status.
+   * Update favorite indicators on the grid based on the loaded favorites.
    */
   function updateFavoriteIndicatorsOnGrid() {
     const videoCards = videosGrid.querySelectorAll('.video-card');
@@ -1368,7 +1921,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     // event.persisted is true if the page is loaded from the cache (like when using back button)
     if (event.persisted) {
       console.log('Page loaded from cache (pageshow event). Updating favorite indicators.');
-      updateFavoriteIndicatorsOnGrid();
+      loadFavorites(true).then(updateFavoriteIndicatorsOnGrid);
+      loadContinueWatching();
     }
   });
 
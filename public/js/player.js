@@ -1,6 +1,6 @@
 document.addEventListener('DOMContentLoaded', async () => {
   // Load utility functions
-  const { showToast, addUtilStyles, getVODsName, isFavorite, toggleFavorite } = window.VideoUtils;
+  const { showToast, addUtilStyles, getVODsName, loadFavorites, isFavorite, toggleFavorite, getWatchProgress, trackWatchProgress, getVideoEvents, displayEventMarkers, renderEventFilter, createEventNavigator, getHiddenEventTypes, formatTimestamp, escapeHTML, getPlaceholderThumbnail, isHlsEnabled, attachVideoSource, formatFileSize, formatDuration, createShareLink, openSharedVideo, trackShareActivity } = window.VideoUtils;
   
   // Add utility styles
   addUtilStyles();
@@ -24,6 +24,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   const favoriteBtn = document.getElementById('favorite-btn');
   const favoriteText = favoriteBtn.querySelector('.favorite-text');
   const videoContainer = document.querySelector('.video-container');
+  const eventFilter = document.getElementById('event-filter');
+  const eventPanel = document.getElementById('event-panel');
+  const highlightsBtn = document.getElementById('highlights-btn');
+  const highlightsText = highlightsBtn.querySelector('.highlights-text');
+  const highlightsSection = document.getElementById('highlights-section');
+  const highlightsMeta = document.getElementById('highlights-meta');
+  const highlightsPlayer = document.getElementById('highlights-player');
+  const highlightsRegenerateBtn = document.getElementById('highlights-regenerate-btn');
+  const clipInBtn = document.getElementById('clip-in-btn');
+  const clipOutBtn = document.getElementById('clip-out-btn');
+  const clipInTime = document.getElementById('clip-in-time');
+  const clipOutTime = document.getElementById('clip-out-time');
+  const clipTitleInput = document.getElementById('clip-title-input');
+  const clipSaveBtn = document.getElementById('clip-save-btn');
+  const clipClearBtn = document.getElementById('clip-clear-btn');
+  const clipsSection = document.getElementById('clips-section');
+  const clipsList = document.getElementById('clips-list');
   
   // New share popover elements
   const shareToggleBtn = document.getElementById('share-toggle-btn');
@@ -31,13 +48,37 @@ document.addEventListener('DOMContentLoaded', async () => {
   const copyBaseLinkBtn = document.getElementById('copy-base-link-btn');
   const copyTimestampLinkBtn = document.getElementById('copy-timestamp-link-btn');
   const popoverCurrentTime = document.getElementById('popover-current-time');
+  const shareExpirySelect = document.getElementById('share-expiry');
+  const shareMaxViewsInput = document.getElementById('share-max-views');
+  const sharePasswordInput = document.getElementById('share-password');
+  const shareRangeCheckbox = document.getElementById('share-range');
+  const shareList = document.getElementById('share-list');
   
   let isLoading = false;
   let plyrPlayer = null; // To hold the Plyr instance
-  let deathTimestamps = null; // To hold parsed timestamps
-  let baseShareUrl = null; // To store the base share URL fetched from API
+  let videoEvents = []; // Timeline events (deaths, kills, objectives, ...)
+  let shareRange = null; // { start, end } a share link is limited to, when watching through one
+  let shareOffset = 0; // Where the stream of a share link limited to a range starts in the video
+  let shareViewId = null; // The share view this visit was counted as, for its stats
+  let stopWatchTracking = null; // Stops reporting playback position for the current player
+  let highlightReel = null; // Highlight reel status from /api/videos/:id/highlights
+  let highlightPollTimeout = null; // Pending status check while a reel is generated
+  
+  let clipIn = null; // Clip in point in seconds
+  let clipOut = null; // Clip out point in seconds
+  let clipsPollTimeout = null; // Pending refresh while clips are being exported
+  
+  const HIGHLIGHT_POLL_INTERVAL = 3000;
+  const CLIPS_POLL_INTERVAL = 3000;
   
   const videoId = window.location.pathname.split('/').pop();
+  // Set when opened through a share link by someone without an account
+  const shareToken = new URLSearchParams(window.location.search).get('share');
+  
+  const eventNavigator = createEventNavigator(eventPanel, {
+    getPlayer: () => plyrPlayer,
+    getEvents: () => videoEvents
+  });
   
   const loadingOverlay = document.createElement('div');
   loadingOverlay.className = 'video-loading-overlay';
@@ -53,6 +94,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   shareToggleBtn.addEventListener('click', toggleSharePopover); 
   copyBaseLinkBtn.addEventListener('click', handleCopyBaseLink);
   copyTimestampLinkBtn.addEventListener('click', handleCopyTimestampLink);
+  shareList.addEventListener('click', handleShareListClick);
+  highlightsBtn.addEventListener('click', handleHighlightsClick);
+  highlightsRegenerateBtn.addEventListener('click', requestHighlightReel);
+  clipInBtn.addEventListener('click', () => setClipPoint('in'));
+  clipOutBtn.addEventListener('click', () => setClipPoint('out'));
+  clipClearBtn.addEventListener('click', clearClipPoints);
+  clipSaveBtn.addEventListener('click', handleSaveClip);
+  document.addEventListener('keydown', handleClipShortcut);
   // Add listener to close popover on outside click (implementation later)
   document.addEventListener('click', handleClickOutsidePopover);
   
@@ -65,6 +114,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       isLoading = true;
       
+      if (shareToken) {
+        await loadSharedVideo(id);
+        return;
+      }
+      
       const cacheApiAvailable = typeof caches !== 'undefined';
       
       // Add a message if Cache API is not available
@@ -126,22 +180,22 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       videoDuration.textContent = video.duration_formatted;
       
-      // Parse death timestamps if they exist
-      if (video.death_timestamps) {
-        try {
-          deathTimestamps = JSON.parse(video.death_timestamps);
-          if (!Array.isArray(deathTimestamps)) {
-            console.warn('Parsed death_timestamps is not an array:', deathTimestamps);
-            deathTimestamps = null;
-          }
-        } catch (parseError) {
-          console.error('Error parsing death_timestamps JSON:', parseError);
-          deathTimestamps = null;
-        }
-      } else {
-        deathTimestamps = null; // Ensure it's null if not present
+      // Clips link back to the moment they were cut from
+      if (video.clip_id && video.clip_source_id) {
+        document.getElementById('clip-source-link').href = `/watch/${video.clip_source_id}?t=${Math.floor(video.clip_start_time || 0)}`;
+        document.getElementById('clip-source').hidden = false;
       }
       
+      renderTechnicalDetails(video);
+      
+      // Load timeline events (falls back to the death timestamps in the metadata)
+      videoEvents = await getVideoEvents(id, video.death_timestamps);
+      renderEventFilter(eventFilter, videoEvents, drawEventMarkers);
+      eventNavigator.refresh();
+      loadHighlightReel();
+      loadClips();
+      
+      await loadFavorites();
       updateFavoriteButtonState(id);
       
       let hasPreloadedSegment = false;
@@ -155,7 +209,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('Using preloaded segment for faster startup');
       }
       
-      videoPlayer.src = `/api/videos/${id}/stream`;
+      // Adaptive HLS when the server offers it, the raw file otherwise
+      attachVideoSource(videoPlayer, id, await isHlsEnabled());
       
       initializePlyrPlayer();
       
@@ -168,6 +223,65 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
   
+  /**
+   * Load a video opened through a share link: just the player, limited to the shared range
+   */
+  async function loadSharedVideo(id) {
+    document.body.classList.add('shared-view');
+    
+    let data;
+    try {
+      data = await openSharedVideo(id, shareToken);
+    } catch (error) {
+      videoContainer.style.display = 'none';
+      videoTitle.textContent = error.message;
+      return;
+    }
+    
+    const { video, share } = data;
+    shareViewId = share.view_id;
+    // The server only streams the shared range, so the player's time 0 is where the range starts
+    shareOffset = share.start_time != null ? share.start_time : 0;
+    shareRange = share.start_time != null ? { start: 0, end: share.end_time - share.start_time } : null;
+    
+    document.title = `${vodsName} - ${video.title}`;
+    videoTitle.textContent = video.title;
+    videoDate.textContent = new Date(video.added_date).toLocaleDateString();
+    videoDuration.textContent = formatDuration(shareRange ? shareRange.end - shareRange.start : video.duration);
+    
+    attachVideoSource(videoPlayer, id, false, shareToken);
+    initializePlyrPlayer();
+  }
+  
+  /**
+   * Start a shared video at ?t= (or the start of the shared range), kept inside the range
+   * @param {number} requestedTime - Seconds into the video from the URL, NaN if not given
+   */
+  function startSharedPlayback(requestedTime) {
+    let time = Number.isNaN(requestedTime) ? 0 : requestedTime - shareOffset;
+    if (shareRange) {
+      time = Math.min(Math.max(time, shareRange.start), shareRange.end - 1);
+    }
+    if (time > 0) {
+      setTimeout(() => {
+        plyrPlayer.currentTime = time;
+      }, 100);
+    }
+  }
+  
+  /**
+   * Keep playback of a shared video inside the shared range
+   */
+  function keepWithinShareRange() {
+    if (!shareRange || !plyrPlayer) return;
+    if (plyrPlayer.currentTime >= shareRange.end) {
+      plyrPlayer.pause();
+      plyrPlayer.currentTime = shareRange.end;
+    } else if (plyrPlayer.currentTime < shareRange.start - 1) {
+      plyrPlayer.currentTime = shareRange.start;
+    }
+  }
+  
   /**
    * Preload additional segments for smoother playback
    * @param {number} videoId - The ID of the video
@@ -200,6 +314,10 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function initializePlyrPlayer() {
     // Destroy existing player if it exists
+    if (stopWatchTracking) {
+      stopWatchTracking();
+      stopWatchTracking = null;
+    }
     if (plyrPlayer) {
       try {
         plyrPlayer.destroy();
@@ -236,6 +354,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     };
     
     plyrPlayer = new Plyr(videoPlayer, options);
+    // Share visitors have no watch history, but their viewing counts towards the share's stats
+    stopWatchTracking = shareToken
+      ? trackShareActivity(plyrPlayer, videoId, shareToken, shareViewId)
+      : trackWatchProgress(plyrPlayer, videoId);
     
     plyrPlayer.on('ready', event => {
       console.log('Plyr player ready');
@@ -244,7 +366,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Check for timestamp parameter in URL and seek
       const urlParams = new URLSearchParams(window.location.search);
       const startTime = urlParams.get('t');
-      if (startTime) {
+      if (shareToken) {
+        startSharedPlayback(parseInt(startTime, 10));
+      } else if (!startTime) {
+        // No explicit timestamp, pick up where we left off
+        resumeFromWatchHistory();
+      } else {
         const timeInSeconds = parseInt(startTime, 10);
         if (!isNaN(timeInSeconds) && timeInSeconds > 0) {
           console.log(`Seeking to start time: ${timeInSeconds}s`);
@@ -263,9 +390,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Handle loadedmetadata to ensure duration is known before drawing markers
     plyrPlayer.on('loadedmetadata', event => {
       console.log('Plyr metadata loaded, duration:', plyrPlayer.duration);
-      if (deathTimestamps && plyrPlayer.duration) {
-        displayDeathMarkers(deathTimestamps, plyrPlayer.duration);
-      }
+      drawEventMarkers();
+      updateClipBar();
+    });
+    
+    plyrPlayer.on('timeupdate', () => {
+      eventNavigator.highlight(plyrPlayer.currentTime);
+      keepWithinShareRange();
     });
     
     plyrPlayer.on('error', event => {
@@ -274,6 +405,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
   
+  /**
+   * Seek to the position saved in the watch history, if there is one worth resuming
+   */
+  async function resumeFromWatchHistory() {
+    const progress = await getWatchProgress(videoId);
+    if (!progress || !progress.resume || !plyrPlayer) return;
+    
+    try {
+      plyrPlayer.currentTime = progress.position;
+      showToast(`Resuming from ${formatTime(progress.position)}`);
+    } catch (seekError) {
+      console.error('Error resuming playback position:', seekError);
+    }
+  }
+  
   /**
    * Update favorite button state based on whether the video is favorited
    * @param {string} videoId - The ID of the video
@@ -293,8 +439,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   /**
    * Handle favorite button click
    */
-  function handleFavoriteClick() {
-    const isNowFavorited = toggleFavorite(videoId);
+  async function handleFavoriteClick() {
+    let isNowFavorited;
+    try {
+      isNowFavorited = await toggleFavorite(videoId);
+    } catch (error) {
+      console.error('Error toggling favorite:', error);
+      showToast('Failed to update favorites.', 'error');
+      return;
+    }
     
     updateFavoriteButtonState(videoId);
     
@@ -315,6 +468,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       const currentTime = Math.round(plyrPlayer.currentTime);
       popoverCurrentTime.textContent = `Current time: ${formatTime(currentTime)}`;
     }
+    if (isVisible) {
+      loadShares();
+    }
   }
   
   /**
@@ -330,24 +486,63 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   
   /**
-   * Copies the base share link (without timestamp) to the clipboard.
+   * Read the limits chosen in the share popover
+   * @returns {Object|null} - Options for createShareLink(), null if the range was asked for but isn't set
    */
-  async function handleCopyBaseLink() {
-    if (!baseShareUrl) {
-      // Fetch the base URL if it hasn't been fetched yet
-      await fetchBaseShareUrl(); 
-      if (!baseShareUrl) { // Check again after fetch attempt
-        showToast('Could not get share link.', 'error');
-        return;
+  function readShareOptions() {
+    const options = {};
+    if (shareExpirySelect.value) {
+      options.expires_in = parseInt(shareExpirySelect.value, 10);
+    }
+    if (shareMaxViewsInput.value) {
+      options.max_views = parseInt(shareMaxViewsInput.value, 10);
+    }
+    if (sharePasswordInput.value) {
+      options.password = sharePasswordInput.value;
+    }
+    if (shareRangeCheckbox.checked) {
+      if (clipIn === null || clipOut === null || clipOut <= clipIn) {
+        showToast('Set an in and out point to share a range.', 'error');
+        return null;
       }
+      options.start = clipIn;
+      options.end = clipOut;
+    }
+    return options;
+  }
+  
+  /**
+   * Create a share link with the chosen limits
+   * @returns {Promise<string|null>} - The link, or null if it couldn't be created
+   */
+  async function createShareUrl() {
+    const options = readShareOptions();
+    if (!options) return null;
+    
+    try {
+      const share = await createShareLink(videoId, options);
+      loadShares();
+      return share.url;
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      showToast(error.message, 'error');
+      return null;
     }
+  }
+  
+  /**
+   * Copies a new share link (without timestamp) to the clipboard.
+   */
+  async function handleCopyBaseLink() {
+    const shareUrl = await createShareUrl();
+    if (!shareUrl) return;
     
-    copyToClipboard(baseShareUrl, copyBaseLinkBtn);
+    copyToClipboard(shareUrl, copyBaseLinkBtn);
     sharePopover.classList.remove('visible'); // Close popover after copy
   }
   
   /**
-   * Copies the share link with the current timestamp to the clipboard.
+   * Copies a new share link with the current timestamp to the clipboard.
    */
   async function handleCopyTimestampLink() {
     if (!plyrPlayer || typeof plyrPlayer.currentTime === 'undefined') {
@@ -355,22 +550,128 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
     
-    if (!baseShareUrl) {
-      // Fetch the base URL if it hasn't been fetched yet
-      await fetchBaseShareUrl();
-      if (!baseShareUrl) { // Check again after fetch attempt
-        showToast('Could not get share link.', 'error');
-        return;
-      }
-    }
+    const shareUrl = await createShareUrl();
+    if (!shareUrl) return;
     
     const currentTime = Math.round(plyrPlayer.currentTime);
-    const timestampedUrl = `${baseShareUrl}?t=${currentTime}`;
+    const timestampedUrl = `${shareUrl}&t=${currentTime}`;
     
     copyToClipboard(timestampedUrl, copyTimestampLinkBtn);
     sharePopover.classList.remove('visible'); // Close popover after copy
   }
   
+  /**
+   * List the video's active share links in the popover
+   */
+  async function loadShares() {
+    try {
+      const response = await fetch(`/api/videos/${videoId}/shares`);
+      if (!response.ok) {
+        shareList.hidden = true;
+        return;
+      }
+      const shares = (await response.json()).filter(share => share.state === 'active');
+      shareList.hidden = shares.length === 0;
+      shareList.innerHTML = shares.map(share => {
+        const limits = [
+          share.expires_at ? `until ${new Date(share.expires_at).toLocaleString()}` : 'no expiry',
+          share.max_views ? `${share.view_count}/${share.max_views} views` : `${share.view_count} views`
+        ];
+        if (share.start_time != null) {
+          limits.push(`${formatTime(share.start_time)}-${formatTime(share.end_time)}`);
+        }
+        if (share.has_password) {
+          limits.push('password');
+        }
+        return `
+          <li class="share-list-item">
+            <span class="share-list-limits">${escapeHTML(limits.join(' · '))}</span>
+            <button class="popover-link-btn" data-action="copy" data-url="${escapeHTML(share.url)}">Copy</button>
+            <button class="popover-link-btn" data-action="stats" data-share-id="${share.id}">Stats</button>
+            <button class="popover-link-btn" data-action="revoke" data-share-id="${share.id}">Revoke</button>
+          </li>
+        `;
+      }).join('');
+    } catch (error) {
+      console.error('Error loading share links:', error);
+    }
+  }
+  
+  /**
+   * Show (or hide again) a share link's opens, plays, watch time and top referrers under it
+   * @param {HTMLElement} button - The link's Stats button
+   */
+  async function toggleShareStats(button) {
+    const item = button.closest('.share-list-item');
+    const shown = item.querySelector('.share-stats');
+    if (shown) {
+      shown.remove();
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/shares/${button.dataset.shareId}/stats`);
+      const stats = await response.json();
+      if (!response.ok) {
+        throw new Error(stats.error || 'Failed to load share stats');
+      }
+      
+      const referrers = stats.referrers.slice(0, 3).map(({ referrer, opens }) => {
+        let source = 'direct';
+        if (referrer) {
+          try {
+            source = new URL(referrer).host;
+          } catch (error) {
+            source = referrer;
+          }
+        }
+        return `${source} (${opens})`;
+      });
+      const panel = document.createElement('div');
+      panel.className = 'share-stats';
+      panel.innerHTML = `
+        <span>${stats.opens} opens · ${stats.play_starts} plays</span>
+        <span>${formatTimestamp(stats.watched_seconds)} watched, ${formatTimestamp(stats.average_watch_seconds)} per open</span>
+        ${stats.last_opened_at ? `<span>Last opened ${escapeHTML(new Date(stats.last_opened_at).toLocaleString())}</span>` : ''}
+        ${referrers.length ? `<span>From ${escapeHTML(referrers.join(', '))}</span>` : ''}
+      `;
+      item.appendChild(panel);
+    } catch (error) {
+      console.error('Error loading share stats:', error);
+      showToast(error.message, 'error');
+    }
+  }
+  
+  /**
+   * Copy, revoke or show the stats of an existing share link
+   */
+  async function handleShareListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    if (button.dataset.action === 'copy') {
+      copyToClipboard(button.dataset.url, button);
+      return;
+    }
+    if (button.dataset.action === 'stats') {
+      toggleShareStats(button);
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/shares/${button.dataset.shareId}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to revoke share link');
+      }
+      showToast('Share link revoked', 'info');
+      loadShares();
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      showToast(error.message, 'error');
+    }
+  }
+  
   /**
    * Helper function to copy text to clipboard and provide feedback.
    * @param {string} text - The text to copy.
@@ -393,80 +694,278 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   
   /**
-   * Fetches the base share URL from the API.
+   * Fetch the highlight reel status, checking again while it is being generated
    */
-  async function fetchBaseShareUrl() {
-    if (baseShareUrl) return; // Already fetched
-    
+  async function loadHighlightReel() {
+    clearTimeout(highlightPollTimeout);
     try {
-      const response = await fetch(`/api/share/${videoId}`);
-      if (!response.ok) {
-        throw new Error('Failed to generate share link');
+      const response = await fetch(`/api/videos/${videoId}/highlights`);
+      if (response.status === 404) {
+        highlightReel = null;
+      } else if (!response.ok) {
+        throw new Error(`Failed to fetch highlight reel (status: ${response.status})`);
+      } else {
+        const previousStatus = highlightReel && highlightReel.status;
+        highlightReel = await response.json();
+        if (previousStatus && previousStatus !== highlightReel.status) {
+          if (highlightReel.status === 'completed') showToast('Highlight reel is ready', 'success');
+          if (highlightReel.status === 'failed') showToast('Highlight reel generation failed.', 'error');
+        }
       }
-      const data = await response.json();
-      baseShareUrl = data.shareLink; // Store the base URL
     } catch (error) {
-      console.error('Error generating share link:', error);
-      baseShareUrl = null; // Ensure it's null on error
+      console.error('Error loading highlight reel:', error);
+    }
+    
+    updateHighlightsUI();
+    if (highlightReel && (highlightReel.status === 'pending' || highlightReel.status === 'processing')) {
+      highlightPollTimeout = setTimeout(loadHighlightReel, HIGHLIGHT_POLL_INTERVAL);
     }
   }
-
+  
+  /**
+   * Reflect the highlight reel status in the button and the highlights section
+   */
+  function updateHighlightsUI() {
+    const status = highlightReel ? highlightReel.status : null;
+    const inProgress = status === 'pending' || status === 'processing';
+    
+    highlightsBtn.hidden = videoEvents.length === 0 && !highlightReel;
+    highlightsBtn.disabled = inProgress;
+    highlightsRegenerateBtn.disabled = inProgress;
+    if (inProgress) {
+      highlightsText.textContent = 'Generating Highlights...';
+    } else if (status === 'completed') {
+      highlightsText.textContent = 'Watch Highlights';
+    } else {
+      highlightsText.textContent = status === 'failed' ? 'Retry Highlights' : 'Generate Highlights';
+    }
+    
+    if (status === 'completed') {
+      const segments = `${highlightReel.segmentCount} ${highlightReel.segmentCount === 1 ? 'clip' : 'clips'}`;
+      highlightsMeta.textContent = `${segments}, ${highlightReel.durationFormatted}`;
+      if (highlightsPlayer.getAttribute('src') !== highlightReel.url) {
+        highlightsPlayer.src = highlightReel.url;
+      }
+    } else if (inProgress) {
+      highlightsMeta.textContent = 'Generating a new reel...';
+    }
+  }
+  
   /**
-   * Displays markers on the video timeline for each death timestamp.
-   * @param {number[]} timestamps - Array of death timestamps in seconds.
-   * @param {number} duration - Total video duration in seconds.
+   * Show the highlight reel, or start generating one if there is none yet
    */
-  function displayDeathMarkers(timestamps, duration) {
-    if (!duration || duration <= 0 || !timestamps || timestamps.length === 0) {
-      console.log('No valid timestamps or duration to display markers.');
+  function handleHighlightsClick() {
+    if (highlightReel && highlightReel.status === 'completed') {
+      highlightsSection.hidden = false;
+      highlightsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      if (plyrPlayer) plyrPlayer.pause();
+      highlightsPlayer.play().catch(() => {});
+      return;
+    }
+    requestHighlightReel();
+  }
+  
+  /**
+   * Ask the server to cut a highlight reel around the event types shown on the timeline
+   */
+  async function requestHighlightReel() {
+    const hiddenTypes = getHiddenEventTypes();
+    const types = Array.from(new Set(videoEvents.map(event => event.type))).filter(type => !hiddenTypes.has(type));
+    if (types.length === 0) {
+      showToast('Show at least one event type to build highlights from.', 'error');
       return;
     }
     
-    // Find the actual progress input element within the container
-    // This is usually the element that visually represents the seekable track
-    const progressTrack = videoContainer.querySelector('.plyr__progress input[type=range]'); 
-    let progressElement; // Declare progressElement here
-    if (!progressTrack) {
-      console.error('Could not find Plyr progress track element to add markers.');
-      // Fallback to container if track not found, though positioning might be less precise
-      const progressContainer = videoContainer.querySelector('.plyr__progress__container');
-      if (!progressContainer) {
-        console.error('Could not find Plyr progress container either.');
-        return;
+    try {
+      const response = await fetch(`/api/videos/${videoId}/highlights`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ types })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start highlight reel');
       }
-      console.warn('Using progress container as fallback for markers.');
-      progressElement = progressContainer; 
+      highlightReel = data;
+      showToast('Generating highlight reel...', 'info');
+    } catch (error) {
+      console.error('Error starting highlight reel:', error);
+      showToast(error.message, 'error');
+    }
+    loadHighlightReel();
+  }
+  
+  /**
+   * Set the clip in or out point to the current playback position
+   * @param {'in'|'out'} point - Which end of the clip to set
+   */
+  function setClipPoint(point) {
+    if (!plyrPlayer) return;
+    const time = Math.round(plyrPlayer.currentTime * 10) / 10;
+    if (point === 'in') {
+      clipIn = time;
+      if (clipOut !== null && clipOut <= clipIn) clipOut = null;
     } else {
-      // We need to append markers to the *parent* of the input range for correct positioning relative to it.
-      progressElement = progressTrack.parentElement; 
+      clipOut = time;
+      if (clipIn !== null && clipIn >= clipOut) clipIn = null;
     }
-
-    if (!progressElement) {
-        console.error('Could not determine element to append markers to.');
-        return;
+    updateClipBar();
+  }
+  
+  /**
+   * Forget the selected in and out points
+   */
+  function clearClipPoints() {
+    clipIn = null;
+    clipOut = null;
+    updateClipBar();
+  }
+  
+  /**
+   * I and O set the in and out points (ignored while typing)
+   */
+  function handleClipShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    const key = event.key.toLowerCase();
+    if (key === 'i' || key === 'o') {
+      event.preventDefault();
+      setClipPoint(key === 'i' ? 'in' : 'out');
     }
+  }
+  
+  /**
+   * Show the selected range in the clip bar and on the progress bar
+   */
+  function updateClipBar() {
+    clipInTime.textContent = clipIn !== null ? formatTimestamp(clipIn) : '--:--';
+    clipOutTime.textContent = clipOut !== null ? formatTimestamp(clipOut) : '--:--';
+    clipSaveBtn.disabled = clipIn === null || clipOut === null;
+    clipClearBtn.hidden = clipIn === null && clipOut === null;
     
-    // Clear existing markers first from the chosen parent
-    const existingMarkers = progressElement.querySelectorAll('.death-marker');
-    existingMarkers.forEach(marker => marker.remove());
-    
-    console.log(`Displaying ${timestamps.length} death markers.`);
+    const progressTrack = videoContainer.querySelector('.plyr__progress input[type=range]');
+    if (!progressTrack || !plyrPlayer || !plyrPlayer.duration) return;
+    let range = progressTrack.parentElement.querySelector('.clip-range');
+    if (clipIn === null && clipOut === null) {
+      if (range) range.remove();
+      return;
+    }
+    if (!range) {
+      range = document.createElement('div');
+      range.className = 'clip-range';
+      progressTrack.parentElement.appendChild(range);
+    }
+    const start = clipIn !== null ? clipIn : 0;
+    const end = clipOut !== null ? clipOut : plyrPlayer.duration;
+    range.style.left = `${(start / plyrPlayer.duration) * 100}%`;
+    range.style.width = `${((end - start) / plyrPlayer.duration) * 100}%`;
+  }
+  
+  /**
+   * Send the selected range to the server to be exported as a clip
+   */
+  async function handleSaveClip() {
+    if (clipIn === null || clipOut === null) return;
+    clipSaveBtn.disabled = true;
     
-    timestamps.forEach(timestamp => {
-      if (timestamp >= 0 && timestamp <= duration) {
-        const percentage = (timestamp / duration) * 100;
-        
-        const marker = document.createElement('div');
-        marker.className = 'death-marker';
-        marker.style.left = `${percentage}%`;
-        // Optional: Add tooltip with timestamp or player name later
-        marker.title = `Death at ${formatTime(timestamp)}`; 
-        
-        progressElement.appendChild(marker); // Append to the correct parent
-      } else {
-        console.warn(`Skipping invalid timestamp: ${timestamp} (duration: ${duration})`);
+    try {
+      const response = await fetch(`/api/videos/${videoId}/clips`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ start: clipIn, end: clipOut, title: clipTitleInput.value.trim() })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create clip');
       }
+      showToast('Saving clip...', 'info');
+      clipTitleInput.value = '';
+      clearClipPoints();
+      loadClips();
+    } catch (error) {
+      console.error('Error creating clip:', error);
+      showToast(error.message, 'error');
+      updateClipBar();
+    }
+  }
+  
+  /**
+   * Fill the technical details panel; it stays hidden until the video has been probed
+   */
+  function renderTechnicalDetails(video) {
+    const details = document.getElementById('video-details');
+    const list = document.getElementById('video-details-list');
+    if (!video.container) {
+      details.hidden = true;
+      return;
+    }
+    
+    const audioLanguages = video.audio_languages || [];
+    const subtitles = video.subtitle_tracks || [];
+    const rows = [
+      ['Resolution', video.width && video.height ? `${video.width}×${video.height}` : null],
+      ['Frame rate', video.frame_rate ? `${video.frame_rate} fps` : null],
+      ['Container', video.container.toUpperCase()],
+      ['Video codec', video.video_codec],
+      ['Audio codec', video.audio_codec],
+      ['Bitrate', video.bitrate ? `${(video.bitrate / 1000000).toFixed(1)} Mbps` : null],
+      ['File size', video.file_size ? formatFileSize(video.file_size) : null],
+      ['Audio tracks', `${video.audio_track_count || 0}${audioLanguages.length > 0 ? ` (${audioLanguages.join(', ')})` : ''}`],
+      ['Subtitles', subtitles.length > 0
+        ? subtitles.map(track => track.title || track.language || track.codec || 'Unknown').join(', ')
+        : 'None']
+    ];
+    
+    list.innerHTML = '';
+    rows.filter(([, value]) => value).forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      list.append(term, description);
     });
+    details.hidden = false;
+  }
+
+  /**
+   * List the clips cut from this video, refreshing while any are still exporting
+   */
+  async function loadClips() {
+    clearTimeout(clipsPollTimeout);
+    let clips = [];
+    try {
+      const response = await fetch(`/api/videos/${videoId}/clips`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch clips (status: ${response.status})`);
+      }
+      clips = (await response.json()).clips;
+    } catch (error) {
+      console.error('Error loading clips:', error);
+      return;
+    }
+    
+    clipsSection.hidden = clips.length === 0;
+    clipsList.innerHTML = clips.map(clip => {
+      const range = `${formatTimestamp(clip.start)} - ${formatTimestamp(clip.end)}`;
+      const status = clip.status === 'completed' ? '' : `<span class="clip-status clip-status-${clip.status}">${clip.status === 'failed' ? 'Failed' : 'Exporting...'}</span>`;
+      const thumbnail = `<img src="${clip.thumbnailPath || getPlaceholderThumbnail()}" alt="" loading="lazy">`;
+      const body = `${thumbnail}<span class="clip-title">${escapeHTML(clip.title)}</span><span class="clip-range-text">${range}</span>${status}`;
+      return `<li class="clip-item">${clip.url ? `<a href="${clip.url}">${body}</a>` : `<div>${body}</div>`}</li>`;
+    }).join('');
+    
+    if (clips.some(clip => clip.status === 'pending' || clip.status === 'processing')) {
+      clipsPollTimeout = setTimeout(loadClips, CLIPS_POLL_INTERVAL);
+    }
+  }
+  
+  /**
+   * Draw markers on the video timeline for the events whose type isn't hidden,
+   * and keep the event list in step with the type filter.
+   */
+  function drawEventMarkers() {
+    eventNavigator.refresh();
+    if (!plyrPlayer || !plyrPlayer.duration) return;
+    displayEventMarkers(videoContainer, videoEvents, plyrPlayer.duration, eventNavigator.seekTo);
   }
   
   /**
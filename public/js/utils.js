@@ -73,6 +73,33 @@ function formatDuration(seconds) {
   return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Format a size in bytes, e.g. 1536 → "1.5 KB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human-readable size
+ */
+function formatFileSize(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - The text to escape
+ * @returns {string} - HTML-escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Add CSS for toast and animations
 function addUtilStyles() {
   const style = document.createElement('style');
@@ -147,9 +174,110 @@ async function getAppConfig() {
   }
 }
 
+/**
+ * Fetch the logged-in user
+ * @returns {Promise<{authEnabled: boolean, user: Object|null}>} - user has id, username and role
+ */
+async function getCurrentUser() {
+  try {
+    const response = await fetch('/api/me');
+    if (!response.ok) {
+      throw new Error('Failed to fetch current user');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    return { authEnabled: false, user: null };
+  }
+}
+
 // App configuration cache
 let appConfig = null;
 
+/**
+ * Whether the server offers HLS streaming
+ * @returns {Promise<boolean>}
+ */
+async function isHlsEnabled() {
+  if (!appConfig) {
+    appConfig = await getAppConfig();
+  }
+  return !!appConfig.hlsEnabled;
+}
+
+/**
+ * Create a share link for a video
+ * @param {string} videoId - The ID of the video
+ * @param {Object} options - Any of expires_in (seconds), max_views, start and end (seconds)
+ * @returns {Promise<Object>} - The share, with its url
+ */
+async function createShareLink(videoId, options = {}) {
+  const response = await fetch(`/api/videos/${videoId}/shares`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options)
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to create share link');
+  }
+  return data;
+}
+
+/**
+ * Point a <video> element at a library video. Uses the adaptive HLS stream when enabled
+ * and the browser can play it (hls.js, or natively in Safari), otherwise the raw file.
+ * If HLS playback fails, it falls back to the raw file at the same position.
+ * @param {HTMLVideoElement} videoElement - Player element
+ * @param {string} videoId - The ID of the video
+ * @param {boolean} useHls - Whether to try HLS first
+ * @param {string|null} shareToken - Share link token, for visitors without an account (direct stream only)
+ * @returns {Function} - Detaches the HLS stream (call before loading another video)
+ */
+function attachVideoSource(videoElement, videoId, useHls, shareToken = null) {
+  const streamUrl = `/api/videos/${videoId}/stream${shareToken ? `?share=${encodeURIComponent(shareToken)}` : ''}`;
+  const hlsUrl = `/api/videos/${videoId}/hls/master.m3u8`;
+  let hls = null;
+
+  const fallBackToStream = () => {
+    const resumeAt = videoElement.currentTime;
+    if (hls) {
+      hls.destroy();
+      hls = null;
+    }
+    videoElement.src = streamUrl;
+    if (resumeAt > 0) {
+      videoElement.addEventListener('loadedmetadata', () => {
+        videoElement.currentTime = resumeAt;
+      }, { once: true });
+    }
+  };
+
+  if (useHls && window.Hls && window.Hls.isSupported()) {
+    hls = new window.Hls();
+    hls.on(window.Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) return;
+      console.warn('HLS playback failed, falling back to the direct stream:', data.details);
+      fallBackToStream();
+    });
+    hls.loadSource(hlsUrl);
+    hls.attachMedia(videoElement);
+  } else if (useHls && videoElement.canPlayType('application/vnd.apple.mpegurl')) {
+    videoElement.src = hlsUrl;
+    videoElement.addEventListener('error', fallBackToStream, { once: true });
+  } else {
+    videoElement.src = streamUrl;
+  }
+
+  return () => {
+    videoElement.removeEventListener('error', fallBackToStream);
+    if (hls) {
+      hls.destroy();
+      hls = null;
+    }
+  };
+}
+
 /**
  * Get the VODs name with "VODs" appended
  * @returns {Promise<string>} - The formatted VODs name
@@ -161,75 +289,130 @@ async function getVODsName() {
   return `${appConfig.vodsName}VODs`;
 }
 
+// localStorage key that held favorites before they were stored on the server
+const LEGACY_FAVORITES_KEY = 'videoFavorites';
+
+// Favorite video IDs (as strings), populated by loadFavorites()
+let favoriteIds = new Set();
+let favoritesPromise = null;
+
+/**
+ * Send favorites stored in localStorage by older versions to the server, once.
+ * The local copy is only removed after the server accepted it.
+ */
+async function importLocalFavorites() {
+  const stored = localStorage.getItem(LEGACY_FAVORITES_KEY);
+  if (!stored) return;
+
+  let videoIds;
+  try {
+    videoIds = JSON.parse(stored);
+  } catch (error) {
+    console.warn('Discarding unreadable local favorites:', error);
+    localStorage.removeItem(LEGACY_FAVORITES_KEY);
+    return;
+  }
+
+  if (!Array.isArray(videoIds) || videoIds.length === 0) {
+    localStorage.removeItem(LEGACY_FAVORITES_KEY);
+    return;
+  }
+
+  const response = await fetch('/api/favorites/import', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ videoIds })
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to import local favorites (status: ${response.status})`);
+  }
+
+  const result = await response.json();
+  console.log(`Imported ${result.imported} favorites from localStorage`);
+  localStorage.removeItem(LEGACY_FAVORITES_KEY);
+}
+
+/**
+ * Load the favorite video IDs from the server
+ * @param {boolean} forceReload - Fetch again even if favorites were already loaded
+ * @returns {Promise<Array<string>>} - Array of favorite video IDs
+ */
+function loadFavorites(forceReload = false) {
+  if (favoritesPromise && !forceReload) {
+    return favoritesPromise;
+  }
+
+  favoritesPromise = (async () => {
+    try {
+      await importLocalFavorites();
+    } catch (error) {
+      console.error('Error importing local favorites:', error);
+    }
+
+    try {
+      const response = await fetch('/api/favorites');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch favorites (status: ${response.status})`);
+      }
+      const data = await response.json();
+      favoriteIds = new Set(data.videoIds.map(id => id.toString()));
+    } catch (error) {
+      console.error('Error loading favorites:', error);
+    }
+    return getFavorites();
+  })();
+
+  return favoritesPromise;
+}
+
 /**
  * Add a video to favorites
  * @param {string} videoId - The ID of the video to add to favorites
+ * @returns {Promise<boolean>} - True once the server stored the favorite
  */
-function addToFavorites(videoId) {
-  // Get current favorites from localStorage
-  const favorites = getFavorites();
-  
-  // Add the video ID if it's not already in favorites
-  if (!favorites.includes(videoId)) {
-    favorites.push(videoId);
-    
-    // Save updated favorites to localStorage
-    localStorage.setItem('videoFavorites', JSON.stringify(favorites));
-    
-    return true; // Added successfully
+async function addToFavorites(videoId) {
+  const response = await fetch(`/api/videos/${videoId}/favorite`, { method: 'PUT' });
+  if (!response.ok) {
+    throw new Error(`Failed to add favorite (status: ${response.status})`);
   }
-  
-  return false; // Already in favorites
+  favoriteIds.add(videoId.toString());
+  return true;
 }
 
 /**
  * Remove a video from favorites
  * @param {string} videoId - The ID of the video to remove from favorites
+ * @returns {Promise<boolean>} - True once the server removed the favorite
  */
-function removeFromFavorites(videoId) {
-  // Get current favorites from localStorage
-  const favorites = getFavorites();
-  
-  // Find the index of the video ID
-  const index = favorites.indexOf(videoId);
-  
-  // Remove the video ID if it exists in favorites
-  if (index !== -1) {
-    favorites.splice(index, 1);
-    
-    // Save updated favorites to localStorage
-    localStorage.setItem('videoFavorites', JSON.stringify(favorites));
-    
-    return true; // Removed successfully
+async function removeFromFavorites(videoId) {
+  const response = await fetch(`/api/videos/${videoId}/favorite`, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`Failed to remove favorite (status: ${response.status})`);
   }
-  
-  return false; // Not in favorites
+  favoriteIds.delete(videoId.toString());
+  return true;
 }
 
 /**
- * Check if a video is in favorites
+ * Check if a video is in favorites (requires loadFavorites() to have run)
  * @param {string} videoId - The ID of the video to check
  * @returns {boolean} - True if the video is in favorites, false otherwise
  */
 function isFavorite(videoId) {
-  // Get current favorites from localStorage
-  const favorites = getFavorites();
-  
-  // Check if the video ID is in favorites
-  return favorites.includes(videoId);
+  return favoriteIds.has(videoId.toString());
 }
 
 /**
  * Toggle favorite status for a video
  * @param {string} videoId - The ID of the video to toggle
- * @returns {boolean} - True if the video is now favorited, false if it was removed
+ * @returns {Promise<boolean>} - True if the video is now favorited, false if it was removed
  */
-function toggleFavorite(videoId) {
+async function toggleFavorite(videoId) {
   if (isFavorite(videoId)) {
-    removeFromFavorites(videoId);
+    await removeFromFavorites(videoId);
     return false; // Now not favorited
   } else {
-    addToFavorites(videoId);
+    await addToFavorites(videoId);
     return true; // Now favorited
   }
 }
@@ -239,24 +422,564 @@ function toggleFavorite(videoId) {
  * @returns {Array<string>} - Array of favorite video IDs
  */
 function getFavorites() {
-  // Get favorites from localStorage
-  const favoritesJson = localStorage.getItem('videoFavorites');
-  
-  // Parse JSON or return empty array if no favorites exist
-  return favoritesJson ? JSON.parse(favoritesJson) : [];
+  return Array.from(favoriteIds);
+}
+
+// Report progress after this many seconds of playback have passed
+const WATCH_PROGRESS_INTERVAL = 15;
+
+/**
+ * Get the saved playback position for a video
+ * @param {string} videoId - The ID of the video
+ * @returns {Promise<Object|null>} - { position, duration, completed, resume } or null on error
+ */
+async function getWatchProgress(videoId) {
+  try {
+    const response = await fetch(`/api/videos/${videoId}/progress`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch watch progress (status: ${response.status})`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading watch progress:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the playback position for a video
+ * @param {string} videoId - The ID of the video
+ * @param {number} position - Playback position in seconds
+ * @param {number} duration - Video duration in seconds
+ * @param {boolean} useBeacon - Use navigator.sendBeacon so the request survives page unload
+ */
+function saveWatchProgress(videoId, position, duration, useBeacon = false) {
+  const url = `/api/videos/${videoId}/progress`;
+  const body = JSON.stringify({ position, duration });
+
+  if (useBeacon && navigator.sendBeacon) {
+    navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+    return;
+  }
+
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    keepalive: true
+  }).catch(error => console.error('Error saving watch progress:', error));
+}
+
+/**
+ * Report a Plyr player's position while it plays, on pause and when the page is hidden
+ * @param {Plyr} player - The Plyr instance
+ * @param {string} videoId - The ID of the video being played
+ * @returns {Function} - Saves the final position and stops tracking
+ */
+function trackWatchProgress(player, videoId) {
+  let lastReported = 0;
+
+  const report = (useBeacon = false) => {
+    const position = player.currentTime;
+    if (!position) return; // Nothing played yet
+    lastReported = position;
+    saveWatchProgress(videoId, Math.floor(position), player.duration || null, useBeacon);
+  };
+
+  const handleTimeUpdate = () => {
+    if (Math.abs(player.currentTime - lastReported) >= WATCH_PROGRESS_INTERVAL) {
+      report();
+    }
+  };
+  const handlePause = () => report();
+  const handlePageHide = () => report(true);
+
+  player.on('timeupdate', handleTimeUpdate);
+  player.on('pause', handlePause);
+  player.on('ended', handlePause);
+  window.addEventListener('pagehide', handlePageHide);
+
+  return () => {
+    player.off('timeupdate', handleTimeUpdate);
+    player.off('pause', handlePause);
+    player.off('ended', handlePause);
+    window.removeEventListener('pagehide', handlePageHide);
+    report();
+  };
+}
+
+/**
+ * Open a share link: the video details and limits, counted as a view. Passes on the page the
+ * visitor came from, for the share's stats.
+ * @param {string} videoId - The ID of the video
+ * @param {string} shareToken - Share link token
+ * @returns {Promise<{video: Object, share: Object}>} - share has the range, expiry, views left and view_id
+ */
+async function openSharedVideo(videoId, shareToken) {
+  const params = new URLSearchParams({ share: shareToken });
+  if (document.referrer) {
+    params.set('referrer', document.referrer);
+  }
+  const response = await fetch(`/api/videos/${videoId}/shared?${params}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'This share link is not valid.');
+  }
+  return data;
+}
+
+/**
+ * Report what a share visitor watches: when they first press play, and the seconds actually
+ * played (not the position, so seeking doesn't count), while playing, on pause and when the page is hidden
+ * @param {Plyr} player - The Plyr instance
+ * @param {string} videoId - The ID of the video being played
+ * @param {string} shareToken - Share link token
+ * @param {number} viewId - view_id returned when the share was opened
+ * @returns {Function} - Sends the final report and stops tracking
+ */
+function trackShareActivity(player, videoId, shareToken, viewId) {
+  const url = `/api/videos/${videoId}/shared/activity?share=${encodeURIComponent(shareToken)}`;
+  let played = false;
+  let watchedSeconds = 0;
+  let lastReported = 0;
+  let lastTime = null;
+
+  const report = (useBeacon = false) => {
+    if (!played) return;
+    lastReported = watchedSeconds;
+    const body = JSON.stringify({ view_id: viewId, played, watched_seconds: Math.round(watchedSeconds) });
+    if (useBeacon && navigator.sendBeacon) {
+      navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+      return;
+    }
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).catch(error => console.error('Error reporting share activity:', error));
+  };
+
+  const handlePlay = () => {
+    lastTime = player.currentTime;
+    if (!played) {
+      played = true;
+      report();
+    }
+  };
+  const handleTimeUpdate = () => {
+    const delta = player.currentTime - lastTime;
+    // Only count normal playback between two updates, not seeks
+    if (player.playing && lastTime !== null && delta > 0 && delta < 2) {
+      watchedSeconds += delta;
+    }
+    lastTime = player.currentTime;
+    if (watchedSeconds - lastReported >= WATCH_PROGRESS_INTERVAL) {
+      report();
+    }
+  };
+  const handlePause = () => report();
+  const handlePageHide = () => report(true);
+
+  player.on('play', handlePlay);
+  player.on('timeupdate', handleTimeUpdate);
+  player.on('pause', handlePause);
+  player.on('ended', handlePause);
+  window.addEventListener('pagehide', handlePageHide);
+
+  return () => {
+    player.off('play', handlePlay);
+    player.off('timeupdate', handleTimeUpdate);
+    player.off('pause', handlePause);
+    player.off('ended', handlePause);
+    window.removeEventListener('pagehide', handlePageHide);
+    report();
+  };
+}
+
+// Marker colors for common event types; other types get a color derived from their name
+const EVENT_TYPE_COLORS = {
+  death: '#ff4444',
+  kill: '#4caf50',
+  objective: '#ffb020',
+  round_start: '#4da3ff',
+  boss_pull: '#b36bff'
+};
+
+// localStorage key for the event types hidden from the timeline
+const HIDDEN_EVENT_TYPES_KEY = 'hiddenEventTypes';
+
+/**
+ * Format seconds as H:MM:SS or M:SS
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Formatted timestamp
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Get the marker color for an event type
+ * @param {string} type - Event type, e.g. "death"
+ * @returns {string} - CSS color
+ */
+function getEventColor(type) {
+  if (EVENT_TYPE_COLORS[type]) return EVENT_TYPE_COLORS[type];
+  let hash = 0;
+  for (const char of type) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 360;
+  }
+  return `hsl(${hash}, 70%, 60%)`;
+}
+
+/**
+ * Human-readable name for an event type ("boss_pull" -> "Boss pull")
+ * @param {string} type - Event type
+ * @returns {string} - Display name
+ */
+function getEventTypeLabel(type) {
+  const words = type.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Load a video's timeline events
+ * @param {string} videoId - The ID of the video
+ * @param {string|null} deathTimestamps - The video's legacy death_timestamps JSON, used if the request fails
+ * @returns {Promise<Array>} - Events sorted by timestamp
+ */
+async function getVideoEvents(videoId, deathTimestamps = null) {
+  try {
+    const response = await fetch(`/api/videos/${videoId}/events`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch events (status: ${response.status})`);
+    }
+    const data = await response.json();
+    return data.events;
+  } catch (error) {
+    console.error('Error loading video events:', error);
+  }
+
+  try {
+    const timestamps = deathTimestamps ? JSON.parse(deathTimestamps) : [];
+    return Array.isArray(timestamps)
+      ? timestamps.map(timestamp => ({ type: 'death', timestamp, label: null, metadata: null }))
+      : [];
+  } catch (error) {
+    console.error('Error parsing death_timestamps JSON:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the event types the user hid from the timeline
+ * @returns {Set<string>} - Hidden event types
+ */
+function getHiddenEventTypes() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(HIDDEN_EVENT_TYPES_KEY)) || []);
+  } catch (error) {
+    return new Set();
+  }
+}
+
+/**
+ * Show or hide an event type on the timeline (remembered across videos)
+ * @param {string} type - Event type
+ * @param {boolean} hidden - Whether to hide it
+ */
+function setEventTypeHidden(type, hidden) {
+  const hiddenTypes = getHiddenEventTypes();
+  if (hidden) {
+    hiddenTypes.add(type);
+  } else {
+    hiddenTypes.delete(type);
+  }
+  localStorage.setItem(HIDDEN_EVENT_TYPES_KEY, JSON.stringify(Array.from(hiddenTypes)));
+}
+
+/**
+ * Tooltip text for an event marker, e.g. "Kill - Enemy sniper (12:34)"
+ * @param {Object} event - The event
+ * @returns {string} - Tooltip text
+ */
+function getEventTooltip(event) {
+  const label = event.label ? ` - ${event.label}` : '';
+  return `${getEventTypeLabel(event.type)}${label} (${formatTimestamp(event.timestamp)})`;
+}
+
+/**
+ * Draw color-coded event markers on a Plyr progress bar.
+ * Markers of hidden types are skipped; clicking a marker seeks to it.
+ * @param {HTMLElement} playerContainer - Element containing the Plyr controls
+ * @param {Array} events - Events to draw
+ * @param {number} duration - Video duration in seconds
+ * @param {Function} onSeek - Called with the event's timestamp when a marker is clicked
+ */
+function displayEventMarkers(playerContainer, events, duration, onSeek) {
+  const progressTrack = playerContainer.querySelector('.plyr__progress input[type=range]');
+  // Markers go on the parent of the range input so they line up with the track
+  const progressElement = progressTrack ? progressTrack.parentElement : playerContainer.querySelector('.plyr__progress__container');
+  if (!progressElement) {
+    console.warn('Could not find Plyr progress element for event markers.');
+    return;
+  }
+
+  progressElement.querySelectorAll('.event-marker, .event-marker-tooltip').forEach(element => element.remove());
+  if (!duration || duration <= 0 || !events || events.length === 0) return;
+
+  const tooltip = document.createElement('div');
+  tooltip.className = 'event-marker-tooltip';
+  progressElement.appendChild(tooltip);
+
+  const hiddenTypes = getHiddenEventTypes();
+  events.forEach(event => {
+    if (hiddenTypes.has(event.type) || event.timestamp < 0 || event.timestamp > duration) return;
+
+    const marker = document.createElement('div');
+    marker.className = 'event-marker';
+    marker.dataset.type = event.type;
+    marker.style.left = `${(event.timestamp / duration) * 100}%`;
+    marker.style.setProperty('--event-color', getEventColor(event.type));
+    marker.setAttribute('aria-label', getEventTooltip(event));
+
+    marker.addEventListener('mouseenter', () => {
+      tooltip.textContent = getEventTooltip(event);
+      tooltip.style.left = marker.style.left;
+      tooltip.classList.add('visible');
+    });
+    marker.addEventListener('mouseleave', () => tooltip.classList.remove('visible'));
+    marker.addEventListener('click', (clickEvent) => {
+      clickEvent.stopPropagation();
+      onSeek(event.timestamp);
+    });
+
+    progressElement.appendChild(marker);
+  });
+}
+
+/**
+ * Render toggle chips for each event type present in a video.
+ * @param {HTMLElement} filterElement - Container for the chips
+ * @param {Array} events - The video's events
+ * @param {Function} onChange - Called after a type is shown or hidden
+ */
+function renderEventFilter(filterElement, events, onChange) {
+  const counts = new Map();
+  events.forEach(event => counts.set(event.type, (counts.get(event.type) || 0) + 1));
+
+  if (counts.size === 0) {
+    filterElement.innerHTML = '';
+    filterElement.hidden = true;
+    return;
+  }
+
+  const hiddenTypes = getHiddenEventTypes();
+  filterElement.innerHTML = Array.from(counts.entries()).map(([type, count]) => `
+    <button class="tag-chip event-filter-chip ${hiddenTypes.has(type) ? '' : 'active'}" data-type="${escapeHTML(type)}" style="--tag-color: ${getEventColor(type)}" aria-pressed="${!hiddenTypes.has(type)}">
+      ${escapeHTML(getEventTypeLabel(type))} <span class="tag-chip-count">${count}</span>
+    </button>
+  `).join('');
+  filterElement.hidden = false;
+
+  filterElement.onclick = (event) => {
+    const chip = event.target.closest('.event-filter-chip');
+    if (!chip) return;
+    const nowHidden = chip.classList.contains('active');
+    setEventTypeHidden(chip.dataset.type, nowHidden);
+    chip.classList.toggle('active', !nowHidden);
+    chip.setAttribute('aria-pressed', String(!nowHidden));
+    onChange();
+  };
+}
+
+// localStorage key for the "start a few seconds before each event" review option
+const EVENT_LEAD_IN_KEY = 'eventLeadIn';
+// Seconds of lead-up shown before an event when the review option is on
+const EVENT_LEAD_IN_SECONDS = 5;
+// An event this close behind the playhead counts as "current" rather than "previous"
+const EVENT_NAV_TOLERANCE = 1;
+
+/**
+ * Whether event jumps start a few seconds early (remembered across videos)
+ * @returns {boolean}
+ */
+function isEventLeadInEnabled() {
+  return localStorage.getItem(EVENT_LEAD_IN_KEY) === 'true';
+}
+
+/**
+ * Find the event to jump to from the current playback position.
+ * Positions are compared with the lead-in applied, so jumping again from a
+ * lead-in position moves on instead of returning to the same event.
+ * @param {Array} events - Events sorted by timestamp
+ * @param {number} currentTime - Current playback position in seconds
+ * @param {number} direction - 1 for the next event, -1 for the previous one
+ * @param {number} leadIn - Seconds subtracted from each event's timestamp when seeking
+ * @returns {Object|null} - The event, or null if there is none in that direction
+ */
+function findAdjacentEvent(events, currentTime, direction, leadIn = 0) {
+  const seekTime = event => Math.max(0, event.timestamp - leadIn);
+
+  if (direction > 0) {
+    return events.find(event => seekTime(event) > currentTime + 0.25) || null;
+  }
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (seekTime(events[i]) < currentTime - EVENT_NAV_TOLERANCE) return events[i];
+  }
+  return null;
+}
+
+/**
+ * Set up the event list panel, previous/next buttons and [ / ] shortcuts for a player.
+ * @param {HTMLElement} panelElement - Empty container for the panel
+ * @param {Object} options
+ * @param {Function} options.getPlayer - Returns the current Plyr instance (or null)
+ * @param {Function} options.getEvents - Returns the current video's events
+ * @param {Function} [options.isActive] - Whether shortcuts should apply right now
+ * @returns {{refresh: Function, seekTo: Function, highlight: Function}}
+ */
+function createEventNavigator(panelElement, { getPlayer, getEvents, isActive = () => true }) {
+  panelElement.innerHTML = `
+    <div class="event-panel-header">
+      <h3>Events</h3>
+      <div class="event-panel-nav">
+        <button type="button" class="event-nav-btn" data-direction="-1" title="Previous event ([)" aria-label="Previous event">&#8249;</button>
+        <button type="button" class="event-nav-btn" data-direction="1" title="Next event (])" aria-label="Next event">&#8250;</button>
+      </div>
+    </div>
+    <label class="event-lead-in">
+      <input type="checkbox" ${isEventLeadInEnabled() ? 'checked' : ''}>
+      Start ${EVENT_LEAD_IN_SECONDS}s before each event
+    </label>
+    <ol class="event-list"></ol>
+  `;
+  const list = panelElement.querySelector('.event-list');
+  const leadInCheckbox = panelElement.querySelector('.event-lead-in input');
+  let visibleEvents = [];
+
+  const getLeadIn = () => (leadInCheckbox.checked ? EVENT_LEAD_IN_SECONDS : 0);
+
+  function seekTo(timestamp) {
+    const player = getPlayer();
+    if (!player) return;
+    player.currentTime = Math.max(0, timestamp - getLeadIn());
+  }
+
+  function jump(direction) {
+    const player = getPlayer();
+    if (!player || visibleEvents.length === 0) return;
+    const event = findAdjacentEvent(visibleEvents, player.currentTime, direction, getLeadIn());
+    if (!event) {
+      showToast(direction > 0 ? 'No more events' : 'No earlier events', 'info');
+      return;
+    }
+    seekTo(event.timestamp);
+  }
+
+  function refresh() {
+    const hiddenTypes = getHiddenEventTypes();
+    visibleEvents = getEvents().filter(event => !hiddenTypes.has(event.type));
+    panelElement.hidden = getEvents().length === 0;
+
+    list.innerHTML = visibleEvents.map((event, index) => `
+      <li>
+        <button type="button" class="event-list-item" data-index="${index}" style="--event-color: ${getEventColor(event.type)}">
+          <span class="event-list-time">${formatTimestamp(event.timestamp)}</span>
+          <span class="event-list-type">${escapeHTML(getEventTypeLabel(event.type))}</span>
+          ${event.label ? `<span class="event-list-label">${escapeHTML(event.label)}</span>` : ''}
+        </button>
+      </li>
+    `).join('');
+    panelElement.querySelectorAll('.event-nav-btn').forEach(button => {
+      button.disabled = visibleEvents.length === 0;
+    });
+
+    const player = getPlayer();
+    if (player) highlight(player.currentTime);
+  }
+
+  // Mark the most recent event at or before the playhead
+  function highlight(currentTime) {
+    let currentIndex = -1;
+    visibleEvents.forEach((event, index) => {
+      if (event.timestamp <= currentTime + 0.25) currentIndex = index;
+    });
+
+    const previous = list.querySelector('.event-list-item.current');
+    const current = list.querySelector(`.event-list-item[data-index="${currentIndex}"]`);
+    if (previous === current) return;
+    if (previous) previous.classList.remove('current');
+    if (current) {
+      current.classList.add('current');
+      list.scrollTop = current.offsetTop - list.offsetTop - list.clientHeight / 2;
+    }
+  }
+
+  panelElement.addEventListener('click', (event) => {
+    const navButton = event.target.closest('.event-nav-btn');
+    if (navButton) {
+      jump(parseInt(navButton.dataset.direction, 10));
+      return;
+    }
+    const item = event.target.closest('.event-list-item');
+    if (item) {
+      seekTo(visibleEvents[parseInt(item.dataset.index, 10)].timestamp);
+    }
+  });
+
+  leadInCheckbox.addEventListener('change', () => {
+    localStorage.setItem(EVENT_LEAD_IN_KEY, String(leadInCheckbox.checked));
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== '[' && event.key !== ']') return;
+    if (event.ctrlKey || event.metaKey || event.altKey || !isActive()) return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    event.preventDefault();
+    jump(event.key === ']' ? 1 : -1);
+  });
+
+  panelElement.hidden = true;
+  return { refresh, seekTo, highlight };
 }
 
 // Export the utility functions
 window.VideoUtils = {
+  createShareLink,
+  openSharedVideo,
+  trackShareActivity,
+  getCurrentUser,
   showToast,
   getPlaceholderThumbnail,
   formatDuration,
+  formatFileSize,
+  escapeHTML,
   addUtilStyles,
   getAppConfig,
   getVODsName,
+  loadFavorites,
   addToFavorites,
   removeFromFavorites,
   isFavorite,
   toggleFavorite,
-  getFavorites
+  getFavorites,
+  getWatchProgress,
+  saveWatchProgress,
+  trackWatchProgress,
+  formatTimestamp,
+  getEventColor,
+  getEventTypeLabel,
+  getVideoEvents,
+  getHiddenEventTypes,
+  displayEventMarkers,
+  renderEventFilter,
+  findAdjacentEvent,
+  createEventNavigator,
+  isHlsEnabled,
+  attachVideoSource
 };
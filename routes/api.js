@@ -2,12 +2,24 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 // Import scanLibrary and getScanStatus
 const { scanLibrary, getScanStatus } = require('../lib/scanner'); 
 // Import getVideosPaginated instead of getAllVideos
-const { getVideosPaginated, getVideoById } = require('../db/database'); 
+const { getVideosPaginated, getVideoById, addFavorite, removeFavorite, isFavorite, getFavoriteVideoIds, importFavorites, saveWatchProgress, getWatchProgress, clearWatchProgress, getContinueWatching, getAllTags, getTagById, createTag, updateTag, deleteTag, getTagsForVideo, addTagToVideo, removeTagFromVideo, getAllCollections, getCollectionById, createCollection, updateCollection, deleteCollection, addVideoToCollection, removeVideoFromCollection, getCollectionsForVideo, getPathFieldValues, getVideoEvents, startHighlightReel, getHighlightReel, createClip, getClipById, getClipsForVideo, deleteClip, deleteVideo, createUser, getUserById, getUserByUsername, getUsers, updateUser, deleteUser, countUsers, destroyUserSessions, createShare, getShareById, getShares, revokeShare, getShareStats, getJobs, getJobCounts, getLibraryTotals, getScans, getScanById, markVideoPreviewPending, SHARED_LIBRARY_USER_ID, MIN_RESUME_SECONDS } = require('../db/database'); 
 const videoCache = require('../lib/cache');
 const cdnManager = require('../lib/cdn');
+const { highlightConfig } = require('../lib/highlights');
+const { JOB_TYPES, queueJob } = require('../lib/jobs');
+const { getThumbnailDir } = require('../lib/thumbnail');
+const { previewConfig } = require('../lib/preview');
+const { getDirectoryUsage } = require('../lib/disk-usage');
+const { SETTINGS_SECTIONS, getEffectiveSettings, validateSettings, updateSettings } = require('../lib/settings');
+const { exportClip, removeClipFile, clipConfig } = require('../lib/clips');
+const { VIDEO_SORTS, RANDOM_SEED_MODULUS, PREVIEW_STATUSES, parseTechnicalFilter, decodeCursor } = require('../db/filters');
+const { requireRole, hashPassword, verifyPassword, parseUsername, parsePassword, ROLES, MIN_PASSWORD_LENGTH } = require('../lib/auth');
+const { createShareToken, getShareState, shareConfig } = require('../lib/shares');
+const { findRendition, buildMasterPlaylist, buildMediaPlaylist, parseSegmentName, getSegmentCount, getSegment, isHlsAvailable } = require('../lib/hls');
 
 // Helper function to format duration in seconds to MM:SS format
 function formatDuration(seconds) {
@@ -19,84 +31,1128 @@ function formatDuration(seconds) {
   return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
+// Longest tag or collection name we accept
+const MAX_NAME_LENGTH = 100;
+
+// Validate a tag/collection name from a request body, returns null if unusable
+function parseName(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim();
+  return name.length > 0 && name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+// Longest collection description we accept
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Validate a collection description from a request body: null or blank clears it,
+// returns undefined if unusable
+function parseDescription(value) {
+  if (value === null) return null;
+  if (typeof value !== 'string') return undefined;
+  const description = value.trim();
+  if (description.length > MAX_DESCRIPTION_LENGTH) return undefined;
+  return description || null;
+}
+
+// Accept tag colors as #rrggbb only, anything else means "no color"
+function parseColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value : null;
+}
+
+// Session date filters take YYYY, YYYY-MM or YYYY-MM-DD
+function parseSessionDate(value) {
+  return typeof value === 'string' && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value) ? value : null;
+}
+
+// Added-date filters take a full YYYY-MM-DD date
+function parseDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) ? value : null;
+}
+
+/**
+ * Validate the list filters of GET /videos
+ * @param {Object} query - Request query
+ * @returns {{filters: Object}|{error: string}}
+ */
+function parseListFilters(query) {
+  const filters = {};
+
+  for (const [param, key] of [['duration_min', 'durationMin'], ['duration_max', 'durationMax'], ['resolution', 'minHeight']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = Number(query[param]);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${param} must be a whole number of ${param === 'resolution' ? 'pixels' : 'seconds'}` };
+    }
+    filters[key] = value;
+  }
+  if (filters.durationMin != null && filters.durationMax != null && filters.durationMin > filters.durationMax) {
+    return { error: 'duration_min must not be greater than duration_max' };
+  }
+
+  for (const [param, key] of [['added_from', 'addedFrom'], ['added_to', 'addedTo']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    filters[key] = parseDate(query[param]);
+    if (!filters[key]) {
+      return { error: `${param} must be a YYYY-MM-DD date` };
+    }
+  }
+
+  if (query.has_events !== undefined && query.has_events !== '') {
+    if (query.has_events !== 'true' && query.has_events !== 'false') {
+      return { error: 'has_events must be true or false' };
+    }
+    filters.hasEvents = query.has_events === 'true';
+  }
+
+  if (query.preview !== undefined && query.preview !== '') {
+    if (!PREVIEW_STATUSES.includes(query.preview)) {
+      return { error: `preview must be one of: ${PREVIEW_STATUSES.join(', ')}` };
+    }
+    filters.previewStatus = query.preview;
+  }
+
+  return { filters };
+}
+
+// Query params may be given once (?tag=a) or repeated (?tag=a&tag=b)
+function toArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Audio languages and subtitle streams are stored as JSON text
+function parseJsonList(value) {
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Decode the technical metadata columns of a video row for API responses
+function formatTechnicalMetadata(video) {
+  return {
+    ...video,
+    audio_languages: parseJsonList(video.audio_languages),
+    subtitle_tracks: parseJsonList(video.subtitle_tracks)
+  };
+}
+
+// User whose library state (favorites, watch history) a request reads and writes
+function getLibraryUserId(req) {
+  return (req.user && req.user.id) || SHARED_LIBRARY_USER_ID;
+}
+
 router.get('/videos', async (req, res) => {
   try {
     const db = req.app.locals.db;
-    const searchQuery = req.query.search || null;
-    // Get page and limit from query params, with defaults
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 20; // Reduced default limit for better scrolling performance
-    const sort = req.query.sort || 'date_added_desc'; // Default sort
+    const searchQuery = req.query.search || null;
+    // Get page and limit from query params, with defaults
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20; // Reduced default limit for better scrolling performance
+    // Opaque position from a previous response's nextCursor; takes precedence over page
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    // Rank by relevance when searching unless another sort is requested
+    const sort = req.query.sort || (cursor && cursor.sort) || (searchQuery ? 'relevance' : 'date_added_desc');
+    if (!Object.prototype.hasOwnProperty.call(VIDEO_SORTS, sort)) {
+      return res.status(400).json({ error: `Unknown sort: ${sort}` });
+    }
+    if (cursor && cursor.sort !== sort) {
+      return res.status(400).json({ error: 'Cursor does not match the sort order' });
+    }
+
+    // Random order is fixed by a seed; clients pass the returned seed back to page through it
+    let seed = null;
+    if (sort === 'random') {
+      const requestedSeed = req.query.seed !== undefined ? req.query.seed : cursor && cursor.seed;
+      seed = requestedSeed == null ? Math.floor(Math.random() * (RANDOM_SEED_MODULUS - 1)) + 1 : Number(requestedSeed);
+      if (!Number.isInteger(seed) || seed < 1 || seed >= RANDOM_SEED_MODULUS) {
+        return res.status(400).json({ error: 'seed must be a positive whole number' });
+      }
+    }
+
+    const listFilters = parseListFilters(req.query);
+    if (listFilters.error) {
+      return res.status(400).json({ error: listFilters.error });
+    }
+
+    // Technical metadata filters such as ?filter=resolution>=1440&filter=fps=60
+    const filterExpressions = toArray(req.query.filter);
+    const technicalFilters = filterExpressions.map(parseTechnicalFilter);
+    const invalidIndex = technicalFilters.indexOf(null);
+    if (invalidIndex !== -1) {
+      return res.status(400).json({ error: `Invalid filter: ${filterExpressions[invalidIndex]}` });
+    }
+
+    const options = {
+      userId: getLibraryUserId(req),
+      favoritesOnly: req.query.favorites === 'true',
+      tags: toArray(req.query.tag).filter(tag => typeof tag === 'string' && tag.length > 0),
+      collectionId: parseInt(req.query.collection, 10) || null,
+      // Fields derived from the library folder structure
+      game: req.query.game || null,
+      series: req.query.series || null,
+      player: req.query.player || null,
+      sessionFrom: parseSessionDate(req.query.session_from),
+      sessionTo: parseSessionDate(req.query.session_to),
+      technicalFilters,
+      ...listFilters.filters,
+      seed,
+      cursor: cursor ? cursor.values : null
+    };
+
+    // Fetch paginated videos and total count
+    const { videos, totalCount, nextCursor } = await getVideosPaginated(db, page, limit, searchQuery, sort, options); // Pass sort parameter
+
+    const formattedVideos = videos.map(video => {
+      return {
+        ...formatTechnicalMetadata(video),
+        is_favorite: !!video.is_favorite,
+        watch_completed: !!video.watch_completed,
+        duration_formatted: formatDuration(video.duration)
+      };
+    });
+    
+    // Return videos and total count for pagination controls
+    res.json({
+      videos: formattedVideos,
+      totalCount: totalCount,
+      page: page,
+      limit: limit,
+      nextCursor,
+      ...(seed ? { seed } : {})
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching videos:', error);
+    res.status(500).json({ error: 'Failed to fetch videos' });
+  }
+});
+
+router.get('/videos/:id', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const row = await getVideoById(db, req.params.id);
+    
+    if (!row) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const video = formatTechnicalMetadata(row);
+    video.duration_formatted = formatDuration(video.duration);
+    video.is_favorite = await isFavorite(db, getLibraryUserId(req), video.id);
+    video.tags = await getTagsForVideo(db, video.id);
+    video.collections = await getCollectionsForVideo(db, video.id);
+    
+    res.json(video);
+  } catch (error) {
+    console.error(`Error fetching video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch video' });
+  }
+});
+
+// Timeline events (deaths, kills, objectives, ...) for markers; ?type= narrows to some types
+router.get('/videos/:id/events', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const video = await getVideoById(db, req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const types = toArray(req.query.type).filter(type => typeof type === 'string' && type.length > 0);
+    const events = await getVideoEvents(db, video.id, types);
+
+    // Count per type so clients can build filters without a second request
+    const typeCounts = {};
+    events.forEach(event => {
+      typeCounts[event.type] = (typeCounts[event.type] || 0) + 1;
+    });
+
+    res.json({
+      videoId: video.id,
+      events,
+      types: Object.entries(typeCounts).map(([type, count]) => ({ type, count }))
+    });
+  } catch (error) {
+    console.error(`Error fetching events for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
+// Parse a highlight padding (seconds) from a request body, falling back to the default
+function parsePadding(value, defaultValue) {
+  if (value === undefined || value === null) return defaultValue;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 && seconds <= highlightConfig.maxPadding ? seconds : null;
+}
+
+// Shape a highlight_reels row for API responses
+function formatHighlightReel(reel) {
+  return {
+    videoId: reel.video_id,
+    status: reel.status,
+    // Versioned so browsers don't keep playing a cached older reel
+    url: reel.status === 'completed' && reel.path ? `/api/videos/${reel.video_id}/highlights/reel.mp4?v=${encodeURIComponent(reel.updated_at)}` : null,
+    duration: reel.duration,
+    durationFormatted: reel.duration ? formatDuration(reel.duration) : null,
+    segmentCount: reel.segment_count,
+    settings: reel.settings,
+    error: reel.error,
+    updatedAt: reel.updated_at
+  };
+}
+
+router.get('/videos/:id/highlights', async (req, res) => {
+  try {
+    const reel = await getHighlightReel(req.app.locals.db, req.params.id);
+
+    if (!reel) {
+      return res.status(404).json({ error: 'No highlight reel for this video' });
+    }
+
+    res.json(formatHighlightReel(reel));
+  } catch (error) {
+    console.error(`Error fetching highlight reel for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch highlight reel' });
+  }
+});
+
+// The finished reel itself; reels are kept outside public/ so only signed-in users can fetch them
+router.get('/videos/:id/highlights/reel.mp4', async (req, res) => {
+  try {
+    const reel = await getHighlightReel(req.app.locals.db, req.params.id);
+    if (!reel || reel.status !== 'completed' || !reel.path) {
+      return res.status(404).json({ error: 'No highlight reel for this video' });
+    }
+
+    if (!fs.existsSync(reel.path)) {
+      return res.status(404).json({ error: 'Highlight reel file is missing' });
+    }
+
+    // The URL carries a version, so a cached reel is never stale
+    res.sendFile(reel.path, { maxAge: '1d' });
+  } catch (error) {
+    console.error(`Error serving highlight reel for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to serve highlight reel' });
+  }
+});
+
+// Cut a few seconds around each event and join them into one highlight video (runs as a background job)
+router.post('/videos/:id/highlights', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const video = await getVideoById(db, req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const before = parsePadding(req.body.before, highlightConfig.defaultBefore);
+    const after = parsePadding(req.body.after, highlightConfig.defaultAfter);
+    if (before === null || after === null || before + after === 0) {
+      return res.status(400).json({ error: `before and after must be between 0 and ${highlightConfig.maxPadding} seconds` });
+    }
+
+    const types = req.body.types === undefined ? ['death'] : toArray(req.body.types);
+    if (types.length === 0 || !types.every(type => typeof type === 'string' && type.length > 0)) {
+      return res.status(400).json({ error: 'types must be a list of event types' });
+    }
+
+    const events = await getVideoEvents(db, video.id, types);
+    if (events.length === 0) {
+      return res.status(400).json({ error: 'This video has no events of the requested types' });
+    }
+
+    const settings = { before, after, types };
+    const started = await startHighlightReel(db, video.id, settings);
+    if (!started) {
+      return res.status(409).json({ error: 'A highlight reel is already being generated for this video' });
+    }
+
+    await queueJob(db, 'highlight', video.id, settings);
+
+    res.status(202).json(formatHighlightReel(await getHighlightReel(db, video.id)));
+  } catch (error) {
+    console.error(`Error starting highlight reel for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to start highlight reel' });
+  }
+});
+
+const HLS_PLAYLIST_TYPE = 'application/vnd.apple.mpegurl';
+
+// Load the video for an HLS request, answering 404/503 itself when it can't be streamed
+async function getHlsVideo(req, res) {
+  if (!isHlsAvailable()) {
+    res.status(503).json({ error: 'HLS streaming is not available on this server' });
+    return null;
+  }
+  const video = await getVideoById(req.app.locals.db, req.params.id);
+  if (!video || !video.duration) {
+    res.status(404).json({ error: 'Video not found' });
+    return null;
+  }
+  return video;
+}
+
+// HLS master playlist; renditions are transcoded on demand
+router.get('/videos/:id/hls/master.m3u8', async (req, res) => {
+  try {
+    const video = await getHlsVideo(req, res);
+    if (!video) return;
+
+    res.type(HLS_PLAYLIST_TYPE).send(buildMasterPlaylist(video));
+  } catch (error) {
+    console.error(`Error building HLS master playlist for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to build playlist' });
+  }
+});
+
+router.get('/videos/:id/hls/:rendition/index.m3u8', async (req, res) => {
+  try {
+    const video = await getHlsVideo(req, res);
+    if (!video) return;
+
+    if (!findRendition(video, req.params.rendition)) {
+      return res.status(404).json({ error: 'Rendition not found' });
+    }
+
+    res.type(HLS_PLAYLIST_TYPE).send(buildMediaPlaylist(video.duration));
+  } catch (error) {
+    console.error(`Error building HLS playlist for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to build playlist' });
+  }
+});
+
+// Segments are encoded on first request and served from the disk cache afterwards
+router.get('/videos/:id/hls/:rendition/:segment', async (req, res) => {
+  try {
+    const video = await getHlsVideo(req, res);
+    if (!video) return;
+
+    const rendition = findRendition(video, req.params.rendition);
+    const index = parseSegmentName(req.params.segment);
+    if (!rendition || index === null || index >= getSegmentCount(video.duration)) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    // Players drop segment requests when seeking; their encodes are dropped too if still queued
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const segmentPath = await getSegment(video, rendition, index, controller.signal);
+    res.sendFile(segmentPath, {
+      headers: { 'Content-Type': 'video/mp2t' },
+      maxAge: '1d'
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error(`Error serving HLS segment ${req.params.segment} of video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to generate segment' });
+  }
+});
+
+// Longest clip title we accept
+const MAX_CLIP_TITLE_LENGTH = 200;
+
+// Shape a clips row for API responses
+function formatClip(clip) {
+  return {
+    id: clip.id,
+    sourceVideoId: clip.source_video_id,
+    videoId: clip.video_id,
+    title: clip.title,
+    start: clip.start_time,
+    end: clip.end_time,
+    duration: clip.end_time - clip.start_time,
+    status: clip.status,
+    method: clip.method,
+    error: clip.error,
+    thumbnailPath: clip.thumbnail_path || null,
+    // Exported clips are library videos with their own watch page
+    url: clip.video_id ? `/watch/${clip.video_id}` : null,
+    createdAt: clip.created_at
+  };
+}
+
+router.get('/videos/:id/clips', async (req, res) => {
+  try {
+    const clips = await getClipsForVideo(req.app.locals.db, req.params.id);
+    res.json({ clips: clips.map(formatClip) });
+  } catch (error) {
+    console.error(`Error fetching clips for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch clips' });
+  }
+});
+
+// Trim a segment out of a video into its own library item (exported in the background)
+router.post('/videos/:id/clips', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const video = await getVideoById(db, req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const start = Number(req.body.start);
+    const end = Number(req.body.end);
+    if (req.body.start === undefined || req.body.end === undefined || !Number.isFinite(start) || !Number.isFinite(end) || start < 0 || (video.duration && end > video.duration + 1)) {
+      return res.status(400).json({ error: 'start and end must be positions within the video' });
+    }
+    if (end - start < clipConfig.minDuration || end - start > clipConfig.maxDuration) {
+      return res.status(400).json({ error: `Clips must be between ${clipConfig.minDuration} second and ${clipConfig.maxDuration / 60} minutes long` });
+    }
+
+    let title = `${video.title} (${formatDuration(start)}-${formatDuration(end)})`;
+    if (req.body.title !== undefined && req.body.title !== '') {
+      title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+      if (title.length === 0 || title.length > MAX_CLIP_TITLE_LENGTH) {
+        return res.status(400).json({ error: `Title must be 1-${MAX_CLIP_TITLE_LENGTH} characters` });
+      }
+    }
+
+    const clipId = await createClip(db, video.id, { title, start_time: start, end_time: end });
+    const clip = await getClipById(db, clipId);
+
+    exportClip(db, clip, video).catch(error => {
+      console.error(`Clip export job for clip ${clipId} failed:`, error);
+    });
+
+    res.status(202).json(formatClip(clip));
+  } catch (error) {
+    console.error(`Error creating clip of video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to create clip' });
+  }
+});
+
+router.get('/clips/:id', async (req, res) => {
+  try {
+    const clip = await getClipById(req.app.locals.db, req.params.id);
+
+    if (!clip) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+
+    res.json(formatClip(clip));
+  } catch (error) {
+    console.error(`Error fetching clip ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch clip' });
+  }
+});
+
+// Delete a clip together with its library entry and exported file
+router.delete('/clips/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const clip = await getClipById(db, req.params.id);
+
+    if (!clip) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+    if (clip.status === 'pending' || clip.status === 'processing') {
+      return res.status(409).json({ error: 'Clip is still being exported' });
+    }
+
+    if (clip.video_id) {
+      // Removing the clip's video also removes the clip row
+      await deleteVideo(db, clip.video_id);
+      await removeClipFile(clip.path);
+    } else {
+      await deleteClip(db, clip.id);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error deleting clip ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete clip' });
+  }
+});
+
+// Videos the user started but hasn't finished, for the "Continue watching" row
+router.get('/continue-watching', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    const videos = await getContinueWatching(db, getLibraryUserId(req), limit);
+
+    res.json({
+      videos: videos.map(video => ({
+        ...video,
+        is_favorite: !!video.is_favorite,
+        watch_completed: false,
+        duration_formatted: formatDuration(video.duration)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching continue watching list:', error);
+    res.status(500).json({ error: 'Failed to fetch continue watching list' });
+  }
+});
+
+router.get('/videos/:id/progress', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const progress = await getWatchProgress(db, getLibraryUserId(req), req.params.id);
+
+    res.json({
+      videoId: parseInt(req.params.id, 10),
+      position: progress ? progress.position : 0,
+      duration: progress ? progress.duration : null,
+      completed: progress ? !!progress.completed : false,
+      lastWatched: progress ? progress.last_watched : null,
+      // Only worth resuming if playback got somewhere and didn't reach the end
+      resume: !!progress && !progress.completed && progress.position >= MIN_RESUME_SECONDS
+    });
+  } catch (error) {
+    console.error(`Error fetching watch progress for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch watch progress' });
+  }
+});
+
+// POST so the player can report progress with navigator.sendBeacon() on pagehide
+router.post('/videos/:id/progress', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const position = Number(req.body && req.body.position);
+    const duration = Number(req.body && req.body.duration);
+
+    if (!Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ error: 'position must be a non-negative number of seconds' });
+    }
+
+    const saved = await saveWatchProgress(db, getLibraryUserId(req), req.params.id, position, Number.isFinite(duration) ? duration : null);
+    if (!saved) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error saving watch progress for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to save watch progress' });
+  }
+});
+
+router.delete('/videos/:id/progress', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    await clearWatchProgress(db, getLibraryUserId(req), req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error clearing watch progress for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to clear watch progress' });
+  }
+});
+
+router.put('/videos/:id/favorite', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const added = await addFavorite(db, getLibraryUserId(req), req.params.id);
+
+    if (!added) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.json({ videoId: parseInt(req.params.id, 10), favorite: true });
+  } catch (error) {
+    console.error(`Error adding video ${req.params.id} to favorites:`, error);
+    res.status(500).json({ error: 'Failed to add favorite' });
+  }
+});
+
+router.delete('/videos/:id/favorite', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    await removeFavorite(db, getLibraryUserId(req), req.params.id);
+    res.json({ videoId: parseInt(req.params.id, 10), favorite: false });
+  } catch (error) {
+    console.error(`Error removing video ${req.params.id} from favorites:`, error);
+    res.status(500).json({ error: 'Failed to remove favorite' });
+  }
+});
+
+router.get('/favorites', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const videoIds = await getFavoriteVideoIds(db, getLibraryUserId(req));
+    res.json({ videoIds });
+  } catch (error) {
+    console.error('Error fetching favorites:', error);
+    res.status(500).json({ error: 'Failed to fetch favorites' });
+  }
+});
+
+// One-time import of favorites that were stored in the browser's localStorage
+router.post('/favorites/import', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const videoIds = req.body && req.body.videoIds;
+
+    if (!Array.isArray(videoIds)) {
+      return res.status(400).json({ error: 'videoIds must be an array' });
+    }
+
+    const validIds = videoIds
+      .map(id => parseInt(id, 10))
+      .filter(id => Number.isInteger(id) && id > 0);
+    const imported = await importFavorites(db, getLibraryUserId(req), validIds);
+
+    res.json({ imported });
+  } catch (error) {
+    console.error('Error importing favorites:', error);
+    res.status(500).json({ error: 'Failed to import favorites' });
+  }
+});
+
+// Distinct game/series/player values for building filters
+router.get('/path-fields', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const fields = await getPathFieldValues(db);
+    res.json(fields);
+  } catch (error) {
+    console.error('Error fetching path fields:', error);
+    res.status(500).json({ error: 'Failed to fetch path fields' });
+  }
+});
+
+router.get('/tags', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const tags = await getAllTags(db);
+    res.json({ tags });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+router.post('/tags', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const name = parseName(req.body && req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: `name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+
+    const tag = await createTag(db, name, parseColor(req.body.color));
+    res.status(201).json(tag);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A tag with that name already exists' });
+    }
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+router.put('/tags/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const name = parseName(req.body && req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: `name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+
+    const changes = await updateTag(db, req.params.id, name, parseColor(req.body.color));
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json(await getTagById(db, req.params.id));
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A tag with that name already exists' });
+    }
+    console.error(`Error updating tag ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+router.delete('/tags/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const changes = await deleteTag(db, req.params.id);
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error deleting tag ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+router.get('/videos/:id/tags', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const tags = await getTagsForVideo(db, req.params.id);
+    res.json({ tags });
+  } catch (error) {
+    console.error(`Error fetching tags for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Tag a video by name; unknown tag names are created on the fly
+router.post('/videos/:id/tags', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const name = parseName(req.body && req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: `name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+
+    const tag = await addTagToVideo(db, req.params.id, name);
+    if (!tag) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.status(201).json(tag);
+  } catch (error) {
+    console.error(`Error tagging video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to add tag' });
+  }
+});
+
+router.delete('/videos/:id/tags/:tagId', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    await removeTagFromVideo(db, req.params.id, req.params.tagId);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error removing tag ${req.params.tagId} from video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to remove tag' });
+  }
+});
+
+router.get('/collections', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const collections = await getAllCollections(db);
+    res.json({ collections });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+});
+
+router.post('/collections', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const name = parseName(req.body && req.body.name);
 
-    // Fetch paginated videos and total count
-    const { videos, totalCount } = await getVideosPaginated(db, page, limit, searchQuery, sort); // Pass sort parameter
+    if (!name) {
+      return res.status(400).json({ error: `name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
 
-    const formattedVideos = videos.map(video => {
-      return {
-        ...video,
-        duration_formatted: formatDuration(video.duration)
-      };
-    });
-    
-    // Return videos and total count for pagination controls
-    res.json({
-      videos: formattedVideos,
-      totalCount: totalCount,
-      page: page,
-      limit: limit
-    });
+    const description = req.body.description === undefined ? null : parseDescription(req.body.description);
+    if (description === undefined) {
+      return res.status(400).json({ error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    }
+
+    const collection = await createCollection(db, name, description);
+    res.status(201).json(collection);
   } catch (error) {
-    console.error('Error fetching videos:', error);
-    res.status(500).json({ error: 'Failed to fetch videos' });
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A collection with that name already exists' });
+    }
+    console.error('Error creating collection:', error);
+    res.status(500).json({ error: 'Failed to create collection' });
   }
 });
 
-router.get('/videos/:id', async (req, res) => {
+router.get('/collections/:id', async (req, res) => {
   try {
     const db = req.app.locals.db;
-    const video = await getVideoById(db, req.params.id);
-    
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
+    const collection = await getCollectionById(db, req.params.id);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
     }
-    
-    video.duration_formatted = formatDuration(video.duration);
-    
-    res.json(video);
+
+    res.json(collection);
   } catch (error) {
-    console.error(`Error fetching video ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to fetch video' });
+    console.error(`Error fetching collection ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch collection' });
+  }
+});
+
+router.put('/collections/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const name = parseName(req.body && req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: `name must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+
+    // The description is only changed when the body has one, so renaming keeps it
+    let description;
+    if (req.body.description !== undefined) {
+      description = parseDescription(req.body.description);
+      if (description === undefined) {
+        return res.status(400).json({ error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+      }
+    }
+
+    const changes = await updateCollection(db, req.params.id, name, description);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json(await getCollectionById(db, req.params.id));
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A collection with that name already exists' });
+    }
+    console.error(`Error updating collection ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update collection' });
+  }
+});
+
+router.delete('/collections/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const changes = await deleteCollection(db, req.params.id);
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error deleting collection ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
+router.put('/collections/:id/videos/:videoId', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const added = await addVideoToCollection(db, req.params.id, req.params.videoId);
+
+    if (!added) {
+      return res.status(404).json({ error: 'Collection or video not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error adding video ${req.params.videoId} to collection ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to add video to collection' });
+  }
+});
+
+router.delete('/collections/:id/videos/:videoId', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    await removeVideoFromCollection(db, req.params.id, req.params.videoId);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error removing video ${req.params.videoId} from collection ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to remove video from collection' });
+  }
+});
+
+// Base URL for share links: SHARE_BASE_URL, or this server (including BASE_PATH)
+function getShareBaseUrl(req) {
+  return process.env.SHARE_BASE_URL || `${req.protocol}://${req.get('host')}${req.baseUrl.replace(/\/api$/, '')}`;
+}
+
+// Share as returned by the API, with its link and state
+function formatShare(share, req) {
+  const token = createShareToken(share);
+  return {
+    id: share.id,
+    video_id: share.video_id,
+    video_title: share.video_title,
+    token,
+    url: `${getShareBaseUrl(req)}/watch/${share.video_id}?share=${token}`,
+    start_time: share.start_time,
+    end_time: share.end_time,
+    expires_at: share.expires_at,
+    max_views: share.max_views,
+    view_count: share.view_count,
+    last_viewed_at: share.last_viewed_at,
+    revoked_at: share.revoked_at,
+    created_at: share.created_at,
+    created_by: share.created_by_username || null,
+    has_password: !!share.password_hash,
+    state: getShareState(share)
+  };
+}
+
+/**
+ * Validate the limits of a new share
+ * @param {Object} body - { expires_in (seconds), start, end, max_views, password }, all optional
+ * @param {Object} video - Video being shared
+ * @returns {{options: Object, password: string|null}|{error: string}} - password still needs hashing
+ */
+function parseShareOptions(body, video) {
+  const options = { start_time: null, end_time: null, expires_at: null, max_views: null };
+  let password = null;
+
+  if (body.expires_in != null) {
+    const expiresIn = Number(body.expires_in);
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > shareConfig.maxExpiresIn) {
+      return { error: `expires_in must be a whole number of seconds up to ${shareConfig.maxExpiresIn}` };
+    }
+    options.expires_at = new Date(Date.now() + expiresIn * 1000).toISOString();
+  }
+
+  if (body.max_views != null) {
+    const maxViews = Number(body.max_views);
+    if (!Number.isInteger(maxViews) || maxViews <= 0) {
+      return { error: 'max_views must be a positive whole number' };
+    }
+    options.max_views = maxViews;
+  }
+
+  if (body.start != null || body.end != null) {
+    const start = body.start == null ? 0 : Number(body.start);
+    const end = body.end == null ? video.duration : Number(body.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start || (video.duration && end > video.duration + 1)) {
+      return { error: 'start and end must be a range of seconds within the video' };
+    }
+    options.start_time = start;
+    options.end_time = end;
+  }
+
+  if (body.password != null && body.password !== '') {
+    if (typeof body.password !== 'string' || body.password.length < shareConfig.minPasswordLength || body.password.length > 256) {
+      return { error: `password must be ${shareConfig.minPasswordLength} to 256 characters` };
+    }
+    password = body.password;
+  }
+
+  return { options, password };
+}
+
+router.get('/videos/:id/shares', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const shares = await getShares(db, Number(req.params.id));
+    // Links carry a working token, so users other than admins only see the ones they made
+    const visible = req.app.locals.authEnabled && req.user.role !== 'admin'
+      ? shares.filter(share => share.created_by === req.user.id)
+      : shares;
+    res.json(visible.map(share => formatShare(share, req)));
+  } catch (error) {
+    console.error(`Error fetching shares for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch shares' });
   }
 });
 
-router.get('/share/:id', async (req, res) => {
+router.post('/videos/:id/shares', requireRole('viewer'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     const video = await getVideoById(db, req.params.id);
-    
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
-    
-    const sessionKey = process.env.SESSION_KEY;
-    const shareBaseUrl = process.env.SHARE_BASE_URL;
-    const shareLink = `${shareBaseUrl}/${sessionKey}/watch/${video.id}`;
-    
-    res.json({ shareLink });
+
+    const parsed = parseShareOptions(req.body || {}, video);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const id = await createShare(db, video.id, {
+      ...parsed.options,
+      password_hash: parsed.password ? await hashPassword(parsed.password) : null,
+      nonce: crypto.randomBytes(16).toString('hex'),
+      created_by: (req.user && req.user.id) || null
+    });
+    const share = await getShareById(db, id);
+    res.status(201).json(formatShare({ ...share, video_title: video.title, created_by_username: req.user ? req.user.username : null }, req));
   } catch (error) {
-    console.error(`Error generating share link for video ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to generate share link' });
+    console.error(`Error creating share for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to create share' });
   }
 });
 
+router.get('/shares', requireRole('admin'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const shares = await getShares(db);
+    res.json(shares.map(share => formatShare(share, req)));
+  } catch (error) {
+    console.error('Error fetching shares:', error);
+    res.status(500).json({ error: 'Failed to fetch shares' });
+  }
+});
+
+// Revoke a share (its creator or an admin)
+router.delete('/shares/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const share = await getShareById(db, req.params.id);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    if (req.app.locals.authEnabled && req.user.role !== 'admin' && share.created_by !== req.user.id) {
+      return res.status(403).json({ error: 'Only the creator of a share or an admin can revoke it' });
+    }
+
+    await revokeShare(db, share.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error revoking share ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to revoke share' });
+  }
+});
+
+router.get('/shares/:id/stats', requireRole('viewer'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const share = await getShareById(db, req.params.id);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    if (req.app.locals.authEnabled && req.user.role !== 'admin' && share.created_by !== req.user.id) {
+      return res.status(403).json({ error: 'Only the creator of a share or an admin can see its stats' });
+    }
+
+    const stats = await getShareStats(db, share.id);
+    res.json({
+      share_id: share.id,
+      state: getShareState(share),
+      ...stats,
+      average_watch_seconds: stats.opens ? stats.watched_seconds / stats.opens : 0
+    });
+  } catch (error) {
+    console.error(`Error fetching stats for share ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch share stats' });
+  }
+});
 
 
-router.post('/refresh', (req, res) => { // Changed to POST as it initiates an action
+// Rescans the library; only changed files are checked unless the body has { "full": true }
+router.post('/refresh', requireRole('admin'), (req, res) => { // Changed to POST as it initiates an action
   try {
     const db = req.app.locals.db;
+    const full = Boolean(req.body && req.body.full === true);
     
     // Trigger scan asynchronously (don't await)
-    scanLibrary(db).catch(err => {
+    scanLibrary(db, { full }).catch(err => {
       // Log error if scan fails unexpectedly after starting
       console.error('Background scan failed:', err); 
     }); 
@@ -121,8 +1177,127 @@ router.get('/scan/status', (req, res) => {
   }
 });
 
+const SCAN_FILE_ACTIONS = ['added', 'updated', 'removed', 'failed'];
+// Most scans GET /api/scans lists at once
+const MAX_SCANS_LIMIT = 100;
+
+// Past library scans, latest first, with their counts
+router.get('/scans', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SCANS_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_SCANS_LIMIT}` });
+    }
+    res.json(await getScans(req.app.locals.db, limit));
+  } catch (error) {
+    console.error('Error fetching scans:', error);
+    res.status(500).json({ error: 'Failed to fetch scans' });
+  }
+});
+
+// One scan with every file it added, updated, removed or failed on (?action= for just one of those)
+router.get('/scans/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { action } = req.query;
+    if (action !== undefined && !SCAN_FILE_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${SCAN_FILE_ACTIONS.join(', ')}` });
+    }
+    const scan = await getScanById(req.app.locals.db, req.params.id, action);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    res.json(scan);
+  } catch (error) {
+    console.error(`Error fetching scan ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch scan' });
+  }
+});
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed'];
+// Most jobs GET /api/jobs lists at once
+const MAX_JOBS_LIMIT = 200;
+
+// Background jobs (thumbnails, previews, probes, highlight reels): counts per status and type, and the jobs themselves
+router.get('/jobs', requireRole('admin'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    if (type !== undefined && !JOB_TYPES[type]) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(JOB_TYPES).join(', ')}` });
+    }
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_JOBS_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_JOBS_LIMIT}` });
+    }
+
+    const db = req.app.locals.db;
+    const counts = Object.fromEntries(JOB_STATUSES.map(jobStatus => [jobStatus, 0]));
+    const byType = {};
+    for (const row of await getJobCounts(db)) {
+      counts[row.status] += row.count;
+      byType[row.type] = { ...byType[row.type], [row.status]: row.count };
+    }
+
+    res.json({
+      counts,
+      by_type: byType,
+      jobs: await getJobs(db, { status, type, limit })
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Library totals and disk usage for the admin dashboard (cache, CDN, scan and jobs have their own endpoints)
+router.get('/admin/overview', requireRole('admin'), async (req, res) => {
+  try {
+    const [library, thumbnails, previews, highlights] = await Promise.all([
+      getLibraryTotals(req.app.locals.db),
+      getDirectoryUsage(getThumbnailDir()),
+      getDirectoryUsage(previewConfig.previewDir),
+      getDirectoryUsage(highlightConfig.outputDir)
+    ]);
+    res.json({
+      library,
+      disk: { thumbnails, previews, highlights }
+    });
+  } catch (error) {
+    console.error('Error fetching admin overview:', error);
+    res.status(500).json({ error: 'Failed to fetch admin overview' });
+  }
+});
+
+// Generate a video's preview clips again, replacing any there are
+router.post('/videos/:id/preview/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const video = await getVideoById(db, req.params.id);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (process.env.ENABLE_PREVIEWS === 'false') {
+      return res.status(409).json({ error: 'Preview generation is disabled' });
+    }
+
+    // Queued first so an active job keeps its previews and status; a job that
+    // starts right away sets its own status, which marking it pending leaves alone
+    const jobId = await queueJob(db, 'preview', video.id, { force: true });
+    if (!jobId) {
+      return res.status(409).json({ error: 'Previews are already being generated for this video' });
+    }
+    await markVideoPreviewPending(db, video.id, jobId);
+    res.status(202).json({ job_id: jobId, status: 'pending' });
+  } catch (error) {
+    console.error(`Error retrying previews for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retry previews' });
+  }
+});
+
 
-router.get('/cache/stats', (req, res) => {
+router.get('/cache/stats', requireRole('admin'), (req, res) => {
   try {
     const stats = videoCache.getCacheStats();
     res.json(stats);
@@ -132,7 +1307,7 @@ router.get('/cache/stats', (req, res) => {
   }
 });
 
-router.post('/cache/clear', (req, res) => {
+router.post('/cache/clear', requireRole('admin'), (req, res) => {
   try {
     videoCache.clearCache();
     res.json({ message: 'Cache cleared successfully' });
@@ -142,10 +1317,14 @@ router.post('/cache/clear', (req, res) => {
   }
 });
 
-router.post('/cache/config', (req, res) => {
+// Same as PATCH /api/settings/cache, answering with the cache module's whole config
+router.post('/cache/config', requireRole('admin'), async (req, res) => {
   try {
-    const newConfig = req.body;
-    videoCache.updateConfig(newConfig);
+    const changes = validateSettings('cache', req.body);
+    if (changes.error) {
+      return res.status(400).json({ error: changes.error });
+    }
+    await updateSettings(req.app.locals.db, 'cache', changes, getSettingsUserId(req));
     res.json({ 
       message: 'Cache configuration updated successfully',
       config: videoCache.config
@@ -156,7 +1335,7 @@ router.post('/cache/config', (req, res) => {
   }
 });
 
-router.get('/cdn/config', (req, res) => {
+router.get('/cdn/config', requireRole('admin'), (req, res) => {
   try {
     const config = cdnManager.getConfig();
     res.json(config);
@@ -166,13 +1345,17 @@ router.get('/cdn/config', (req, res) => {
   }
 });
 
-router.post('/cdn/config', (req, res) => {
+// Same as PATCH /api/settings/cdn, answering with the CDN module's whole config
+router.post('/cdn/config', requireRole('admin'), async (req, res) => {
   try {
-    const newConfig = req.body;
-    const updatedConfig = cdnManager.updateConfig(newConfig);
+    const changes = validateSettings('cdn', req.body);
+    if (changes.error) {
+      return res.status(400).json({ error: changes.error });
+    }
+    await updateSettings(req.app.locals.db, 'cdn', changes, getSettingsUserId(req));
     res.json({
       message: 'CDN configuration updated successfully',
-      config: updatedConfig
+      config: cdnManager.getConfig()
     });
   } catch (error) {
     console.error('Error updating CDN config:', error);
@@ -180,6 +1363,176 @@ router.post('/cdn/config', (req, res) => {
   }
 });
 
+// Admin changing settings, recorded with them (none when auth is disabled)
+function getSettingsUserId(req) {
+  return req.user ? req.user.id : null;
+}
+
+// Effective cache, CDN, preview and thumbnail settings, each with where its value comes from
+router.get('/settings', requireRole('admin'), (req, res) => {
+  try {
+    res.json(getEffectiveSettings());
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+// Change settings of one section; they are stored, so they outlast restarts. null resets a setting.
+router.patch('/settings/:section', requireRole('admin'), async (req, res) => {
+  try {
+    const section = req.params.section;
+    if (!Object.hasOwn(SETTINGS_SECTIONS, section)) {
+      return res.status(404).json({ error: `Unknown settings section. Sections: ${Object.keys(SETTINGS_SECTIONS).join(', ')}` });
+    }
+    const changes = validateSettings(section, req.body);
+    if (changes.error) {
+      return res.status(400).json({ error: changes.error });
+    }
+    await updateSettings(req.app.locals.db, section, changes, getSettingsUserId(req));
+    res.json(getEffectiveSettings(section));
+  } catch (error) {
+    console.error(`Error updating ${req.params.section} settings:`, error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// Current user, so the UI can hide what their role can't do
+router.get('/me', (req, res) => {
+  if (!req.app.locals.authEnabled) {
+    return res.json({ authEnabled: false, user: null });
+  }
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  const { id, username, role } = req.user;
+  res.json({ authEnabled: true, user: { id, username, role } });
+});
+
+router.post('/me/password', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!req.user || !req.user.id) {
+      return res.status(400).json({ error: 'Only user accounts have a password' });
+    }
+    const newPassword = parsePassword(req.body.newPassword);
+    if (!newPassword) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await getUserByUsername(db, req.user.username);
+    if (!user || !(await verifyPassword(String(req.body.currentPassword || ''), user.password_hash))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+
+    await updateUser(db, user.id, { password_hash: await hashPassword(newPassword) });
+    // Log out every other device
+    await destroyUserSessions(db, user.id, req.sessionID);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    res.json(await getUsers(db));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const username = parseUsername(req.body.username);
+    const password = parsePassword(req.body.password);
+    const role = req.body.role === undefined ? 'viewer' : req.body.role;
+    if (!username) {
+      return res.status(400).json({ error: 'Username must be 3-32 letters, digits, ".", "-" or "_"' });
+    }
+    if (!password) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const id = await createUser(db, { username, password_hash: await hashPassword(password), role });
+    res.status(201).json(await getUserById(db, id));
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A user with that name already exists' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await getUserById(db, req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const fields = {};
+    if (req.body.role !== undefined) {
+      if (!ROLES.includes(req.body.role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      if (user.role === 'admin' && req.body.role !== 'admin' && await countUsers(db, 'admin') <= 1) {
+        return res.status(409).json({ error: 'Cannot demote the last admin' });
+      }
+      fields.role = req.body.role;
+    }
+    if (req.body.password !== undefined) {
+      const password = parsePassword(req.body.password);
+      if (!password) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      fields.password_hash = await hashPassword(password);
+    }
+
+    await updateUser(db, user.id, fields);
+    // A reset password logs the user out everywhere
+    if (fields.password_hash) {
+      await destroyUserSessions(db, user.id, req.user && req.user.id === user.id ? req.sessionID : null);
+    }
+    res.json(await getUserById(db, user.id));
+  } catch (error) {
+    console.error(`Error updating user ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+router.delete('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const user = await getUserById(db, req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (req.user && req.user.id === user.id) {
+      return res.status(409).json({ error: 'You cannot delete your own account' });
+    }
+    if (user.role === 'admin' && await countUsers(db, 'admin') <= 1) {
+      return res.status(409).json({ error: 'Cannot delete the last admin' });
+    }
+
+    // Their sessions are deleted along with the account
+    await deleteUser(db, user.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error deleting user ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
 // Preview API endpoints
 router.get('/videos/:id/preview/:timestamp?', async (req, res) => {
   try {
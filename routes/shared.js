@@ -0,0 +1,538 @@
+// Pages and files that visitors with a share link can reach. Mounted before checkAuth, so
+// every route here checks access itself: logged-in users get everything, everyone else
+// needs a valid share token for the video.
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { getVideoById, createShareView, updateShareView } = require('../db/database');
+const videoCache = require('../lib/cache');
+const cdnManager = require('../lib/cdn');
+const { getStreamPlan, getRangePlan, streamRemuxed } = require('../lib/streaming');
+const { verifyPassword } = require('../lib/auth');
+const { resolveShareToken, SHARE_ERRORS, getUnlockCookieName, createUnlockValue, isUnlockRateLimited, recordUnlockAttempt, normalizeReferrer, shareConfig } = require('../lib/shares');
+const { escapeHtml, parseVideoUrl, buildOembed } = require('../lib/embed');
+
+const router = express.Router();
+
+// Small page explaining why a page can't be shown
+function renderErrorPage(req, message) {
+  const { basePath = '', vodsName } = req.app.locals;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${vodsName}</title>
+  <link rel="stylesheet" href="${basePath}/css/style.css">
+</head>
+<body>
+  <main class="share-error">
+    <h1>${vodsName}</h1>
+    <p>${message}</p>
+  </main>
+</body>
+</html>`;
+}
+
+// Small page explaining why a share link didn't open
+function renderShareError(req, reason) {
+  return renderErrorPage(req, SHARE_ERRORS[reason]);
+}
+
+// Let visitors without an account open a watch or embed page through a share link for the video.
+// Otherwise sends them to the login form, the unlock page or an error page and returns false.
+async function allowSharePage(req, res, videoId) {
+  if (!req.app.locals.authEnabled || req.user) {
+    return true;
+  }
+  if (!req.query.share) {
+    res.redirect((req.app.locals.basePath || '') + '/login.html');
+    return false;
+  }
+  const access = await resolveShareToken(req.app.locals.db, req.query.share, videoId, { cookies: req.cookies });
+  if (access.error === 'locked') {
+    res.status(401).sendFile(path.join(__dirname, '..', 'public', 'share-unlock.html'));
+    return false;
+  }
+  if (access.error && access.error !== 'not_opened') {
+    res.status(403).send(renderShareError(req, access.error));
+    return false;
+  }
+  return true;
+}
+
+// Whether a visitor may fetch a video's files: logged-in users always can, others need an
+// open share link for the video (unlocked, if it has a password). A valid share link is kept
+// in req.share, for logged-in users too, since the player plays what the link allows.
+// Returns null when allowed, otherwise the status code and message to respond with.
+async function checkVideoAccess(req, videoId) {
+  const loggedIn = !req.app.locals.authEnabled || !!req.user;
+  if (!req.query.share) {
+    return loggedIn ? null : { status: 401, error: 'Authentication required' };
+  }
+  const access = await resolveShareToken(req.app.locals.db, req.query.share, videoId, { cookies: req.cookies });
+  if (access.error) {
+    return loggedIn ? null : { status: 403, error: SHARE_ERRORS[access.error] };
+  }
+  req.share = access.share;
+  return null;
+}
+
+// Serve player page
+router.get('/watch/:id', async (req, res) => {
+  const videoId = req.params.id;
+  const db = req.app.locals.db; // Access the database instance from app.locals
+  const { basePath = '', vodsName } = req.app.locals;
+
+  try {
+    // Visitors without an account need a share link for this video
+    if (!(await allowSharePage(req, res, videoId))) {
+      return;
+    }
+
+    const video = await getVideoById(db, videoId);
+
+    if (!video) {
+      return res.status(404).send('Video not found');
+    }
+
+    // Read the player.html file
+    let playerHtml = fs.readFileSync(path.join(__dirname, '..', 'public', 'player.html'), 'utf8');
+
+    // Construct Open Graph meta tags
+    const ogTitle = video.title;
+    const ogType = 'video.movie'; // Or video.episode, video.tv_show, video.other
+    let ogImage = `${req.protocol}://${req.get('host')}${basePath}${video.thumbnail_path}`; // Ensure absolute URL for og:image, including basePath
+    // If CDN is enabled, use the CDN URL
+    if (cdnManager.shouldUseCdn(video.thumbnail_path, 'thumbnail')) {
+      ogImage = cdnManager.getCdnUrl(video.thumbnail_path, 'thumbnail'); // cdnManager should handle basePath internally if needed
+    }
+    const ogUrl = `${req.protocol}://${req.get('host')}${basePath}/watch/${videoId}`; // Canonical URL
+    const videoStreamUrl = `${req.protocol}://${req.get('host')}${basePath}/api/video/${videoId}`; // Direct video stream URL
+    // oEmbed discovery for this page; keeps the share token so embeds work without an account
+    const oembedPage = req.query.share ? `${ogUrl}?share=${encodeURIComponent(req.query.share)}` : ogUrl;
+    const oembedUrl = `${req.protocol}://${req.get('host')}${basePath}/api/oembed?format=json&url=${encodeURIComponent(oembedPage)}`;
+
+    const ogTags = `
+  <meta property="og:title" content="${ogTitle}" />
+  <meta property="og:type" content="${ogType}" />
+  <meta property="og:image" content="${ogImage}" />
+  <meta property="og:url" content="${ogUrl}" />
+  <meta property="og:description" content="Watch ${ogTitle} on ${vodsName}" />
+  <meta property="og:site_name" content="${vodsName}" />
+  <meta property="og:video" content="${videoStreamUrl}" />
+  <meta property="og:video:type" content="video/mp4" />
+  <meta property="og:video:secure_url" content="${videoStreamUrl}" />
+  <meta property="og:video:width" content="${video.width || 1280}" />
+  <meta property="og:video:height" content="${video.height || 720}" />
+  <link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}" title="${escapeHtml(ogTitle)}" />
+    `;
+
+    // Inject meta tags into the <head> section
+    playerHtml = playerHtml.replace('</head>', `${ogTags}\n</head>`);
+
+    // Update the title dynamically as well
+    playerHtml = playerHtml.replace('<title>Loading...</title>', `<title>${ogTitle}</title>`);
+
+    res.send(playerHtml);
+
+  } catch (error) {
+    console.error(`Error serving video ${videoId}:`, error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Chrome-less player for iframes: ?t= start time, ?autoplay=1, ?share= for visitors without an account
+router.get('/embed/:id', async (req, res) => {
+  const videoId = req.params.id;
+  try {
+    if (!(await allowSharePage(req, res, videoId))) {
+      return;
+    }
+    const video = await getVideoById(req.app.locals.db, videoId);
+    if (!video) {
+      return res.status(404).send('Video not found');
+    }
+
+    const embedHtml = fs.readFileSync(path.join(__dirname, '..', 'public', 'embed.html'), 'utf8')
+      .replace('<title>Loading...</title>', `<title>${escapeHtml(video.title)}</title>`);
+    res.send(embedHtml);
+  } catch (error) {
+    console.error(`Error serving embed for video ${videoId}:`, error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Unlock a password-protected share link on the watch or embed page. The unlock is a signed
+// cookie for that share only, and wrong passwords are limited per share and IP address.
+router.post(['/watch/:id', '/embed/:id'], async (req, res) => {
+  const videoId = req.params.id;
+  const token = typeof req.query.share === 'string' ? req.query.share : '';
+  const unlockPage = `${req.baseUrl}${req.path}?share=${encodeURIComponent(token)}`;
+
+  try {
+    const access = await resolveShareToken(req.app.locals.db, token, videoId);
+    if (access.error && access.error !== 'locked') {
+      return res.status(403).send(renderShareError(req, access.error));
+    }
+    const { share } = access;
+    if (!share.password_hash) {
+      return res.redirect(303, unlockPage);
+    }
+
+    const attemptKey = `${share.id}:${req.ip}`;
+    if (isUnlockRateLimited(attemptKey)) {
+      return res.redirect(303, `${unlockPage}&error=limit`);
+    }
+    const password = req.body && typeof req.body.password === 'string' ? req.body.password : '';
+    const valid = await verifyPassword(password, share.password_hash);
+    recordUnlockAttempt(attemptKey, valid);
+    if (!valid) {
+      console.log(`Wrong password for share ${share.id}.`);
+      return res.redirect(303, `${unlockPage}&error=1`);
+    }
+
+    res.cookie(getUnlockCookieName(share), createUnlockValue(share), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.SESSION_COOKIE_SECURE === 'true',
+      maxAge: shareConfig.unlockDuration,
+      path: req.app.locals.basePath || '/'
+    });
+    res.redirect(303, unlockPage);
+  } catch (error) {
+    console.error(`Error unlocking share for video ${videoId}:`, error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Video stream route
+router.get('/api/videos/:id/stream', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+
+    // Share links only stream their own video, and don't log anyone in
+    const denied = await checkVideoAccess(req, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const video = await getVideoById(db, req.params.id);
+    
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const videoPath = video.path;
+    const stat = fs.statSync(videoPath);
+    const fileSize = stat.size;
+    const range = req.headers.range;
+
+    // A share link limited to a time range only gets that range, re-encoded by ffmpeg
+    if (req.share && req.share.start_time != null) {
+      const rangePlan = getRangePlan();
+      if (!rangePlan) {
+        return res.status(403).json({ error: 'This part of the video cannot be streamed on its own' });
+      }
+      return streamRemuxed(videoPath, rangePlan, req, res, { start: req.share.start_time, end: req.share.end_time });
+    }
+    
+    const cacheMaxAge = 3600; // 1 hour in seconds
+    res.setHeader('Cache-Control', `public, max-age=${cacheMaxAge}`);
+    res.setHeader('ETag', `"${video.id}-${stat.mtime.getTime()}"`);
+    
+    if (cdnManager.shouldUseCdn(req.originalUrl, 'video')) {
+      const protocol = req.protocol;
+      const host = req.get('host');
+      const originalUrl = `${protocol}://${host}${req.originalUrl}`;
+      const cdnUrl = cdnManager.getCdnUrl(originalUrl, 'video');
+      
+      return res.redirect(cdnUrl);
+    }
+
+    // Serve the real MIME type, or remux browser-incompatible containers (e.g. MKV with H.264) to MP4
+    const plan = await getStreamPlan(videoPath, stat);
+    if (plan.mode === 'remux') {
+      return streamRemuxed(videoPath, plan, req, res);
+    }
+    
+    if (range) {
+      const parts = range.replace(/bytes=/, '').split('-');
+      const start = parseInt(parts[0], 10);
+      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+      const chunksize = (end - start) + 1;
+      
+      const cachedSegment = videoCache.getCachedSegment(video.id, Math.floor(start / (2 * 1024 * 1024)));
+      
+      const head = {
+        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+        'Accept-Ranges': 'bytes',
+        'Content-Length': chunksize,
+        'Content-Type': plan.contentType,
+      };
+      
+      res.writeHead(206, head);
+      
+      if (cachedSegment) {
+        console.log(`Serving segment from cache for video ${video.id}`);
+        
+        if (cachedSegment.length === chunksize) {
+          res.end(cachedSegment);
+        } else {
+          const bufferStream = Readable.from(cachedSegment);
+          bufferStream.pipe(res);
+        }
+      } else {
+        const file = fs.createReadStream(videoPath, { start, end });
+        file.pipe(res);
+        
+        // Only cache if it's a standard segment size or the first segment
+        if (start % (2 * 1024 * 1024) === 0 || start === 0) {
+          const segmentNumber = Math.floor(start / (2 * 1024 * 1024));
+          videoCache.cacheSegmentFromFile(
+            video.id, 
+            segmentNumber, 
+            videoPath, 
+            start, 
+            Math.min(start + (2 * 1024 * 1024) - 1, fileSize - 1)
+          ).catch(err => console.error('Error caching segment:', err));
+        }
+      }
+    } else {
+      const head = {
+        'Content-Length': fileSize,
+        'Content-Type': plan.contentType,
+      };
+      
+      res.writeHead(200, head);
+      
+      fs.createReadStream(videoPath).pipe(res);
+      
+      videoCache.cacheSegmentFromFile(
+        video.id, 
+        0, 
+        videoPath, 
+        0, 
+        Math.min(2 * 1024 * 1024 - 1, fileSize - 1)
+      ).catch(err => console.error('Error caching first segment:', err));
+    }
+  } catch (error) {
+    console.error(`Error streaming video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to stream video' });
+  }
+});
+
+// Video details for a share link, read by the player. Opening a share counts as a view,
+// recorded for the share's stats with the page the visitor came from (?referrer=).
+router.get('/api/videos/:id/shared', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const access = await resolveShareToken(db, req.query.share, req.params.id, { countView: true, cookies: req.cookies });
+    if (access.error) {
+      return res.status(403).json({ error: SHARE_ERRORS[access.error] });
+    }
+
+    const video = await getVideoById(db, req.params.id);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { share } = access;
+    const viewId = await createShareView(db, share.id, normalizeReferrer(req.query.referrer));
+    res.json({
+      video: {
+        id: video.id,
+        title: video.title,
+        duration: video.duration,
+        added_date: video.added_date,
+        width: video.width,
+        height: video.height,
+        thumbnail_path: video.thumbnail_path
+      },
+      share: {
+        start_time: share.start_time,
+        end_time: share.end_time,
+        expires_at: share.expires_at,
+        views_left: share.max_views == null ? null : share.max_views - share.view_count,
+        view_id: viewId
+      }
+    });
+  } catch (error) {
+    console.error(`Error opening share for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to open share' });
+  }
+});
+
+// What a share visitor did after opening the link: { view_id, played, watched_seconds }.
+// Sent by the player while it plays, so it needs the same access as streaming.
+router.post('/api/videos/:id/shared/activity', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const access = await resolveShareToken(db, req.query.share, req.params.id, { cookies: req.cookies });
+    if (access.error) {
+      return res.status(403).json({ error: SHARE_ERRORS[access.error] });
+    }
+
+    const { view_id: viewId, played, watched_seconds: watchedSeconds } = req.body || {};
+    const seconds = Number(watchedSeconds || 0);
+    if (!Number.isInteger(viewId) || !Number.isFinite(seconds) || seconds < 0) {
+      return res.status(400).json({ error: 'view_id and a non-negative watched_seconds are required' });
+    }
+
+    const updated = await updateShareView(db, access.share.id, viewId, { played: played === true, watchedSeconds: seconds });
+    if (!updated) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error(`Error recording share activity for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to record share activity' });
+  }
+});
+
+// oEmbed for watch and embed links (before auth, since sites fetch it without a session).
+// Visitors without an account only get links that carry a valid share token.
+router.get('/api/oembed', async (req, res) => {
+  try {
+    if (req.query.format && req.query.format !== 'json') {
+      return res.status(501).json({ error: 'Only the json format is supported' });
+    }
+
+    const serverUrl = `${req.protocol}://${req.get('host')}${req.app.locals.basePath || ''}`;
+    const baseUrl = process.env.SHARE_BASE_URL || serverUrl;
+    const target = parseVideoUrl(String(req.query.url || ''), [serverUrl, baseUrl]);
+    if (!target) {
+      return res.status(404).json({ error: 'Not a video link from this library' });
+    }
+
+    const db = req.app.locals.db;
+    const needsShare = req.app.locals.authEnabled && !req.user;
+    if (needsShare && !target.share) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (target.share) {
+      const access = await resolveShareToken(db, target.share, target.videoId);
+      // Browsers don't send the unlock cookie (SameSite=Lax) to iframes on other sites, so
+      // an embed of a password-protected link could never be unlocked
+      if (access.error === 'locked') {
+        return res.status(403).json({ error: 'Share links with a password cannot be embedded' });
+      }
+      if (needsShare && access.error && access.error !== 'not_opened') {
+        return res.status(401).json({ error: SHARE_ERRORS[access.error] });
+      }
+    }
+
+    const video = await getVideoById(db, target.videoId);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    let thumbnailUrl = null;
+    if (video.thumbnail_path) {
+      thumbnailUrl = cdnManager.shouldUseCdn(video.thumbnail_path, 'thumbnail') ? cdnManager.getCdnUrl(video.thumbnail_path, 'thumbnail') : `${serverUrl}${video.thumbnail_path}`;
+    }
+    res.json(buildOembed(video, {
+      baseUrl,
+      providerName: req.app.locals.vodsName,
+      thumbnailUrl,
+      share: target.share,
+      t: target.t,
+      maxWidth: parseInt(req.query.maxwidth, 10) || 0,
+      maxHeight: parseInt(req.query.maxheight, 10) || 0
+    }));
+  } catch (error) {
+    console.error('Error building oEmbed response:', error);
+    res.status(500).json({ error: 'Failed to build oEmbed response' });
+  }
+});
+
+// Preview API endpoints (before auth, so share links can reach them too)
+router.get('/api/videos/:id/preview-info', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const denied = await checkVideoAccess(req, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    const video = await getVideoById(db, req.params.id);
+    
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const previewInfo = {
+      hasPreview: !!video.preview_clips,
+      status: video.preview_generation_status || 'pending',
+      clips: video.preview_clips ? JSON.parse(video.preview_clips).clips : []
+    };
+    
+    res.json(previewInfo);
+  } catch (error) {
+    console.error(`Error getting preview info for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to get preview info' });
+  }
+});
+
+router.get('/api/videos/:id/preview/:timestamp?', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const videoId = req.params.id;
+    const timestamp = parseInt(req.params.timestamp || '10', 10);
+    const denied = await checkVideoAccess(req, videoId);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    
+    const video = await getVideoById(db, videoId);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    // Parse preview clips JSON
+    const previewClips = video.preview_clips ? JSON.parse(video.preview_clips) : null;
+    
+    if (!previewClips || !previewClips.clips) {
+      return res.status(404).json({ error: 'No preview clips available' });
+    }
+    
+    // Find matching preview clip
+    const clip = previewClips.clips.find(c => c.timestamp === timestamp);
+    if (!clip) {
+      return res.status(404).json({ error: 'Preview clip not found' });
+    }
+    
+    // Serve preview file with caching headers
+    const previewPath = path.join(__dirname, '..', 'public', clip.path);
+    
+    if (!fs.existsSync(previewPath)) {
+      return res.status(404).json({ error: 'Preview file not found' });
+    }
+    
+    const stat = fs.statSync(previewPath);
+    
+    // CDN integration
+    if (cdnManager.shouldUseCdn(req.originalUrl, 'preview')) {
+      const cdnUrl = cdnManager.getCdnUrl(clip.path, 'preview');
+      return res.redirect(cdnUrl);
+    }
+    
+    // Set aggressive caching for preview clips
+    res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours
+    res.setHeader('Content-Length', stat.size);
+    res.setHeader('Content-Type', 'video/mp4');
+    res.setHeader('Accept-Ranges', 'bytes');
+    
+    const stream = fs.createReadStream(previewPath);
+    stream.pipe(res);
+    
+  } catch (error) {
+    console.error(`Error serving preview for video ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to serve preview' });
+  }
+});
+
+module.exports = {
+  router,
+  renderErrorPage
+};
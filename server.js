@@ -4,14 +4,22 @@ console.log('SHARE_BASE_URL from .env:', process.env.SHARE_BASE_URL);
 
 const express = require('express');
 const cookieParser = require('cookie-parser'); // Added cookie-parser
+const crypto = require('crypto');
 const app = express();
-const { initializeDatabase, getVideoByPath, deleteVideo, getVideoById } = require('./db/database'); // Added getVideoByPath, deleteVideo, getVideoById
+const { initializeDatabase, getVideoByPath, deleteVideo, getVideoById, failInterruptedHighlightReels, failInterruptedClips, failInterruptedScans } = require('./db/database'); // Added getVideoByPath, deleteVideo, getVideoById
 const { scanLibrary, processVideoFile, isVideoFile } = require('./lib/scanner'); // Added processVideoFile, isVideoFile
 const path = require('path');
 const fs = require('fs');
 const chokidar = require('chokidar'); // Added chokidar
 const videoCache = require('./lib/cache');
 const cdnManager = require('./lib/cdn');
+const { isHlsAvailable, pruneSegmentCache } = require('./lib/hls');
+const { createInitialAdmin, hasRole, parseTrustProxy, createSessionMiddleware, loadUser, checkAuth, login, logout } = require('./lib/auth');
+const SqliteSessionStore = require('./lib/session-store');
+const { router: sharedRoutes, renderErrorPage } = require('./routes/shared');
+const { recoverJobs, startJobWorker } = require('./lib/jobs');
+const { registerJobHandlers } = require('./lib/job-handlers');
+const { applySettings, loadSettings } = require('./lib/settings');
 
 // Get port and IP from environment variables with fallbacks
 const port = process.env.PORT || 8005;
@@ -20,40 +28,12 @@ const basePath = process.env.BASE_PATH || '';
 const vodsName = process.env.VODS_NAME || 'VODlibrary';
 console.log(`Using base path: "${basePath}", VODs name: "${vodsName}"`);
 
-// Initialize server-side caching
-const cacheMaxSize = parseInt(process.env.CACHE_MAX_SIZE || '500', 10) * 1024 * 1024; // Convert MB to bytes
-const cacheTtl = parseInt(process.env.CACHE_TTL || '3600', 10);
-const cachePopularityThreshold = parseInt(process.env.CACHE_POPULARITY_THRESHOLD || '0', 10);
-const cacheMaxSegmentsPerVideo = parseInt(process.env.CACHE_MAX_SEGMENTS_PER_VIDEO || '3', 10);
-
-videoCache.updateConfig({
-  maxCacheSize: cacheMaxSize,
-  stdTTL: cacheTtl,
-  popularityThreshold: cachePopularityThreshold,
-  maxSegmentsPerVideo: cacheMaxSegmentsPerVideo
-});
+// Cache, CDN, preview and thumbnail settings from .env; overrides stored in the database
+// are applied on top once it is open (see startServer)
+applySettings();
 
-console.log(`Server-side cache initialized with max size: ${cacheMaxSize / (1024 * 1024)}MB`);
-
-// Initialize CDN if configured
-const cdnEnabled = process.env.CDN_ENABLED === 'true';
-const cdnProvider = process.env.CDN_PROVIDER || 'custom';
-const cdnBaseUrl = process.env.CDN_BASE_URL || '';
-const cdnToken = process.env.CDN_TOKEN || '';
-const cdnSignedUrls = process.env.CDN_SIGNED_URLS === 'true';
-const cdnSignedUrlsSecret = process.env.CDN_SIGNED_URLS_SECRET || '';
-const cdnRegion = process.env.CDN_REGION || 'auto';
-
-cdnManager.initCdn({
-  enabled: cdnEnabled,
-  provider: cdnProvider,
-  baseUrl: cdnBaseUrl,
-  token: cdnToken,
-  region: cdnRegion,
-  pathPrefix: basePath.replace(/^\//, ''), // Remove leading slash if present
-  signedUrls: cdnSignedUrls,
-  signedUrlsSecret: cdnSignedUrlsSecret
-});
+// Behind a reverse proxy, req.ip (used to rate-limit share passwords) comes from X-Forwarded-For
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // Added for parsing form data
@@ -78,52 +58,28 @@ if (!fs.existsSync(thumbnailDir)) {
 }
 
 // --- Authentication Setup ---
-const SESSION_KEY = process.env.SESSION_KEY;
-const ENABLE_AUTH = process.env.ENABLE_AUTH === 'true'; // New: Master switch for authentication
-const AUTH_COOKIE_NAME = 'auth_token';
-const AUTH_COOKIE_VALUE = 'valid-session'; // Simple token value
-const AUTH_COOKIE_OPTIONS = {
-  httpOnly: true, // Prevent client-side JS access
-  maxAge: 7 * 24 * 60 * 60 * 10000, // 70 days
-  // secure: process.env.NODE_ENV === 'production', // Use only with HTTPS
-  path: basePath || '/', // Ensure cookie path matches base path
-};
-
-// Middleware to check authentication
-function checkAuth(req, res, next) {
-  // If authentication is explicitly disabled, allow all access
-  if (!ENABLE_AUTH) {
-    // console.log('Authentication is disabled. Allowing access.'); // Removed excessive log
-    return next();
-  }
+const ENABLE_AUTH = process.env.ENABLE_AUTH === 'true'; // Master switch for authentication
 
-  // If authentication is enabled but SESSION_KEY is not set, prevent access
-  if (!SESSION_KEY) {
-    console.error('Authentication is enabled but SESSION_KEY is not set. Please set SESSION_KEY or disable authentication (ENABLE_AUTH=false).');
-    // Render a simple error page or redirect to a configuration error page
-    return res.status(500).send('Server configuration error: SESSION_KEY is required when authentication is enabled.');
-  }
-
-  // Allow access to login page, login POST, CSS, and favicon without auth
-  const allowedPaths = [
-    basePath + '/login.html',
-    basePath + '/login',
-    basePath + '/css/style.css',
-    basePath + '/favicon.ico'
-  ];
-  if (allowedPaths.includes(req.path) || (req.path === basePath + '/login' && req.method === 'POST')) {
-    return next();
-  }
-
-  // Check for the authentication cookie
-  if (req.cookies && req.cookies[AUTH_COOKIE_NAME] === AUTH_COOKIE_VALUE) {
-    return next(); // User is authenticated
-  }
+let sessionSecret = process.env.SESSION_SECRET;
+if (ENABLE_AUTH && !sessionSecret) {
+  console.warn('SESSION_SECRET is not set. Using a random secret, so everyone is logged out when the server restarts.');
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+}
 
-  // User is not authenticated, redirect to login
-  console.log(`Auth failed for ${req.path}, redirecting to login.`);
-  res.redirect(basePath + '/login.html');
+const sessionStore = new SqliteSessionStore(() => app.locals.db);
+app.locals.authEnabled = ENABLE_AUTH;
+app.locals.basePath = basePath;
+app.locals.vodsName = vodsName;
+
+if (ENABLE_AUTH) {
+  app.use(createSessionMiddleware(sessionStore, {
+    secret: sessionSecret,
+    basePath,
+    secure: process.env.SESSION_COOKIE_SECURE === 'true' // Use only with HTTPS
+  }));
 }
+app.use(loadUser);
+
 // --- End Authentication Setup ---
 
 
@@ -157,47 +113,9 @@ app.get(basePath + '/favicon.ico', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'favicon.ico'));
 });
 
-// Handle login form submission (before auth middleware)
-app.post(basePath + '/login', (req, res) => {
-  if (!SESSION_KEY) {
-    console.log('Login attempt skipped: SESSION_KEY not set.');
-    return res.redirect(basePath + '/'); // Redirect to main page if auth disabled
-  }
-
-  const submittedKey = req.body.sessionKey;
-  if (submittedKey === SESSION_KEY) {
-    console.log('Login successful, setting auth cookie.');
-    res.cookie(AUTH_COOKIE_NAME, AUTH_COOKIE_VALUE, AUTH_COOKIE_OPTIONS);
-    res.redirect(basePath + '/'); // Redirect to the main index page
-  } else {
-    console.log('Login failed: Invalid key submitted.');
-    res.redirect(basePath + '/login.html?error=1'); // Redirect back to login with error
-  }
-});
-
-// Handle URL-based session key (before auth middleware)
-app.get(basePath + '/:sessionKeyParam/*', (req, res, next) => {
-  if (!SESSION_KEY) {
-    return next(); // No session key configured, skip
-  }
-
-  const sessionKeyParam = req.params.sessionKeyParam;
-  if (sessionKeyParam === SESSION_KEY) {
-    console.log('URL session key valid, setting auth cookie and redirecting.');
-    res.cookie(AUTH_COOKIE_NAME, AUTH_COOKIE_VALUE, AUTH_COOKIE_OPTIONS);
-
-    // Reconstruct the URL without the session key parameter
-    // req.originalUrl includes query parameters
-    const originalUrl = req.originalUrl;
-    const newPath = originalUrl.replace(`/${sessionKeyParam}`, '');
-    
-    // Ensure the newPath starts with basePath if it was originally present
-    const redirectUrl = newPath.startsWith(basePath) ? newPath : basePath + newPath;
-
-    return res.redirect(redirectUrl);
-  }
-  next(); // Session key in URL is invalid or not present, proceed to next middleware (checkAuth)
-});
+// Login and logout are handled before the auth middleware
+app.post(basePath + '/login', login);
+app.post(basePath + '/logout', logout);
 
 // --- Server-Sent Events Endpoint (Moved Before Auth) ---
 app.get(basePath + '/api/updates', (req, res) => {
@@ -240,154 +158,6 @@ app.get(basePath + '/api/updates', (req, res) => {
 // --- End SSE Endpoint ---
 
 
-// Serve player page (protected) - Moved before checkAuth
-app.get(basePath + '/watch/:id', async (req, res) => {
-  const videoId = req.params.id;
-  const db = req.app.locals.db; // Access the database instance from app.locals
-
-  try {
-    const video = await getVideoById(db, videoId);
-
-    if (!video) {
-      return res.status(404).send('Video not found');
-    }
-
-    // Read the player.html file
-    let playerHtml = fs.readFileSync(path.join(__dirname, 'public', 'player.html'), 'utf8');
-
-    // Construct Open Graph meta tags
-    const ogTitle = video.title;
-    const ogType = 'video.movie'; // Or video.episode, video.tv_show, video.other
-    let ogImage = `${req.protocol}://${req.get('host')}${basePath}${video.thumbnail_path}`; // Ensure absolute URL for og:image, including basePath
-    // If CDN is enabled, use the CDN URL
-    if (cdnEnabled) {
-      ogImage = cdnManager.getCdnUrl(video.thumbnail_path, 'thumbnail'); // cdnManager should handle basePath internally if needed
-    }
-    const ogUrl = `${req.protocol}://${req.get('host')}${basePath}/watch/${videoId}`; // Canonical URL
-    const videoStreamUrl = `${req.protocol}://${req.get('host')}${basePath}/api/video/${videoId}`; // Direct video stream URL
-
-    const ogTags = `
-  <meta property="og:title" content="${ogTitle}" />
-  <meta property="og:type" content="${ogType}" />
-  <meta property="og:image" content="${ogImage}" />
-  <meta property="og:url" content="${ogUrl}" />
-  <meta property="og:description" content="Watch ${ogTitle} on ${vodsName}" />
-  <meta property="og:site_name" content="${vodsName}" />
-  <meta property="og:video" content="${videoStreamUrl}" />
-  <meta property="og:video:type" content="video/mp4" />
-  <meta property="og:video:secure_url" content="${videoStreamUrl}" />
-  <meta property="og:video:width" content="${video.width || 1280}" />
-  <meta property="og:video:height" content="${video.height || 720}" />
-    `;
-
-    // Inject meta tags into the <head> section
-    playerHtml = playerHtml.replace('</head>', `${ogTags}\n</head>`);
-
-    // Update the title dynamically as well
-    playerHtml = playerHtml.replace('<title>Loading...</title>', `<title>${ogTitle}</title>`);
-
-    res.send(playerHtml);
-
-  } catch (error) {
-    console.error(`Error serving video ${videoId}:`, error);
-    res.status(500).send('Internal Server Error');
-  }
-});
-
-// Video stream route - Moved before checkAuth
-app.get(basePath + '/api/videos/:id/stream', async (req, res) => {
-  try {
-    const db = req.app.locals.db;
-    const video = await getVideoById(db, req.params.id);
-    
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
-    
-    const videoPath = video.path;
-    const stat = fs.statSync(videoPath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    
-    const cacheMaxAge = 3600; // 1 hour in seconds
-    res.setHeader('Cache-Control', `public, max-age=${cacheMaxAge}`);
-    res.setHeader('ETag', `"${video.id}-${stat.mtime.getTime()}"`);
-    
-    if (cdnManager.shouldUseCdn(req.originalUrl, 'video')) {
-      const protocol = req.protocol;
-      const host = req.get('host');
-      const originalUrl = `${protocol}://${host}${req.originalUrl}`;
-      const cdnUrl = cdnManager.getCdnUrl(originalUrl, 'video');
-      
-      return res.redirect(cdnUrl);
-    }
-    
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-      
-      const cachedSegment = videoCache.getCachedSegment(video.id, Math.floor(start / (2 * 1024 * 1024)));
-      
-      const head = {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'video/mp4',
-      };
-      
-      res.writeHead(206, head);
-      
-      if (cachedSegment) {
-        console.log(`Serving segment from cache for video ${video.id}`);
-        
-        if (cachedSegment.length === chunksize) {
-          res.end(cachedSegment);
-        } else {
-          const bufferStream = require('stream').Readable.from(cachedSegment);
-          bufferStream.pipe(res);
-        }
-      } else {
-        const file = fs.createReadStream(videoPath, { start, end });
-        file.pipe(res);
-        
-        // Only cache if it's a standard segment size or the first segment
-        if (start % (2 * 1024 * 1024) === 0 || start === 0) {
-          const segmentNumber = Math.floor(start / (2 * 1024 * 1024));
-          videoCache.cacheSegmentFromFile(
-            video.id, 
-            segmentNumber, 
-            videoPath, 
-            start, 
-            Math.min(start + (2 * 1024 * 1024) - 1, fileSize - 1)
-          ).catch(err => console.error('Error caching segment:', err));
-        }
-      }
-    } else {
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': 'video/mp4',
-      };
-      
-      res.writeHead(200, head);
-      
-      fs.createReadStream(videoPath).pipe(res);
-      
-      videoCache.cacheSegmentFromFile(
-        video.id, 
-        0, 
-        videoPath, 
-        0, 
-        Math.min(2 * 1024 * 1024 - 1, fileSize - 1)
-      ).catch(err => console.error('Error caching first segment:', err));
-    }
-  } catch (error) {
-    console.error(`Error streaming video ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to stream video' });
-  }
-});
-
 // Serve previews with caching headers (Moved before checkAuth)
 app.use(basePath + '/previews', express.static(path.join(__dirname, 'public', 'previews'), {
   maxAge: staticCacheDuration
@@ -401,86 +171,13 @@ app.use(basePath + '/thumbnails', express.static(path.join(__dirname, 'public',
 // Serve API config (Moved before checkAuth)
 app.get(basePath + '/api/config', (req, res) => {
   res.json({
-    vodsName: process.env.VODS_NAME || 'VODlibrary' // Provide VODS_NAME from env
+    vodsName: process.env.VODS_NAME || 'VODlibrary', // Provide VODS_NAME from env
+    hlsEnabled: isHlsAvailable() // Lets the player choose HLS over the raw file stream
   });
 });
 
-// Preview API endpoints (before auth to allow public access for hover previews)
-app.get(basePath + '/api/videos/:id/preview-info', async (req, res) => {
-  try {
-    const db = req.app.locals.db;
-    const video = await getVideoById(db, req.params.id);
-    
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
-    
-    const previewInfo = {
-      hasPreview: !!video.preview_clips,
-      status: video.preview_generation_status || 'pending',
-      clips: video.preview_clips ? JSON.parse(video.preview_clips).clips : []
-    };
-    
-    res.json(previewInfo);
-  } catch (error) {
-    console.error(`Error getting preview info for video ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to get preview info' });
-  }
-});
-
-app.get(basePath + '/api/videos/:id/preview/:timestamp?', async (req, res) => {
-  try {
-    const db = req.app.locals.db;
-    const videoId = req.params.id;
-    const timestamp = parseInt(req.params.timestamp || '10', 10);
-    
-    const video = await getVideoById(db, videoId);
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
-    
-    // Parse preview clips JSON
-    const previewClips = video.preview_clips ? JSON.parse(video.preview_clips) : null;
-    
-    if (!previewClips || !previewClips.clips) {
-      return res.status(404).json({ error: 'No preview clips available' });
-    }
-    
-    // Find matching preview clip
-    const clip = previewClips.clips.find(c => c.timestamp === timestamp);
-    if (!clip) {
-      return res.status(404).json({ error: 'Preview clip not found' });
-    }
-    
-    // Serve preview file with caching headers
-    const previewPath = path.join(__dirname, 'public', clip.path);
-    
-    if (!fs.existsSync(previewPath)) {
-      return res.status(404).json({ error: 'Preview file not found' });
-    }
-    
-    const stat = fs.statSync(previewPath);
-    
-    // CDN integration
-    if (cdnManager.shouldUseCdn(req.originalUrl, 'preview')) {
-      const cdnUrl = cdnManager.getCdnUrl(clip.path, 'preview');
-      return res.redirect(cdnUrl);
-    }
-    
-    // Set aggressive caching for preview clips
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours
-    res.setHeader('Content-Length', stat.size);
-    res.setHeader('Content-Type', 'video/mp4');
-    res.setHeader('Accept-Ranges', 'bytes');
-    
-    const stream = fs.createReadStream(previewPath);
-    stream.pipe(res);
-    
-  } catch (error) {
-    console.error(`Error serving preview for video ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to serve preview' });
-  }
-});
+// Watch and embed pages, streaming, previews and oEmbed check share links themselves
+app.use(basePath || '/', sharedRoutes);
 
 // Apply authentication middleware (protects routes below this)
 app.use(checkAuth);
@@ -490,6 +187,14 @@ app.get(basePath + '/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Admin dashboard (its data comes from admin-only API endpoints, but the page is kept from other users too)
+app.get([basePath + '/admin', basePath + '/admin.html'], (req, res) => {
+  if (ENABLE_AUTH && !hasRole(req.user, 'admin')) {
+    return res.status(403).send(renderErrorPage(req, 'This page is only available to admins.'));
+  }
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 // Serve the rest of the public directory (Moved after checkAuth)
 app.use(basePath, express.static(path.join(__dirname, 'public')));
 
@@ -508,6 +213,51 @@ async function startServer() {
     app.locals.sseClients = sseClients; // Make clients available
     app.locals.sendSseUpdate = sendSseUpdate; // Make send function available
 
+    await loadSettings(db);
+    console.log(`Server-side cache max size: ${videoCache.config.maxCacheSize / (1024 * 1024)}MB`);
+
+    // Requeue background jobs cut off by the restart first, so their highlight reels aren't failed below
+    registerJobHandlers();
+    await recoverJobs(db);
+
+    // Clip exports run in-process, so any still marked as running were cut off by the restart
+    // (as were highlight reels whose job has run out of attempts)
+    const interruptedReels = await failInterruptedHighlightReels(db);
+    if (interruptedReels > 0) {
+      console.log(`Marked ${interruptedReels} interrupted highlight reel(s) as failed.`);
+    }
+    const interruptedClips = await failInterruptedClips(db);
+    if (interruptedClips > 0) {
+      console.log(`Marked ${interruptedClips} interrupted clip export(s) as failed.`);
+    }
+    const interruptedScans = await failInterruptedScans(db);
+    if (interruptedScans > 0) {
+      console.log(`Marked ${interruptedScans} interrupted library scan(s) as failed.`);
+    }
+
+    if (ENABLE_AUTH) {
+      const adminName = await createInitialAdmin(db, {
+        username: process.env.ADMIN_USERNAME || 'admin',
+        password: process.env.ADMIN_PASSWORD
+      });
+      if (adminName) {
+        console.log(`Created the first admin account "${adminName}".`);
+      }
+      await sessionStore.prune();
+      setInterval(() => {
+        sessionStore.prune().catch(err => console.error('Error deleting expired sessions:', err));
+      }, 60 * 60 * 1000).unref(); // Hourly
+    }
+
+    // Segments also expire while nobody watches, so the HLS cache is pruned hourly too
+    if (isHlsAvailable()) {
+      const pruneHlsCache = () => pruneSegmentCache({ force: true }).catch(error => console.error('Error pruning the HLS cache:', error));
+      pruneHlsCache();
+      setInterval(pruneHlsCache, 60 * 60 * 1000).unref();
+    }
+
+    startJobWorker(db);
+
     console.log('Performing initial library scan...');
     await scanLibrary(db); // Initial scan on startup
 
@@ -578,10 +328,11 @@ async function startServer() {
       console.log(`- Local: http://localhost:${port}${basePath}`);
       console.log(`- Public: http://${publicIp}:${port}${basePath}`);
       
-      if (cdnEnabled) {
-        console.log(`- CDN enabled with provider: ${cdnProvider}`);
-        if (cdnBaseUrl) {
-          console.log(`- CDN base URL: ${cdnBaseUrl}`);
+      const cdnConfig = cdnManager.getConfig();
+      if (cdnConfig.enabled) {
+        console.log(`- CDN enabled with provider: ${cdnConfig.provider}`);
+        if (cdnConfig.baseUrl) {
+          console.log(`- CDN base URL: ${cdnConfig.baseUrl}`);
         }
       }
     });
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { get, run } = require('../../db/migrator');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, updateVideoPreview, getVideoById, enqueueJob } = require('../../db/database');
+const { getDirectoryUsage } = require('../../lib/disk-usage');
+
+describe('Admin dashboard API', () => {
+  let db;
+  let app;
+  let currentUser;
+  let videoId;
+  let thumbnailDir;
+  const originalThumbnailDir = process.env.THUMBNAIL_CACHE_DIR;
+
+  beforeEach(async () => {
+    thumbnailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodl-thumbnails-'));
+    fs.writeFileSync(path.join(thumbnailDir, 'a.jpg'), Buffer.alloc(1000));
+    fs.mkdirSync(path.join(thumbnailDir, 'old'));
+    fs.writeFileSync(path.join(thumbnailDir, 'old', 'b.jpg'), Buffer.alloc(500));
+    process.env.THUMBNAIL_CACHE_DIR = thumbnailDir;
+
+    db = await openTestDb();
+
+    videoId = await addVideo(db, { title: 'Raid night', path: '/videos/raid.mp4', duration: 3600, file_size: 4000, thumbnail_path: '/thumbnails/a.jpg' });
+    await addVideo(db, { title: 'Scrim', path: '/videos/scrim.mp4', duration: 1800, file_size: 2000 });
+    await updateVideoPreview(db, videoId, null, 'failed', new Date().toISOString());
+
+    currentUser = { id: 1, username: 'root', role: 'admin' };
+    app = createApiApp(db, { user: () => currentUser });
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+    fs.rmSync(thumbnailDir, { recursive: true, force: true });
+    if (originalThumbnailDir === undefined) {
+      delete process.env.THUMBNAIL_CACHE_DIR;
+    } else {
+      process.env.THUMBNAIL_CACHE_DIR = originalThumbnailDir;
+    }
+  });
+
+  test('reports library totals and disk usage', async () => {
+    const response = await request(app).get('/api/admin/overview');
+
+    expect(response.status).toBe(200);
+    expect(response.body.library).toEqual({
+      videos: 2,
+      total_duration: 5400,
+      total_size: 6000,
+      without_thumbnail: 1,
+      previews: { failed: 1, none: 1 }
+    });
+    expect(response.body.disk.thumbnails).toEqual({ path: thumbnailDir, files: 2, bytes: 1500, exists: true });
+  });
+
+  test('measures missing directories as empty', async () => {
+    expect(await getDirectoryUsage(path.join(thumbnailDir, 'missing'))).toMatchObject({ files: 0, bytes: 0, exists: false });
+  });
+
+  test('queues a forced preview job when retrying', async () => {
+    const response = await request(app).post(`/api/videos/${videoId}/preview/retry`);
+
+    expect(response.status).toBe(202);
+    expect((await getVideoById(db, videoId)).preview_generation_status).toBe('pending');
+    const job = await get(db, 'SELECT type, video_id, status, payload FROM jobs WHERE id = ?', [response.body.job_id]);
+    expect(job).toEqual({ type: 'preview', video_id: videoId, status: 'pending', payload: '{"force":true}' });
+
+    expect((await request(app).post(`/api/videos/${videoId}/preview/retry`)).status).toBe(409);
+    expect((await request(app).post('/api/videos/9999/preview/retry')).status).toBe(404);
+  });
+
+  test('leaves the video alone when its previews are already being generated', async () => {
+    const jobId = await enqueueJob(db, { type: 'preview', video_id: videoId });
+    await run(db, `UPDATE jobs SET status = 'running' WHERE id = ?`, [jobId]);
+    await updateVideoPreview(db, videoId, '{"clips":[]}', 'generating', '2026-01-01T00:00:00.000Z');
+
+    expect((await request(app).post(`/api/videos/${videoId}/preview/retry`)).status).toBe(409);
+
+    const video = await getVideoById(db, videoId);
+    expect(video).toMatchObject({
+      preview_clips: '{"clips":[]}',
+      preview_generation_status: 'generating',
+      preview_generation_date: '2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('is admin only', async () => {
+    currentUser = { id: 2, username: 'coach', role: 'viewer' };
+    expect((await request(app).get('/api/admin/overview')).status).toBe(403);
+    expect((await request(app).post(`/api/videos/${videoId}/preview/retry`)).status).toBe(403);
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+// Keep ffmpeg out of the route tests
+jest.mock('../../lib/clips', () => ({
+  ...jest.requireActual('../../lib/clips'),
+  exportClip: jest.fn().mockResolvedValue(),
+  removeClipFile: jest.fn().mockResolvedValue()
+}));
+const { addVideo, updateClip, getAllVideoPaths, getClipById, deleteVideo } = require('../../db/database');
+const { chooseClipMethod, pickKeyframeBefore, exportClip, removeClipFile } = require('../../lib/clips');
+
+describe('Clip cut method', () => {
+  test('picks the last keyframe at or before the in point', () => {
+    expect(pickKeyframeBefore([0, 2, 4, 6], 5)).toBe(4);
+    expect(pickKeyframeBefore([0, 2, 4, 6], 4.02)).toBe(4);
+    expect(pickKeyframeBefore([6, 8], 5)).toBeNull();
+  });
+
+  test('stream-copies only when a keyframe is close to the in point', () => {
+    expect(chooseClipMethod(4, 4.3)).toBe('copy');
+    expect(chooseClipMethod(2, 4.3)).toBe('reencode');
+    expect(chooseClipMethod(null, 4.3)).toBe('reencode');
+  });
+});
+
+describe('Clips API', () => {
+  let app;
+  let db;
+  let sourceId;
+
+  beforeEach(async () => {
+    exportClip.mockClear();
+    removeClipFile.mockClear();
+    db = await openTestDb();
+
+    sourceId = await addVideo(db, { title: 'Raid night', path: '/videos/raid.mp4', duration: 3600, game: 'Elden Ring' });
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  // Stand-in for a finished export: the clip's own library entry
+  async function completeClip(clipId) {
+    const videoId = await addVideo(db, { title: 'Clutch', path: '/data/clips/clip-1.mp4', duration: 30, added_date: '2024-05-01T00:00:00.000Z' });
+    await updateClip(db, clipId, { status: 'completed', method: 'copy', video_id: videoId });
+    return videoId;
+  }
+
+  test('queues an export with a default title', async () => {
+    const response = await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 65, end: 95 }).expect(202);
+
+    expect(response.body).toMatchObject({ sourceVideoId: sourceId, title: 'Raid night (01:05-01:35)', start: 65, end: 95, duration: 30, status: 'pending', url: null });
+    expect(exportClip).toHaveBeenCalledTimes(1);
+    const [, clip, video] = exportClip.mock.calls[0];
+    expect(clip.id).toBe(response.body.id);
+    expect(video.id).toBe(sourceId);
+  });
+
+  test('validates the range and title', async () => {
+    await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 10 }).expect(400);
+    await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 40, end: 20 }).expect(400);
+    await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 3500, end: 3700 }).expect(400);
+    await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 0, end: 30, title: '   ' }).expect(400);
+    await request(app).post('/api/videos/9999/clips').send({ start: 0, end: 30 }).expect(404);
+    expect(exportClip).not.toHaveBeenCalled();
+  });
+
+  test('lists exported clips as library videos linked to their source', async () => {
+    const created = await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 10, end: 40, title: 'Clutch' }).expect(202);
+    const clipVideoId = await completeClip(created.body.id);
+
+    const clips = await request(app).get(`/api/videos/${sourceId}/clips`).expect(200);
+    expect(clips.body.clips).toEqual([expect.objectContaining({ title: 'Clutch', status: 'completed', videoId: clipVideoId, url: `/watch/${clipVideoId}` })]);
+
+    const library = await request(app).get('/api/videos').expect(200);
+    const clipVideo = library.body.videos.find(video => video.id === clipVideoId);
+    expect(clipVideo).toMatchObject({ clip_id: created.body.id, clip_source_id: sourceId });
+
+    const detail = await request(app).get(`/api/videos/${clipVideoId}`).expect(200);
+    expect(detail.body).toMatchObject({ clip_source_id: sourceId, clip_start_time: 10 });
+  });
+
+  test('keeps exported clips out of library scans', async () => {
+    const created = await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 10, end: 40 }).expect(202);
+    await completeClip(created.body.id);
+
+    expect((await getAllVideoPaths(db)).map(video => video.path)).toEqual(['/videos/raid.mp4']);
+  });
+
+  test('deletes a clip with its video and file', async () => {
+    const created = await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 10, end: 40 }).expect(202);
+    await request(app).delete(`/api/clips/${created.body.id}`).expect(409);
+
+    const clipVideoId = await completeClip(created.body.id);
+    await request(app).delete(`/api/clips/${created.body.id}`).expect(204);
+
+    expect(removeClipFile).toHaveBeenCalledWith('/data/clips/clip-1.mp4');
+    await request(app).get(`/api/clips/${created.body.id}`).expect(404);
+    await request(app).get(`/api/videos/${clipVideoId}`).expect(404);
+  });
+
+  test('keeps clips when the source video is removed', async () => {
+    const created = await request(app).post(`/api/videos/${sourceId}/clips`).send({ start: 10, end: 40 }).expect(202);
+    await completeClip(created.body.id);
+
+    await deleteVideo(db, sourceId);
+    expect(await getClipById(db, created.body.id)).toMatchObject({ status: 'completed', source_video_id: null });
+  });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+const { encodeCursor, decodeCursor } = require('../../db/filters');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, deleteVideo } = require('../../db/database');
+
+describe('Cursor pagination', () => {
+  let app;
+  let db;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    // Two videos share a duration and one has none, to exercise the tie-breaker and NULL handling
+    const durations = [600, 300, 300, null, 1200];
+    for (const [index, duration] of durations.entries()) {
+      await addVideo(db, { title: `Video ${index + 1}`, path: `/videos/${index + 1}.mp4`, duration, added_date: `2024-01-0${index + 1}T00:00:00.000Z` });
+    }
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  // Follow nextCursor until the end, optionally changing the library after the first page
+  async function collectTitles(query, afterFirstPage = async () => {}) {
+    const titles = [];
+    let response = await request(app).get('/api/videos').query({ ...query, limit: 2 }).expect(200);
+    titles.push(...response.body.videos.map(video => video.title));
+    await afterFirstPage();
+    while (response.body.nextCursor) {
+      response = await request(app).get('/api/videos').query({ ...query, limit: 2, cursor: response.body.nextCursor }).expect(200);
+      titles.push(...response.body.videos.map(video => video.title));
+    }
+    return titles;
+  }
+
+  test('walks the whole list in sort order', async () => {
+    expect(await collectTitles({ sort: 'duration_asc' })).toEqual(['Video 3', 'Video 2', 'Video 1', 'Video 5', 'Video 4']);
+    expect(await collectTitles({ sort: 'title_desc' })).toEqual(['Video 5', 'Video 4', 'Video 3', 'Video 2', 'Video 1']);
+
+    const ranked = await collectTitles({ search: 'video' });
+    expect([...ranked].sort()).toEqual(['Video 1', 'Video 2', 'Video 3', 'Video 4', 'Video 5']);
+
+    const random = await collectTitles({ sort: 'random', seed: 12345 });
+    expect([...random].sort()).toEqual(['Video 1', 'Video 2', 'Video 3', 'Video 4', 'Video 5']);
+  });
+
+  test('does not repeat or skip videos when the library changes mid-scroll', async () => {
+    const titles = await collectTitles({ sort: 'date_added_desc' }, async () => {
+      await addVideo(db, { title: 'Video 6', path: '/videos/6.mp4', added_date: '2024-01-09T00:00:00.000Z' });
+      await deleteVideo(db, 5);
+    });
+
+    // Video 6 sorts before the cursor and Video 5 was already shown, so the rest is unaffected
+    expect(titles).toEqual(['Video 5', 'Video 4', 'Video 3', 'Video 2', 'Video 1']);
+  });
+
+  test('returns no cursor on the last page and still accepts page numbers', async () => {
+    const last = await request(app).get('/api/videos').query({ page: 3, limit: 2 }).expect(200);
+    expect(last.body.videos.map(video => video.title)).toEqual(['Video 1']);
+    expect(last.body.nextCursor).toBeNull();
+  });
+
+  test('rejects malformed cursors and cursors for another sort', async () => {
+    await request(app).get('/api/videos').query({ cursor: 'not-a-cursor' }).expect(400);
+    await request(app).get('/api/videos').query({ cursor: encodeCursor({ sort: 'title_asc', values: ['a'] }) }).expect(400);
+
+    const first = await request(app).get('/api/videos').query({ sort: 'title_asc', limit: 2 }).expect(200);
+    await request(app).get('/api/videos').query({ sort: 'title_desc', cursor: first.body.nextCursor }).expect(400);
+    expect(decodeCursor(first.body.nextCursor)).toMatchObject({ sort: 'title_asc' });
+  });
+});
@@ -0,0 +1,55 @@
+const { parseVideoUrl, buildEmbedUrl, getEmbedSize, buildOembed } = require('../../lib/embed');
+
+describe('Embeds and oEmbed', () => {
+  const baseUrls = ['http://localhost:8005', 'https://vods.example.com/library'];
+
+  test('finds the video in watch and embed links from this server', () => {
+    expect(parseVideoUrl('http://localhost:8005/watch/12', baseUrls)).toEqual({ videoId: 12, share: null, t: null });
+    expect(parseVideoUrl('https://vods.example.com/library/embed/7?share=1.abc&t=95', baseUrls)).toEqual({ videoId: 7, share: '1.abc', t: 95 });
+    expect(parseVideoUrl('http://localhost:8005/watch/12?t=-3', baseUrls).t).toBeNull();
+  });
+
+  test('ignores links to other sites and pages', () => {
+    expect(parseVideoUrl('https://elsewhere.example.com/watch/12', baseUrls)).toBeNull();
+    expect(parseVideoUrl('https://vods.example.com/watch/12', baseUrls)).toBeNull();
+    expect(parseVideoUrl('http://localhost:8005/api/videos/12', baseUrls)).toBeNull();
+    expect(parseVideoUrl('http://localhost:8005/watch/abc', baseUrls)).toBeNull();
+    expect(parseVideoUrl('not a url', baseUrls)).toBeNull();
+  });
+
+  test('builds embed links with start time, autoplay and share token', () => {
+    expect(buildEmbedUrl('http://localhost:8005', 3)).toBe('http://localhost:8005/embed/3');
+    expect(buildEmbedUrl('http://localhost:8005', 3, { share: '1.abc', t: 30, autoplay: true }))
+      .toBe('http://localhost:8005/embed/3?share=1.abc&t=30&autoplay=1');
+  });
+
+  test('sizes the player within the limits, keeping the aspect ratio', () => {
+    expect(getEmbedSize({})).toEqual({ width: 640, height: 360 });
+    expect(getEmbedSize({ width: 1920, height: 1080 }, 320)).toEqual({ width: 320, height: 180 });
+    expect(getEmbedSize({ width: 1080, height: 1920 }, 0, 400)).toEqual({ width: 225, height: 400 });
+  });
+
+  test('returns an oEmbed video response with an escaped iframe', () => {
+    const oembed = buildOembed({ id: 5, title: 'Final "round" <3', width: 1280, height: 720 }, {
+      baseUrl: 'http://localhost:8005',
+      providerName: 'VODlibrary',
+      thumbnailUrl: 'http://localhost:8005/thumbnails/5.jpg',
+      share: '1.abc',
+      t: 12
+    });
+
+    expect(oembed).toMatchObject({
+      version: '1.0',
+      type: 'video',
+      title: 'Final "round" <3',
+      provider_name: 'VODlibrary',
+      provider_url: 'http://localhost:8005/',
+      thumbnail_url: 'http://localhost:8005/thumbnails/5.jpg',
+      width: 640,
+      height: 360
+    });
+    expect(oembed.html).toContain('src="http://localhost:8005/embed/5?share=1.abc&amp;t=12"');
+    expect(oembed.html).toContain('title="Final &quot;round&quot; &lt;3"');
+    expect(buildOembed({ id: 5, title: 'x' }, { baseUrl: 'http://localhost:8005', providerName: 'VODlibrary' }).thumbnail_url).toBeUndefined();
+  });
+});
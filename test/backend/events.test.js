@@ -0,0 +1,88 @@
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+const { extractEvents } = require('../../lib/scanner');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, replaceVideoEvents, getVideoEvents, deleteVideo } = require('../../db/database');
+
+describe('Sidecar event parsing', () => {
+  test('turns every top-level array into typed events', () => {
+    const events = extractEvents({
+      deaths: [{ timestamp: 120 }, { timestamp: 30 }],
+      boss_pulls: [{ time: 60, name: 'Malenia', attempt: 3 }],
+      objectives: [{ t: 90, label: 'Baron' }]
+    });
+
+    expect(events).toEqual([
+      { type: 'death', timestamp: 30, label: null, metadata: null },
+      { type: 'boss_pull', timestamp: 60, label: 'Malenia', metadata: { attempt: 3 } },
+      { type: 'objective', timestamp: 90, label: 'Baron', metadata: null },
+      { type: 'death', timestamp: 120, label: null, metadata: null }
+    ]);
+  });
+
+  test('uses the item type in a generic events array', () => {
+    const events = extractEvents({ events: [{ timestamp: 5, type: 'Round Start' }, { timestamp: 8 }] });
+    expect(events.map(event => event.type)).toEqual(['round_start', 'event']);
+  });
+
+  test('ignores items without a usable timestamp and non-array fields', () => {
+    expect(extractEvents({ title: 'Run 3', kills: [{ label: 'no time' }, { timestamp: -1 }, 'text', 12] })).toEqual([]);
+    expect(extractEvents([{ timestamp: 1 }])).toEqual([]);
+    expect(extractEvents(null)).toEqual([]);
+  });
+});
+
+describe('Video events API', () => {
+  let app;
+  let db;
+  let videoId;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    videoId = await addVideo(db, { title: 'Raid night', path: '/videos/raid.mp4', duration: 3600 });
+    await replaceVideoEvents(db, videoId, [
+      { type: 'death', timestamp: 300, label: null, metadata: null },
+      { type: 'kill', timestamp: 120, label: 'First blood', metadata: { weapon: 'bow' } },
+      { type: 'death', timestamp: 900, label: null, metadata: null }
+    ]);
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  test('returns events in timeline order with per-type counts', async () => {
+    const response = await request(app).get(`/api/videos/${videoId}/events`).expect(200);
+
+    expect(response.body.events.map(event => [event.type, event.timestamp])).toEqual([
+      ['kill', 120], ['death', 300], ['death', 900]
+    ]);
+    expect(response.body.events[0]).toMatchObject({ label: 'First blood', metadata: { weapon: 'bow' } });
+    expect(response.body.types).toEqual(expect.arrayContaining([
+      { type: 'kill', count: 1 },
+      { type: 'death', count: 2 }
+    ]));
+  });
+
+  test('filters by event type', async () => {
+    const response = await request(app).get(`/api/videos/${videoId}/events?type=kill`).expect(200);
+    expect(response.body.events).toHaveLength(1);
+    expect(response.body.events[0].type).toBe('kill');
+  });
+
+  test('returns 404 for an unknown video', async () => {
+    await request(app).get('/api/videos/9999/events').expect(404);
+  });
+
+  test('replaces events on rescan and drops them with the video', async () => {
+    await replaceVideoEvents(db, videoId, [{ type: 'objective', timestamp: 42, label: 'Baron' }]);
+    expect((await getVideoEvents(db, videoId)).map(event => event.type)).toEqual(['objective']);
+
+    await deleteVideo(db, videoId);
+    expect(await getVideoEvents(db, videoId)).toEqual([]);
+  });
+});
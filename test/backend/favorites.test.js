@@ -0,0 +1,75 @@
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, deleteVideo, getVideosPaginated, getFavoriteVideoIds } = require('../../db/database');
+
+describe('Favorites API', () => {
+  let app;
+  let db;
+  let firstId;
+  let secondId;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    firstId = await addVideo(db, { title: 'First', path: '/videos/first.mp4', added_date: '2024-01-01T00:00:00.000Z' });
+    secondId = await addVideo(db, { title: 'Second', path: '/videos/second.mp4', added_date: '2024-02-01T00:00:00.000Z' });
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  test('adds and removes a favorite', async () => {
+    const added = await request(app).put(`/api/videos/${firstId}/favorite`).expect(200);
+    expect(added.body).toEqual({ videoId: firstId, favorite: true });
+
+    const list = await request(app).get('/api/favorites').expect(200);
+    expect(list.body.videoIds).toEqual([firstId]);
+
+    const detail = await request(app).get(`/api/videos/${firstId}`).expect(200);
+    expect(detail.body.is_favorite).toBe(true);
+
+    await request(app).delete(`/api/videos/${firstId}/favorite`).expect(200);
+    expect(await getFavoriteVideoIds(db, 0)).toEqual([]);
+  });
+
+  test('returns 404 when favoriting a missing video', async () => {
+    const response = await request(app).put('/api/videos/999/favorite').expect(404);
+    expect(response.body.error).toBe('Video not found');
+  });
+
+  test('filters the library to favorites', async () => {
+    await request(app).put(`/api/videos/${secondId}/favorite`).expect(200);
+
+    const all = await request(app).get('/api/videos').expect(200);
+    expect(all.body.videos.map(v => [v.title, v.is_favorite])).toEqual([['Second', true], ['First', false]]);
+
+    const favorites = await request(app).get('/api/videos?favorites=true').expect(200);
+    expect(favorites.body.totalCount).toBe(1);
+    expect(favorites.body.videos[0].id).toBe(secondId);
+  });
+
+  test('imports localStorage favorites, ignoring unknown IDs', async () => {
+    const response = await request(app)
+      .post('/api/favorites/import')
+      .send({ videoIds: [String(firstId), secondId, 999, 'abc'] })
+      .expect(200);
+
+    expect(response.body.imported).toBe(2);
+    expect((await getFavoriteVideoIds(db, 0)).sort()).toEqual([firstId, secondId].sort());
+
+    await request(app).post('/api/favorites/import').send({ videoIds: 'nope' }).expect(400);
+  });
+
+  test('drops favorites when the video is deleted', async () => {
+    await request(app).put(`/api/videos/${firstId}/favorite`).expect(200);
+    await deleteVideo(db, firstId);
+
+    expect(await getFavoriteVideoIds(db, 0)).toEqual([]);
+    expect((await getVideosPaginated(db, 1, 10, null, 'date_added_desc', { favoritesOnly: true })).totalCount).toBe(0);
+  });
+});
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, all } = require('../../db/migrator');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, replaceVideoEvents, updateHighlightReel, failInterruptedHighlightReels, getHighlightReel } = require('../../db/database');
+const { buildHighlightSegments } = require('../../lib/highlights');
+
+describe('Highlight segments', () => {
+  test('pads each event and keeps the ranges in order', () => {
+    expect(buildHighlightSegments([300, 100], 3600, 10, 5)).toEqual([
+      { start: 90, end: 105 },
+      { start: 290, end: 305 }
+    ]);
+  });
+
+  test('merges ranges that overlap', () => {
+    expect(buildHighlightSegments([100, 108, 200], 3600, 5, 5)).toEqual([
+      { start: 95, end: 113 },
+      { start: 195, end: 205 }
+    ]);
+  });
+
+  test('clamps ranges to the start and end of the video', () => {
+    expect(buildHighlightSegments([2, 598], 600, 10, 5)).toEqual([
+      { start: 0, end: 7 },
+      { start: 588, end: 600 }
+    ]);
+    expect(buildHighlightSegments([700], 600, 10, 5)).toEqual([]);
+  });
+});
+
+describe('Highlight reel API', () => {
+  let app;
+  let db;
+  let videoId;
+
+  // The job worker isn't started here, so queued reels stay queued
+  function getHighlightJobs() {
+    return all(db, "SELECT video_id, status, payload FROM jobs WHERE type = 'highlight'");
+  }
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    videoId = await addVideo(db, { title: 'Raid night', path: '/videos/raid.mp4', duration: 3600 });
+    await replaceVideoEvents(db, videoId, [
+      { type: 'death', timestamp: 300 },
+      { type: 'kill', timestamp: 120 }
+    ]);
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  test('queues a reel around deaths by default', async () => {
+    const response = await request(app).post(`/api/videos/${videoId}/highlights`).send({}).expect(202);
+
+    expect(response.body).toMatchObject({ videoId, status: 'pending', url: null, settings: { before: 10, after: 5, types: ['death'] } });
+    const jobs = await getHighlightJobs();
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({ video_id: videoId, status: 'pending' });
+    expect(JSON.parse(jobs[0].payload)).toEqual({ before: 10, after: 5, types: ['death'] });
+  });
+
+  test('refuses a second reel while one is being generated', async () => {
+    await request(app).post(`/api/videos/${videoId}/highlights`).send({ types: ['kill'] }).expect(202);
+    await request(app).post(`/api/videos/${videoId}/highlights`).send({ types: ['kill'] }).expect(409);
+
+    await updateHighlightReel(db, videoId, { status: 'completed', path: '/data/highlights/video-1.mp4', duration: 15, size: 1024, segment_count: 1 });
+    await request(app).post(`/api/videos/${videoId}/highlights`).send({ types: ['kill'] }).expect(202);
+  });
+
+  test('reports the finished reel with a versioned url and serves it', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodl-highlights-'));
+    const reelPath = path.join(outputDir, `video-${videoId}.mp4`);
+    fs.writeFileSync(reelPath, 'reel');
+
+    try {
+      await request(app).post(`/api/videos/${videoId}/highlights`).send({}).expect(202);
+      await request(app).get(`/api/videos/${videoId}/highlights/reel.mp4`).expect(404);
+      await updateHighlightReel(db, videoId, { status: 'completed', path: reelPath, duration: 75, size: 4, segment_count: 5 });
+
+      const response = await request(app).get(`/api/videos/${videoId}/highlights`).expect(200);
+      expect(response.body).toMatchObject({ status: 'completed', segmentCount: 5, durationFormatted: '01:15' });
+      expect(response.body.url).toMatch(new RegExp(`^/api/videos/${videoId}/highlights/reel\\.mp4\\?v=`));
+
+      const file = await request(app).get(response.body.url).expect(200);
+      expect(file.headers['content-type']).toBe('video/mp4');
+      expect(file.body.toString()).toBe('reel');
+
+      fs.rmSync(reelPath);
+      await request(app).get(response.body.url).expect(404);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  test('validates the request', async () => {
+    await request(app).post(`/api/videos/${videoId}/highlights`).send({ before: -1 }).expect(400);
+    await request(app).post(`/api/videos/${videoId}/highlights`).send({ before: 0, after: 0 }).expect(400);
+    await request(app).post(`/api/videos/${videoId}/highlights`).send({ types: ['objective'] }).expect(400);
+    await request(app).post('/api/videos/9999/highlights').send({}).expect(404);
+    await request(app).get(`/api/videos/${videoId}/highlights`).expect(404);
+    expect(await getHighlightJobs()).toEqual([]);
+  });
+
+  test('fails reels left running by a restart once their job is gone', async () => {
+    await request(app).post(`/api/videos/${videoId}/highlights`).send({}).expect(202);
+
+    // Still queued, so the job worker will pick it up again
+    expect(await failInterruptedHighlightReels(db)).toBe(0);
+
+    await run(db, "UPDATE jobs SET status = 'failed'");
+    expect(await failInterruptedHighlightReels(db)).toBe(1);
+    expect(await getHighlightReel(db, videoId)).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+  });
+});
@@ -0,0 +1,246 @@
+const request = require('supertest');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+// Encodes only finish when a test emits 'end' on their command
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => {
+  const EventEmitter = require('events');
+  const ffmpeg = jest.fn((input) => {
+    const command = new EventEmitter();
+    command.input = input;
+    for (const method of ['seekInput', 'duration', 'videoCodec', 'audioCodec', 'outputOptions']) {
+      command[method] = jest.fn(() => command);
+    }
+    command.output = jest.fn((outputPath) => {
+      command.outputPath = outputPath;
+      return command;
+    });
+    command.run = jest.fn();
+    mockCommands.push(command);
+    return command;
+  });
+  ffmpeg.setFfmpegPath = jest.fn();
+  return ffmpeg;
+});
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+// Keep ffmpeg out of the route tests
+jest.mock('../../lib/hls', () => ({
+  ...jest.requireActual('../../lib/hls'),
+  getSegment: jest.fn(),
+  isHlsAvailable: jest.fn(() => true)
+}));
+const { addVideo } = require('../../db/database');
+const { getRenditions, buildMasterPlaylist, buildMediaPlaylist, parseSegmentName, getSegment, isHlsAvailable } = require('../../lib/hls');
+
+describe('HLS playlists', () => {
+  test('offers renditions up to the source height', () => {
+    expect(getRenditions({ width: 1280, height: 720 }).map(r => r.name)).toEqual(['720p', '480p', '360p']);
+    expect(getRenditions({ width: 3840, height: 2160 }).map(r => r.name)).toEqual(['1080p', '720p', '480p', '360p']);
+    expect(getRenditions({ width: 320, height: 240 }).map(r => r.name)).toEqual(['360p']);
+  });
+
+  test('builds a master playlist keeping the aspect ratio', () => {
+    const playlist = buildMasterPlaylist({ width: 1440, height: 1080 });
+
+    expect(playlist.startsWith('#EXTM3U\n')).toBe(true);
+    expect(playlist).toContain('RESOLUTION=1440x1080');
+    expect(playlist).toContain('RESOLUTION=480x360');
+    expect(playlist).toContain('\n1080p/index.m3u8\n');
+  });
+
+  test('lists every segment with a shorter last one', () => {
+    const playlist = buildMediaPlaylist(15);
+
+    expect(playlist).toContain('#EXT-X-PLAYLIST-TYPE:VOD');
+    expect(playlist.match(/#EXTINF:/g)).toHaveLength(3);
+    expect(playlist).toContain('#EXTINF:3.000,\nsegment-00002.ts');
+    expect(playlist.trim().endsWith('#EXT-X-ENDLIST')).toBe(true);
+  });
+
+  test('parses segment names', () => {
+    expect(parseSegmentName('segment-00012.ts')).toBe(12);
+    expect(parseSegmentName('segment-12.ts')).toBeNull();
+    expect(parseSegmentName('../index.m3u8')).toBeNull();
+  });
+});
+
+describe('HLS API', () => {
+  let app;
+  let db;
+  let videoId;
+  let segmentFile;
+
+  beforeAll(() => {
+    segmentFile = path.join(os.tmpdir(), `hls-test-${process.pid}.ts`);
+    fs.writeFileSync(segmentFile, 'segment');
+  });
+
+  afterAll(() => {
+    fs.rmSync(segmentFile, { force: true });
+  });
+
+  beforeEach(async () => {
+    getSegment.mockReset().mockResolvedValue(segmentFile);
+    isHlsAvailable.mockReturnValue(true);
+    db = await openTestDb();
+
+    videoId = await addVideo(db, { title: 'Raid night', path: '/videos/raid.mkv', duration: 20, width: 1280, height: 720 });
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  test('serves the master and rendition playlists', async () => {
+    const master = await request(app).get(`/api/videos/${videoId}/hls/master.m3u8`).expect(200);
+    expect(master.headers['content-type']).toMatch(/application\/vnd\.apple\.mpegurl/);
+    expect(master.text).toContain('720p/index.m3u8');
+    expect(master.text).not.toContain('1080p/index.m3u8');
+
+    const media = await request(app).get(`/api/videos/${videoId}/hls/480p/index.m3u8`).expect(200);
+    expect(media.text.match(/#EXTINF:/g)).toHaveLength(4);
+
+    await request(app).get(`/api/videos/${videoId}/hls/1080p/index.m3u8`).expect(404);
+  });
+
+  test('generates segments on request', async () => {
+    const response = await request(app).get(`/api/videos/${videoId}/hls/480p/segment-00001.ts`).expect(200);
+
+    expect(response.headers['content-type']).toBe('video/mp2t');
+    const [video, rendition, index, signal] = getSegment.mock.calls[0];
+    expect(video.id).toBe(videoId);
+    expect(rendition.name).toBe('480p');
+    expect(index).toBe(1);
+    expect(signal.aborted).toBe(false);
+  });
+
+  test('rejects unknown segments and missing videos', async () => {
+    await request(app).get(`/api/videos/${videoId}/hls/480p/segment-00004.ts`).expect(404);
+    await request(app).get(`/api/videos/${videoId}/hls/480p/index.m3u8.bak`).expect(404);
+    await request(app).get('/api/videos/9999/hls/master.m3u8').expect(404);
+    expect(getSegment).not.toHaveBeenCalled();
+  });
+
+  test('reports HLS as unavailable without ffmpeg', async () => {
+    isHlsAvailable.mockReturnValue(false);
+    await request(app).get(`/api/videos/${videoId}/hls/master.m3u8`).expect(503);
+  });
+});
+
+describe('HLS segment cache', () => {
+  const hls = jest.requireActual('../../lib/hls');
+  const { hlsConfig } = hls;
+  const originalConfig = { ...hlsConfig };
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-cache-'));
+    hlsConfig.cacheDir = cacheDir;
+    mockCommands.length = 0;
+  });
+
+  afterEach(() => {
+    Object.assign(hlsConfig, originalConfig);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  function writeSegment(name, size, daysUnused) {
+    const segmentPath = path.join(cacheDir, '1-abc', '480p', name);
+    fs.mkdirSync(path.dirname(segmentPath), { recursive: true });
+    fs.writeFileSync(segmentPath, Buffer.alloc(size));
+    const usedAt = new Date(Date.now() - daysUnused * 24 * 60 * 60 * 1000);
+    fs.utimesSync(segmentPath, usedAt, usedAt);
+    return segmentPath;
+  }
+
+  function finishEncode(command) {
+    fs.writeFileSync(command.outputPath, 'segment');
+    command.emit('end');
+  }
+
+  // Wait for the queue to start this many encodes
+  async function waitForEncodes(count) {
+    for (let i = 0; i < 100; i++) {
+      if (mockCommands.length >= count) return;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Only ${mockCommands.length} of ${count} encodes started`);
+  }
+
+  test('is off unless ENABLE_HLS=true', () => {
+    const original = process.env.ENABLE_HLS;
+    try {
+      delete process.env.ENABLE_HLS;
+      expect(hls.isHlsAvailable()).toBe(false);
+      process.env.ENABLE_HLS = 'false';
+      expect(hls.isHlsAvailable()).toBe(false);
+      process.env.ENABLE_HLS = 'true';
+      expect(hls.isHlsAvailable()).toBe(true);
+    } finally {
+      if (original === undefined) delete process.env.ENABLE_HLS;
+      else process.env.ENABLE_HLS = original;
+    }
+  });
+
+  test('deletes segments unused for too long, then the least recently used over the size limit', async () => {
+    hlsConfig.maxCacheAge = 7 * 24 * 60 * 60 * 1000;
+    hlsConfig.maxCacheSize = 250;
+    const expired = writeSegment('segment-00000.ts', 10, 8);
+    const oldest = writeSegment('segment-00001.ts', 100, 3);
+    const older = writeSegment('segment-00002.ts', 100, 2);
+    const recent = writeSegment('segment-00003.ts', 100, 1);
+    const playlist = writeSegment('index.m3u8', 100, 30);
+
+    const result = await hls.pruneSegmentCache({ force: true });
+
+    expect(result).toEqual({ deleted: 2, bytes: 200 });
+    expect(fs.existsSync(expired)).toBe(false);
+    expect(fs.existsSync(oldest)).toBe(false);
+    expect(fs.existsSync(older)).toBe(true);
+    expect(fs.existsSync(recent)).toBe(true);
+    expect(fs.existsSync(playlist)).toBe(true);
+    // Too soon to walk the cache again
+    expect(await hls.pruneSegmentCache()).toBeNull();
+  });
+
+  test('drops queued encodes once nobody waits for them', async () => {
+    const video = { id: 1, path: '/videos/raid.mkv', duration: 60 };
+    const [rendition] = hls.getRenditions({ height: 480 });
+
+    // Both slots stay busy until the test finishes their encodes
+    const first = hls.getSegment(video, rendition, 0);
+    const second = hls.getSegment(video, rendition, 4);
+    const controller = new AbortController();
+    const dropped = hls.getSegment(video, rendition, 8, controller.signal);
+    await waitForEncodes(2);
+    expect(mockCommands).toHaveLength(2);
+
+    controller.abort();
+    await expect(dropped).rejects.toMatchObject({ name: 'AbortError' });
+
+    mockCommands.forEach(finishEncode);
+    await expect(first).resolves.toMatch(/segment-00000\.ts$/);
+    await expect(second).resolves.toMatch(/segment-00004\.ts$/);
+
+    // Only the segments after the finished ones are prefetched
+    await waitForEncodes(4);
+    const encoded = mockCommands.map(command => path.basename(command.outputPath));
+    expect(encoded).toEqual([
+      'segment-00000.ts.partial',
+      'segment-00004.ts.partial',
+      'segment-00001.ts.partial',
+      'segment-00005.ts.partial'
+    ]);
+    mockCommands.slice(2).forEach(finishEncode);
+    // Let the prefetches move their segments into place before the cache is removed
+    for (let i = 0; i < 100 && mockCommands.slice(2).some(command => fs.existsSync(command.outputPath)); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const { run, get } = require('../../db/migrator');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, claimNextJob, failJob, recoverInterruptedJobs, updateVideoPreview, getVideoById } = require('../../db/database');
+const { queueJob, registerJobHandler, getRetryDelay, recoverJobs, startJobWorker, stopJobWorker, jobConfig } = require('../../lib/jobs');
+
+describe('Background jobs', () => {
+  let db;
+  let videoId;
+  let otherVideoId;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    videoId = await addVideo(db, { title: 'Raid night', path: '/videos/raid.mp4', duration: 3600 });
+    otherVideoId = await addVideo(db, { title: 'Scrim', path: '/videos/scrim.mp4', duration: 1800 });
+  });
+
+  afterEach(async () => {
+    await stopJobWorker();
+    await closeTestDb(db);
+  });
+
+  function getJob(id) {
+    return get(db, 'SELECT * FROM jobs WHERE id = ?', [id]);
+  }
+
+  // Wait for the worker to finish an attempt at a job
+  async function waitForJob(id, status, attempts = 1) {
+    for (let i = 0; i < 100; i++) {
+      const job = await getJob(id);
+      if (job.status === status && job.attempts === attempts) return job;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${id} did not finish`);
+  }
+
+  test('runs higher priority jobs first and skips duplicates', async () => {
+    const preview = await queueJob(db, 'preview', videoId);
+    const thumbnail = await queueJob(db, 'thumbnail', videoId);
+    const highlight = await queueJob(db, 'highlight', otherVideoId, { before: 10, after: 5, types: ['death'] });
+    expect(await queueJob(db, 'thumbnail', videoId)).toBeNull();
+    await expect(queueJob(db, 'transcode', videoId)).rejects.toThrow('Unknown job type');
+
+    const first = await claimNextJob(db);
+    expect(first).toMatchObject({ id: highlight, status: 'running', attempts: 1, payload: { before: 10, after: 5, types: ['death'] } });
+    expect((await claimNextJob(db)).id).toBe(thumbnail);
+    expect((await claimNextJob(db)).id).toBe(preview);
+    expect(await claimNextJob(db)).toBeUndefined();
+
+    // Running jobs still count as duplicates; finished ones don't
+    expect(await queueJob(db, 'thumbnail', videoId)).toBeNull();
+    await run(db, "UPDATE jobs SET status = 'completed' WHERE id = ?", [thumbnail]);
+    expect(await queueJob(db, 'thumbnail', videoId)).toEqual(expect.any(Number));
+  });
+
+  test('retries failed jobs with a growing delay until they run out of attempts', async () => {
+    expect(getRetryDelay(1)).toBe(jobConfig.retryDelay);
+    expect(getRetryDelay(3)).toBe(jobConfig.retryDelay * 4);
+    expect(getRetryDelay(100)).toBe(jobConfig.maxRetryDelay);
+
+    let calls = 0;
+    registerJobHandler('probe', async () => {
+      calls++;
+      throw new Error('ffprobe could not read the file');
+    });
+    startJobWorker(db);
+    const id = await queueJob(db, 'probe', videoId);
+
+    let job = await waitForJob(id, 'pending');
+    expect(job).toMatchObject({ attempts: 1, error: 'ffprobe could not read the file' });
+    expect(Date.parse(job.run_after) - Date.now()).toBeGreaterThan(jobConfig.retryDelay - 5000);
+
+    // Make the retries due right away
+    for (let attempt = 2; attempt <= 3; attempt++) {
+      await run(db, 'UPDATE jobs SET run_after = ? WHERE id = ?', [new Date().toISOString(), id]);
+      await queueJob(db, 'thumbnail', otherVideoId); // wakes the worker up
+      job = await waitForJob(id, attempt === 3 ? 'failed' : 'pending', attempt);
+    }
+    expect(job).toMatchObject({ status: 'failed', attempts: 3 });
+    expect(job.finished_at).not.toBeNull();
+    expect(calls).toBe(3);
+  });
+
+  test('completes jobs their handler finishes', async () => {
+    const handled = [];
+    registerJobHandler('thumbnail', async (database, job) => {
+      handled.push(job.video_id);
+    });
+    startJobWorker(db);
+
+    const id = await queueJob(db, 'thumbnail', videoId);
+    expect(await waitForJob(id, 'completed')).toMatchObject({ error: null });
+    expect(handled).toEqual([videoId]);
+  });
+
+  test('requeues jobs interrupted by a restart', async () => {
+    const thumbnail = await queueJob(db, 'thumbnail', videoId);
+    const highlight = await queueJob(db, 'highlight', otherVideoId, { before: 10, after: 5, types: ['death'] });
+    await claimNextJob(db);
+    await claimNextJob(db);
+
+    expect(await recoverInterruptedJobs(db)).toBe(2);
+    expect(await getJob(thumbnail)).toMatchObject({ status: 'pending', attempts: 1, error: 'Interrupted by a server restart' });
+    // Highlight reels only get one attempt
+    expect(await getJob(highlight)).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  test('queues previews that were waiting without a job on startup', async () => {
+    await updateVideoPreview(db, videoId, null, 'generating', new Date().toISOString());
+    await updateVideoPreview(db, otherVideoId, null, 'pending', new Date().toISOString());
+    const failed = await queueJob(db, 'preview', otherVideoId);
+    await claimNextJob(db);
+    await failJob(db, failed, 'No preview clips were generated');
+
+    await recoverJobs(db);
+
+    expect(await get(db, "SELECT status FROM jobs WHERE type = 'preview' AND video_id = ?", [videoId])).toEqual({ status: 'pending' });
+    expect((await getVideoById(db, videoId)).preview_generation_status).toBe('pending');
+    // Its job has given up, so the preview isn't pending any more
+    expect((await getVideoById(db, otherVideoId)).preview_generation_status).toBe('failed');
+  });
+
+  test('jobs are deleted with their video', async () => {
+    await queueJob(db, 'thumbnail', videoId);
+    await run(db, 'DELETE FROM videos WHERE id = ?', [videoId]);
+    expect((await get(db, 'SELECT COUNT(*) AS count FROM jobs')).count).toBe(0);
+  });
+
+  describe('GET /api/jobs', () => {
+    let app;
+    let currentUser;
+
+    beforeEach(() => {
+      currentUser = { id: 1, username: 'root', role: 'admin' };
+      app = createApiApp(db, { user: () => currentUser });
+    });
+
+    test('reports counts and lists jobs', async () => {
+      await queueJob(db, 'preview', videoId);
+      const thumbnail = await queueJob(db, 'thumbnail', videoId);
+      await queueJob(db, 'thumbnail', otherVideoId);
+      await claimNextJob(db);
+      await failJob(db, thumbnail, 'Could not generate a thumbnail');
+
+      const response = await request(app).get('/api/jobs');
+      expect(response.status).toBe(200);
+      expect(response.body.counts).toEqual({ pending: 2, running: 0, completed: 0, failed: 1 });
+      expect(response.body.by_type).toEqual({ preview: { pending: 1 }, thumbnail: { pending: 1, failed: 1 } });
+      expect(response.body.jobs).toHaveLength(3);
+      expect(response.body.jobs[0]).toMatchObject({ type: 'thumbnail', video_title: 'Scrim', status: 'pending' });
+
+      const failed = await request(app).get('/api/jobs?status=failed&type=thumbnail');
+      expect(failed.body.jobs).toEqual([expect.objectContaining({ id: thumbnail, error: 'Could not generate a thumbnail', video_title: 'Raid night' })]);
+      expect((await request(app).get('/api/jobs?limit=1')).body.jobs).toHaveLength(1);
+    });
+
+    test('validates filters and is admin only', async () => {
+      expect((await request(app).get('/api/jobs?status=done')).status).toBe(400);
+      expect((await request(app).get('/api/jobs?type=transcode')).status).toBe(400);
+      expect((await request(app).get('/api/jobs?limit=500')).status).toBe(400);
+
+      currentUser = { id: 2, username: 'coach', role: 'viewer' };
+      expect((await request(app).get('/api/jobs')).status).toBe(403);
+    });
+  });
+});
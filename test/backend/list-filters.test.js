@@ -0,0 +1,78 @@
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, replaceVideoEvents } = require('../../db/database');
+
+describe('Video list sorts and filters', () => {
+  let app;
+  let db;
+  let ids;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    ids = {
+      short: await addVideo(db, { title: 'Short', path: '/videos/short.mp4', duration: 300, height: 720, file_size: 200, added_date: '2024-01-10T08:00:00.000Z', preview_generation_status: 'completed' }),
+      long: await addVideo(db, { title: 'Long', path: '/videos/long.mp4', duration: 7200, height: 1440, file_size: 9000, added_date: '2024-02-20T23:30:00.000Z', preview_generation_status: 'failed' }),
+      medium: await addVideo(db, { title: 'Medium', path: '/videos/medium.mp4', duration: 1800, height: 1080, file_size: 1000, added_date: '2024-03-05T12:00:00.000Z' })
+    };
+    await replaceVideoEvents(db, ids.medium, [{ type: 'death', timestamp: 10 }, { type: 'death', timestamp: 20 }]);
+    await replaceVideoEvents(db, ids.long, [{ type: 'death', timestamp: 5 }, { type: 'kill', timestamp: 6 }]);
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  async function listIds(query) {
+    const response = await request(app).get('/api/videos').query(query).expect(200);
+    return response.body.videos.map(video => video.id);
+  }
+
+  test('sorts by duration, file size and deaths', async () => {
+    expect(await listIds({ sort: 'duration_desc' })).toEqual([ids.long, ids.medium, ids.short]);
+    expect(await listIds({ sort: 'size_asc' })).toEqual([ids.short, ids.medium, ids.long]);
+    expect(await listIds({ sort: 'deaths_desc' })).toEqual([ids.medium, ids.long, ids.short]);
+
+    const response = await request(app).get('/api/videos').query({ sort: 'deaths_desc' }).expect(200);
+    expect(response.body.videos[0].death_count).toBe(2);
+  });
+
+  test('keeps a random order stable across pages for the same seed', async () => {
+    const first = await request(app).get('/api/videos').query({ sort: 'random', limit: 2 }).expect(200);
+    const { seed } = first.body;
+    expect(Number.isInteger(seed)).toBe(true);
+
+    const again = await listIds({ sort: 'random', seed, limit: 2 });
+    const rest = await listIds({ sort: 'random', seed, limit: 2, page: 2 });
+    expect(again).toEqual(first.body.videos.map(video => video.id));
+    expect([...again, ...rest].sort()).toEqual(Object.values(ids).sort());
+  });
+
+  test('filters by duration, date added and resolution', async () => {
+    expect(await listIds({ duration_min: 600, duration_max: 3600 })).toEqual([ids.medium]);
+    expect(await listIds({ added_from: '2024-02-01', added_to: '2024-02-20' })).toEqual([ids.long]);
+    expect(await listIds({ resolution: 1080, sort: 'title_asc' })).toEqual([ids.long, ids.medium]);
+  });
+
+  test('filters by timeline events and preview status', async () => {
+    expect(await listIds({ has_events: 'true', sort: 'title_asc' })).toEqual([ids.long, ids.medium]);
+    expect(await listIds({ has_events: 'false' })).toEqual([ids.short]);
+    expect(await listIds({ preview: 'failed' })).toEqual([ids.long]);
+    expect(await listIds({ preview: 'pending' })).toEqual([ids.medium]);
+  });
+
+  test('rejects invalid sorts and filters', async () => {
+    await request(app).get('/api/videos').query({ sort: 'popularity' }).expect(400);
+    await request(app).get('/api/videos').query({ sort: 'random', seed: 0 }).expect(400);
+    await request(app).get('/api/videos').query({ duration_min: 'long' }).expect(400);
+    await request(app).get('/api/videos').query({ duration_min: 600, duration_max: 60 }).expect(400);
+    await request(app).get('/api/videos').query({ added_from: '2024-13-01' }).expect(400);
+    await request(app).get('/api/videos').query({ has_events: 'yes' }).expect(400);
+    const response = await request(app).get('/api/videos').query({ preview: 'done' }).expect(400);
+    expect(response.body.error).toBe('preview must be one of: pending, generating, completed, failed');
+  });
+});
@@ -0,0 +1,115 @@
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runMigrations, loadMigrations, all } = require('../../db/migrator');
+
+function openMemoryDb() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+function closeDb(db) {
+  return new Promise(resolve => db.close(() => resolve()));
+}
+
+describe('Schema migrations', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await openMemoryDb();
+  });
+
+  afterEach(async () => {
+    await closeDb(db);
+  });
+
+  test('loads migrations in ascending version order', () => {
+    const migrations = loadMigrations();
+    const versions = migrations.map(m => m.version);
+
+    expect(versions.length).toBeGreaterThan(0);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(migrations[0].name).toBe('create_videos_table');
+  });
+
+  test('creates the videos table and records every applied version', async () => {
+    const report = await runMigrations(db);
+
+    const columns = (await all(db, 'PRAGMA table_info(videos)')).map(c => c.name);
+    expect(columns).toEqual(expect.arrayContaining([
+      'id', 'title', 'path', 'duration', 'added_date', 'thumbnail_path',
+      'death_timestamps', 'width', 'height',
+      'preview_clips', 'preview_generation_status', 'preview_generation_date'
+    ]));
+
+    const versions = await all(db, 'SELECT version FROM schema_version ORDER BY version');
+    expect(versions.map(v => v.version)).toEqual(report.applied.map(m => m.version));
+    expect(report.skipped).toBe(0);
+  });
+
+  test('does not re-run migrations that were already applied', async () => {
+    await runMigrations(db);
+    const secondRun = await runMigrations(db);
+
+    expect(secondRun.applied).toEqual([]);
+    expect(secondRun.skipped).toBe(loadMigrations().length);
+  });
+
+  test('adopts a database created before migrations existed', async () => {
+    await new Promise((resolve, reject) => {
+      db.exec(`
+        CREATE TABLE videos (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          path TEXT NOT NULL UNIQUE,
+          duration INTEGER,
+          width INTEGER,
+          height INTEGER,
+          added_date TEXT DEFAULT CURRENT_TIMESTAMP,
+          thumbnail_path TEXT,
+          death_timestamps TEXT
+        );
+        INSERT INTO videos (title, path) VALUES ('Legacy', '/videos/legacy.mp4');
+      `, (err) => (err ? reject(err) : resolve()));
+    });
+
+    await expect(runMigrations(db)).resolves.toBeDefined();
+
+    const rows = await all(db, 'SELECT title, preview_generation_status FROM videos');
+    expect(rows).toEqual([{ title: 'Legacy', preview_generation_status: 'pending' }]);
+
+    // Existing videos are added to the search index
+    const indexed = await all(db, 'SELECT rowid, title, folder, path, metadata FROM videos_fts');
+    expect(indexed).toEqual([{ rowid: 1, title: 'Legacy', folder: 'videos', path: '/videos/legacy.mp4', metadata: '' }]);
+  });
+
+  test('rolls back a failing migration and leaves it unrecorded', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodlib-migrations-'));
+    fs.writeFileSync(path.join(dir, '001_ok.js'), `
+      module.exports.up = (db) => new Promise((resolve, reject) =>
+        db.run('CREATE TABLE ok_table (id INTEGER)', err => err ? reject(err) : resolve()));
+    `);
+    fs.writeFileSync(path.join(dir, '002_broken.js'), `
+      module.exports.up = (db) => new Promise((resolve, reject) =>
+        db.run('CREATE TABLE half_done (id INTEGER)', err => {
+          if (err) return reject(err);
+          db.run('NOT VALID SQL', err2 => err2 ? reject(err2) : resolve());
+        }));
+    `);
+
+    try {
+      await expect(runMigrations(db, { dir })).rejects.toThrow(/Migration 2 \(broken\) failed/);
+
+      const versions = await all(db, 'SELECT version FROM schema_version');
+      expect(versions.map(v => v.version)).toEqual([1]);
+
+      const tables = (await all(db, "SELECT name FROM sqlite_master WHERE type = 'table'")).map(t => t.name);
+      expect(tables).toContain('ok_table');
+      expect(tables).not.toContain('half_done');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
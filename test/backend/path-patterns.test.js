@@ -0,0 +1,96 @@
+const path = require('path');
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+const { compilePathPattern, parsePathPatterns, extractPathFields, getLibraryRelativePath } = require('../../lib/path-patterns');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo } = require('../../db/database');
+
+describe('Library path patterns', () => {
+  const patterns = parsePathPatterns('{game}/{year}/{title};{game}/{series}/{session_date} {title};{player}/{*}/{title}');
+
+  test('extracts fields with the first matching pattern', () => {
+    expect(extractPathFields('Elden Ring/2024/Malenia attempts.mp4', patterns)).toEqual({
+      game: 'Elden Ring', series: null, player: null, session_date: '2024', title: 'Malenia attempts'
+    });
+    expect(extractPathFields('Valorant/Spring Cup/2024-03-02 Grand final.mkv', patterns)).toEqual({
+      game: 'Valorant', series: 'Spring Cup', player: null, session_date: '2024-03-02', title: 'Grand final'
+    });
+  });
+
+  test('skips {*} segments and accepts Windows separators', () => {
+    expect(extractPathFields('alice\\raw\\pov.mp4', patterns)).toMatchObject({ player: 'alice', title: 'pov' });
+  });
+
+  test('leaves everything empty when no pattern matches', () => {
+    expect(extractPathFields('loose-file.mp4', patterns)).toEqual({
+      game: null, series: null, player: null, session_date: null, title: null
+    });
+  });
+
+  test('builds a padded session date from year, month and day', () => {
+    const [pattern] = parsePathPatterns('{year}/{month}/{day}/{title}');
+    expect(extractPathFields('2024/3/7/scrim.mp4', [pattern]).session_date).toBe('2024-03-07');
+  });
+
+  test('rejects unknown placeholders', () => {
+    expect(() => compilePathPattern('{team}/{title}')).toThrow('Unknown placeholder {team}');
+    expect(parsePathPatterns('{team}/{title};{game}/{title}')).toHaveLength(1);
+  });
+
+  test('resolves paths relative to the library root that contains them', () => {
+    const originalLibrary = process.env.VIDEO_LIBRARY;
+    process.env.VIDEO_LIBRARY = `${path.join('/srv', 'clips')}, ${path.join('/srv', 'vods')}`;
+    try {
+      expect(getLibraryRelativePath(path.join('/srv', 'vods', 'Elden Ring', 'run.mp4'))).toBe('Elden Ring/run.mp4');
+      expect(getLibraryRelativePath(path.join('/elsewhere', 'run.mp4'))).toBe('run.mp4');
+    } finally {
+      process.env.VIDEO_LIBRARY = originalLibrary;
+    }
+  });
+});
+
+describe('Filtering by folder-derived fields', () => {
+  let app;
+  let db;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    await addVideo(db, { title: 'Run', path: '/v/a.mp4', added_date: '2024-01-01T00:00:00.000Z', game: 'Elden Ring', session_date: '2024-03-02' });
+    await addVideo(db, { title: 'Final', path: '/v/b.mp4', added_date: '2024-02-01T00:00:00.000Z', game: 'Valorant', series: 'Spring Cup', session_date: '2024-04-10' });
+    await addVideo(db, { title: 'Loose', path: '/v/c.mp4', added_date: '2024-03-01T00:00:00.000Z' });
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  test('filters by game and series, ignoring case', async () => {
+    const byGame = await request(app).get('/api/videos?game=elden%20ring').expect(200);
+    expect(byGame.body.videos.map(v => v.title)).toEqual(['Run']);
+
+    const bySeries = await request(app).get('/api/videos?series=SPRING%20CUP').expect(200);
+    expect(bySeries.body.videos.map(v => v.title)).toEqual(['Final']);
+  });
+
+  test('filters by session date range, including partial bounds', async () => {
+    const march = await request(app).get('/api/videos?session_from=2024-03&session_to=2024-03').expect(200);
+    expect(march.body.videos.map(v => v.title)).toEqual(['Run']);
+
+    const fromMarch = await request(app).get('/api/videos?session_from=2024-03-05').expect(200);
+    expect(fromMarch.body.videos.map(v => v.title)).toEqual(['Final']);
+
+    const invalid = await request(app).get('/api/videos?session_from=soon').expect(200);
+    expect(invalid.body.totalCount).toBe(3);
+  });
+
+  test('lists known values', async () => {
+    const response = await request(app).get('/api/path-fields').expect(200);
+    expect(response.body.game).toEqual([{ value: 'Elden Ring', count: 1 }, { value: 'Valorant', count: 1 }]);
+    expect(response.body.series).toEqual([{ value: 'Spring Cup', count: 1 }]);
+    expect(response.body.player).toEqual([]);
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, get } = require('../../db/migrator');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, getVideoByPath, createScan, failInterruptedScans, deleteOldScans, getScans } = require('../../db/database');
+const { scanLibrary, getScanStatus } = require('../../lib/scanner');
+
+describe('Library scan history', () => {
+  let db;
+  let app;
+  let currentUser;
+  let libraryDir;
+  let missingDir;
+  let keptPath;
+  const originalLibrary = process.env.VIDEO_LIBRARY;
+
+  beforeEach(async () => {
+    libraryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodl-library-'));
+    missingDir = path.join(libraryDir, 'unplugged-drive');
+    // Not a real video, so probing it fails
+    fs.writeFileSync(path.join(libraryDir, 'broken.mp4'), 'not a video');
+    keptPath = path.join(libraryDir, 'season-1', 'kept.mp4');
+    fs.mkdirSync(path.dirname(keptPath));
+    fs.writeFileSync(keptPath, 'not a video either');
+    process.env.VIDEO_LIBRARY = `${libraryDir},${missingDir}`;
+
+    db = await openTestDb();
+
+    await addVideo(db, { title: 'Old title', path: keptPath, duration: 60, container: 'mp4', thumbnail_path: '/thumbnails/kept.jpg' });
+    await addVideo(db, { title: 'Deleted', path: path.join(libraryDir, 'deleted.mp4'), duration: 60 });
+
+    currentUser = { id: 1, username: 'root', role: 'admin' };
+    app = createApiApp(db, { user: () => currentUser });
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+    fs.rmSync(libraryDir, { recursive: true, force: true });
+    process.env.VIDEO_LIBRARY = originalLibrary;
+  });
+
+  test('records what each scan did with every file', async () => {
+    await scanLibrary(db);
+    expect(getScanStatus()).toMatchObject({ status: 'completed', totalFiles: 2, checkedCount: 2, updatedCount: 1, removedCount: 1, failedCount: 2 });
+    expect(getScanStatus().filesPerSecond).toEqual(expect.any(Number));
+
+    const list = await request(app).get('/api/scans');
+    expect(list.status).toBe(200);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0]).toMatchObject({ status: 'completed', new_count: 0, updated_count: 1, removed_count: 1, failed_count: 2 });
+    expect(list.body[0].message).toMatch(/2 failed/);
+    expect(list.body[0].duration_ms).toEqual(expect.any(Number));
+
+    const detail = await request(app).get(`/api/scans/${list.body[0].id}`);
+    expect(detail.status).toBe(200);
+    expect(detail.body.files).toEqual(expect.arrayContaining([
+      { path: missingDir, action: 'failed', error: 'Library path does not exist' },
+      { path: keptPath, action: 'updated', error: null },
+      { path: path.join(libraryDir, 'deleted.mp4'), action: 'removed', error: null }
+    ]));
+    expect(detail.body.files).toHaveLength(4);
+
+    const failed = await request(app).get(`/api/scans/${list.body[0].id}?action=failed`);
+    expect(failed.body.files.map(file => file.path)).toEqual([missingDir, path.join(libraryDir, 'broken.mp4')]);
+    expect(failed.body.files[1].error).toEqual(expect.any(String));
+  });
+
+  test('records folders it cannot read and keeps their videos', async () => {
+    const offlinePath = path.join(libraryDir, 'offline');
+    fs.symlinkSync(path.join(libraryDir, 'nowhere'), offlinePath);
+    const offlineVideo = await addVideo(db, { title: 'On the NAS', path: path.join(offlinePath, 'raid.mp4'), duration: 60 });
+
+    await scanLibrary(db);
+
+    expect(getScanStatus()).toMatchObject({ status: 'completed', removedCount: 1, failedCount: 3 });
+    const failed = await request(app).get(`/api/scans/${getScanStatus().scanId}?action=failed`);
+    expect(failed.body.files).toContainEqual({ path: offlinePath, action: 'failed', error: expect.stringMatching(/ENOENT/) });
+    expect(await get(db, 'SELECT id FROM videos WHERE id = ?', [offlineVideo])).toEqual({ id: offlineVideo });
+  });
+
+  test('skips files that have not changed since the last scan', async () => {
+    await scanLibrary(db);
+    const stored = await getVideoByPath(db, keptPath);
+    expect(stored).toMatchObject({ title: 'kept', file_size: fs.statSync(keptPath).size, file_mtime: expect.any(Number), sidecar_mtime: null });
+
+    await scanLibrary(db);
+    expect(getScanStatus()).toMatchObject({ full: false, updatedCount: 0, skippedCount: 1, failedCount: 2 });
+
+    // A new sidecar file counts as a change
+    fs.writeFileSync(keptPath.replace(/\.mp4$/, '.json'), JSON.stringify({ deaths: [{ timestamp: 12 }] }));
+    await scanLibrary(db);
+    expect(getScanStatus()).toMatchObject({ updatedCount: 1, skippedCount: 0 });
+    expect((await getVideoByPath(db, keptPath)).death_timestamps).toBe('[12]');
+
+    // So does a new modification time
+    fs.utimesSync(keptPath, new Date(), new Date(Date.now() + 60000));
+    await scanLibrary(db);
+    expect(getScanStatus()).toMatchObject({ updatedCount: 0, skippedCount: 0 });
+    await scanLibrary(db);
+    expect(getScanStatus().skippedCount).toBe(1);
+
+    // A full scan checks everything
+    await scanLibrary(db, { full: true });
+    expect(getScanStatus()).toMatchObject({ full: true, skippedCount: 0 });
+    const scans = await getScans(db);
+    expect(scans[0]).toMatchObject({ full: 1, skipped_count: 0 });
+    expect(scans[1]).toMatchObject({ full: 0, skipped_count: 1 });
+  });
+
+  test('validates parameters and is admin only', async () => {
+    const scanId = await createScan(db);
+    expect((await request(app).get('/api/scans?limit=0')).status).toBe(400);
+    expect((await request(app).get(`/api/scans/${scanId}?action=skipped`)).status).toBe(400);
+    expect((await request(app).get('/api/scans/9999')).status).toBe(404);
+
+    currentUser = { id: 2, username: 'coach', role: 'viewer' };
+    expect((await request(app).get('/api/scans')).status).toBe(403);
+    expect((await request(app).get(`/api/scans/${scanId}`)).status).toBe(403);
+  });
+
+  test('marks scans interrupted by a restart as failed and keeps only the latest', async () => {
+    const first = await createScan(db);
+    await run(db, "INSERT INTO scan_files (scan_id, path, action) VALUES (?, '/videos/a.mp4', 'added')", [first]);
+    const second = await createScan(db);
+
+    expect(await failInterruptedScans(db)).toBe(2);
+    expect(await get(db, 'SELECT status, message FROM scans WHERE id = ?', [second])).toEqual({ status: 'failed', message: 'Interrupted by a server restart' });
+
+    expect(await deleteOldScans(db, 1)).toBe(1);
+    expect((await getScans(db)).map(scan => scan.id)).toEqual([second]);
+    expect((await get(db, 'SELECT COUNT(*) AS count FROM scan_files')).count).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+const { openTestDb, closeTestDb } = require('../helpers/db');
+const { buildMatchQuery, formatHighlight, buildSearchDocument, HIGHLIGHT_START, HIGHLIGHT_END } = require('../../db/search');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, updateVideo, deleteVideo, getVideosPaginated } = require('../../db/database');
+
+describe('Full-text search', () => {
+  describe('buildMatchQuery', () => {
+    test('turns words into prefix terms', () => {
+      expect(buildMatchQuery('elden ring')).toBe('"elden"* "ring"*');
+    });
+
+    test('keeps quoted text as a phrase', () => {
+      expect(buildMatchQuery('raid "boss pull"')).toBe('"raid"* "boss pull"');
+    });
+
+    test('strips FTS5 operators from bare words', () => {
+      expect(buildMatchQuery('NEAR(a* -b')).toBe('"NEAR"* "a"* "b"*');
+    });
+
+    test('returns null when nothing searchable remains', () => {
+      expect(buildMatchQuery('')).toBeNull();
+      expect(buildMatchQuery('  -- ')).toBeNull();
+      expect(buildMatchQuery(null)).toBeNull();
+    });
+  });
+
+  describe('formatHighlight', () => {
+    test('escapes HTML before inserting mark tags', () => {
+      const raw = `<b>${HIGHLIGHT_START}Team${HIGHLIGHT_END}</b>`;
+      expect(formatHighlight(raw)).toBe('&lt;b&gt;<mark>Team</mark>&lt;/b&gt;');
+    });
+
+    test('passes null through', () => {
+      expect(formatHighlight(null)).toBeNull();
+    });
+  });
+
+  test('buildSearchDocument uses the parent directory as folder', () => {
+    expect(buildSearchDocument({ title: 'run', path: 'D:\\VODs\\Elden Ring\\run.mp4' }).folder).toBe('Elden Ring');
+    expect(buildSearchDocument({ title: 'run', path: 'run.mp4' }).folder).toBe('');
+  });
+
+  describe('getVideosPaginated with an index', () => {
+    let db;
+
+    beforeEach(async () => {
+      db = await openTestDb();
+
+      await addVideo(db, {
+        title: 'Raid night 3',
+        path: '/videos/Elden Ring/Raid night 3.mp4',
+        added_date: '2024-01-01T00:00:00.000Z',
+        search_metadata: 'Malenia boss pull'
+      });
+      await addVideo(db, {
+        title: 'Elden scrim',
+        path: '/videos/Scrims/Elden scrim.mp4',
+        added_date: '2024-02-01T00:00:00.000Z'
+      });
+    });
+
+    afterEach(async () => {
+      await closeTestDb(db);
+    });
+
+    test('matches folder names and ranks title matches first', async () => {
+      const { videos, totalCount } = await getVideosPaginated(db, 1, 10, 'elden', 'relevance');
+
+      expect(totalCount).toBe(2);
+      expect(videos.map(v => v.title)).toEqual(['Elden scrim', 'Raid night 3']);
+      expect(videos[0].search_title).toBe('<mark>Elden</mark> scrim');
+    });
+
+    test('requires every word and supports phrases from sidecar metadata', async () => {
+      const both = await getVideosPaginated(db, 1, 10, 'elden malenia', 'relevance');
+      expect(both.videos.map(v => v.title)).toEqual(['Raid night 3']);
+
+      const metadata = await getVideosPaginated(db, 1, 10, 'malenia', 'relevance');
+      expect(metadata.videos[0].search_snippet).toContain('<mark>Malenia</mark>');
+
+      const phrase = await getVideosPaginated(db, 1, 10, '"pull boss"', 'relevance');
+      expect(phrase.totalCount).toBe(0);
+    });
+
+    test('keeps the index in sync on update and delete', async () => {
+      const { videos } = await getVideosPaginated(db, 1, 10, 'scrim', 'relevance');
+      const scrim = videos[0];
+
+      await updateVideo(db, scrim.id, { ...scrim, title: 'Tournament final' });
+      expect((await getVideosPaginated(db, 1, 10, 'tournament')).totalCount).toBe(1);
+
+      await deleteVideo(db, scrim.id);
+      expect((await getVideosPaginated(db, 1, 10, 'tournament')).totalCount).toBe(0);
+    });
+  });
+});
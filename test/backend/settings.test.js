@@ -0,0 +1,109 @@
+const request = require('supertest');
+const { get } = require('../../db/migrator');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { createUser } = require('../../db/database');
+const { loadSettings, getEffectiveSettings, validateSettings } = require('../../lib/settings');
+const videoCache = require('../../lib/cache');
+const cdnManager = require('../../lib/cdn');
+const { thumbnailConfig } = require('../../lib/thumbnail');
+
+describe('Runtime settings', () => {
+  let db;
+  let app;
+  let currentUser;
+  const originalEnv = { ...process.env };
+
+  beforeEach(async () => {
+    delete process.env.CACHE_TTL;
+    delete process.env.CDN_TOKEN;
+    delete process.env.THUMBNAIL_TIME;
+
+    db = await openTestDb();
+    await loadSettings(db);
+
+    const adminId = await createUser(db, { username: 'root', password_hash: 'x', role: 'admin' });
+    currentUser = { id: adminId, username: 'root', role: 'admin' };
+    app = createApiApp(db, { user: () => currentUser });
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    await closeTestDb(db);
+  });
+
+  test('reports each value with its source', async () => {
+    process.env.CACHE_TTL = '120';
+    process.env.CDN_TOKEN = 'secret-token';
+
+    const response = await request(app).get('/api/settings');
+    expect(response.status).toBe(200);
+    expect(response.body.cache.stdTTL).toEqual({ value: 120, source: 'env', env: 'CACHE_TTL' });
+    expect(response.body.cache.checkperiod).toEqual({ value: 600, source: 'default' });
+    expect(response.body.cdn.token).toEqual({ value: null, source: 'env', env: 'CDN_TOKEN', secret: true, is_set: true });
+    expect(Object.keys(response.body)).toEqual(['cache', 'cdn', 'preview', 'thumbnail']);
+  });
+
+  test('stores validated changes, applies them and reloads them on startup', async () => {
+    process.env.THUMBNAIL_TIME = '8';
+    const response = await request(app).patch('/api/settings/thumbnail').send({ time: 12.5 });
+    expect(response.status).toBe(200);
+    expect(response.body.time).toMatchObject({ value: 12.5, source: 'database', env: 'THUMBNAIL_TIME' });
+    expect(thumbnailConfig.time).toBe(12.5);
+
+    const row = await get(db, "SELECT value, updated_by FROM settings WHERE key = 'thumbnail.time'");
+    expect(row).toEqual({ value: '12.5', updated_by: currentUser.id });
+
+    // As if the server restarted
+    thumbnailConfig.time = 5;
+    await loadSettings(db);
+    expect(thumbnailConfig.time).toBe(12.5);
+
+    // null goes back to the .env value
+    await request(app).patch('/api/settings/thumbnail').send({ time: null }).expect(200);
+    expect(getEffectiveSettings('thumbnail').time).toEqual({ value: 8, source: 'env', env: 'THUMBNAIL_TIME' });
+    expect(thumbnailConfig.time).toBe(8);
+  });
+
+  test('rejects unknown keys and invalid values', async () => {
+    expect((await request(app).patch('/api/settings/cdn').send({ enabled: 'yes' })).status).toBe(400);
+    expect((await request(app).patch('/api/settings/cdn').send({ contentTypes: ['video', 'audio'] })).status).toBe(400);
+    expect((await request(app).patch('/api/settings/cdn').send({ baseUrl: 'ftp://cdn.example.com' })).status).toBe(400);
+    expect((await request(app).patch('/api/settings/cache').send({ maxSegmentsPerVideo: 2.5 })).status).toBe(400);
+    expect((await request(app).patch('/api/settings/preview').send({ previewQuality: 'ultra' })).status).toBe(400);
+    expect((await request(app).patch('/api/settings/preview').send({ previewDuration: 20 })).status).toBe(400);
+    expect((await request(app).patch('/api/settings/hls').send({})).status).toBe(404);
+    expect(validateSettings('cache', { constructor: 1 }).error).toMatch(/Unknown cache setting/);
+
+    const unknown = await request(app).post('/api/cache/config').send({ stdTTL: 60, evil: true });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/Unknown cache setting: evil/);
+    expect(videoCache.config.stdTTL).not.toBe(60);
+    expect((await get(db, 'SELECT COUNT(*) AS count FROM settings')).count).toBe(0);
+  });
+
+  test('the cache and CDN config endpoints store their changes too', async () => {
+    const cache = await request(app).post('/api/cache/config').send({ stdTTL: 60, maxSegmentsPerVideo: 5 });
+    expect(cache.status).toBe(200);
+    expect(cache.body.config).toMatchObject({ stdTTL: 60, maxSegmentsPerVideo: 5 });
+
+    const cdn = await request(app).post('/api/cdn/config').send({ enabled: true, baseUrl: 'https://cdn.example.com', contentTypes: ['preview'] });
+    expect(cdn.status).toBe(200);
+    expect(cdnManager.shouldUseCdn('/previews/a.mp4', 'preview')).toBe(true);
+    expect(cdnManager.shouldUseCdn('/thumbnails/a.jpg', 'thumbnail')).toBe(false);
+
+    const settings = getEffectiveSettings();
+    expect(settings.cache.stdTTL.source).toBe('database');
+    expect(settings.cdn.enabled).toMatchObject({ value: true, source: 'database' });
+
+    await request(app).patch('/api/settings/cdn').send({ enabled: null, contentTypes: null }).expect(200);
+    expect(cdnManager.getConfig()).toMatchObject({ enabled: false, contentTypes: ['video', 'thumbnail'], baseUrl: 'https://cdn.example.com' });
+  });
+
+  test('is admin only', async () => {
+    currentUser = { id: 2, username: 'coach', role: 'viewer' };
+    expect((await request(app).get('/api/settings')).status).toBe(403);
+    expect((await request(app).patch('/api/settings/cache').send({ stdTTL: 60 })).status).toBe(403);
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openTestDb, closeTestDb, createApiApp, createSharedApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, createUser } = require('../../db/database');
+const { shareConfig, recordUnlockAttempt, countUnlockFailures } = require('../../lib/shares');
+
+describe('Share link pages and streaming', () => {
+  let db;
+  let apiApp;
+  let app;
+  let videoDir;
+  let videoId;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+    videoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodl-shared-'));
+    const videoPath = path.join(videoDir, 'final.mp4');
+    fs.writeFileSync(videoPath, 'not really a video');
+    videoId = await addVideo(db, { title: 'Grand final', path: videoPath, duration: 600 });
+
+    const coachId = await createUser(db, { username: 'coach', password_hash: 'x', role: 'viewer' });
+    apiApp = createApiApp(db, { user: () => ({ id: coachId, username: 'coach', role: 'viewer' }) });
+    app = createSharedApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+    fs.rmSync(videoDir, { recursive: true, force: true });
+  });
+
+  async function createShare(body = {}) {
+    return (await request(apiApp).post(`/api/videos/${videoId}/shares`).send(body).expect(201)).body;
+  }
+
+  test('sends visitors without a share link to the login form and refuses bad links', async () => {
+    const page = await request(app).get(`/watch/${videoId}`);
+    expect(page.status).toBe(302);
+    expect(page.headers.location).toBe('/login.html');
+
+    const invalid = await request(app).get(`/watch/${videoId}?share=1.nope`);
+    expect(invalid.status).toBe(403);
+    expect(invalid.text).toMatch(/VODlibrary/);
+    expect(invalid.text).toMatch(/This share link is not valid\./);
+
+    const { token } = await createShare();
+    const shared = await request(app).get(`/watch/${videoId}?share=${token}`);
+    expect(shared.status).toBe(200);
+    expect(shared.text).toMatch(/<title>Grand final<\/title>/);
+  });
+
+  test('shows the unlock page for a password-protected share and streams once unlocked', async () => {
+    const { token } = await createShare({ password: 'finals' });
+
+    const locked = await request(app).get(`/watch/${videoId}?share=${token}`);
+    expect(locked.status).toBe(401);
+    expect(locked.text).toMatch(/Password required/);
+    const stream = await request(app).get(`/api/videos/${videoId}/stream?share=${token}`);
+    expect(stream.status).toBe(403);
+    expect(stream.body).toEqual({ error: 'This share link needs a password.' });
+
+    const agent = request.agent(app);
+    const wrong = await agent.post(`/watch/${videoId}?share=${token}`).type('form').send({ password: 'semis' });
+    expect(wrong.status).toBe(303);
+    expect(wrong.headers.location).toBe(`/watch/${videoId}?share=${token}&error=1`);
+
+    const unlocked = await agent.post(`/embed/${videoId}?share=${token}`).type('form').send({ password: 'finals' });
+    expect(unlocked.status).toBe(303);
+    expect(unlocked.headers.location).toBe(`/embed/${videoId}?share=${token}`);
+    expect(unlocked.headers['set-cookie'][0]).toMatch(/^share_unlock_\d+=.*HttpOnly; SameSite=Lax/);
+
+    expect((await agent.get(`/watch/${videoId}?share=${token}`)).status).toBe(200);
+    const streamed = await agent.get(`/api/videos/${videoId}/stream?share=${token}`);
+    expect(streamed.status).toBe(200);
+    expect(streamed.headers['content-type']).toBe('video/mp4');
+    expect(streamed.body.toString()).toBe('not really a video');
+  });
+
+  test('stops accepting passwords after too many wrong ones', async () => {
+    const { token } = await createShare({ password: 'finals' });
+    const unlock = password => request(app).post(`/watch/${videoId}?share=${token}`).type('form').send({ password });
+
+    for (let i = 0; i < shareConfig.maxUnlockAttempts; i++) {
+      expect((await unlock('semis')).headers.location).toMatch(/&error=1$/);
+    }
+    const limited = await unlock('finals');
+    expect(limited.headers.location).toMatch(/&error=limit$/);
+    expect(limited.headers['set-cookie']).toBeUndefined();
+
+    // Failures are forgotten once their window has passed, including other visitors' ones
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + shareConfig.unlockAttemptWindow + 1000);
+    try {
+      recordUnlockAttempt('other-share:10.0.0.2', false);
+      expect(countUnlockFailures()).toBe(1);
+      expect((await unlock('finals')).headers.location).toBe(`/watch/${videoId}?share=${token}`);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('counts wrong passwords per visitor behind a trusted proxy', async () => {
+    const proxied = createSharedApp(db, { trustProxy: 'loopback' });
+    const { token } = await createShare({ password: 'finals' });
+    const unlock = (ip, password) => request(proxied)
+      .post(`/watch/${videoId}?share=${token}`)
+      .set('X-Forwarded-For', ip)
+      .type('form')
+      .send({ password });
+
+    for (let i = 0; i < shareConfig.maxUnlockAttempts; i++) {
+      await unlock('203.0.113.5', 'semis');
+    }
+    expect((await unlock('203.0.113.5', 'finals')).headers.location).toMatch(/&error=limit$/);
+    expect((await unlock('203.0.113.6', 'finals')).headers.location).toBe(`/watch/${videoId}?share=${token}`);
+  });
+
+  test('opens the embed page only through a working share link', async () => {
+    expect((await request(app).get(`/embed/${videoId}`)).headers.location).toBe('/login.html');
+
+    const { id, token } = await createShare();
+    const embed = await request(app).get(`/embed/${videoId}?share=${token}`);
+    expect(embed.status).toBe(200);
+    expect(embed.text).toMatch(/<title>Grand final<\/title>/);
+
+    const locked = await createShare({ password: 'finals' });
+    expect((await request(app).get(`/embed/${videoId}?share=${locked.token}`)).status).toBe(401);
+
+    await request(apiApp).delete(`/api/shares/${id}`).expect(204);
+    const revoked = await request(app).get(`/embed/${videoId}?share=${token}`);
+    expect(revoked.status).toBe(403);
+    expect(revoked.text).toMatch(/This share link has been revoked\./);
+  });
+
+  test('answers oEmbed requests from other sites only for links with a working share token', async () => {
+    const oembed = url => request(app).get('/api/oembed').set('Host', 'vods.test').query({ url });
+
+    expect((await oembed(`http://vods.test/watch/${videoId}`)).status).toBe(401);
+    expect((await oembed(`http://elsewhere.test/watch/${videoId}`)).status).toBe(404);
+    expect((await request(app).get('/api/oembed').query({ url: `http://vods.test/watch/${videoId}`, format: 'xml' })).status).toBe(501);
+
+    const { id, token } = await createShare();
+    const response = await oembed(`http://vods.test/watch/${videoId}?share=${token}&t=12`);
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ type: 'video', title: 'Grand final', provider_name: 'VODlibrary' });
+    expect(response.body.html).toContain(`src="http://vods.test/embed/${videoId}?share=${token}&amp;t=12"`);
+    const tampered = token.replace(/\.(.)/, (match, first) => `.${first === 'A' ? 'B' : 'A'}`);
+    expect((await oembed(`http://vods.test/embed/${videoId}?share=${tampered}`)).status).toBe(401);
+
+    await request(apiApp).delete(`/api/shares/${id}`).expect(204);
+    const revoked = await oembed(`http://vods.test/watch/${videoId}?share=${token}`);
+    expect(revoked.status).toBe(401);
+    expect(revoked.body).toEqual({ error: 'This share link has been revoked.' });
+  });
+
+  test('refuses oEmbed for password-protected links, even to logged-in users', async () => {
+    const { token } = await createShare({ password: 'finals' });
+    const url = `http://vods.test/watch/${videoId}?share=${token}`;
+
+    const visitor = await request(app).get('/api/oembed').set('Host', 'vods.test').query({ url });
+    expect(visitor.status).toBe(403);
+    expect(visitor.body).toEqual({ error: 'Share links with a password cannot be embedded' });
+
+    const userApp = createSharedApp(db, { user: () => ({ id: 1, username: 'coach', role: 'viewer' }) });
+    expect((await request(userApp).get('/api/oembed').set('Host', 'vods.test').query({ url })).status).toBe(403);
+    expect((await request(userApp).get('/api/oembed').set('Host', 'vods.test').query({ url: `http://vods.test/watch/${videoId}` })).status).toBe(200);
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const { run, get } = require('../../db/migrator');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, createUser, createShareView, updateShareView } = require('../../db/database');
+const { resolveShareToken, parseShareToken, shareConfig, getUnlockCookieName, createUnlockValue, isUnlockRateLimited, recordUnlockAttempt, normalizeReferrer } = require('../../lib/shares');
+const { verifyPassword } = require('../../lib/auth');
+
+describe('Share links', () => {
+  let db;
+  let app;
+  let currentUser;
+  let videoId;
+  let otherVideoId;
+  let adminId;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    videoId = await addVideo(db, { title: 'Grand final', path: '/videos/final.mp4', duration: 600 });
+    otherVideoId = await addVideo(db, { title: 'Semi final', path: '/videos/semi.mp4', duration: 600 });
+    adminId = await createUser(db, { username: 'root', password_hash: 'x', role: 'admin' });
+    const viewerId = await createUser(db, { username: 'coach', password_hash: 'x', role: 'viewer' });
+    currentUser = { id: viewerId, username: 'coach', role: 'viewer' };
+
+    app = createApiApp(db, { user: () => currentUser });
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  function createShare(body = {}, id = videoId) {
+    return request(app).post(`/api/videos/${id}/shares`).send(body);
+  }
+
+  test('creates a signed link for one video', async () => {
+    const response = await createShare({ expires_in: 3600, max_views: 3, start: 30, end: 90 });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ video_id: videoId, video_title: 'Grand final', max_views: 3, view_count: 0, start_time: 30, end_time: 90, created_by: 'coach', state: 'active' });
+    expect(response.body.url).toMatch(new RegExp(`/watch/${videoId}\\?share=${response.body.token}$`));
+    expect(Date.parse(response.body.expires_at) - Date.now()).toBeGreaterThan(3590 * 1000);
+    expect(parseShareToken(response.body.token)).toEqual({ id: response.body.id, signature: expect.any(String) });
+
+    expect((await resolveShareToken(db, response.body.token, videoId, { countView: true })).share).toBeDefined();
+    expect(await resolveShareToken(db, response.body.token, otherVideoId, { countView: true })).toEqual({ error: 'invalid' });
+  });
+
+  test('rejects invalid limits', async () => {
+    expect((await createShare({ expires_in: -5 })).status).toBe(400);
+    expect((await createShare({ max_views: 1.5 })).status).toBe(400);
+    expect((await createShare({ start: 90, end: 30 })).status).toBe(400);
+    expect((await createShare({ start: 0, end: 900 })).status).toBe(400);
+    expect((await createShare({}, 999)).status).toBe(404);
+  });
+
+  test('rejects tampered and malformed tokens', async () => {
+    const { body } = await createShare();
+    const [id, signature] = body.token.split('.');
+    const tampered = `${id}.${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+    expect(await resolveShareToken(db, tampered, videoId)).toEqual({ error: 'invalid' });
+    expect(await resolveShareToken(db, 'nonsense', videoId)).toEqual({ error: 'invalid' });
+    expect(await resolveShareToken(db, undefined, videoId)).toEqual({ error: 'invalid' });
+  });
+
+  test('stops working once expired or revoked', async () => {
+    const expiring = (await createShare({ expires_in: 60 })).body;
+    await run(db, 'UPDATE shares SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), expiring.id]);
+    expect(await resolveShareToken(db, expiring.token, videoId)).toEqual({ error: 'expired' });
+
+    const revoked = (await createShare()).body;
+    expect((await request(app).delete(`/api/shares/${revoked.id}`)).status).toBe(204);
+    expect(await resolveShareToken(db, revoked.token, videoId)).toEqual({ error: 'revoked' });
+
+    const list = await request(app).get(`/api/videos/${videoId}/shares`);
+    expect(list.body.map(share => share.state)).toEqual(['revoked', 'expired']);
+  });
+
+  test('counts views up to the limit and only streams after a view', async () => {
+    const { body } = await createShare({ max_views: 2 });
+
+    // Streaming alone doesn't count, so it needs a recent view
+    expect(await resolveShareToken(db, body.token, videoId)).toEqual({ error: 'not_opened' });
+
+    expect((await resolveShareToken(db, body.token, videoId, { countView: true })).share.view_count).toBe(1);
+    expect((await resolveShareToken(db, body.token, videoId)).share).toBeDefined();
+    expect((await resolveShareToken(db, body.token, videoId, { countView: true })).share.view_count).toBe(2);
+    expect(await resolveShareToken(db, body.token, videoId, { countView: true })).toEqual({ error: 'used_up' });
+
+    // The last view can still be watched to the end
+    expect((await resolveShareToken(db, body.token, videoId)).share).toBeDefined();
+    const lastViewed = new Date(Date.now() - shareConfig.viewWindow - 1000).toISOString();
+    await run(db, 'UPDATE shares SET last_viewed_at = ? WHERE id = ?', [lastViewed, body.id]);
+    expect(await resolveShareToken(db, body.token, videoId)).toEqual({ error: 'used_up' });
+
+    expect((await get(db, 'SELECT view_count FROM shares WHERE id = ?', [body.id])).view_count).toBe(2);
+  });
+
+  test('only the creator or an admin can list and revoke a share', async () => {
+    const { body } = await createShare();
+    expect((await request(app).get(`/api/videos/${videoId}/shares`)).body.map(share => share.id)).toEqual([body.id]);
+
+    currentUser = { id: 999, username: 'other', role: 'viewer' };
+    expect((await request(app).get(`/api/videos/${videoId}/shares`)).body).toEqual([]);
+    expect((await request(app).delete(`/api/shares/${body.id}`)).status).toBe(403);
+    currentUser = { id: 998, username: 'guest', role: 'guest' };
+    expect((await createShare()).status).toBe(403);
+
+    currentUser = { id: adminId, username: 'root', role: 'admin' };
+    expect((await request(app).get('/api/shares')).body).toHaveLength(1);
+    expect((await request(app).get(`/api/videos/${videoId}/shares`)).body).toHaveLength(1);
+    expect((await request(app).delete(`/api/shares/${body.id}`)).status).toBe(204);
+    expect((await request(app).delete('/api/shares/12345')).status).toBe(404);
+  });
+
+  test('password-protected shares need an unlock cookie for that share', async () => {
+    expect((await createShare({ password: 'abc' })).status).toBe(400);
+    const { body } = await createShare({ password: 'finals', max_views: 1 });
+    expect(body.has_password).toBe(true);
+    expect(body.password_hash).toBeUndefined();
+
+    const share = await get(db, 'SELECT * FROM shares WHERE id = ?', [body.id]);
+    expect(await verifyPassword('finals', share.password_hash)).toBe(true);
+
+    // Locked before any view is counted
+    expect(await resolveShareToken(db, body.token, videoId, { countView: true })).toEqual({ error: 'locked', share: expect.objectContaining({ id: body.id }) });
+    expect((await get(db, 'SELECT view_count FROM shares WHERE id = ?', [body.id])).view_count).toBe(0);
+
+    const cookies = { [getUnlockCookieName(share)]: createUnlockValue(share) };
+    expect((await resolveShareToken(db, body.token, videoId, { countView: true, cookies })).share.view_count).toBe(1);
+
+    // Other shares' cookies, tampered and expired cookies don't unlock it
+    const other = (await createShare({ password: 'finals' })).body;
+    expect((await resolveShareToken(db, other.token, videoId, { cookies })).error).toBe('locked');
+    const value = cookies[getUnlockCookieName(share)];
+    const tampered = { [getUnlockCookieName(share)]: `${Number(value.split('.')[0]) + 1000}.${value.split('.')[1]}` };
+    expect((await resolveShareToken(db, body.token, videoId, { cookies: tampered })).error).toBe('locked');
+    const expired = { [getUnlockCookieName(share)]: createUnlockValue(share, Date.now() - 1000) };
+    expect((await resolveShareToken(db, body.token, videoId, { cookies: expired })).error).toBe('locked');
+
+    expect((await createShare()).body.has_password).toBe(false);
+  });
+
+  test('rate-limits wrong share passwords', () => {
+    const key = '1:127.0.0.1';
+    for (let i = 0; i < shareConfig.maxUnlockAttempts; i++) {
+      expect(isUnlockRateLimited(key)).toBe(false);
+      recordUnlockAttempt(key, false);
+    }
+    expect(isUnlockRateLimited(key)).toBe(true);
+    expect(isUnlockRateLimited('1:10.0.0.2')).toBe(false);
+
+    recordUnlockAttempt(key, true);
+    expect(isUnlockRateLimited(key)).toBe(false);
+  });
+
+  test('reports opens, plays, watch time and referrers', async () => {
+    const { body } = await createShare();
+    const fromForum = await createShareView(db, body.id, 'https://forum.example.com/thread/9');
+    const direct = await createShareView(db, body.id, null);
+    await createShareView(db, body.id, 'https://forum.example.com/thread/9');
+
+    // Watch time can't be more than the time since opening
+    const openedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    await run(db, 'UPDATE share_views SET opened_at = ? WHERE id IN (?, ?)', [openedAt, fromForum, direct]);
+    expect(await updateShareView(db, body.id, fromForum, { played: true, watchedSeconds: 120 })).toBe(1);
+    expect(await updateShareView(db, body.id, fromForum, { played: true, watchedSeconds: 90 })).toBe(1);
+    expect(await updateShareView(db, body.id, direct, { played: true, watchedSeconds: 60 * 60 })).toBe(1);
+    expect(await updateShareView(db, body.id + 1, direct, { played: true, watchedSeconds: 5 })).toBe(0);
+
+    const stats = await request(app).get(`/api/shares/${body.id}/stats`);
+    expect(stats.status).toBe(200);
+    expect(stats.body).toMatchObject({
+      share_id: body.id,
+      state: 'active',
+      opens: 3,
+      play_starts: 2,
+      referrers: [{ referrer: 'https://forum.example.com/thread/9', opens: 2 }, { referrer: null, opens: 1 }]
+    });
+    expect(stats.body.watched_seconds).toBeCloseTo(720, -1);
+    expect(stats.body.average_watch_seconds).toBeCloseTo(240, -1);
+    expect(stats.body.recent_views).toHaveLength(3);
+
+    currentUser = { id: 999, username: 'other', role: 'viewer' };
+    expect((await request(app).get(`/api/shares/${body.id}/stats`)).status).toBe(403);
+    expect((await request(app).get('/api/shares/12345/stats')).status).toBe(404);
+  });
+
+  test('keeps only the origin and path of referrers', () => {
+    expect(normalizeReferrer('https://forum.example.com/thread/9?session=secret#post-3')).toBe('https://forum.example.com/thread/9');
+    expect(normalizeReferrer('javascript:alert(1)')).toBeNull();
+    expect(normalizeReferrer('')).toBeNull();
+  });
+
+  test('shares are deleted with their video', async () => {
+    await createShare();
+    await run(db, 'DELETE FROM videos WHERE id = ?', [videoId]);
+    expect((await get(db, 'SELECT COUNT(*) AS count FROM shares')).count).toBe(0);
+  });
+});
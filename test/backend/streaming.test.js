@@ -0,0 +1,169 @@
+const request = require('supertest');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openTestDb, closeTestDb, createSharedApp } = require('../helpers/db');
+
+// A fake ffmpeg: probes report mockCodecs, and mockPipe decides what a remux writes
+let mockPipe;
+let mockCodecs;
+const mockCommands = [];
+jest.mock('fluent-ffmpeg', () => {
+  const EventEmitter = require('events');
+  const ffmpeg = jest.fn((input) => {
+    const command = new EventEmitter();
+    command.input = input;
+    command.seekInput = jest.fn(() => command);
+    command.duration = jest.fn(() => command);
+    command.outputOptions = jest.fn(() => command);
+    command.kill = jest.fn();
+    command.pipe = jest.fn((res) => mockPipe(command, res));
+    mockCommands.push(command);
+    return command;
+  });
+  ffmpeg.setFfmpegPath = jest.fn();
+  ffmpeg.ffprobe = jest.fn((filePath, callback) => callback(null, {
+    streams: [{ codec_type: 'video', codec_name: mockCodecs.video }, { codec_type: 'audio', codec_name: mockCodecs.audio }]
+  }));
+  return ffmpeg;
+});
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, createShare } = require('../../db/database');
+const { createShareToken } = require('../../lib/shares');
+const { getContentType, chooseStreamMode } = require('../../lib/streaming');
+
+describe('Stream content types', () => {
+  test('maps containers to their MIME types', () => {
+    expect(getContentType('/videos/run.mp4')).toBe('video/mp4');
+    expect(getContentType('/videos/Run.WEBM')).toBe('video/webm');
+    expect(getContentType('/videos/run.mkv')).toBe('video/x-matroska');
+    expect(getContentType('/videos/run.ts')).toBe('video/mp2t');
+    expect(getContentType('/videos/run.xyz')).toBe('application/octet-stream');
+  });
+});
+
+describe('Stream mode', () => {
+  const h264Aac = { videoCodec: 'h264', audioCodec: 'aac' };
+
+  test('serves browser containers as they are', () => {
+    expect(chooseStreamMode('/videos/run.mp4', h264Aac)).toEqual({ mode: 'direct', contentType: 'video/mp4' });
+    expect(chooseStreamMode('/videos/run.webm', { videoCodec: 'vp9', audioCodec: 'opus' })).toEqual({ mode: 'direct', contentType: 'video/webm' });
+  });
+
+  test('remuxes other containers with H.264 video', () => {
+    expect(chooseStreamMode('/videos/run.mkv', h264Aac)).toEqual({ mode: 'remux', contentType: 'video/mp4', audio: 'copy' });
+    expect(chooseStreamMode('/videos/run.ts', { videoCodec: 'h264', audioCodec: null })).toMatchObject({ mode: 'remux', audio: 'copy' });
+    expect(chooseStreamMode('/videos/run.mkv', { videoCodec: 'h264', audioCodec: 'opus' })).toMatchObject({ mode: 'remux', audio: 'aac' });
+  });
+
+  test('falls back to the original file when codecs are unknown or incompatible', () => {
+    expect(chooseStreamMode('/videos/run.mkv', null)).toEqual({ mode: 'direct', contentType: 'video/x-matroska' });
+    expect(chooseStreamMode('/videos/run.avi', { videoCodec: 'mpeg4', audioCodec: 'mp3' })).toEqual({ mode: 'direct', contentType: 'video/x-msvideo' });
+  });
+});
+
+describe('Remuxed stream route', () => {
+  let db;
+  let app;
+  let videoDir;
+  let videoId;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+    videoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vodl-stream-'));
+    const videoPath = path.join(videoDir, 'run.mkv');
+    fs.writeFileSync(videoPath, 'matroska');
+    videoId = await addVideo(db, { title: 'Run', path: videoPath, duration: 60 });
+    app = createSharedApp(db, { user: () => ({ id: 1, username: 'root', role: 'admin' }) });
+    mockCommands.length = 0;
+    mockCodecs = { video: 'h264', audio: 'aac' };
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+    fs.rmSync(videoDir, { recursive: true, force: true });
+  });
+
+  test('streams fragmented MP4 without range support', async () => {
+    mockPipe = (command, res) => res.end('fragmented mp4');
+
+    const response = await request(app).get(`/api/videos/${videoId}/stream`).set('Range', 'bytes=0-99');
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('video/mp4');
+    expect(response.headers['accept-ranges']).toBe('none');
+    expect(response.headers['content-range']).toBeUndefined();
+    expect(response.body.toString()).toBe('fragmented mp4');
+
+    expect(mockCommands).toHaveLength(1);
+    expect(mockCommands[0].input).toBe(path.join(videoDir, 'run.mkv'));
+    expect(mockCommands[0].outputOptions.mock.calls[0][0]).toEqual(expect.arrayContaining(['-c:v copy', '-c:a copy', '-f mp4']));
+    expect(mockCommands[0].seekInput).not.toHaveBeenCalled();
+  });
+
+  test('only streams the time range of a share link limited to one', async () => {
+    mockPipe = (command, res) => res.end('cut');
+    const videoPath = path.join(videoDir, 'final.mp4');
+    fs.writeFileSync(videoPath, 'mp4');
+    const finalId = await addVideo(db, { title: 'Final', path: videoPath, duration: 600 });
+    const shareId = await createShare(db, finalId, { nonce: 'abc', start_time: 30, end_time: 90 });
+    const token = createShareToken({ id: shareId, video_id: finalId, nonce: 'abc' });
+    const visitorApp = createSharedApp(db);
+
+    const response = await request(visitorApp).get(`/api/videos/${finalId}/stream?share=${token}`);
+    expect(response.status).toBe(200);
+    expect(response.headers['accept-ranges']).toBe('none');
+    expect(response.body.toString()).toBe('cut');
+    expect(mockCommands[0].input).toBe(videoPath);
+    expect(mockCommands[0].seekInput).toHaveBeenCalledWith(30);
+    expect(mockCommands[0].duration).toHaveBeenCalledWith(60);
+    // Re-encoded, so it starts exactly at the range instead of the keyframe before it
+    const options = mockCommands[0].outputOptions.mock.calls[0][0];
+    expect(options).toEqual(expect.arrayContaining(['-c:v libx264', '-c:a aac']));
+    expect(options).not.toContain('-c:v copy');
+
+    // Logged-in users get the whole file, unless they watch through the link too
+    const whole = await request(app).get(`/api/videos/${finalId}/stream`);
+    expect(whole.body.toString()).toBe('mp4');
+    expect(mockCommands).toHaveLength(1);
+    expect((await request(app).get(`/api/videos/${finalId}/stream?share=${token}`)).body.toString()).toBe('cut');
+
+    // Codecs that can't be copied into an MP4 are cut the same way
+    mockCodecs = { video: 'vp9', audio: 'opus' };
+    const vp9 = await request(visitorApp).get(`/api/videos/${finalId}/stream?share=${token}`);
+    expect(vp9.status).toBe(200);
+    expect(vp9.body.toString()).toBe('cut');
+  });
+
+  test('answers 500 when ffmpeg fails before sending anything', async () => {
+    mockPipe = command => command.emit('error', new Error('Invalid data found when processing input'));
+
+    const response = await request(app).get(`/api/videos/${videoId}/stream`);
+    expect(response.status).toBe(500);
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(response.body).toEqual({ error: 'Failed to stream video' });
+  });
+
+  test('kills ffmpeg when the client disconnects', async () => {
+    mockPipe = (command, res) => res.write('first fragment'); // Never finishes by itself
+
+    const server = app.listen(0);
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.get(`http://127.0.0.1:${server.address().port}/api/videos/${videoId}/stream`, (res) => {
+          res.once('data', () => req.destroy());
+        });
+        req.on('error', () => {});
+        req.on('close', resolve);
+        req.setTimeout(2000, () => reject(new Error('No response')));
+      });
+      for (let i = 0; i < 50 && mockCommands[0].kill.mock.calls.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(mockCommands[0].kill).toHaveBeenCalledWith('SIGKILL');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
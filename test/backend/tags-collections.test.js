@@ -0,0 +1,125 @@
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, deleteVideo } = require('../../db/database');
+
+describe('Tags and collections API', () => {
+  let app;
+  let db;
+  let raidId;
+  let scrimId;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    raidId = await addVideo(db, { title: 'Raid night', path: '/videos/raid.mp4', added_date: '2024-01-01T00:00:00.000Z' });
+    scrimId = await addVideo(db, { title: 'Scrim', path: '/videos/scrim.mp4', added_date: '2024-02-01T00:00:00.000Z' });
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  describe('tags', () => {
+    test('creates, renames and deletes tags', async () => {
+      const created = await request(app).post('/api/tags').send({ name: ' Elden Ring ', color: '#ff8800' }).expect(201);
+      expect(created.body).toMatchObject({ name: 'Elden Ring', color: '#ff8800' });
+
+      await request(app).post('/api/tags').send({ name: 'elden ring' }).expect(409);
+      await request(app).post('/api/tags').send({ name: '   ' }).expect(400);
+
+      const renamed = await request(app).put(`/api/tags/${created.body.id}`).send({ name: 'Elden' }).expect(200);
+      expect(renamed.body).toEqual({ id: created.body.id, name: 'Elden', color: null });
+
+      await request(app).delete(`/api/tags/${created.body.id}`).expect(204);
+      await request(app).delete(`/api/tags/${created.body.id}`).expect(404);
+    });
+
+    test('tags videos by name and filters the library by tag', async () => {
+      await request(app).post(`/api/videos/${raidId}/tags`).send({ name: 'Raid' }).expect(201);
+      await request(app).post(`/api/videos/${raidId}/tags`).send({ name: 'Tournament' }).expect(201);
+      const tournament = await request(app).post(`/api/videos/${scrimId}/tags`).send({ name: 'tournament' }).expect(201);
+      await request(app).post('/api/videos/999/tags').send({ name: 'Raid' }).expect(404);
+
+      const tags = await request(app).get('/api/tags').expect(200);
+      expect(tags.body.tags.map(t => [t.name, t.video_count])).toEqual([['Raid', 1], ['Tournament', 2]]);
+
+      const byTag = await request(app).get('/api/videos?tag=Tournament').expect(200);
+      expect(byTag.body.totalCount).toBe(2);
+
+      const byBoth = await request(app).get('/api/videos?tag=tournament&tag=raid').expect(200);
+      expect(byBoth.body.videos.map(v => v.title)).toEqual(['Raid night']);
+      expect(byBoth.body.videos[0].tags.map(t => t.name)).toEqual(['Raid', 'Tournament']);
+
+      await request(app).delete(`/api/videos/${scrimId}/tags/${tournament.body.id}`).expect(204);
+      const videoTags = await request(app).get(`/api/videos/${scrimId}/tags`).expect(200);
+      expect(videoTags.body.tags).toEqual([]);
+    });
+  });
+
+  describe('collections', () => {
+    test('creates collections and manages their videos', async () => {
+      const created = await request(app).post('/api/collections').send({ name: 'Spring Cup', description: 'Finals week' }).expect(201);
+      const id = created.body.id;
+      await request(app).post('/api/collections').send({ name: 'spring cup' }).expect(409);
+
+      await request(app).put(`/api/collections/${id}/videos/${scrimId}`).expect(204);
+      await request(app).put(`/api/collections/${id}/videos/${raidId}`).expect(204);
+      await request(app).put(`/api/collections/${id}/videos/999`).expect(404);
+      await request(app).put(`/api/collections/999/videos/${raidId}`).expect(404);
+
+      const collection = await request(app).get(`/api/collections/${id}`).expect(200);
+      expect(collection.body).toMatchObject({ name: 'Spring Cup', description: 'Finals week', videoIds: [scrimId, raidId] });
+
+      const list = await request(app).get('/api/collections').expect(200);
+      expect(list.body.collections[0]).toMatchObject({ id, video_count: 2 });
+
+      await request(app).delete(`/api/collections/${id}/videos/${scrimId}`).expect(204);
+      const filtered = await request(app).get(`/api/videos?collection=${id}`).expect(200);
+      expect(filtered.body.videos.map(v => v.title)).toEqual(['Raid night']);
+
+      const detail = await request(app).get(`/api/videos/${raidId}`).expect(200);
+      expect(detail.body.collections).toEqual([{ id, name: 'Spring Cup' }]);
+    });
+
+    test('keeps the description when a collection is renamed without one', async () => {
+      const { body: collection } = await request(app).post('/api/collections').send({ name: 'Spring Cup', description: '  Finals week ' }).expect(201);
+      expect(collection.description).toBe('Finals week');
+
+      const renamed = await request(app).put(`/api/collections/${collection.id}`).send({ name: 'Spring Cup 2024' }).expect(200);
+      expect(renamed.body).toMatchObject({ name: 'Spring Cup 2024', description: 'Finals week' });
+
+      const cleared = await request(app).put(`/api/collections/${collection.id}`).send({ name: 'Spring Cup 2024', description: '' }).expect(200);
+      expect(cleared.body.description).toBeNull();
+    });
+
+    test('rejects descriptions that are not strings or are too long', async () => {
+      await request(app).post('/api/collections').send({ name: 'Spring Cup', description: { text: 'Finals' } }).expect(400);
+      await request(app).post('/api/collections').send({ name: 'Spring Cup', description: 'x'.repeat(1001) }).expect(400);
+
+      const { body: collection } = await request(app).post('/api/collections').send({ name: 'Spring Cup', description: 'Finals week' }).expect(201);
+      await request(app).put(`/api/collections/${collection.id}`).send({ name: 'Spring Cup', description: ['Finals'] }).expect(400);
+      await request(app).put(`/api/collections/${collection.id}`).send({ name: 'Spring Cup', description: 'x'.repeat(1001) }).expect(400);
+
+      const unchanged = await request(app).get(`/api/collections/${collection.id}`).expect(200);
+      expect(unchanged.body.description).toBe('Finals week');
+    });
+
+    test('keeps videos when a collection is deleted and drops memberships when a video is', async () => {
+      const { body: collection } = await request(app).post('/api/collections').send({ name: 'Highlights' }).expect(201);
+      await request(app).put(`/api/collections/${collection.id}/videos/${raidId}`).expect(204);
+      await request(app).put(`/api/collections/${collection.id}/videos/${scrimId}`).expect(204);
+
+      await deleteVideo(db, scrimId);
+      const afterVideoDelete = await request(app).get(`/api/collections/${collection.id}`).expect(200);
+      expect(afterVideoDelete.body.videoIds).toEqual([raidId]);
+
+      await request(app).delete(`/api/collections/${collection.id}`).expect(204);
+      const videos = await request(app).get('/api/videos').expect(200);
+      expect(videos.body.totalCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+const { parseProbeMetadata } = require('../../lib/scanner');
+const { parseTechnicalFilter } = require('../../db/filters');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo } = require('../../db/database');
+
+describe('ffprobe metadata', () => {
+  test('extracts codecs, rates and streams', () => {
+    const metadata = parseProbeMetadata({
+      format: { format_name: 'matroska,webm', bit_rate: '6200000' },
+      streams: [
+        { codec_type: 'video', codec_name: 'h264', width: 2560, height: 1440, avg_frame_rate: '60000/1001' },
+        { codec_type: 'audio', codec_name: 'aac', tags: { language: 'eng' } },
+        { codec_type: 'audio', codec_name: 'opus', tags: { language: 'und' } },
+        { codec_type: 'subtitle', codec_name: 'ass', tags: { language: 'fre', title: 'Commentary' } }
+      ]
+    }, '/videos/run.mkv');
+
+    expect(metadata).toEqual({
+      width: 2560,
+      height: 1440,
+      container: 'matroska',
+      video_codec: 'h264',
+      audio_codec: 'aac',
+      bitrate: 6200000,
+      frame_rate: 59.94,
+      audio_track_count: 2,
+      audio_languages: '["eng"]',
+      subtitle_tracks: '[{"language":"fre","codec":"ass","title":"Commentary"}]'
+    });
+  });
+
+  test('names the container after the file extension and skips cover art', () => {
+    const metadata = parseProbeMetadata({
+      format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2' },
+      streams: [
+        { codec_type: 'video', codec_name: 'mjpeg', width: 300, height: 300, disposition: { attached_pic: 1 } },
+        { codec_type: 'video', codec_name: 'hevc', width: 1920, height: 1080, avg_frame_rate: '0/0', r_frame_rate: '30/1' }
+      ]
+    }, '/videos/run.mp4');
+
+    expect(metadata).toMatchObject({ container: 'mp4', video_codec: 'hevc', width: 1920, frame_rate: 30, audio_codec: null, audio_track_count: 0 });
+  });
+
+  test('returns nulls when probing failed', () => {
+    expect(parseProbeMetadata(null, '/videos/run.mp4')).toMatchObject({ container: null, width: null, frame_rate: null });
+  });
+});
+
+describe('Technical filter expressions', () => {
+  test('parses numeric and text filters', () => {
+    expect(parseTechnicalFilter('resolution>=1440')).toEqual({ field: 'resolution', operator: '>=', value: 1440 });
+    expect(parseTechnicalFilter(' FPS = 60 ')).toEqual({ field: 'fps', operator: '=', value: 60 });
+    expect(parseTechnicalFilter('codec!=hevc')).toEqual({ field: 'codec', operator: '!=', value: 'hevc' });
+  });
+
+  test('rejects unknown fields, bad numbers and ordering on text', () => {
+    expect(parseTechnicalFilter('colour=red')).toBeNull();
+    expect(parseTechnicalFilter('resolution>=high')).toBeNull();
+    expect(parseTechnicalFilter('codec>h264')).toBeNull();
+    expect(parseTechnicalFilter('resolution')).toBeNull();
+  });
+});
+
+describe('Technical metadata API', () => {
+  let app;
+  let db;
+  let ids;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    ids = {
+      qhd: await addVideo(db, {
+        title: 'QHD run', path: '/videos/qhd.mkv', added_date: '2024-01-01', width: 2560, height: 1440,
+        container: 'matroska', video_codec: 'h264', audio_codec: 'aac', bitrate: 12000000, frame_rate: 59.94,
+        file_size: 4 * 1024 * 1024 * 1024, audio_track_count: 2, audio_languages: '["eng","jpn"]',
+        subtitle_tracks: '[{"language":"eng","codec":"subrip","title":null}]'
+      }),
+      hd: await addVideo(db, {
+        title: 'HD run', path: '/videos/hd.mp4', added_date: '2024-01-02', width: 1920, height: 1080,
+        container: 'mp4', video_codec: 'hevc', audio_codec: 'aac', bitrate: 6000000, frame_rate: 30,
+        file_size: 1024 * 1024 * 1024, audio_track_count: 1, audio_languages: '["eng"]', subtitle_tracks: '[]'
+      }),
+      unprobed: await addVideo(db, { title: 'Old run', path: '/videos/old.avi', added_date: '2024-01-03' })
+    };
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  async function listIds(query) {
+    const response = await request(app).get('/api/videos').query(query).expect(200);
+    return response.body.videos.map(video => video.id);
+  }
+
+  test('returns the metadata with decoded stream lists', async () => {
+    const response = await request(app).get(`/api/videos/${ids.qhd}`).expect(200);
+
+    expect(response.body).toMatchObject({
+      container: 'matroska', video_codec: 'h264', frame_rate: 59.94, bitrate: 12000000, audio_track_count: 2,
+      audio_languages: ['eng', 'jpn'],
+      subtitle_tracks: [{ language: 'eng', codec: 'subrip', title: null }]
+    });
+  });
+
+  test('filters on technical fields', async () => {
+    expect(await listIds({ filter: 'resolution>=1440' })).toEqual([ids.qhd]);
+    expect(await listIds({ filter: 'fps=60' })).toEqual([ids.qhd]);
+    expect(await listIds({ filter: ['codec=HEVC', 'size<2048'] })).toEqual([ids.hd]);
+    expect(await listIds({ filter: 'audio_language=jpn' })).toEqual([ids.qhd]);
+    expect(await listIds({ filter: 'subtitles>=1' })).toEqual([ids.qhd]);
+  });
+
+  test('sorts by resolution with unprobed videos last', async () => {
+    expect(await listIds({ sort: 'resolution_desc' })).toEqual([ids.qhd, ids.hd, ids.unprobed]);
+    expect(await listIds({ sort: 'size_asc' })).toEqual([ids.hd, ids.qhd, ids.unprobed]);
+  });
+
+  test('rejects invalid filters', async () => {
+    const response = await request(app).get('/api/videos').query({ filter: 'resolution>=tall' }).expect(400);
+    expect(response.body.error).toBe('Invalid filter: resolution>=tall');
+  });
+});
@@ -0,0 +1,295 @@
+const request = require('supertest');
+const express = require('express');
+const { get } = require('../../db/migrator');
+const { openTestDb, closeTestDb } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { createUser, getUserById, updateUser, deleteUser, saveSession, getSession, countUsers } = require('../../db/database');
+const { hashPassword, verifyPassword, hasRole, parseTrustProxy, createInitialAdmin, createSessionMiddleware, loadUser, checkAuth, login, logout, SESSION_COOKIE_NAME } = require('../../lib/auth');
+const SqliteSessionStore = require('../../lib/session-store');
+
+describe('Passwords and roles', () => {
+  test('verifies a password against its hash', async () => {
+    const hash = await hashPassword('correct horse');
+    expect(hash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(await verifyPassword('correct horse', hash)).toBe(true);
+    expect(await verifyPassword('wrong horse', hash)).toBe(false);
+    expect(await verifyPassword('correct horse', null)).toBe(false);
+  });
+
+  test('salts every hash', async () => {
+    expect(await hashPassword('same password')).not.toBe(await hashPassword('same password'));
+  });
+
+  test('ranks roles from guest to admin', () => {
+    expect(hasRole({ role: 'admin' }, 'viewer')).toBe(true);
+    expect(hasRole({ role: 'viewer' }, 'viewer')).toBe(true);
+    expect(hasRole({ role: 'guest' }, 'viewer')).toBe(false);
+    expect(hasRole({ role: 'unknown' }, 'guest')).toBe(false);
+    expect(hasRole(null, 'guest')).toBe(false);
+  });
+
+  test('reads the trusted proxies from TRUST_PROXY', () => {
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy('false')).toBe(false);
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(parseTrustProxy('2')).toBe(2);
+    expect(parseTrustProxy(' loopback, 10.0.0.0/8 ')).toBe('loopback, 10.0.0.0/8');
+  });
+});
+
+describe('Users and sessions', () => {
+  let db;
+  let app;
+  let currentUser;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    currentUser = null;
+    app = express();
+    app.use(express.json());
+    app.locals.db = db;
+    app.locals.authEnabled = true;
+    // Stand-in for the session middleware, which is tested on its own below
+    app.use((req, res, next) => {
+      req.user = currentUser;
+      req.sessionID = 'current-session';
+      next();
+    });
+    app.use('/api', require('../../routes/api.js'));
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  async function addUser(username, role, password = 'password123') {
+    const id = await createUser(db, { username, password_hash: await hashPassword(password), role });
+    return getUserById(db, id);
+  }
+
+  test('creates the first admin only when there are no users', async () => {
+    await expect(createInitialAdmin(db, { username: 'admin', password: 'short' })).rejects.toThrow(/ADMIN_PASSWORD/);
+    expect(await createInitialAdmin(db, { username: 'admin', password: 'long enough' })).toBe('admin');
+    expect(await createInitialAdmin(db, { username: 'other', password: 'long enough' })).toBeNull();
+
+    const admin = await get(db, 'SELECT * FROM users');
+    expect(admin).toMatchObject({ username: 'admin', role: 'admin' });
+    expect(await verifyPassword('long enough', admin.password_hash)).toBe(true);
+  });
+
+  test('lets admins manage users without exposing password hashes', async () => {
+    currentUser = await addUser('root', 'admin');
+
+    const created = await request(app).post('/api/users').send({ username: 'scout', password: 'password123', role: 'guest' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ username: 'scout', role: 'guest' });
+    expect(created.body.password_hash).toBeUndefined();
+
+    const duplicate = await request(app).post('/api/users').send({ username: 'SCOUT', password: 'password123' });
+    expect(duplicate.status).toBe(409);
+
+    const invalid = await request(app).post('/api/users').send({ username: 'x', password: 'password123' });
+    expect(invalid.status).toBe(400);
+    const badRole = await request(app).post('/api/users').send({ username: 'coach', password: 'password123', role: 'owner' });
+    expect(badRole.status).toBe(400);
+
+    const promoted = await request(app).patch(`/api/users/${created.body.id}`).send({ role: 'viewer' });
+    expect(promoted.body.role).toBe('viewer');
+
+    const list = await request(app).get('/api/users');
+    expect(list.body.map(user => user.username)).toEqual(['root', 'scout']);
+    expect(list.body[0].password_hash).toBeUndefined();
+  });
+
+  test('keeps at least one admin', async () => {
+    currentUser = await addUser('root', 'admin');
+
+    const demote = await request(app).patch(`/api/users/${currentUser.id}`).send({ role: 'viewer' });
+    expect(demote.status).toBe(409);
+    const deleteSelf = await request(app).delete(`/api/users/${currentUser.id}`);
+    expect(deleteSelf.status).toBe(409);
+    expect(await countUsers(db, 'admin')).toBe(1);
+  });
+
+  test('deleting a user ends their sessions', async () => {
+    currentUser = await addUser('root', 'admin');
+    const viewer = await addUser('viewer', 'viewer');
+    await saveSession(db, 'viewer-session', viewer.id, '{}', Date.now() + 60000);
+
+    const response = await request(app).delete(`/api/users/${viewer.id}`);
+    expect(response.status).toBe(204);
+    expect(await getSession(db, 'viewer-session')).toBeUndefined();
+  });
+
+  test('resetting a password logs the user out everywhere', async () => {
+    currentUser = await addUser('root', 'admin');
+    const viewer = await addUser('viewer', 'viewer');
+    await saveSession(db, 'viewer-session', viewer.id, '{}', Date.now() + 60000);
+
+    await request(app).patch(`/api/users/${viewer.id}`).send({ password: 'new password' });
+    expect(await getSession(db, 'viewer-session')).toBeUndefined();
+    const stored = await get(db, 'SELECT password_hash FROM users WHERE id = ?', [viewer.id]);
+    expect(await verifyPassword('new password', stored.password_hash)).toBe(true);
+  });
+
+  test('changing your own password needs the current one and keeps this session', async () => {
+    currentUser = await addUser('viewer', 'viewer');
+    await saveSession(db, 'current-session', currentUser.id, '{}', Date.now() + 60000);
+    await saveSession(db, 'other-device', currentUser.id, '{}', Date.now() + 60000);
+
+    const wrong = await request(app).post('/api/me/password').send({ currentPassword: 'nope', newPassword: 'new password' });
+    expect(wrong.status).toBe(403);
+
+    const changed = await request(app).post('/api/me/password').send({ currentPassword: 'password123', newPassword: 'new password' });
+    expect(changed.status).toBe(204);
+    expect(await getSession(db, 'current-session')).toBe('{}');
+    expect(await getSession(db, 'other-device')).toBeUndefined();
+  });
+
+  test('enforces roles on admin and editing routes', async () => {
+    const me = await request(app).get('/api/me');
+    expect(me.status).toBe(401);
+    expect((await request(app).get('/api/cache/stats')).status).toBe(401);
+
+    currentUser = await addUser('guest', 'guest');
+    expect((await request(app).get('/api/me')).body).toEqual({ authEnabled: true, user: { id: currentUser.id, username: 'guest', role: 'guest' } });
+    expect((await request(app).post('/api/refresh')).status).toBe(403);
+    expect((await request(app).get('/api/cdn/config')).status).toBe(403);
+    expect((await request(app).post('/api/cache/clear')).status).toBe(403);
+    expect((await request(app).get('/api/users')).status).toBe(403);
+    expect((await request(app).post('/api/tags').send({ name: 'Speedrun' })).status).toBe(403);
+
+    currentUser = await addUser('viewer', 'viewer');
+    expect((await request(app).post('/api/tags').send({ name: 'Speedrun' })).status).toBe(201);
+    expect((await request(app).get('/api/cache/stats')).status).toBe(403);
+  });
+
+  test('allows everything when authentication is disabled', async () => {
+    app.locals.authEnabled = false;
+    expect((await request(app).get('/api/me')).body).toEqual({ authEnabled: false, user: null });
+    expect((await request(app).get('/api/cache/stats')).status).toBe(200);
+  });
+
+  test('session store saves, expires and deletes sessions', async () => {
+    const store = new SqliteSessionStore(() => db);
+    const call = (method, ...args) => new Promise((resolve, reject) => {
+      store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+    const user = await addUser('viewer', 'viewer');
+
+    await call('set', 'live', { userId: user.id, cookie: { expires: new Date(Date.now() + 60000) } });
+    await call('set', 'stale', { cookie: { expires: new Date(Date.now() - 1000) } });
+
+    expect(await call('get', 'live')).toMatchObject({ userId: user.id });
+    expect(await call('get', 'stale')).toBeNull();
+    expect((await get(db, 'SELECT user_id FROM sessions WHERE sid = ?', ['live'])).user_id).toBe(user.id);
+
+    expect(await store.prune()).toBe(1);
+    await call('destroy', 'live');
+    expect(await call('get', 'live')).toBeNull();
+  });
+});
+
+describe('Logging in and out', () => {
+  let db;
+  let app;
+  let user;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+    user = await getUserById(db, await createUser(db, { username: 'coach', password_hash: await hashPassword('password123'), role: 'viewer' }));
+
+    // Wired up like server.js
+    app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.locals.db = db;
+    app.locals.authEnabled = true;
+    app.locals.basePath = '';
+    app.use(createSessionMiddleware(new SqliteSessionStore(() => db), { secret: 'test secret' }));
+    app.use(loadUser);
+    app.post('/login', login);
+    app.post('/logout', logout);
+    app.use(checkAuth);
+    app.get('/', (req, res) => res.send('Library'));
+    app.use('/api', require('../../routes/api.js'));
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  // Session ID from a response's session cookie
+  function sessionId(response) {
+    const cookie = (response.headers['set-cookie'] || []).find(value => value.startsWith(`${SESSION_COOKIE_NAME}=`));
+    return cookie ? decodeURIComponent(cookie.split(';')[0].split('=')[1]).slice(2).split('.')[0] : null;
+  }
+
+  test('sends visitors without a session to the login form, and API callers a 401', async () => {
+    const page = await request(app).get('/');
+    expect(page.status).toBe(302);
+    expect(page.headers.location).toBe('/login.html');
+
+    const api = await request(app).get('/api/me');
+    expect(api.status).toBe(401);
+    expect(api.body).toEqual({ error: 'Authentication required' });
+  });
+
+  test('turns away wrong passwords without starting a session', async () => {
+    const form = await request(app).post('/login').type('form').send({ username: 'coach', password: 'wrong password' });
+    expect(form.status).toBe(302);
+    expect(form.headers.location).toBe('/login.html?error=1');
+    expect(form.headers['set-cookie']).toBeUndefined();
+
+    const json = await request(app).post('/login').send({ username: 'nobody', password: 'password123' });
+    expect(json.status).toBe(401);
+    expect(json.body).toEqual({ error: 'Invalid username or password' });
+    expect((await get(db, 'SELECT COUNT(*) AS count FROM sessions')).count).toBe(0);
+  });
+
+  test('starts a new session on every login', async () => {
+    const agent = request.agent(app);
+    const first = await agent.post('/login').type('form').send({ username: 'coach', password: 'password123' });
+    expect(first.status).toBe(302);
+    expect(first.headers.location).toBe('/');
+    expect((await agent.get('/')).text).toBe('Library');
+
+    const second = await agent.post('/login').send({ username: ' coach ', password: 'password123' });
+    expect(second.body).toEqual({ user: { id: user.id, username: 'coach', role: 'viewer' } });
+    expect(sessionId(second)).not.toBe(sessionId(first));
+    expect(await getSession(db, sessionId(first))).toBeUndefined();
+    expect((await get(db, 'SELECT user_id FROM sessions WHERE sid = ?', [sessionId(second)])).user_id).toBe(user.id);
+    expect((await get(db, 'SELECT last_login_at FROM users WHERE id = ?', [user.id])).last_login_at).toEqual(expect.any(String));
+  });
+
+  test('reads the user on every request, so role changes and deleted accounts apply at once', async () => {
+    const agent = request.agent(app);
+    await agent.post('/login').send({ username: 'coach', password: 'password123' }).expect(200);
+    expect((await agent.get('/api/me')).body.user.role).toBe('viewer');
+
+    await updateUser(db, user.id, { role: 'guest' });
+    expect((await agent.get('/api/me')).body.user.role).toBe('guest');
+
+    await deleteUser(db, user.id);
+    expect((await agent.get('/api/me')).status).toBe(401);
+    expect((await agent.get('/')).headers.location).toBe('/login.html');
+  });
+
+  test('logging out ends the session', async () => {
+    const agent = request.agent(app);
+    const loggedIn = await agent.post('/login').send({ username: 'coach', password: 'password123' });
+
+    const loggedOut = await agent.post('/logout').send({});
+    expect(loggedOut.status).toBe(204);
+    expect(loggedOut.headers['set-cookie'][0]).toMatch(new RegExp(`^${SESSION_COOKIE_NAME}=;`));
+    expect(await getSession(db, sessionId(loggedIn))).toBeUndefined();
+    expect((await agent.get('/api/me')).status).toBe(401);
+
+    // Also works without a session
+    const form = await request(app).post('/logout');
+    expect(form.status).toBe(302);
+    expect(form.headers.location).toBe('/login.html');
+  });
+});
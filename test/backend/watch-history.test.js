@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { openTestDb, closeTestDb, createApiApp } = require('../helpers/db');
+
+jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+const { addVideo, deleteVideo, getContinueWatching } = require('../../db/database');
+
+describe('Watch history API', () => {
+  let app;
+  let db;
+  let longId;
+  let shortId;
+
+  beforeEach(async () => {
+    db = await openTestDb();
+
+    longId = await addVideo(db, { title: 'Long raid', path: '/videos/long.mp4', duration: 10800, added_date: '2024-01-01T00:00:00.000Z' });
+    shortId = await addVideo(db, { title: 'Short clip', path: '/videos/short.mp4', duration: 600, added_date: '2024-02-01T00:00:00.000Z' });
+
+    app = createApiApp(db);
+  });
+
+  afterEach(async () => {
+    await closeTestDb(db);
+  });
+
+  test('saves and returns a resume position', async () => {
+    await request(app).post(`/api/videos/${longId}/progress`).send({ position: 4500, duration: 10800 }).expect(204);
+
+    const response = await request(app).get(`/api/videos/${longId}/progress`).expect(200);
+    expect(response.body).toMatchObject({ videoId: longId, position: 4500, completed: false, resume: true });
+  });
+
+  test('reports nothing to resume for unwatched and finished videos', async () => {
+    const unwatched = await request(app).get(`/api/videos/${longId}/progress`).expect(200);
+    expect(unwatched.body).toMatchObject({ position: 0, resume: false });
+
+    await request(app).post(`/api/videos/${shortId}/progress`).send({ position: 590, duration: 600 }).expect(204);
+    const finished = await request(app).get(`/api/videos/${shortId}/progress`).expect(200);
+    expect(finished.body).toMatchObject({ completed: true, resume: false });
+  });
+
+  test('rejects invalid positions and unknown videos', async () => {
+    await request(app).post(`/api/videos/${longId}/progress`).send({ position: 'soon' }).expect(400);
+    await request(app).post('/api/videos/999/progress').send({ position: 30 }).expect(404);
+  });
+
+  test('lists unfinished videos in continue watching, most recent first', async () => {
+    await request(app).post(`/api/videos/${longId}/progress`).send({ position: 300, duration: 10800 }).expect(204);
+    await sleep(5); // Keep the last_watched timestamps apart
+    await request(app).post(`/api/videos/${shortId}/progress`).send({ position: 120, duration: 600 }).expect(204);
+
+    const response = await request(app).get('/api/continue-watching').expect(200);
+    expect(response.body.videos.map(v => v.title)).toEqual(['Short clip', 'Long raid']);
+    expect(response.body.videos[0].watch_position).toBe(120);
+
+    await request(app).post(`/api/videos/${shortId}/progress`).send({ position: 600, duration: 600 }).expect(204);
+    await request(app).delete(`/api/videos/${longId}/progress`).expect(204);
+    expect((await request(app).get('/api/continue-watching')).body.videos).toEqual([]);
+  });
+
+  test('sorts the library by last watched', async () => {
+    await request(app).post(`/api/videos/${longId}/progress`).send({ position: 300, duration: 10800 }).expect(204);
+
+    const response = await request(app).get('/api/videos?sort=last_watched').expect(200);
+    expect(response.body.videos.map(v => [v.title, v.watch_position])).toEqual([['Long raid', 300], ['Short clip', null]]);
+  });
+
+  test('drops history when the video is deleted', async () => {
+    await request(app).post(`/api/videos/${longId}/progress`).send({ position: 300, duration: 10800 }).expect(204);
+    await deleteVideo(db, longId);
+
+    expect(await getContinueWatching(db, 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const sqlite3 = require('sqlite3');
+const { runMigrations, run } = require('../../db/migrator');
+
+// Shared setup for tests that run the real queries. test/setup.js mocks db/database, so
+// test files using these call
+//   jest.mock('../../db/database', () => jest.requireActual('../../db/database'));
+// before requiring anything that uses it.
+
+/**
+ * Open an in-memory database with foreign keys on and every migration applied
+ * @returns {Promise<sqlite3.Database>}
+ */
+async function openTestDb() {
+  const db = await new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(database)));
+  });
+  await run(db, 'PRAGMA foreign_keys = ON');
+  await runMigrations(db);
+  return db;
+}
+
+/**
+ * Close a database from openTestDb()
+ */
+function closeTestDb(db) {
+  return new Promise(resolve => db.close(() => resolve()));
+}
+
+/**
+ * Express app serving routes/api.js under /api from a test database
+ * @param {Object} [options]
+ * @param {Function} [options.user] - Returns req.user for each request (called per request, so
+ *   tests can switch users). Turns authentication on; without it the app runs with auth disabled.
+ * @returns {express.Application}
+ */
+function createApiApp(db, { user } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.locals.db = db;
+  if (user) {
+    app.locals.authEnabled = true;
+    app.use((req, res, next) => {
+      req.user = user();
+      next();
+    });
+  }
+  app.use('/api', require('../../routes/api.js'));
+  return app;
+}
+
+/**
+ * Express app serving routes/shared.js (watch and embed pages, streaming, oEmbed) the way
+ * server.js mounts it, with authentication on
+ * @param {Object} [options]
+ * @param {Function} [options.user] - Returns req.user for each request; visitors have no account without it
+ * @param {boolean|number|string} [options.trustProxy] - Express' `trust proxy` setting (off by default)
+ * @returns {express.Application}
+ */
+function createSharedApp(db, { user, trustProxy = false } = {}) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(cookieParser());
+  app.locals.db = db;
+  app.locals.authEnabled = true;
+  app.locals.basePath = '';
+  app.locals.vodsName = 'VODlibrary';
+  app.use((req, res, next) => {
+    req.user = user ? user() : null;
+    next();
+  });
+  app.use('/', require('../../routes/shared').router);
+  return app;
+}
+
+module.exports = {
+  openTestDb,
+  closeTestDb,
+  createApiApp,
+  createSharedApp
+};
@@ -57,5 +57,90 @@ jest.mock('../db/database', () => ({
   getVideoByPath: jest.fn(),
   getAllVideoPaths: jest.fn(),
   deleteVideo: jest.fn(),
-  getVideosPaginated: jest.fn().mockResolvedValue({ videos: [], totalCount: 0 })
+  getVideosPaginated: jest.fn().mockResolvedValue({ videos: [], totalCount: 0 }),
+  addFavorite: jest.fn().mockResolvedValue(true),
+  removeFavorite: jest.fn().mockResolvedValue(1),
+  isFavorite: jest.fn().mockResolvedValue(false),
+  getFavoriteVideoIds: jest.fn().mockResolvedValue([]),
+  importFavorites: jest.fn().mockResolvedValue(0),
+  saveWatchProgress: jest.fn().mockResolvedValue(true),
+  getWatchProgress: jest.fn().mockResolvedValue(undefined),
+  clearWatchProgress: jest.fn().mockResolvedValue(0),
+  getContinueWatching: jest.fn().mockResolvedValue([]),
+  getAllTags: jest.fn().mockResolvedValue([]),
+  getTagById: jest.fn(),
+  createTag: jest.fn(),
+  updateTag: jest.fn(),
+  deleteTag: jest.fn(),
+  getTagsForVideo: jest.fn().mockResolvedValue([]),
+  addTagToVideo: jest.fn(),
+  removeTagFromVideo: jest.fn(),
+  getAllCollections: jest.fn().mockResolvedValue([]),
+  getCollectionById: jest.fn(),
+  createCollection: jest.fn(),
+  updateCollection: jest.fn(),
+  deleteCollection: jest.fn(),
+  addVideoToCollection: jest.fn(),
+  removeVideoFromCollection: jest.fn(),
+  getCollectionsForVideo: jest.fn().mockResolvedValue([]),
+  getPathFieldValues: jest.fn().mockResolvedValue({ game: [], series: [], player: [] }),
+  replaceVideoEvents: jest.fn().mockResolvedValue(),
+  getVideoEvents: jest.fn().mockResolvedValue([]),
+  startHighlightReel: jest.fn().mockResolvedValue(true),
+  updateHighlightReel: jest.fn().mockResolvedValue(),
+  getHighlightReel: jest.fn().mockResolvedValue(undefined),
+  failInterruptedHighlightReels: jest.fn().mockResolvedValue(0),
+  createClip: jest.fn(),
+  updateClip: jest.fn().mockResolvedValue(),
+  getClipById: jest.fn(),
+  getClipsForVideo: jest.fn().mockResolvedValue([]),
+  deleteClip: jest.fn(),
+  failInterruptedClips: jest.fn().mockResolvedValue(0),
+  createUser: jest.fn(),
+  getUserById: jest.fn(),
+  getUserByUsername: jest.fn(),
+  getUsers: jest.fn().mockResolvedValue([]),
+  updateUser: jest.fn(),
+  deleteUser: jest.fn(),
+  countUsers: jest.fn().mockResolvedValue(0),
+  recordUserLogin: jest.fn().mockResolvedValue(),
+  getSession: jest.fn().mockResolvedValue(undefined),
+  saveSession: jest.fn().mockResolvedValue(),
+  touchSession: jest.fn().mockResolvedValue(),
+  destroySession: jest.fn().mockResolvedValue(),
+  destroyUserSessions: jest.fn().mockResolvedValue(0),
+  deleteExpiredSessions: jest.fn().mockResolvedValue(0),
+  createShare: jest.fn(),
+  getShareById: jest.fn(),
+  getShares: jest.fn().mockResolvedValue([]),
+  revokeShare: jest.fn(),
+  recordShareView: jest.fn().mockResolvedValue(true),
+  createShareView: jest.fn().mockResolvedValue(1),
+  updateShareView: jest.fn().mockResolvedValue(1),
+  getShareStats: jest.fn(),
+  enqueueJob: jest.fn().mockResolvedValue(1),
+  claimNextJob: jest.fn().mockResolvedValue(null),
+  completeJob: jest.fn().mockResolvedValue(),
+  failJob: jest.fn().mockResolvedValue(),
+  recoverInterruptedJobs: jest.fn().mockResolvedValue(0),
+  getVideosWithoutPreviewJobs: jest.fn().mockResolvedValue([]),
+  failOrphanedPreviews: jest.fn().mockResolvedValue(0),
+  getJobs: jest.fn().mockResolvedValue([]),
+  getJobCounts: jest.fn().mockResolvedValue([]),
+  deleteFinishedJobs: jest.fn().mockResolvedValue(0),
+  updateVideoTechnical: jest.fn().mockResolvedValue(),
+  updateVideoFileState: jest.fn().mockResolvedValue(1),
+  createScan: jest.fn().mockResolvedValue(1),
+  recordScanFile: jest.fn().mockResolvedValue(),
+  finishScan: jest.fn().mockResolvedValue(),
+  failInterruptedScans: jest.fn().mockResolvedValue(0),
+  getScans: jest.fn().mockResolvedValue([]),
+  getScanById: jest.fn(),
+  deleteOldScans: jest.fn().mockResolvedValue(0),
+  getSettings: jest.fn().mockResolvedValue([]),
+  saveSettings: jest.fn().mockResolvedValue(),
+  deleteSettings: jest.fn().mockResolvedValue(0),
+  getLibraryTotals: jest.fn().mockResolvedValue({ videos: 0, total_duration: 0, total_size: 0, without_thumbnail: 0, previews: {} }),
+  SHARED_LIBRARY_USER_ID: 0,
+  MIN_RESUME_SECONDS: 10
 }));
\ No newline at end of file